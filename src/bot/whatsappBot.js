@@ -1,5 +1,5 @@
 const makeWASocket = require('baileys').default;
-const { DisconnectReason, useMultiFileAuthState, makeCacheableSignalKeyStore, fetchLatestBaileysVersion } = require('baileys');
+const { DisconnectReason, useMultiFileAuthState, makeCacheableSignalKeyStore, fetchLatestBaileysVersion, downloadMediaMessage, normalizeMessageContent } = require('baileys');
 const qrcode = require('qrcode-terminal');
 const pino = require('pino');
 const fs = require('fs');
@@ -13,6 +13,27 @@ const promptLoader = require('../services/promptLoader');
 const humanModeManager = require('../services/humanModeManager');
 const followUpService = require('../services/followUpService');
 const systemConfigService = require('../services/systemConfigService');
+const processedMessagesService = require('../services/processedMessagesService');
+const burstAggregator = require('../services/burstAggregator');
+const replySplitter = require('../services/replySplitter');
+const aiRetryQueue = require('../services/aiRetryQueue');
+const contactService = require('../services/contactService');
+const mediaService = require('../services/mediaService');
+const transcriptionService = require('../services/transcriptionService');
+const appointmentService = require('../services/appointmentService');
+const businessHoursService = require('../services/businessHoursService');
+const consentService = require('../services/consentService');
+const eventBus = require('../services/eventBus');
+const campaignService = require('../services/campaignService');
+
+// Tipos de mensaje multimedia que se procesan (el resto se ignora)
+const MEDIA_MESSAGE_TYPES = {
+    audioMessage: 'audio',
+    imageMessage: 'image',
+    documentMessage: 'document',
+    locationMessage: 'location',
+    contactMessage: 'contact'
+};
 
 // Helper para extraer userId limpio de diferentes formatos de WhatsApp
 function extractUserId(remoteJid) {
@@ -31,6 +52,7 @@ class WhatsAppBot {
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 3;
         this.isReconnecting = false;
+        this.afterHoursNotified = new Map(); // userId -> apertura ya avisada con la respuesta fuera de horario
     }
 
     async start() {
@@ -96,10 +118,12 @@ class WhatsAppBot {
                 this.currentQR = qr;
                 this.connectionStatus = 'connecting';
                 qrcode.generate(qr, { small: true });
+                this.publishStatus();
             }
             
             if (connection === 'close') {
                 this.connectionStatus = 'disconnected';
+                this.publishStatus();
                 const statusCode = lastDisconnect?.error?.output?.statusCode;
                 const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
                 console.log('Conexión cerrada debido a', lastDisconnect?.error, ', reconectando:', shouldReconnect);
@@ -132,9 +156,14 @@ class WhatsAppBot {
                 this.connectionStatus = 'connected';
                 this.reconnectAttempts = 0;
                 this.isReconnecting = false;
+                this.publishStatus();
                 logger.log('SYSTEM', 'Bot iniciado correctamente con Baileys');
                 sessionManager.startCleanupTimer(this.sock);
                 followUpService.startFollowUpTimer(this.sock);
+                processedMessagesService.startCleanupTimer();
+                mediaService.startCleanupTimer();
+                appointmentService.startReminderTimer();
+                campaignService.startDeliveryTimer();
             }
         });
 
@@ -171,6 +200,7 @@ class WhatsAppBot {
 
                     if (status && messageId) {
                         await logger.updateMessageStatus(messageId, status);
+                        await campaignService.updateDeliveryStatus(messageId, status);
                         console.log(`✅ Estado actualizado: ${messageId} -> ${status} (Usuario: ${userId})`);
                     }
                 } catch (error) {
@@ -181,151 +211,501 @@ class WhatsAppBot {
 
         // Manejar mensajes entrantes
         this.sock.ev.on('messages.upsert', async (m) => {
-            try {
-                const msg = m.messages[0];
-                if (!msg.message) return;
-                
-                // Log para debugging
-                console.log('Mensaje recibido - fromMe:', msg.key.fromMe, 'remoteJid:', msg.key.remoteJid);
-                console.log('DEBUG msg.key completo:', JSON.stringify(msg.key, null, 2));
-                console.log('DEBUG pushName:', msg.pushName);
-                console.log('DEBUG verifiedBizName:', msg.verifiedBizName);
-                
-                // Ignorar mensajes propios
-                if (msg.key.fromMe) {
-                    console.log('Ignorando mensaje propio');
-                    return;
-                }
-                
-                // Obtener el número del remitente
-                const from = msg.key.remoteJid;
-                const isGroup = from.endsWith('@g.us');
-                
-                // Obtener el texto del mensaje
-                const conversation = msg.message.conversation || 
-                                   msg.message.extendedTextMessage?.text || 
-                                   '';
-                
-                // Ignorar mensajes sin texto
-                if (!conversation || conversation.trim() === '') {
-                    console.log('Mensaje ignorado - Sin contenido de texto');
-                    return;
+            // 'append' son sincronizaciones de historial, no mensajes nuevos
+            if (m.type === 'append') {
+                console.log(`Ignorando sincronización de historial (${m.messages.length} mensajes)`);
+                return;
+            }
+
+            // Baileys puede entregar varios mensajes en un mismo evento (reconexión, ráfagas)
+            for (const msg of m.messages) {
+                try {
+                    await this.handleIncomingMessage(msg);
+                } catch (error) {
+                    await this.handleError(error, msg.key.remoteJid);
                 }
-                
-                // Extraer información del usuario o grupo
-                let userId, userName, groupName;
-
-                if (isGroup) {
-                    // Para grupos: usar el ID del grupo como userId
-                    userId = from.replace('@g.us', '');
-                    groupName = 'Grupo'; // Nombre por defecto, se puede mejorar obteniendo metadata
-                    userName = msg.pushName || 'Participante';
-
-                    // Obtener metadata del grupo para nombre real
-                    try {
-                        const groupMetadata = await this.sock.groupMetadata(from);
-                        groupName = groupMetadata.subject || 'Grupo sin nombre';
-                    } catch (error) {
-                        console.log('No se pudo obtener metadata del grupo:', error.message);
-                    }
+            }
+        });
 
-                    await logger.log('cliente', conversation, userId, groupName, isGroup);
+        } catch (error) {
+            console.error('Error iniciando bot:', error);
+            this.isReconnecting = false;
 
-                    // Los grupos ahora funcionan igual que los chats privados
-                    // No se activa soporte automáticamente, el usuario decide si usar IA o modo manual
-                } else {
-                    // Para chats privados (soporta @s.whatsapp.net y @lid de WhatsApp Business)
-                    // Usar senderPn si está disponible (número real en WhatsApp Business)
-                    const realPhone = msg.key.senderPn || from;
-                    userId = extractUserId(realPhone);
-                    userName = msg.pushName || userId;
+            if (this.reconnectAttempts < this.maxReconnectAttempts) {
+                this.reconnectAttempts++;
+                console.log(`Reintentando en 5 segundos... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+                setTimeout(() => this.start(), 5000);
+            }
+        }
+    }
 
-                    await logger.log('cliente', conversation, userId, userName, isGroup);
-                }
+    async handleIncomingMessage(msg) {
+        if (!msg.message) return;
+        
+        // Log para debugging
+        console.log('Mensaje recibido - fromMe:', msg.key.fromMe, 'remoteJid:', msg.key.remoteJid);
+        console.log('DEBUG msg.key completo:', JSON.stringify(msg.key, null, 2));
+        console.log('DEBUG pushName:', msg.pushName);
+        console.log('DEBUG verifiedBizName:', msg.verifiedBizName);
+        
+        // Ignorar mensajes propios
+        if (msg.key.fromMe) {
+            console.log('Ignorando mensaje propio');
+            return;
+        }
 
-                // Verificar si está en modo humano o soporte
-                const isHuman = await humanModeManager.isHumanMode(userId);
-                const isSupport = await humanModeManager.isSupportMode(userId);
+        // Evitar procesar dos veces el mismo mensaje (reconexiones, reinicios)
+        const isNew = await processedMessagesService.claim(msg.key.id, msg.key.remoteJid);
+        if (!isNew) {
+            console.log(`Mensaje ${msg.key.id} ya procesado anteriormente, ignorando`);
+            return;
+        }
+        
+        // Obtener el número del remitente
+        const from = msg.key.remoteJid;
+        const isGroup = from.endsWith('@g.us');
+        
+        // Obtener el texto del mensaje
+        let conversation = msg.message.conversation || 
+                           msg.message.extendedTextMessage?.text || 
+                           '';
+        // Contenido sin envolturas (mensajes temporales, ver una vez, documento con texto)
+        const content = normalizeMessageContent(msg.message);
+        const mediaKey = Object.keys(MEDIA_MESSAGE_TYPES).find(key => content?.[key]);
+        
+        // Ignorar mensajes sin texto ni contenido multimedia soportado
+        if ((!conversation || conversation.trim() === '') && !mediaKey) {
+            console.log('Mensaje ignorado - Sin contenido de texto');
+            return;
+        }
+        
+        // Extraer información del usuario o grupo
+        let userId, userName, groupName;
 
-                if (isHuman || isSupport) {
-                    const mode = isSupport ? 'SOPORTE' : 'HUMANO';
-                    await logger.log('SYSTEM', `Mensaje ignorado - Modo ${mode} activo para ${userName} (${userId})`);
-                    return;
-                }
+        if (isGroup) {
+            // Para grupos: usar el ID del grupo como userId
+            userId = from.replace('@g.us', '');
+            groupName = 'Grupo'; // Nombre por defecto, se puede mejorar obteniendo metadata
+            userName = msg.pushName || 'Participante';
 
-                // Verificar si la IA está desactivada para grupos
-                if (isGroup) {
-                    const groupsAIEnabled = await systemConfigService.isGroupsAIEnabled();
-                    if (!groupsAIEnabled) {
-                        await logger.log('SYSTEM', `Mensaje de grupo ignorado - IA en grupos desactivada (${groupName})`);
-                        return;
-                    }
-                } else {
-                    // Verificar si la IA está desactivada para chats individuales
-                    const individualAIEnabled = await systemConfigService.isIndividualAIEnabled();
-                    if (!individualAIEnabled) {
-                        await logger.log('SYSTEM', `Mensaje individual ignorado - IA individual desactivada (${userName})`);
-                        return;
-                    }
-                }
+            // Obtener metadata del grupo para nombre real
+            try {
+                const groupMetadata = await this.sock.groupMetadata(from);
+                groupName = groupMetadata.subject || 'Grupo sin nombre';
+            } catch (error) {
+                console.log('No se pudo obtener metadata del grupo:', error.message);
+            }
+
+            await contactService.touch({ userId, jid: from, displayName: groupName, isGroup: true });
+
+            // Los grupos ahora funcionan igual que los chats privados
+            // No se activa soporte automáticamente, el usuario decide si usar IA o modo manual
+        } else {
+            // Para chats privados (soporta @s.whatsapp.net y @lid de WhatsApp Business)
+            // Usar senderPn si está disponible (número real en WhatsApp Business)
+            const realPhone = msg.key.senderPn || from;
+            userId = extractUserId(realPhone);
+            userName = msg.pushName || userId;
+
+            // Guardar identidad: número real (senderPn o @s.whatsapp.net) e id @lid si aplica
+            await contactService.touch({
+                userId,
+                jid: from,
+                phone: (msg.key.senderPn || from.endsWith('@s.whatsapp.net')) ? extractUserId(realPhone) : null,
+                lid: from.endsWith('@lid') ? extractUserId(from) : null,
+                displayName: msg.pushName || null
+            });
+        }
 
-                // Si hay seguimiento activo, cancelarlo (el cliente respondió)
-                if (followUpService.hasActiveFollowUp(userId)) {
-                    await followUpService.cancelFollowUp(userId, 'Cliente respondió');
+        if (mediaKey) {
+            // El contenido multimedia se convierte en una descripción de texto que se procesa
+            // como un turno normal del cliente (transcripción, pie de foto, ubicación...)
+            const media = await this.processMediaMessage(msg, content[mediaKey], MEDIA_MESSAGE_TYPES[mediaKey], userId);
+            conversation = media.text;
+            await logger.log('cliente', media.logText, userId, isGroup ? groupName : userName, isGroup, null, null, null, media.media);
+        } else {
+            await logger.log('cliente', conversation, userId, isGroup ? groupName : userName, isGroup);
+        }
+
+        if (!isGroup) {
+            // Palabra de baja (BAJA, STOP...): se registra, se confirma y la IA no responde
+            const optOut = await consentService.handleIncomingMessage(userId, conversation);
+            if (optOut) {
+                if (optOut.confirmation) {
+                    const sentMsg = await this.sock.sendMessage(from, { text: optOut.confirmation });
+                    await logger.log('bot', optOut.confirmation, userId, userName, false, null, null, sentMsg?.key?.id);
                 }
+                return;
+            }
+        }
 
-                // Procesar mensaje y generar respuesta
-                const response = await this.processMessage(userId, conversation, from);
-
-                // Analizar respuesta del usuario para detectar aceptación, rechazo o frustración
-                const session = await sessionManager.getSession(userId, from);
-                const analysisResult = await followUpService.analyzeUserResponse(
-                    userId,
-                    conversation,
-                    session.messages
-                );
-
-                // Enviar respuesta y capturar messageId
-                const sentMsg = await this.sock.sendMessage(from, { text: response });
-                const messageId = sentMsg?.key?.id;
-                const displayName = isGroup ? groupName : userName;
-                await logger.log('bot', response, userId, displayName, isGroup, null, null, messageId);
-                
-            } catch (error) {
-                await this.handleError(error, m.messages[0]);
+        // Verificar si está en modo humano o soporte
+        const isHuman = await humanModeManager.isHumanMode(userId);
+        const isSupport = await humanModeManager.isSupportMode(userId);
+
+        if (isHuman || isSupport) {
+            const mode = isSupport ? 'SOPORTE' : 'HUMANO';
+            await logger.log('SYSTEM', `Mensaje ignorado - Modo ${mode} activo para ${userName} (${userId})`);
+            return;
+        }
+
+        // Verificar si la IA está desactivada para grupos
+        if (isGroup) {
+            const groupsAIEnabled = await systemConfigService.isGroupsAIEnabled();
+            if (!groupsAIEnabled) {
+                await logger.log('SYSTEM', `Mensaje de grupo ignorado - IA en grupos desactivada (${groupName})`);
+                return;
             }
-        });
+        } else {
+            // Verificar si la IA está desactivada para chats individuales
+            const individualAIEnabled = await systemConfigService.isIndividualAIEnabled();
+            if (!individualAIEnabled) {
+                await logger.log('SYSTEM', `Mensaje individual ignorado - IA individual desactivada (${userName})`);
+                return;
+            }
+
+            // Fuera de horario: avisar (una vez por periodo) cuándo atenderá un asesor.
+            // Solo cuando responde la IA: un chat atendido por un agente no recibe el aviso
+            await this.sendAfterHoursReply(userId, from, userName);
+        }
+
+        // El cliente respondió: detener el seguimiento activo si su secuencia lo indica
+        await followUpService.onUserMessage(userId);
+
+        // Agrupar mensajes consecutivos ("hola" / "busco nave" / "en Querétaro") en un solo turno
+        const chat = {
+            userId,
+            from,
+            isGroup,
+            displayName: isGroup ? groupName : userName
+        };
+        const windowMs = await systemConfigService.getBurstWindowMs();
+
+        // Si había mensajes sin responder por falla de la IA, se responden junto con este
+        for (const pendingText of aiRetryQueue.take(userId)) {
+            this.queueForReply(chat, pendingText, windowMs);
+        }
+
+        this.queueForReply(chat, conversation, windowMs);
+    }
+
+    // Estado de conexión y QR para el panel, en el mismo formato que /api/qr
+    publishStatus() {
+        eventBus.publish('whatsapp', { status: this.connectionStatus, qr: this.currentQR });
+    }
 
+    /**
+     * Respuesta automática fuera del horario de atención. Se envía una sola vez
+     * por periodo cerrado para no repetirla en cada mensaje del cliente.
+     */
+    async sendAfterHoursReply(userId, from, userName) {
+        try {
+            const afterHours = await businessHoursService.getAfterHoursText('autoReply');
+            if (!afterHours || !afterHours.text) {
+                return;
+            }
+
+            const periodKey = afterHours.nextOpening ? afterHours.nextOpening.getTime() : 'none';
+            if (this.afterHoursNotified.get(userId) === periodKey) {
+                return;
+            }
+            this.afterHoursNotified.set(userId, periodKey);
+
+            const sentMsg = await this.sock.sendMessage(from, { text: afterHours.text });
+            await logger.log('bot', afterHours.text, userId, userName, false, null, null, sentMsg?.key?.id);
         } catch (error) {
-            console.error('Error iniciando bot:', error);
-            this.isReconnecting = false;
+            console.error('Error enviando respuesta fuera de horario:', error);
+        }
+    }
 
-            if (this.reconnectAttempts < this.maxReconnectAttempts) {
-                this.reconnectAttempts++;
-                console.log(`Reintentando en 5 segundos... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
-                setTimeout(() => this.start(), 5000);
+    /**
+     * Procesa un mensaje multimedia. Retorna:
+     * - text: descripción para la sesión de la IA
+     * - logText: texto que se muestra en el panel
+     * - media: { id, type, data } para el log
+     */
+    async processMediaMessage(msg, message, type, userId) {
+        switch (type) {
+            case 'audio':
+                return await this.processVoiceNote(msg, message, userId);
+            case 'image': {
+                const mediaId = await this.saveMedia(msg, userId, mediaService.normalizeMimeType(message.mimetype || 'image/jpeg'));
+                const caption = message.caption?.trim();
+                return {
+                    text: caption ? `[cliente envió una imagen con el texto: "${caption}"]` : '[cliente envió una imagen]',
+                    logText: caption || '📷 Imagen',
+                    media: { id: mediaId, type }
+                };
+            }
+            case 'document': {
+                const fileName = message.fileName || message.title || 'documento';
+                const mediaId = await this.saveMedia(msg, userId, mediaService.normalizeMimeType(message.mimetype), fileName);
+                const caption = message.caption?.trim();
+                return {
+                    text: `[cliente envió el documento "${fileName}"${caption ? ` con el texto: "${caption}"` : ''}]`,
+                    logText: caption || `📄 ${fileName}`,
+                    media: { id: mediaId, type, data: { fileName } }
+                };
+            }
+            case 'location': {
+                const latitude = message.degreesLatitude;
+                const longitude = message.degreesLongitude;
+                const place = [message.name, message.address].filter(Boolean).join(' - ');
+                return {
+                    text: `[cliente envió ubicación ${latitude},${longitude}${place ? ` (${place})` : ''}]`,
+                    logText: `📍 ${place || 'Ubicación'}`,
+                    media: { id: null, type, data: { latitude, longitude, name: message.name || null, address: message.address || null } }
+                };
+            }
+            case 'contact': {
+                const name = message.displayName || 'Sin nombre';
+                const phones = this.parseVCardPhones(message.vcard);
+                return {
+                    text: `[cliente compartió el contacto ${name}${phones.length > 0 ? ` (${phones.join(', ')})` : ''}]`,
+                    logText: `👤 ${name}`,
+                    media: { id: null, type, data: { name, phones } }
+                };
             }
+            default:
+                return { text: '[cliente envió un archivo]', logText: '📎 Archivo', media: null };
         }
     }
 
-    async processMessage(userId, userMessage, chatId) {
-        // Agregar mensaje del usuario a la sesión
-        await sessionManager.addMessage(userId, 'user', userMessage, chatId);
+    /**
+     * Descarga una nota de voz, guarda el audio original y la transcribe.
+     */
+    async processVoiceNote(msg, message, userId) {
+        const mimeType = message.mimetype || 'audio/ogg';
+        const buffer = await this.downloadMedia(msg);
+        const mediaId = buffer ? await this.storeMedia(buffer, msg, userId, mimeType) : null;
+        const transcript = buffer ? await transcriptionService.transcribe(buffer, mimeType) : null;
+
+        if (!transcript) {
+            return {
+                text: '[El cliente envió una nota de voz que no se pudo transcribir]',
+                logText: '🎤 Nota de voz (sin transcripción)',
+                media: { id: mediaId, type: 'audio' }
+            };
+        }
+
+        return {
+            text: `[Nota de voz] ${transcript}`,
+            logText: transcript,
+            media: { id: mediaId, type: 'audio' }
+        };
+    }
+
+    // Descarga y guarda el archivo del mensaje. Retorna el id en la tabla media o null
+    async saveMedia(msg, userId, mimeType, originalName = null) {
+        const buffer = await this.downloadMedia(msg);
+        return buffer ? await this.storeMedia(buffer, msg, userId, mimeType, originalName) : null;
+    }
+
+    async downloadMedia(msg) {
+        try {
+            return await downloadMediaMessage(msg, 'buffer', {}, {
+                logger: pino({ level: 'silent' }),
+                reuploadRequest: this.sock.updateMediaMessage
+            });
+        } catch (error) {
+            console.error('Error descargando archivo multimedia:', error.message);
+            return null;
+        }
+    }
+
+    async storeMedia(buffer, msg, userId, mimeType, originalName = null) {
+        try {
+            const media = await mediaService.save(buffer, { mimeType, userId, messageId: msg.key.id, originalName });
+            return media.id;
+        } catch (error) {
+            console.error('Error guardando archivo multimedia:', error);
+            return null;
+        }
+    }
+
+    // Teléfonos de una vCard (líneas TEL:...)
+    parseVCardPhones(vcard) {
+        return String(vcard || '')
+            .split(/\r?\n/)
+            .filter(line => line.toUpperCase().startsWith('TEL'))
+            .map(line => line.slice(line.indexOf(':') + 1).trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Envía un archivo desde el panel: imagen, audio o documento (PDF).
+     * WhatsApp no admite texto en los audios, así que el texto se manda aparte.
+     */
+    async sendMedia(jid, { buffer, mimeType, fileName, caption = '' }) {
+        let content;
+        if (mimeType.startsWith('image/')) {
+            content = { image: buffer, mimetype: mimeType, caption };
+        } else if (mimeType.startsWith('audio/')) {
+            content = { audio: buffer, mimetype: mimeType };
+        } else {
+            content = { document: buffer, mimetype: mimeType, fileName, caption };
+        }
+
+        const sentMsg = await this.sock.sendMessage(jid, content);
+
+        if (content.audio && caption) {
+            await this.sock.sendMessage(jid, { text: caption });
+        }
+
+        return sentMsg;
+    }
+
+    queueForReply(chat, text, windowMs) {
+        burstAggregator.add(chat.userId, text, windowMs, (texts, isCurrent) =>
+            this.respondToBurst(chat, texts, isCurrent)
+        );
+    }
+
+    async respondToBurst(chat, texts, isCurrent) {
+        const { userId, from, isGroup, displayName } = chat;
+        const userMessage = texts.join('\n');
+
+        try {
+            // Procesar mensaje y generar respuesta
+            const response = await this.processMessage(userId, userMessage, from, isCurrent);
+
+            // Llegó otro mensaje mientras se generaba: se responderá todo junto
+            if (response === null) {
+                return false;
+            }
 
+            // Analizar respuesta del usuario para detectar aceptación, rechazo o frustración
+            const session = await sessionManager.getSession(userId, from);
+            await followUpService.analyzeUserResponse(
+                userId,
+                userMessage,
+                session.messages
+            );
+
+            // Enviar respuesta (dividida en varios mensajes si es larga)
+            await this.sendReply(chat, response);
+            aiRetryQueue.reset(userId);
+
+            // Resumir en segundo plano los mensajes que salieron de la ventana de contexto
+            sessionManager.summarizeIfNeeded(userId, from);
+
+            // Completar el perfil del contacto con lo que haya dicho (por lotes de turnos)
+            contactService.queueExtraction(userId, [
+                { role: 'user', content: userMessage },
+                { role: 'assistant', content: replySplitter.toPlainText(response) }
+            ]);
+        } catch (error) {
+            // Si la IA no está disponible, reintentar más tarde en lugar de enviar un error al cliente
+            if (error.code === 'AI_UNAVAILABLE') {
+                await this.scheduleAIRetry(chat, texts);
+            } else {
+                await this.handleError(error, from);
+            }
+        }
+
+        return true;
+    }
+
+    async scheduleAIRetry(chat, texts) {
+        const { userId, isGroup, displayName } = chat;
+
+        const attempt = aiRetryQueue.schedule(userId, texts, (retryTexts) =>
+            this.retryAIReply(chat, retryTexts)
+        );
+
+        if (attempt > 0) {
+            const minutes = Math.round(aiRetryQueue.getDelay(attempt) / 60000);
+            await logger.log('SYSTEM', `⚠️ IA no disponible - respuesta reprogramada en ${minutes} min (intento ${attempt})`, userId, displayName, isGroup);
+        } else {
+            await logger.log('SYSTEM', '❌ IA no disponible tras varios reintentos - el cliente no recibió respuesta, requiere atención', userId, displayName, isGroup);
+        }
+    }
+
+    async retryAIReply(chat, texts) {
+        const { userId } = chat;
+
+        try {
+            // Si un agente tomó la conversación mientras tanto, no responder con IA
+            const isHuman = await humanModeManager.isHumanMode(userId);
+            const isSupport = await humanModeManager.isSupportMode(userId);
+            if (isHuman || isSupport) {
+                aiRetryQueue.reset(userId);
+                return;
+            }
+
+            console.log(`🔄 Reintentando respuesta de IA para ${userId}`);
+            for (const text of texts) {
+                this.queueForReply(chat, text, 0);
+            }
+        } catch (error) {
+            console.error('Error reintentando respuesta de IA:', error);
+        }
+    }
+
+    async sendReply(chat, response) {
+        const { userId, from, isGroup, displayName } = chat;
+        const parts = replySplitter.split(response);
+
+        for (let i = 0; i < parts.length; i++) {
+            // Entre mensajes mostrar "escribiendo..." con una pausa realista
+            if (i > 0) {
+                await this.simulateTyping(from, parts[i]);
+            }
+
+            const sentMsg = await this.sock.sendMessage(from, { text: parts[i] });
+            const messageId = sentMsg?.key?.id;
+            await logger.log('bot', parts[i], userId, displayName, isGroup, null, null, messageId);
+        }
+    }
+
+    async simulateTyping(jid, text) {
+        try {
+            await this.sock.sendPresenceUpdate('composing', jid);
+        } catch (error) {
+            console.log('No se pudo enviar estado de escritura:', error.message);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, replySplitter.getTypingDelay(text)));
+
+        try {
+            await this.sock.sendPresenceUpdate('paused', jid);
+        } catch (error) {
+            console.log('No se pudo limpiar estado de escritura:', error.message);
+        }
+    }
+
+    async processMessage(userId, userMessage, chatId, isCurrent = () => true) {
         // Determinar si es un grupo basándose en el chatId
         const isGroup = chatId.endsWith('@g.us');
 
         // Obtener el prompt apropiado según el tipo de chat
         const systemPrompt = promptLoader.getPrompt(isGroup);
 
-        // Preparar mensajes para la IA
+        // Preparar mensajes para la IA (el turno del usuario se guarda solo si la respuesta se envía)
+        const context = await sessionManager.getContext(userId, chatId);
+        const profile = contactService.formatForPrompt(await contactService.getContact(userId));
+        const afterHours = await businessHoursService.getAfterHoursText('promptVariant');
         const messages = [
             { role: 'system', content: systemPrompt },
-            ...(await sessionManager.getMessages(userId, chatId))
+            ...(afterHours ? [{ role: 'system', content: `*FUERA DE HORARIO:*\n${afterHours.text}` }] : []),
+            ...(profile ? [{ role: 'system', content: profile }] : []),
+            ...(context.summary ? [{ role: 'system', content: `*RESUMEN DE LA CONVERSACIÓN ANTERIOR:*\n${context.summary}` }] : []),
+            ...context.messages.map(m => ({ role: m.role, content: m.content })),
+            { role: 'user', content: userMessage }
         ];
 
-        // Generar respuesta con IA
-        const aiResponse = await aiService.generateResponse(messages);
+        // Generar respuesta con IA (puede ejecutar herramientas para este contacto)
+        const toolContext = { userId, chatId };
+        const aiResponse = await aiService.generateResponse(messages, toolContext);
+
+        // Si llegaron mensajes nuevos mientras se generaba, descartar esta respuesta; salvo que
+        // ya se haya pasado a un asesor, agendado o enviado algo: el cliente debe saberlo
+        if (!isCurrent() && !toolContext.sideEffects) {
+            return null;
+        }
+
+        // Agregar mensaje del usuario a la sesión
+        await sessionManager.addMessage(userId, 'user', userMessage, chatId);
 
         // Verificar si la respuesta contiene el marcador de activar soporte
         if (aiResponse.includes('{{ACTIVAR_SOPORTE}}')) {
@@ -337,7 +717,7 @@ class WhatsAppBot {
             await sessionManager.updateSessionMode(userId, chatId, 'support');
 
             // Agregar respuesta limpia a la sesión
-            await sessionManager.addMessage(userId, 'assistant', cleanResponse, chatId);
+            await sessionManager.addMessage(userId, 'assistant', replySplitter.toPlainText(cleanResponse), chatId);
 
             // Registrar en logs
             await logger.log('SYSTEM', `Modo SOPORTE activado automáticamente para ${userId}`);
@@ -346,15 +726,14 @@ class WhatsAppBot {
         }
 
         // Agregar respuesta de IA a la sesión
-        await sessionManager.addMessage(userId, 'assistant', aiResponse, chatId);
+        await sessionManager.addMessage(userId, 'assistant', replySplitter.toPlainText(aiResponse), chatId);
 
         return aiResponse;
     }
     
-    async handleError(error, message) {
+    async handleError(error, from) {
         console.error('Error procesando mensaje:', error);
         
-        const from = message.key.remoteJid;
         const userId = extractUserId(from);
         
         let errorMessage = 'Lo siento, ocurrió un error. Inténtalo de nuevo.';
@@ -396,6 +775,7 @@ class WhatsAppBot {
             this.currentQR = null;
             this.reconnectAttempts = 0;
             this.isReconnecting = false;
+            this.publishStatus();
             
             if (this.sock) {
                 try {
@@ -1,19 +1,145 @@
 require('dotenv').config();
 
+// Parámetros del modelo para un uso específico (chat, clasificación, análisis).
+// Cada uno puede sobrescribirse con LLM_<USO>_MODEL, LLM_<USO>_TEMPERATURE y LLM_<USO>_MAX_TOKENS
+function llmUse(name, defaults) {
+    const prefix = `LLM_${name.toUpperCase()}_`;
+    return {
+        model: process.env[`${prefix}MODEL`] || process.env.LLM_MODEL || null,
+        temperature: parseFloat(process.env[`${prefix}TEMPERATURE`] || defaults.temperature),
+        maxTokens: parseInt(process.env[`${prefix}MAX_TOKENS`] || defaults.maxTokens, 10)
+    };
+}
+
 module.exports = {
     deepseekApiKey: process.env.DEEPSEEK_API_KEY,
-    deepseekApiUrl: 'https://api.deepseek.com/v1/chat/completions',
     webPort: process.env.WEB_PORT || 3001,
     sessionTimeout: 5 * 60 * 1000, // 5 minutos
     checkInterval: 60000, // 1 minuto
     maxMessages: 10, // Máximo de mensajes en contexto
+    summaryBatchSize: 6, // Mensajes fuera de la ventana que se acumulan antes de resumirlos
+    // Extracción de datos del perfil con la IA: por lotes de turnos o al quedar inactiva la conversación
+    profileExtraction: {
+        batchTurns: 4,
+        idleMs: 5 * 60 * 1000
+    },
+    maxWordsPerMessage: 80, // Límite de palabras por mensaje de WhatsApp antes de dividir
+
+    // Selección de naves que se incluyen en el prompt
+    // mode: 'retrieval' (solo las relevantes), 'full' (todo el catálogo) o 'auto' (full si el catálogo es pequeño)
+    navesRetrieval: {
+        mode: (process.env.NAVES_RETRIEVAL_MODE || 'auto').toLowerCase(),
+        topK: parseInt(process.env.NAVES_TOP_K || '8', 10),
+        fullDumpThreshold: parseInt(process.env.NAVES_FULL_DUMP_THRESHOLD || '20', 10)
+    },
+
+    // Almacenamiento de archivos multimedia (notas de voz, imágenes, documentos)
+    media: {
+        dir: process.env.MEDIA_DIR || './data/media',
+        retentionDays: parseInt(process.env.MEDIA_RETENTION_DAYS || '180', 10), // 0 = conservar siempre
+        maxUploadBytes: parseInt(process.env.MEDIA_MAX_UPLOAD_MB || '16', 10) * 1024 * 1024 // Límite de WhatsApp para imágenes y audio
+    },
+
+    // Mensajes de seguimiento redactados con IA
+    followUp: {
+        aiMaxChars: parseInt(process.env.FOLLOW_UP_AI_MAX_CHARS || '400', 10), // Largo máximo del mensaje generado
+        aiHistoryMessages: 10 // Mensajes recientes de la sesión que se le dan a la IA
+    },
+
+    // Campañas de difusión: envíos espaciados para no ser bloqueados por WhatsApp
+    campaigns: {
+        perMinute: parseInt(process.env.CAMPAIGN_PER_MINUTE || '6', 10), // Máximo de mensajes por minuto por defecto
+        maxPerMinute: 20, // Límite para el valor que se configure en cada campaña
+        jitterSeconds: parseInt(process.env.CAMPAIGN_JITTER_SECONDS || '15', 10), // Espera aleatoria extra entre mensajes
+        maxRecipients: parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS || '2000', 10),
+        checkInterval: 30000 // Revisar campañas programadas cada 30 segundos
+    },
+
+    // Cotizaciones en PDF
+    quotation: {
+        companyName: process.env.QUOTATION_COMPANY_NAME || 'Naves Industriales',
+        companyContact: process.env.QUOTATION_COMPANY_CONTACT || '', // Teléfono, correo o web para el pie de página
+        logoPath: process.env.QUOTATION_LOGO_PATH || null, // PNG o JPG opcional
+        brandColor: process.env.QUOTATION_BRAND_COLOR || '#5c19e3',
+        currency: process.env.QUOTATION_CURRENCY || 'MXN',
+        validityDays: parseInt(process.env.QUOTATION_VALIDITY_DAYS || '15', 10),
+        folioPrefix: process.env.QUOTATION_FOLIO_PREFIX || 'COT'
+    },
+
+    // Citas con consultores
+    appointments: {
+        timezone: process.env.APPOINTMENTS_TIMEZONE || 'America/Mexico_City', // Zona de las reglas de disponibilidad
+        minLeadMinutes: parseInt(process.env.APPOINTMENTS_MIN_LEAD_MINUTES || '120', 10), // Anticipación mínima para agendar
+        horizonDays: parseInt(process.env.APPOINTMENTS_HORIZON_DAYS || '14', 10), // Días hacia adelante con horarios
+        location: process.env.APPOINTMENTS_LOCATION || 'Videollamada (el consultor enviará el enlace)',
+        reminderCheckInterval: 60000 // Revisar recordatorios cada minuto
+    },
+
+    // Transcripción de notas de voz
+    // backend: 'whisper-cpp' (local en CPU), 'mock' (texto fijo, para pruebas) o 'none' (desactivada)
+    transcription: {
+        backend: (process.env.TRANSCRIPTION_BACKEND || 'whisper-cpp').toLowerCase(),
+        language: process.env.TRANSCRIPTION_LANGUAGE || 'es',
+        timeout: parseInt(process.env.TRANSCRIPTION_TIMEOUT_MS || '120000', 10),
+        whisperCpp: {
+            binary: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+            model: process.env.WHISPER_CPP_MODEL || './models/ggml-base.bin',
+            threads: parseInt(process.env.WHISPER_CPP_THREADS || '4', 10),
+            ffmpegBinary: process.env.FFMPEG_BIN || 'ffmpeg' // whisper.cpp solo lee WAV de 16 kHz
+        },
+        mockText: process.env.TRANSCRIPTION_MOCK_TEXT || 'Hola, me interesa información sobre sus naves industriales'
+    },
+
+    // Proveedor de IA: deepseek, openai (cualquier endpoint compatible, p. ej. llama.cpp), ollama o mock
+    llm: {
+        provider: (process.env.LLM_PROVIDER || 'deepseek').toLowerCase(),
+        apiKey: process.env.LLM_API_KEY || process.env.DEEPSEEK_API_KEY,
+        baseUrl: process.env.LLM_BASE_URL || null, // Si no se define se usa el del proveedor
+        // Function calling nativo en endpoints compatibles con OpenAI; si es false se usa el protocolo JSON en texto
+        nativeTools: process.env.LLM_NATIVE_TOOLS !== 'false',
+        maxToolIterations: 5, // Rondas máximas de herramientas por respuesta
+        timeout: parseInt(process.env.LLM_TIMEOUT_MS || '30000', 10), // Límite duro por llamada
+        maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '2', 10), // Reintentos ante timeouts, 429 y 5xx
+        retryBaseDelayMs: 1000, // Backoff exponencial: 1s, 2s, 4s... con jitter
+        retryMaxDelayMs: 8000,
+        circuitBreaker: {
+            failureThreshold: 5, // Fallos seguidos para abrir el circuito
+            resetTimeoutMs: 60000 // Tiempo antes de volver a probar el proveedor
+        },
+        // Proveedor/modelo secundario opcional cuando el principal falla
+        fallback: {
+            provider: (process.env.LLM_FALLBACK_PROVIDER || '').toLowerCase() || null,
+            apiKey: process.env.LLM_FALLBACK_API_KEY || null,
+            baseUrl: process.env.LLM_FALLBACK_BASE_URL || null,
+            model: process.env.LLM_FALLBACK_MODEL || null
+        },
+        uses: {
+            chat: llmUse('chat', { temperature: 0.5, maxTokens: 1000 }),
+            classification: llmUse('classification', { temperature: 0, maxTokens: 10 }),
+            analysis: llmUse('analysis', { temperature: 0.3, maxTokens: 400 }),
+            summary: llmUse('summary', { temperature: 0.2, maxTokens: 400 }),
+            extraction: llmUse('extraction', { temperature: 0, maxTokens: 300 }),
+            followup: llmUse('followup', { temperature: 0.6, maxTokens: 300 })
+        }
+    },
     
     validateApiKey() {
-        if (!this.deepseekApiKey || this.deepseekApiKey === 'tu_api_key_real_aqui') {
-            console.error('⚠️  ERROR: No se ha configurado DEEPSEEK_API_KEY en el archivo .env');
-            console.error('Por favor, crea un archivo .env y añade tu API key de DeepSeek');
+        // Los proveedores locales y el mock no requieren API key
+        if (['ollama', 'mock'].includes(this.llm.provider)) {
+            return;
+        }
+
+        // Con un LLM_BASE_URL propio (p. ej. llama.cpp o vLLM sin clave) no se exige;
+        // si el servidor sí la pide, el proveedor fallará con 401 al llamarlo
+        if (this.llm.baseUrl) {
+            return;
+        }
+
+        if (!this.llm.apiKey || this.llm.apiKey === 'tu_api_key_real_aqui') {
+            console.error('⚠️  ERROR: No se ha configurado la API key del proveedor de IA en el archivo .env');
+            console.error('Por favor, crea un archivo .env y añade tu API key (LLM_API_KEY o DEEPSEEK_API_KEY)');
             console.error('Ejemplo: DEEPSEEK_API_KEY=sk-xxxxxxxxxxxxx');
             process.exit(1);
         }
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,67 @@
+// Cola de respuestas pendientes cuando el proveedor de IA no está disponible.
+// En lugar de enviar un mensaje de error al cliente, se reintenta la respuesta más tarde.
+class AIRetryQueue {
+    constructor() {
+        this.entries = new Map(); // userId -> { texts, timer }
+        this.attempts = new Map(); // userId -> reintentos consecutivos
+        this.retryDelays = [60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000]; // 1, 5 y 15 minutos
+    }
+
+    /**
+     * Programa un reintento para los mensajes sin responder del contacto.
+     * Retorna el número de intento programado, o 0 si ya se agotaron los reintentos.
+     */
+    schedule(userId, texts, onRetry) {
+        const attempt = (this.attempts.get(userId) || 0) + 1;
+
+        if (attempt > this.retryDelays.length) {
+            this.reset(userId);
+            return 0;
+        }
+
+        this.attempts.set(userId, attempt);
+
+        // Combinar con lo que ya estuviera pendiente
+        const pendingTexts = this.take(userId);
+        const entry = {
+            texts: [...pendingTexts, ...texts],
+            timer: null
+        };
+
+        entry.timer = setTimeout(() => {
+            this.entries.delete(userId);
+            onRetry(entry.texts, attempt);
+        }, this.retryDelays[attempt - 1]);
+
+        this.entries.set(userId, entry);
+        return attempt;
+    }
+
+    getDelay(attempt) {
+        return this.retryDelays[attempt - 1] || 0;
+    }
+
+    // Retira los mensajes pendientes (p. ej. porque el cliente escribió de nuevo)
+    take(userId) {
+        const entry = this.entries.get(userId);
+        if (!entry) {
+            return [];
+        }
+
+        clearTimeout(entry.timer);
+        this.entries.delete(userId);
+        return entry.texts;
+    }
+
+    // La IA respondió correctamente: reiniciar el contador de reintentos
+    reset(userId) {
+        this.take(userId);
+        this.attempts.delete(userId);
+    }
+
+    hasPending(userId) {
+        return this.entries.has(userId);
+    }
+}
+
+module.exports = new AIRetryQueue();
@@ -1,62 +1,96 @@
-const axios = require('axios');
 const config = require('../config/config');
+const llmClient = require('./llmClient');
 const csvService = require('./csvService');
+const navesRetriever = require('./navesRetriever');
+const aiTools = require('./aiTools');
 
 class AIService {
-    constructor() {
-        this.apiKey = config.deepseekApiKey;
-        this.apiUrl = config.deepseekApiUrl;
-    }
-
-    async generateResponse(messages) {
+    /**
+     * Genera la respuesta para el cliente.
+     * Si se pasa context ({ userId, chatId }) el modelo puede usar herramientas
+     * (buscar naves, pasar a un asesor, agendar, actualizar el lead); cada llamada
+     * se ejecuta y su resultado se devuelve al modelo hasta obtener un texto final.
+     */
+    async generateResponse(messages, context = null) {
         try {
             // Incluir datos de CSV en el prompt del sistema
             const enrichedMessages = await this.addCSVDataToSystemPrompt(messages);
-            
-            const response = await axios.post(this.apiUrl, {
-                model: 'deepseek-chat',
-                messages: enrichedMessages,
-                max_tokens: 1000,
-                temperature: 0.5
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            return response.data.choices[0].message.content;
+
+            if (!context) {
+                return await llmClient.complete(enrichedMessages, 'chat');
+            }
+
+            return await this.runToolLoop(enrichedMessages, context);
         } catch (error) {
-            console.error('Error con DeepSeek API:', error.response?.data || error.message);
+            console.error(`Error con proveedor de IA (${llmClient.provider.name}):`, error.response?.data || error.message);
             
-            if (error.response?.data?.error?.type === 'authentication_error') {
+            if (error.response?.data?.error?.type === 'authentication_error' || error.response?.status === 401) {
                 throw new Error('Error de autenticación con API key');
             }
             
-            throw new Error('Error generando respuesta de IA');
+            // Solo una caída del proveedor (transitoria o con el circuito abierto) se reprograma;
+            // una petición inválida o un error en las herramientas no mejora reintentando
+            if (error.code === 'CIRCUIT_OPEN' || llmClient.isRetryable(error)) {
+                const unavailableError = new Error('Error generando respuesta de IA');
+                unavailableError.code = 'AI_UNAVAILABLE';
+                throw unavailableError;
+            }
+
+            throw error;
         }
     }
 
+    async runToolLoop(messages, context) {
+        const tools = aiTools.getDefinitions();
+        const conversation = [...messages];
+
+        for (let i = 0; i < config.llm.maxToolIterations; i++) {
+            const result = await llmClient.chat(conversation, 'chat', { tools });
+
+            if (result.toolCalls.length === 0) {
+                return result.content;
+            }
+
+            conversation.push({ role: 'assistant', content: result.content, toolCalls: result.toolCalls });
+
+            for (const call of result.toolCalls) {
+                const output = await aiTools.execute(call.name, call.arguments, context);
+                conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, content: output });
+            }
+        }
+
+        // Demasiadas rondas de herramientas: pedir la respuesta final
+        conversation.push({
+            role: 'system',
+            content: 'Ya no puedes usar más herramientas. Responde al cliente con la información que tienes.'
+        });
+        const finalResult = await llmClient.chat(conversation, 'chat', { tools });
+        if (finalResult.toolCalls.length > 0 || !finalResult.content) {
+            throw new Error('La IA no produjo una respuesta final tras usar herramientas');
+        }
+        return finalResult.content;
+    }
+
     async addCSVDataToSystemPrompt(messages) {
         try {
-            // Obtener todos los datos de CSV
+            const { mode, topK, fullDumpThreshold } = config.navesRetrieval;
             const allRecords = await csvService.getAllRecords();
             
             if (allRecords.length === 0) {
                 return messages;
             }
-            
-            // Formatear todos los registros
-            const csvData = allRecords.map(record => 
-                csvService.formatRecordForDisplay(record)
-            ).join('\n\n---\n\n');
+
+            const useFullDump = mode === 'full' || (mode === 'auto' && allRecords.length <= fullDumpThreshold);
+            const catalogText = useFullDump
+                ? this.formatFullCatalog(allRecords)
+                : await this.formatRelevantNaves(messages, topK);
             
             // Agregar CSV data al mensaje del sistema
             const enrichedMessages = [...messages];
             const systemMessage = enrichedMessages.find(m => m.role === 'system');
             
             if (systemMessage) {
-                systemMessage.content = systemMessage.content + `\n\n*BASE DE DATOS DE NAVES DISPONIBLES:*\n\n${csvData}\n\nUsa esta información cuando el usuario pregunte sobre naves, parques industriales, precios, disponibilidad o cualquier tema relacionado. Si el usuario pregunta por algo específico que está en esta base de datos, úsala para responder de manera precisa y actualizada.`;
+                systemMessage.content = systemMessage.content + `\n\n${catalogText}`;
             }
             
             return enrichedMessages;
@@ -65,6 +99,29 @@ class AIService {
             return messages;
         }
     }
+
+    formatFullCatalog(records) {
+        const csvData = records.map(record => 
+            csvService.formatRecordForDisplay(record)
+        ).join('\n\n---\n\n');
+
+        return `*BASE DE DATOS DE NAVES DISPONIBLES:*\n\n${csvData}\n\nUsa esta información cuando el usuario pregunte sobre naves, parques industriales, precios, disponibilidad o cualquier tema relacionado. Si el usuario pregunta por algo específico que está en esta base de datos, úsala para responder de manera precisa y actualizada.`;
+    }
+
+    // Solo las naves más relevantes para la conversación actual (catálogos grandes)
+    async formatRelevantNaves(messages, topK) {
+        const result = await navesRetriever.retrieve(messages, topK);
+
+        const csvData = result.records.map(record => 
+            csvService.formatRecordForDisplay(record)
+        ).join('\n\n---\n\n');
+
+        const relaxedNote = result.relaxed
+            ? '\n\nNinguna nave cumple exactamente lo que pidió el cliente; estas son las opciones más cercanas. Indícaselo con honestidad.'
+            : '';
+
+        return `*NAVES MÁS RELEVANTES PARA ESTA CONVERSACIÓN (${result.records.length} de ${result.total} en catálogo):*\n\n${csvData}${relaxedNote}\n\n*PARQUES EN CATÁLOGO:*\n${navesRetriever.summarizeCatalog(result.catalog)}\n\nUsa esta información cuando el usuario pregunte sobre naves, parques industriales, precios, disponibilidad o cualquier tema relacionado. Si pregunta por una nave o parque que no aparece en el detalle, pídele más datos (ubicación, área, presupuesto) en lugar de inventar información.`;
+    }
 }
 
 module.exports = new AIService();
\ No newline at end of file
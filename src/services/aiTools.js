@@ -0,0 +1,277 @@
+const csvService = require('./csvService');
+const navesRetriever = require('./navesRetriever');
+const humanModeManager = require('./humanModeManager');
+const salesManager = require('./salesManager');
+const sessionManager = require('./sessionManager');
+const logger = require('./logger');
+const quotationService = require('./quotationService');
+const appointmentService = require('./appointmentService');
+const timeZone = require('./timeZone');
+
+// Nivel de interés asociado a cada etapa del lead (igual que los markAs* de salesManager)
+const STAGE_INTEREST = {
+    initial_contact: 1,
+    interested: 5,
+    qualified: 7,
+    proposal: 8,
+    closed_won: 10,
+    closed_lost: 0
+};
+
+// Herramientas con efectos que el cliente ve (traspaso, cita, envío de cotización): una vez
+// ejecutadas, la respuesta que las explica debe enviarse aunque lleguen mensajes nuevos
+const SIDE_EFFECT_TOOLS = ['request_human', 'schedule_meeting', 'send_quotation'];
+
+class AITools {
+    constructor() {
+        this.handlers = {
+            search_naves: (args) => this.searchNaves(args),
+            get_nave: (args) => this.getNave(args),
+            request_human: (args, context) => this.requestHuman(args, context),
+            get_available_slots: (args) => this.getAvailableSlots(args),
+            schedule_meeting: (args, context) => this.scheduleMeeting(args, context),
+            update_lead: (args, context) => this.updateLead(args, context),
+            send_quotation: (args, context) => this.sendQuotation(args, context)
+        };
+    }
+
+    // Definiciones en formato JSON Schema (function calling)
+    getDefinitions() {
+        return [
+            {
+                name: 'search_naves',
+                description: 'Busca naves industriales en el catálogo. Usa los filtros que el cliente haya mencionado.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        parque: { type: 'string', description: 'Nombre del parque industrial' },
+                        ubicacion: { type: 'string', description: 'Municipio o estado' },
+                        area_min: { type: 'number', description: 'Área mínima en m²' },
+                        area_max: { type: 'number', description: 'Área máxima en m²' },
+                        precio_min: { type: 'number', description: 'Precio mínimo' },
+                        precio_max: { type: 'number', description: 'Precio máximo' },
+                        estado: { type: 'string', description: 'Estado de la nave, p. ej. Disponible' },
+                        texto: { type: 'string', description: 'Palabras clave libres (tipo, características, ventajas)' },
+                        limite: { type: 'number', description: 'Máximo de resultados (por defecto 5)' }
+                    }
+                }
+            },
+            {
+                name: 'get_nave',
+                description: 'Obtiene el detalle completo de una nave por su id (el id viene en los resultados de search_naves).',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'number', description: 'Id de la nave' }
+                    },
+                    required: ['id']
+                }
+            },
+            {
+                name: 'request_human',
+                description: 'Transfiere la conversación a un asesor humano. Úsala cuando el cliente lo pida o cuando no puedas resolver su solicitud.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        reason: { type: 'string', description: 'Motivo de la transferencia' }
+                    },
+                    required: ['reason']
+                }
+            },
+            {
+                name: 'get_available_slots',
+                description: 'Consulta los horarios libres de los consultores para agendar una reunión. Úsala antes de proponer horarios al cliente.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        desde: { type: 'string', description: 'Fecha desde la que buscar (AAAA-MM-DD). Por defecto hoy' },
+                        dias: { type: 'number', description: 'Cuántos días revisar (por defecto los configurados)' }
+                    }
+                }
+            },
+            {
+                name: 'schedule_meeting',
+                description: 'Agenda una reunión en uno de los horarios libres que devolvió get_available_slots, una vez que el cliente lo confirme. El cliente recibe una invitación de calendario y recordatorios.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        datetime: { type: 'string', description: 'Inicio del horario elegido, tal como lo devolvió get_available_slots (AAAA-MM-DDTHH:MM, hora local)' },
+                        notes: { type: 'string', description: 'Detalles de la reunión (nave, lugar, tipo de cita)' }
+                    },
+                    required: ['datetime']
+                }
+            },
+            {
+                name: 'update_lead',
+                description: 'Actualiza la etapa comercial del cliente según la conversación.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        stage: { type: 'string', enum: Object.keys(STAGE_INTEREST), description: 'Etapa del lead' },
+                        notes: { type: 'string', description: 'Notas relevantes (necesidades, objeciones, presupuesto)' }
+                    },
+                    required: ['stage']
+                }
+            },
+            {
+                name: 'send_quotation',
+                description: 'Genera una cotización formal en PDF con las naves indicadas y la envía al cliente por WhatsApp. Úsala solo cuando el cliente pida una cotización formal.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        nave_ids: { type: 'array', items: { type: 'number' }, description: 'Ids de las naves a cotizar (vienen en los resultados de search_naves)' },
+                        notas: { type: 'string', description: 'Notas para el cliente (condiciones mencionadas en la conversación)' }
+                    },
+                    required: ['nave_ids']
+                }
+            }
+        ];
+    }
+
+    /**
+     * Ejecuta una herramienta y retorna el resultado como texto JSON para el modelo.
+     * context: { userId, chatId }; se marca context.sideEffects si la herramienta tiene efectos
+     */
+    async execute(name, args, context) {
+        const handler = this.handlers[name];
+        if (!handler) {
+            return JSON.stringify({ error: `Herramienta desconocida: ${name}` });
+        }
+
+        try {
+            console.log(`🛠️ Ejecutando herramienta ${name} para ${context.userId}:`, args);
+            if (SIDE_EFFECT_TOOLS.includes(name)) {
+                context.sideEffects = true;
+            }
+            const result = await handler(args || {}, context);
+            return JSON.stringify(result);
+        } catch (error) {
+            console.error(`Error ejecutando herramienta ${name}:`, error);
+            return JSON.stringify({ error: error.message });
+        }
+    }
+
+    async searchNaves(args) {
+        const filters = {};
+        if (args.parque) filters.park = args.parque;
+        if (args.ubicacion) filters.location = args.ubicacion;
+        if (args.estado) filters.status = args.estado;
+        if (args.area_min !== undefined) filters.minArea = Number(args.area_min);
+        if (args.area_max !== undefined) filters.maxArea = Number(args.area_max);
+        if (args.precio_min !== undefined) filters.minPrice = Number(args.precio_min);
+        if (args.precio_max !== undefined) filters.maxPrice = Number(args.precio_max);
+
+        const limit = Math.min(parseInt(args.limite, 10) || 5, 10);
+        const { total, results } = await navesRetriever.search(filters, args.texto || '', limit);
+
+        return {
+            total,
+            naves: results.map(({ id, record }) => ({
+                id,
+                parque: record['Parque Industrial'],
+                ubicacion: record['Ubicación'],
+                tipo: record['Tipo'],
+                area_m2: record['Area (m2)'],
+                precio: record['Precio'],
+                estado: record['Estado']
+            }))
+        };
+    }
+
+    async getNave(args) {
+        const record = await csvService.getRecordById(args.id);
+        if (!record) {
+            return { error: `No existe una nave con id ${args.id}` };
+        }
+
+        return {
+            id: Number(args.id),
+            detalle: csvService.formatRecordForDisplay(record)
+        };
+    }
+
+    async requestHuman(args, { userId, chatId }) {
+        await humanModeManager.setMode(userId, 'support', 'system', { reason: args.reason || null });
+        await sessionManager.updateSessionMode(userId, chatId, 'support');
+        await logger.log('SYSTEM', `Modo SOPORTE activado automáticamente para ${userId}${args.reason ? ` - Motivo: ${args.reason}` : ''}`);
+
+        return { success: true, message: 'Conversación transferida a un asesor. Informa al cliente que en breve lo atenderán.' };
+    }
+
+    async getAvailableSlots(args) {
+        const slots = await appointmentService.getAvailableSlots({
+            fromDate: /^\d{4}-\d{2}-\d{2}$/.test(args.desde || '') ? args.desde : null,
+            days: args.dias,
+            limit: 8
+        });
+
+        return {
+            hoy: timeZone.formatForHumans(new Date(), appointmentService.timezone),
+            zona_horaria: appointmentService.timezone,
+            horarios: slots.map(slot => ({ inicio: slot.localStart, texto: slot.label })),
+            message: slots.length === 0
+                ? 'No hay horarios libres en esos días. Ofrece transferir con un asesor.'
+                : 'Ofrece al cliente 2 o 3 de estos horarios.'
+        };
+    }
+
+    async scheduleMeeting(args, { userId, chatId }) {
+        try {
+            const appointment = await appointmentService.book({
+                userId,
+                jid: chatId,
+                start: args.datetime,
+                notes: args.notes || null,
+                createdBy: 'IA'
+            });
+            await logger.log('SYSTEM', `📅 Reunión agendada por la IA para ${userId}: ${appointment.localStart}`);
+
+            return {
+                success: true,
+                datetime: appointment.localStart,
+                texto: appointment.label,
+                message: 'Reunión agendada. El cliente ya recibió la confirmación y la invitación de calendario.'
+            };
+        } catch (error) {
+            return { error: `${error.message}. Consulta de nuevo get_available_slots y ofrece otro horario.` };
+        }
+    }
+
+    async updateLead(args, { userId }) {
+        if (!(args.stage in STAGE_INTEREST)) {
+            return { error: `Etapa inválida: ${args.stage}` };
+        }
+
+        await salesManager.updateSaleStatus(userId, {
+            stage: args.stage,
+            interest_level: STAGE_INTEREST[args.stage],
+            ...(args.notes ? { notes: args.notes } : {})
+        });
+
+        return { success: true, stage: args.stage };
+    }
+
+    // La IA cotiza con los precios del catálogo; los ajustes de precio solo los hace un agente
+    async sendQuotation(args, { userId, chatId }) {
+        const naveIds = Array.isArray(args.nave_ids) ? args.nave_ids : [args.nave_ids];
+        const quotation = await quotationService.createQuotation({
+            userId,
+            naveIds,
+            notes: args.notas || null,
+            createdBy: 'IA'
+        });
+
+        await quotationService.sendQuotation(quotation, chatId, {
+            role: 'bot',
+            isGroup: chatId.endsWith('@g.us')
+        });
+
+        return {
+            success: true,
+            folio: quotation.folio,
+            message: 'Cotización enviada como PDF. Avisa al cliente que la revise y pregunta si tiene dudas.'
+        };
+    }
+}
+
+module.exports = new AITools();
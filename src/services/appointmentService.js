@@ -0,0 +1,484 @@
+const config = require('../config/config');
+const database = require('./database');
+const contactService = require('./contactService');
+const mediaService = require('./mediaService');
+const salesManager = require('./salesManager');
+const logger = require('./logger');
+const timeZone = require('./timeZone');
+
+// Citas con consultores: disponibilidad, reservas, invitaciones .ics y recordatorios
+class AppointmentService {
+    constructor() {
+        this.settings = config.appointments;
+        this.timezone = config.appointments.timezone;
+        this.reminderTimer = null;
+        this.sendingReminders = false;
+    }
+
+    parseRow(row) {
+        const startsAt = new Date(row.starts_at);
+        return {
+            id: row.id,
+            userId: row.user_id,
+            jid: row.jid,
+            contactName: row.contact_name,
+            consultantId: row.support_user_id,
+            consultantName: row.consultant_name || null,
+            startsAt: startsAt.toISOString(),
+            endsAt: new Date(row.ends_at).toISOString(),
+            localStart: timeZone.toLocalDateTime(startsAt, row.timezone || this.timezone),
+            label: timeZone.formatForHumans(startsAt, row.timezone || this.timezone),
+            timezone: row.timezone || this.timezone,
+            status: row.status,
+            notes: row.notes,
+            sequence: row.sequence,
+            createdBy: row.created_by,
+            cancelReason: row.cancel_reason,
+            createdAt: row.created_at
+        };
+    }
+
+    // ===== DISPONIBILIDAD =====
+
+    // Usuarios del panel que pueden atender citas
+    async getConsultants() {
+        const users = await database.findAll('support_users', 'active = 1', [], 'name ASC');
+        return users.map(user => ({ id: user.id, name: user.name, role: user.role }));
+    }
+
+    async getRules() {
+        return await database.query(`
+            SELECT r.*, u.name AS consultant_name
+            FROM availability_rules r
+            LEFT JOIN support_users u ON u.id = r.support_user_id
+            WHERE r.active = TRUE
+            ORDER BY r.weekday, r.start_time
+        `);
+    }
+
+    // Reemplaza todas las reglas (edición desde el panel)
+    async setRules(rules) {
+        const clean = (rules || []).map(rule => {
+            const weekday = parseInt(rule.weekday, 10);
+            const startTime = String(rule.startTime || rule.start_time || '').slice(0, 5);
+            const endTime = String(rule.endTime || rule.end_time || '').slice(0, 5);
+            const slotMinutes = parseInt(rule.slotMinutes || rule.slot_minutes, 10) || 60;
+
+            if (isNaN(weekday) || weekday < 0 || weekday > 6 || !/^\d{2}:\d{2}$/.test(startTime) || !/^\d{2}:\d{2}$/.test(endTime) || startTime >= endTime) {
+                throw new Error('Regla de disponibilidad inválida');
+            }
+
+            return {
+                support_user_id: rule.consultantId || rule.support_user_id || null,
+                weekday,
+                start_time: `${startTime}:00`,
+                end_time: `${endTime}:00`,
+                slot_minutes: slotMinutes,
+                active: true
+            };
+        });
+
+        await database.query('DELETE FROM availability_rules');
+        for (const rule of clean) {
+            await database.insert('availability_rules', rule);
+        }
+        return await this.getRules();
+    }
+
+    /**
+     * Horarios libres en los próximos días, calculados con las reglas en la zona
+     * horaria configurada y descontando las citas ya agendadas del mismo consultor.
+     * options: { fromDate: 'AAAA-MM-DD', days, consultantId, limit, excludeAppointmentId }
+     * excludeAppointmentId: cita que se está reprogramando, su horario actual cuenta como libre
+     */
+    async getAvailableSlots({ fromDate = null, days = null, consultantId = null, limit = null, excludeAppointmentId = null } = {}) {
+        const now = new Date();
+        const earliest = new Date(now.getTime() + this.settings.minLeadMinutes * 60 * 1000);
+        const startDate = fromDate || timeZone.toLocalDate(now, this.timezone);
+        const totalDays = Math.min(parseInt(days, 10) || this.settings.horizonDays, 60);
+
+        const rules = (await this.getRules()).filter(rule =>
+            !consultantId || rule.support_user_id === null || rule.support_user_id === Number(consultantId)
+        );
+        if (rules.length === 0) {
+            return [];
+        }
+
+        const rangeStart = timeZone.zonedToUtc(startDate, '00:00', this.timezone);
+        const rangeEnd = timeZone.zonedToUtc(timeZone.addDays(startDate, totalDays), '00:00', this.timezone);
+        const booked = await database.query(
+            "SELECT support_user_id, starts_at, ends_at FROM appointments WHERE status = 'scheduled' AND starts_at < ? AND ends_at > ? AND id <> ?",
+            [rangeEnd, rangeStart, excludeAppointmentId || 0]
+        );
+
+        const slots = [];
+        const seen = new Set();
+
+        for (let d = 0; d < totalDays; d++) {
+            const date = timeZone.addDays(startDate, d);
+            const weekday = timeZone.getWeekday(date);
+
+            for (const rule of rules.filter(r => r.weekday === weekday)) {
+                const [startHour, startMinute] = String(rule.start_time).split(':').map(Number);
+                const [endHour, endMinute] = String(rule.end_time).split(':').map(Number);
+                const slotMinutes = rule.slot_minutes || 60;
+
+                for (let minutes = startHour * 60 + startMinute; minutes + slotMinutes <= endHour * 60 + endMinute; minutes += slotMinutes) {
+                    const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+                    const start = timeZone.zonedToUtc(date, time, this.timezone);
+                    const end = new Date(start.getTime() + slotMinutes * 60 * 1000);
+
+                    if (start < earliest) continue;
+
+                    const taken = booked.some(appointment =>
+                        appointment.support_user_id === rule.support_user_id &&
+                        new Date(appointment.starts_at) < end &&
+                        new Date(appointment.ends_at) > start
+                    );
+                    if (taken) continue;
+
+                    // Un mismo horario libre con varios consultores se ofrece una sola vez
+                    const key = consultantId ? `${start.getTime()}-${rule.support_user_id}` : String(start.getTime());
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+
+                    slots.push({
+                        start: start.toISOString(),
+                        end: end.toISOString(),
+                        localStart: timeZone.toLocalDateTime(start, this.timezone),
+                        label: timeZone.formatForHumans(start, this.timezone),
+                        consultantId: rule.support_user_id,
+                        consultantName: rule.consultant_name || null
+                    });
+                }
+            }
+        }
+
+        slots.sort((a, b) => new Date(a.start) - new Date(b.start));
+        return limit ? slots.slice(0, limit) : slots;
+    }
+
+    // Busca el horario libre que empieza en "start" (y con el consultor indicado, si hay)
+    async findSlot(start, consultantId = null, excludeAppointmentId = null) {
+        const fromDate = timeZone.toLocalDate(start, this.timezone);
+        const slots = await this.getAvailableSlots({ fromDate, days: 1, consultantId, excludeAppointmentId });
+
+        return slots.find(slot =>
+            new Date(slot.start).getTime() === start.getTime() &&
+            (!consultantId || slot.consultantId === Number(consultantId) || slot.consultantId === null)
+        ) || null;
+    }
+
+    // ===== CITAS =====
+
+    async getAppointment(id) {
+        const rows = await database.query(`
+            SELECT a.*, u.name AS consultant_name
+            FROM appointments a
+            LEFT JOIN support_users u ON u.id = a.support_user_id
+            WHERE a.id = ?
+        `, [id]);
+        return rows[0] ? this.parseRow(rows[0]) : null;
+    }
+
+    async getAppointments({ from = null, to = null, userId = null, includeCancelled = false } = {}) {
+        let query = `
+            SELECT a.*, u.name AS consultant_name
+            FROM appointments a
+            LEFT JOIN support_users u ON u.id = a.support_user_id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (from) {
+            query += ' AND a.starts_at >= ?';
+            params.push(new Date(from));
+        }
+        if (to) {
+            query += ' AND a.starts_at < ?';
+            params.push(new Date(to));
+        }
+        if (userId) {
+            query += ' AND a.user_id = ?';
+            params.push(userId);
+        }
+        if (!includeCancelled) {
+            query += " AND a.status <> 'cancelled'";
+        }
+
+        query += ' ORDER BY a.starts_at ASC';
+        const rows = await database.query(query, params);
+        return rows.map(row => this.parseRow(row));
+    }
+
+    /**
+     * Agenda una cita en un horario libre y envía la invitación .ics por WhatsApp.
+     * start: Date o 'AAAA-MM-DDTHH:MM' en la zona horaria de las citas.
+     */
+    async book({ userId, jid, start, consultantId = null, notes = null, createdBy = 'IA' }) {
+        const startDate = start instanceof Date ? start : timeZone.parseLocalDateTime(start, this.timezone);
+        if (isNaN(startDate.getTime())) {
+            throw new Error('Fecha inválida, usa el formato AAAA-MM-DDTHH:MM');
+        }
+
+        const slot = await this.findSlot(startDate, consultantId);
+        if (!slot) {
+            throw new Error('El horario ya no está disponible');
+        }
+
+        const contact = await contactService.getContact(userId);
+        let appointmentId;
+        try {
+            appointmentId = await database.insert('appointments', {
+                user_id: userId,
+                jid: jid || `${userId}@s.whatsapp.net`,
+                contact_name: contact?.name || contact?.displayName || null,
+                support_user_id: consultantId ? Number(consultantId) : slot.consultantId,
+                starts_at: new Date(slot.start),
+                ends_at: new Date(slot.end),
+                timezone: this.timezone,
+                status: 'scheduled',
+                notes,
+                sequence: 0,
+                created_by: createdBy
+            });
+        } catch (error) {
+            throw this.slotError(error);
+        }
+
+        const appointment = await this.getAppointment(appointmentId);
+
+        await salesManager.updateSaleStatus(userId, {
+            citaAgendada: true,
+            next_action: `Reunión agendada: ${appointment.label}`
+        });
+        await this.notify(appointment, `📅 Tu reunión quedó agendada para el *${appointment.label}*. Te envío la invitación para tu calendario.`, 'REQUEST');
+
+        console.log(`📅 Cita ${appointmentId} agendada para ${userId}: ${appointment.localStart} (${this.timezone})`);
+        return appointment;
+    }
+
+    // Otra reserva tomó el mismo horario entre findSlot y el guardado (índice único uniq_active_slot)
+    slotError(error) {
+        return error.code === 'ER_DUP_ENTRY' ? new Error('El horario ya no está disponible') : error;
+    }
+
+    async reschedule(id, start, { consultantId = null, changedBy = null } = {}) {
+        const appointment = await this.getAppointment(id);
+        if (!appointment || appointment.status !== 'scheduled') {
+            throw new Error('Cita no encontrada o cancelada');
+        }
+
+        const startDate = start instanceof Date ? start : timeZone.parseLocalDateTime(start, this.timezone);
+        if (isNaN(startDate.getTime())) {
+            throw new Error('Fecha inválida, usa el formato AAAA-MM-DDTHH:MM');
+        }
+
+        // El horario actual de la cita cuenta como libre para poder moverla dentro del mismo bloque
+        const slot = await this.findSlot(startDate, consultantId || appointment.consultantId, id);
+        if (!slot) {
+            throw new Error('El horario ya no está disponible');
+        }
+
+        // Un solo UPDATE: si otra reserva tomó el horario, el índice único lo rechaza y la cita queda como estaba
+        let result;
+        try {
+            result = await database.update('appointments', {
+                starts_at: new Date(slot.start),
+                ends_at: new Date(slot.end),
+                support_user_id: consultantId ? Number(consultantId) : (appointment.consultantId || slot.consultantId),
+                sequence: appointment.sequence + 1,
+                reminder_24h_sent_at: null,
+                reminder_1h_sent_at: null
+            }, "id = ? AND status = 'scheduled'", [id]);
+        } catch (error) {
+            throw this.slotError(error);
+        }
+        if (result.affectedRows === 0) {
+            throw new Error('Cita no encontrada o cancelada');
+        }
+
+        const updated = await this.getAppointment(id);
+        await salesManager.updateSaleStatus(updated.userId, { next_action: `Reunión agendada: ${updated.label}` });
+        await this.notify(updated, `🔄 Tu reunión se reprogramó para el *${updated.label}*. Te envío la invitación actualizada.`, 'REQUEST');
+
+        console.log(`📅 Cita ${id} reprogramada a ${updated.localStart}${changedBy ? ` por ${changedBy}` : ''}`);
+        return updated;
+    }
+
+    async cancel(id, { reason = null, cancelledBy = null } = {}) {
+        const appointment = await this.getAppointment(id);
+        if (!appointment || appointment.status !== 'scheduled') {
+            throw new Error('Cita no encontrada o ya cancelada');
+        }
+
+        await database.update('appointments', {
+            status: 'cancelled',
+            cancel_reason: reason,
+            sequence: appointment.sequence + 1
+        }, 'id = ?', [id]);
+
+        const cancelled = await this.getAppointment(id);
+        await salesManager.updateSaleStatus(cancelled.userId, { citaAgendada: false, next_action: 'Reagendar reunión' });
+        await this.notify(cancelled, `❌ Tu reunión del *${cancelled.label}* fue cancelada.${reason ? ` Motivo: ${reason}.` : ''} Escríbenos si quieres agendar otro horario.`, 'CANCEL');
+
+        console.log(`📅 Cita ${id} cancelada${cancelledBy ? ` por ${cancelledBy}` : ''}`);
+        return cancelled;
+    }
+
+    // ===== INVITACIONES Y RECORDATORIOS =====
+
+    escapeIcs(text) {
+        return String(text || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    formatIcsDate(isoString) {
+        return new Date(isoString).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    // Invitación iCalendar (RFC 5545). method: 'REQUEST' o 'CANCEL'
+    buildIcs(appointment, method = 'REQUEST') {
+        const { companyName } = config.quotation;
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//WhaBot//Citas//ES',
+            'CALSCALE:GREGORIAN',
+            `METHOD:${method}`,
+            'BEGIN:VEVENT',
+            `UID:cita-${appointment.id}@whabot`,
+            `SEQUENCE:${appointment.sequence}`,
+            `DTSTAMP:${this.formatIcsDate(new Date().toISOString())}`,
+            `DTSTART:${this.formatIcsDate(appointment.startsAt)}`,
+            `DTEND:${this.formatIcsDate(appointment.endsAt)}`,
+            `SUMMARY:${this.escapeIcs(`Reunión con ${companyName}`)}`,
+            `DESCRIPTION:${this.escapeIcs([
+                appointment.consultantName ? `Consultor: ${appointment.consultantName}` : null,
+                appointment.notes
+            ].filter(Boolean).join('\n'))}`,
+            `LOCATION:${this.escapeIcs(this.settings.location)}`,
+            `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`
+        ];
+
+        if (method !== 'CANCEL') {
+            lines.push(
+                'BEGIN:VALARM',
+                'TRIGGER:-PT1H',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${this.escapeIcs('Recordatorio de reunión')}`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT', 'END:VCALENDAR');
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    // Envía el mensaje al cliente seguido del archivo .ics
+    async notify(appointment, text, method) {
+        if (!global.whatsappBot || !global.whatsappBot.sock) {
+            console.log(`⚠️ WhatsApp no conectado: no se envió la notificación de la cita ${appointment.id}`);
+            return;
+        }
+
+        const isGroup = appointment.jid.endsWith('@g.us');
+
+        try {
+            const sentText = await global.whatsappBot.sock.sendMessage(appointment.jid, { text });
+            await logger.log('bot', text, appointment.userId, null, isGroup, null, null, sentText?.key?.id);
+
+            const buffer = Buffer.from(this.buildIcs(appointment, method), 'utf8');
+            const fileName = method === 'CANCEL' ? 'cita-cancelada.ics' : 'cita.ics';
+            const sentFile = await global.whatsappBot.sendMedia(appointment.jid, {
+                buffer,
+                mimeType: 'text/calendar',
+                fileName
+            });
+            const messageId = sentFile?.key?.id || null;
+
+            const media = await mediaService.save(buffer, {
+                mimeType: 'text/calendar',
+                userId: appointment.userId,
+                messageId,
+                direction: 'outgoing',
+                originalName: fileName
+            });
+            await logger.log('bot', `📅 ${fileName}`, appointment.userId, null, isGroup, null, null, messageId, {
+                id: media.id,
+                type: 'document',
+                data: { fileName }
+            });
+        } catch (error) {
+            console.error(`Error notificando cita ${appointment.id}:`, error);
+        }
+    }
+
+    /**
+     * Recordatorios por WhatsApp 24 h y 1 h antes de cada cita.
+     * El de 24 h no se envía si la cita se agendó con menos de un día de anticipación.
+     */
+    async sendReminders() {
+        if (this.sendingReminders || !global.whatsappBot || !global.whatsappBot.sock) {
+            return;
+        }
+
+        this.sendingReminders = true;
+        try {
+            const now = new Date();
+            const rows = await database.query(`
+                SELECT a.*, u.name AS consultant_name
+                FROM appointments a
+                LEFT JOIN support_users u ON u.id = a.support_user_id
+                WHERE a.status = 'scheduled' AND a.starts_at > ? AND a.starts_at <= ?
+                  AND (a.reminder_24h_sent_at IS NULL OR a.reminder_1h_sent_at IS NULL)
+            `, [now, new Date(now.getTime() + 24 * 60 * 60 * 1000)]);
+
+            for (const row of rows) {
+                const appointment = this.parseRow(row);
+                const minutesLeft = (new Date(appointment.startsAt) - now) / 60000;
+
+                if (minutesLeft <= 60 && !row.reminder_1h_sent_at) {
+                    const time = appointment.label.split(', ').pop();
+                    await this.sendReminder(appointment, `⏰ Tu reunión comienza en una hora (${time}). ¡Te esperamos!`);
+                    await database.update('appointments', { reminder_1h_sent_at: now, reminder_24h_sent_at: row.reminder_24h_sent_at || now }, 'id = ?', [row.id]);
+                } else if (minutesLeft > 60 && !row.reminder_24h_sent_at) {
+                    const bookedWithMargin = new Date(row.created_at) <= new Date(new Date(appointment.startsAt).getTime() - 24 * 60 * 60 * 1000);
+                    if (bookedWithMargin) {
+                        await this.sendReminder(appointment, `📅 Recordatorio: tu reunión es mañana, *${appointment.label}*. Si necesitas cambiar el horario, responde a este mensaje.`);
+                    }
+                    await database.update('appointments', { reminder_24h_sent_at: now }, 'id = ?', [row.id]);
+                }
+            }
+        } catch (error) {
+            console.error('Error enviando recordatorios de citas:', error);
+        } finally {
+            this.sendingReminders = false;
+        }
+    }
+
+    async sendReminder(appointment, text) {
+        try {
+            const sentMsg = await global.whatsappBot.sock.sendMessage(appointment.jid, { text });
+            await logger.log('bot', text, appointment.userId, null, appointment.jid.endsWith('@g.us'), null, null, sentMsg?.key?.id);
+        } catch (error) {
+            console.error(`Error enviando recordatorio de la cita ${appointment.id}:`, error);
+        }
+    }
+
+    startReminderTimer() {
+        if (this.reminderTimer) {
+            return;
+        }
+
+        this.reminderTimer = setInterval(() => {
+            this.sendReminders();
+        }, this.settings.reminderCheckInterval);
+        console.log('⏰ Sistema de recordatorios de citas iniciado');
+    }
+}
+
+module.exports = new AppointmentService();
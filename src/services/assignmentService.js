@@ -0,0 +1,381 @@
+const database = require('./database');
+const logger = require('./logger');
+const systemConfigService = require('./systemConfigService');
+const conversationService = require('./conversationService');
+const eventBus = require('./eventBus');
+
+const AVAILABILITY = ['online', 'away', 'offline'];
+const STRATEGIES = ['round_robin', 'least_busy', 'manual'];
+const METHOD_LABELS = { manual: 'manual', round_robin: 'round robin', least_busy: 'menos ocupado' };
+const PRESENCE_GRACE_MS = 60 * 1000; // Margen para que el panel reconecte (recarga, red) antes de desconectar al agente
+
+// Asignación de conversaciones a agentes: quién atiende cada chat en modo humano
+// o soporte, enrutamiento automático de los traspasos e historial de asignaciones
+class AssignmentService {
+    constructor() {
+        this.streams = new Map(); // agentId -> streams de /api/events abiertos
+        this.presenceTimers = new Map(); // agentId -> comprobación de ausencia pendiente
+        this.autoOffline = new Map(); // agentId -> disponibilidad que tenía antes de quedar desconectado por ausencia
+    }
+
+    // Minúsculas y sin acentos, para comparar palabras clave, habilidades y equipos
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .trim();
+    }
+
+    async getSettings() {
+        return await systemConfigService.getAssignmentSettings();
+    }
+
+    async saveSettings(data) {
+        const current = await this.getSettings();
+        const settings = { ...current, ...data };
+
+        if (!STRATEGIES.includes(settings.strategy)) {
+            throw new Error(`Estrategia de asignación inválida: ${settings.strategy}`);
+        }
+        const maxChats = parseInt(settings.maxChatsPerAgent, 10);
+        if (isNaN(maxChats) || maxChats < 0) {
+            throw new Error('El máximo de chats por agente debe ser 0 (sin límite) o mayor');
+        }
+        settings.maxChatsPerAgent = maxChats;
+        settings.fallbackToAway = Boolean(settings.fallbackToAway);
+        settings.skillRules = (settings.skillRules || [])
+            .map(rule => ({
+                skill: String(rule.skill || '').trim(),
+                keywords: (rule.keywords || []).map(keyword => String(keyword).trim()).filter(Boolean)
+            }))
+            .filter(rule => rule.skill && rule.keywords.length > 0);
+
+        const saved = await systemConfigService.setAssignmentSettings(settings);
+        if (!saved) {
+            throw new Error('No se pudo guardar la configuración de asignación');
+        }
+        return settings;
+    }
+
+    /**
+     * Agentes que pueden atender conversaciones (admin y soporte activos) con
+     * su disponibilidad y las conversaciones abiertas o pendientes que tienen asignadas
+     */
+    async getAgents() {
+        const rows = await database.query(`
+            SELECT u.id, u.name, u.email, u.role, u.availability, u.team, u.skills, u.last_assigned_at,
+                   COUNT(c.id) AS active_chats
+            FROM support_users u
+            LEFT JOIN conversations c ON c.assigned_agent_id = u.id AND c.status IN ('open', 'pending')
+            WHERE u.active = 1 AND u.role IN ('admin', 'support')
+            GROUP BY u.id
+            ORDER BY u.name ASC
+        `);
+        return rows.map(row => this.formatAgent(row));
+    }
+
+    formatAgent(row) {
+        let skills = [];
+        try {
+            skills = row.skills ? JSON.parse(row.skills) : [];
+        } catch (error) {
+            skills = [];
+        }
+
+        return {
+            id: row.id,
+            name: row.name,
+            email: row.email,
+            role: row.role,
+            availability: AVAILABILITY.includes(row.availability) ? row.availability : 'offline',
+            team: row.team || null,
+            skills,
+            activeChats: Number(row.active_chats) || 0,
+            lastAssignedAt: row.last_assigned_at || null
+        };
+    }
+
+    async setAvailability(agentId, availability) {
+        if (!AVAILABILITY.includes(availability)) {
+            throw new Error(`Disponibilidad inválida: ${availability}`);
+        }
+
+        this.autoOffline.delete(agentId);
+        await database.update('support_users', { availability }, 'id = ?', [agentId]);
+        eventBus.publish('agent', { agentId, availability });
+
+        // Un agente que vuelve a estar en línea toma los traspasos que esperaban en cola
+        if (availability === 'online') {
+            await this.routeWaiting();
+        }
+    }
+
+    /**
+     * Presencia: el agente cuenta como presente mientras tenga el panel abierto (stream de
+     * eventos). Si se cierran todos sus streams (pestaña cerrada, sesión vencida) y no vuelve
+     * en PRESENCE_GRACE_MS queda desconectado para que no se le enruten traspasos
+     */
+    async connect(agentId) {
+        this.streams.set(agentId, (this.streams.get(agentId) || 0) + 1);
+        clearTimeout(this.presenceTimers.get(agentId));
+        this.presenceTimers.delete(agentId);
+
+        // Vuelve después de quedar desconectado por ausencia: recupera su disponibilidad
+        if (this.autoOffline.has(agentId)) {
+            await this.setAvailability(agentId, this.autoOffline.get(agentId));
+        }
+    }
+
+    disconnect(agentId) {
+        const remaining = (this.streams.get(agentId) || 1) - 1;
+        if (remaining > 0) {
+            this.streams.set(agentId, remaining);
+            return;
+        }
+
+        this.streams.delete(agentId);
+        this.schedulePresenceCheck(agentId);
+    }
+
+    schedulePresenceCheck(agentId) {
+        clearTimeout(this.presenceTimers.get(agentId));
+        this.presenceTimers.set(agentId, setTimeout(() => {
+            this.presenceTimers.delete(agentId);
+            this.markAbsent(agentId).catch(error => {
+                console.error('Error actualizando presencia del agente:', error);
+            });
+        }, PRESENCE_GRACE_MS));
+    }
+
+    async markAbsent(agentId) {
+        if (this.streams.has(agentId)) {
+            return;
+        }
+
+        const agent = await database.findOne('support_users', 'id = ?', [agentId]);
+        if (!agent || !['online', 'away'].includes(agent.availability)) {
+            return;
+        }
+
+        await this.setAvailability(agentId, 'offline');
+        this.autoOffline.set(agentId, agent.availability);
+        console.log(`🔌 ${agent.name} sin el panel abierto, marcado como desconectado`);
+    }
+
+    // Al arrancar nadie tiene el panel abierto: quien no reconecte a tiempo queda desconectado
+    async checkPresenceOnStartup() {
+        const agents = await database.query("SELECT id FROM support_users WHERE availability IN ('online', 'away')");
+        agents.forEach(agent => this.schedulePresenceCheck(agent.id));
+    }
+
+    // Equipo y habilidades del agente (solo admin)
+    async updateAgent(agentId, { team, skills }) {
+        const changes = {};
+        if (team !== undefined) changes.team = team ? String(team).trim() : null;
+        if (skills !== undefined) {
+            changes.skills = JSON.stringify((skills || []).map(skill => String(skill).trim()).filter(Boolean));
+        }
+        if (Object.keys(changes).length > 0) {
+            await database.update('support_users', changes, 'id = ? AND active = 1', [agentId]);
+        }
+
+        const agents = await this.getAgents();
+        const agent = agents.find(a => a.id === agentId);
+        if (!agent) {
+            throw new Error('Agente no encontrado');
+        }
+        eventBus.publish('agent', { agentId, availability: agent.availability });
+        return agent;
+    }
+
+    // Habilidad o equipo que pide la primera regla cuyas palabras clave aparecen en el texto
+    matchSkill(text, rules) {
+        const message = this.normalize(text);
+        if (!message) {
+            return null;
+        }
+
+        const rule = rules.find(r => r.keywords.some(keyword => {
+            const key = this.normalize(keyword);
+            return key && message.includes(key);
+        }));
+        return rule ? rule.skill : null;
+    }
+
+    /**
+     * Agente para un traspaso según la estrategia configurada. Solo agentes en línea
+     * (o ausentes si no hay ninguno y fallbackToAway), sin pasar del máximo de chats;
+     * con una habilidad requerida se prefieren los agentes que la tienen o son de ese equipo
+     */
+    pickAgent(agents, settings, skill = null) {
+        let candidates = agents.filter(agent => agent.availability === 'online');
+        if (candidates.length === 0 && settings.fallbackToAway) {
+            candidates = agents.filter(agent => agent.availability === 'away');
+        }
+        if (settings.maxChatsPerAgent > 0) {
+            candidates = candidates.filter(agent => agent.activeChats < settings.maxChatsPerAgent);
+        }
+
+        if (skill) {
+            const wanted = this.normalize(skill);
+            const skilled = candidates.filter(agent =>
+                this.normalize(agent.team) === wanted || agent.skills.some(s => this.normalize(s) === wanted)
+            );
+            if (skilled.length > 0) {
+                candidates = skilled;
+            }
+        }
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        // Round robin: el que hace más tiempo recibió una conversación (nunca = primero)
+        const lastAssigned = agent => agent.lastAssignedAt ? new Date(agent.lastAssignedAt).getTime() : 0;
+        return candidates.slice().sort((a, b) => {
+            if (settings.strategy === 'least_busy' && a.activeChats !== b.activeChats) {
+                return a.activeChats - b.activeChats;
+            }
+            return lastAssigned(a) - lastAssigned(b) || a.id - b.id;
+        })[0];
+    }
+
+    /**
+     * Asigna (o desasigna con agentId null) una conversación y lo registra en el historial.
+     * method: manual, round_robin o least_busy
+     */
+    async assign(conversationId, agentId, { method = 'manual', skill = null, reason = null, assignedBy = null } = {}) {
+        const conversation = await conversationService.getById(conversationId);
+        if (!conversation) {
+            throw new Error('Conversación no encontrada');
+        }
+
+        let agent = null;
+        if (agentId) {
+            agent = (await this.getAgents()).find(a => a.id === agentId);
+            if (!agent) {
+                throw new Error('Agente no encontrado o inactivo');
+            }
+        }
+
+        await database.update('conversations', { assigned_agent_id: agentId || null }, 'id = ?', [conversationId]);
+        if (agentId) {
+            await database.update('support_users', { last_assigned_at: new Date() }, 'id = ?', [agentId]);
+        }
+        await database.insert('conversation_assignments', {
+            conversation_id: conversationId,
+            user_id: conversation.user_id,
+            agent_id: agentId || null,
+            previous_agent_id: conversation.assigned_agent_id || null,
+            method,
+            skill,
+            reason,
+            assigned_by: assignedBy
+        });
+
+        eventBus.publish('assignment', {
+            userId: conversation.user_id,
+            conversationId,
+            agentId: agentId || null,
+            agentName: agent ? agent.name : null
+        });
+
+        const how = method === 'manual' ? `por ${assignedBy || 'un agente'}` : `automáticamente (${METHOD_LABELS[method]}${skill ? `, ${skill}` : ''})`;
+        await logger.log('SYSTEM', agent
+            ? `👤 Conversación asignada a ${agent.name} ${how}`
+            : `👤 Conversación sin asignar ${how}`, conversation.user_id);
+
+        return { conversationId, agentId: agentId || null, agentName: agent ? agent.name : null };
+    }
+
+    /**
+     * Traspaso a modo humano o soporte. Si lo activó un agente (agentId) y la conversación
+     * no tiene dueño, queda asignada a él; si lo activó la IA se enruta según la configuración.
+     * Una conversación que ya tiene agente lo conserva (solo un admin la reasigna)
+     */
+    async handleHandoff(userId, { agentId = null, agentName = null, reason = null } = {}) {
+        const conversation = await conversationService.getCurrent(userId);
+        if (!conversation || conversation.assigned_agent_id) {
+            return null;
+        }
+
+        if (agentId) {
+            return await this.assign(conversation.id, agentId, { method: 'manual', reason, assignedBy: agentName });
+        }
+        return await this.autoAssign(conversation, reason);
+    }
+
+    // Enrutamiento automático; sin agentes disponibles la conversación queda en cola
+    async autoAssign(conversation, reason = null) {
+        const settings = await this.getSettings();
+        if (settings.strategy === 'manual') {
+            return null;
+        }
+
+        // Motivo del traspaso y últimos mensajes del cliente para las reglas de habilidades
+        const recent = await database.query(
+            `SELECT message FROM conversation_logs
+             WHERE conversation_id = ? AND role = 'cliente'
+             ORDER BY id DESC LIMIT 5`,
+            [conversation.id]
+        );
+        const skill = this.matchSkill([reason, ...recent.map(row => row.message)].filter(Boolean).join(' '), settings.skillRules);
+
+        const agent = this.pickAgent(await this.getAgents(), settings, skill);
+        if (!agent) {
+            console.log(`⏳ Sin agentes disponibles para ${conversation.user_id}, la conversación queda en cola`);
+            return null;
+        }
+
+        return await this.assign(conversation.id, agent.id, { method: settings.strategy, skill, reason });
+    }
+
+    // Traspasos activos (modo humano o soporte) que todavía no tienen agente
+    async routeWaiting() {
+        const waiting = await database.query(`
+            SELECT c.*
+            FROM conversations c
+            JOIN human_mode_states h ON h.contact_id = c.user_id
+            WHERE c.status IN ('open', 'pending')
+              AND c.assigned_agent_id IS NULL
+              AND h.mode IN ('human', 'support')
+            ORDER BY c.last_message_at ASC
+        `);
+
+        for (const conversation of waiting) {
+            try {
+                if (!await this.autoAssign(conversation)) break; // Ya no quedan agentes disponibles
+            } catch (error) {
+                console.error('Error asignando conversación en cola:', error);
+            }
+        }
+    }
+
+    // Historial de asignaciones de una conversación (más reciente primero)
+    async getHistory(conversationId) {
+        const rows = await database.query(`
+            SELECT a.*, u.name AS agent_name, p.name AS previous_agent_name
+            FROM conversation_assignments a
+            LEFT JOIN support_users u ON u.id = a.agent_id
+            LEFT JOIN support_users p ON p.id = a.previous_agent_id
+            WHERE a.conversation_id = ?
+            ORDER BY a.id DESC
+        `, [conversationId]);
+
+        return rows.map(row => ({
+            id: row.id,
+            agentId: row.agent_id,
+            agentName: row.agent_name || null,
+            previousAgentId: row.previous_agent_id,
+            previousAgentName: row.previous_agent_name || null,
+            method: row.method,
+            skill: row.skill,
+            reason: row.reason,
+            assignedBy: row.assigned_by,
+            createdAt: row.created_at
+        }));
+    }
+}
+
+module.exports = new AssignmentService();
@@ -0,0 +1,76 @@
+class BurstAggregator {
+    constructor() {
+        this.buffers = new Map(); // userId -> { pending, timer, generation, chain }
+    }
+
+    getBuffer(userId) {
+        if (!this.buffers.has(userId)) {
+            this.buffers.set(userId, {
+                pending: [],
+                timer: null,
+                generation: 0,
+                chain: Promise.resolve()
+            });
+        }
+        return this.buffers.get(userId);
+    }
+
+    /**
+     * Agrega un mensaje al buffer del contacto y reinicia la ventana de espera.
+     * Cuando la ventana vence sin mensajes nuevos se llama a onFlush(texts, isCurrent).
+     * onFlush debe retornar true si la respuesta se envió, o false si fue descartada
+     * porque llegó otro mensaje mientras se generaba (los textos se combinan en la siguiente).
+     */
+    add(userId, text, windowMs, onFlush) {
+        const buffer = this.getBuffer(userId);
+        buffer.pending.push(text);
+
+        // Cualquier respuesta en curso para este contacto queda obsoleta
+        buffer.generation++;
+
+        if (buffer.timer) {
+            clearTimeout(buffer.timer);
+        }
+
+        buffer.timer = setTimeout(() => {
+            buffer.timer = null;
+            // Encadenar para que nunca haya dos respuestas simultáneas al mismo contacto
+            buffer.chain = buffer.chain.then(() => this.flush(userId, onFlush));
+        }, windowMs);
+    }
+
+    async flush(userId, onFlush) {
+        const buffer = this.buffers.get(userId);
+        if (!buffer || buffer.pending.length === 0) {
+            return;
+        }
+
+        const generation = buffer.generation;
+        const texts = [...buffer.pending];
+        const isCurrent = () => buffer.generation === generation;
+
+        try {
+            const sent = await onFlush(texts, isCurrent);
+
+            if (sent) {
+                buffer.pending.splice(0, texts.length);
+            } else {
+                console.log(`🔀 Respuesta descartada para ${userId} - llegaron mensajes nuevos, se combinarán`);
+            }
+        } catch (error) {
+            console.error(`Error procesando ráfaga de mensajes de ${userId}:`, error);
+            buffer.pending.splice(0, texts.length);
+        }
+
+        if (buffer.pending.length === 0 && !buffer.timer) {
+            this.buffers.delete(userId);
+        }
+    }
+
+    hasPending(userId) {
+        const buffer = this.buffers.get(userId);
+        return Boolean(buffer && buffer.pending.length > 0);
+    }
+}
+
+module.exports = new BurstAggregator();
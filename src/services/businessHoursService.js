@@ -0,0 +1,161 @@
+const systemConfigService = require('./systemConfigService');
+const timeZone = require('./timeZone');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_DAYS_AHEAD = 370; // Un año completo de festivos como máximo
+
+// Horario de atención: decide cuándo pueden salir los mensajes automáticos
+// (seguimientos, difusiones) y si el bot está respondiendo fuera de horario
+class BusinessHoursService {
+    async getSettings() {
+        return await systemConfigService.getBusinessHours();
+    }
+
+    validate(data) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: data.timezone });
+        } catch (error) {
+            throw new Error(`Zona horaria no válida: ${data.timezone}`);
+        }
+
+        let hasHours = false;
+        for (let day = 0; day < 7; day++) {
+            const ranges = (data.schedule || {})[day] || [];
+            ranges.forEach(range => {
+                if (!TIME_PATTERN.test(range.start) || !TIME_PATTERN.test(range.end)) {
+                    throw new Error('Las horas deben tener formato HH:MM');
+                }
+                if (range.start >= range.end) {
+                    throw new Error(`El horario ${range.start}-${range.end} termina antes de empezar`);
+                }
+                hasHours = true;
+            });
+        }
+        if (data.enabled && !hasHours) {
+            throw new Error('El horario necesita al menos un día con atención');
+        }
+
+        (data.holidays || []).forEach(holiday => {
+            if (!/^(\d{4}-)?\d{2}-\d{2}$/.test(holiday.date || '')) {
+                throw new Error('Las fechas de días festivos deben tener formato AAAA-MM-DD o MM-DD');
+            }
+        });
+    }
+
+    async saveSettings(data) {
+        const current = await this.getSettings();
+        const settings = { ...current, ...data };
+        settings.enabled = Boolean(settings.enabled);
+        settings.autoReplyEnabled = Boolean(settings.autoReplyEnabled);
+        settings.promptVariantEnabled = Boolean(settings.promptVariantEnabled);
+
+        this.validate(settings);
+
+        const schedule = {};
+        for (let day = 0; day < 7; day++) {
+            schedule[day] = (settings.schedule[day] || [])
+                .map(range => ({ start: range.start, end: range.end }))
+                .sort((a, b) => a.start.localeCompare(b.start));
+        }
+        settings.schedule = schedule;
+        settings.holidays = (settings.holidays || [])
+            .map(holiday => ({ date: holiday.date, name: holiday.name || '' }))
+            .sort((a, b) => a.date.slice(-5).localeCompare(b.date.slice(-5)));
+
+        const saved = await systemConfigService.setBusinessHours(settings);
+        if (!saved) {
+            throw new Error('No se pudo guardar el horario de atención');
+        }
+        return settings;
+    }
+
+    isHoliday(dateString, settings) {
+        return settings.holidays.some(holiday =>
+            holiday.date === dateString || holiday.date === dateString.slice(5)
+        );
+    }
+
+    // Intervalos de atención de un día local como instantes UTC
+    getIntervals(dateString, settings) {
+        if (this.isHoliday(dateString, settings)) {
+            return [];
+        }
+
+        const ranges = settings.schedule[timeZone.getWeekday(dateString)] || [];
+        return ranges.map(range => ({
+            start: timeZone.zonedToUtc(dateString, range.start, settings.timezone),
+            end: timeZone.zonedToUtc(dateString, range.end, settings.timezone)
+        }));
+    }
+
+    /**
+     * Primer instante desde `date` en que se puede enviar: el mismo `date` si está
+     * dentro del horario (o el horario está desactivado) o la siguiente apertura.
+     * Retorna null si no hay ninguna apertura en el próximo año.
+     */
+    async getNextAllowedTime(date = new Date(), settings = null) {
+        settings = settings || await this.getSettings();
+        if (!settings.enabled) {
+            return date;
+        }
+
+        const today = timeZone.toLocalDate(date, settings.timezone);
+        for (let offset = 0; offset < MAX_DAYS_AHEAD; offset++) {
+            const intervals = this.getIntervals(timeZone.addDays(today, offset), settings);
+            for (const interval of intervals) {
+                if (interval.end > date) {
+                    return interval.start > date ? interval.start : date;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    async isOpen(date = new Date()) {
+        const allowed = await this.getNextAllowedTime(date);
+        return Boolean(allowed) && allowed.getTime() === date.getTime();
+    }
+
+    /**
+     * Estado actual: { enabled, open, nextOpening, nextOpeningText, timezone }
+     * nextOpening es null si está abierto
+     */
+    async getStatus(date = new Date()) {
+        const settings = await this.getSettings();
+        const allowed = await this.getNextAllowedTime(date, settings);
+        const open = Boolean(allowed) && allowed.getTime() === date.getTime();
+
+        return {
+            enabled: settings.enabled,
+            open,
+            nextOpening: open ? null : allowed,
+            nextOpeningText: !open && allowed ? timeZone.formatForHumans(allowed, settings.timezone) : null,
+            timezone: settings.timezone
+        };
+    }
+
+    /**
+     * Aviso fuera de horario para el cliente o la IA, con {apertura} reemplazado.
+     * type: 'autoReply' | 'promptVariant'. Retorna null si está abierto o el aviso está desactivado.
+     */
+    async getAfterHoursText(type, date = new Date()) {
+        const settings = await this.getSettings();
+        if (!settings.enabled || !settings[`${type}Enabled`]) {
+            return null;
+        }
+
+        const status = await this.getStatus(date);
+        if (status.open) {
+            return null;
+        }
+
+        const template = type === 'autoReply' ? settings.autoReplyMessage : settings.promptVariant;
+        return {
+            text: String(template || '').replace(/\{apertura\}/g, status.nextOpeningText || 'próximo día hábil'),
+            nextOpening: status.nextOpening
+        };
+    }
+}
+
+module.exports = new BusinessHoursService();
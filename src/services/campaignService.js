@@ -0,0 +1,509 @@
+const config = require('../config/config');
+const database = require('./database');
+const logger = require('./logger');
+const csvService = require('./csvService');
+const contactService = require('./contactService');
+const businessHoursService = require('./businessHoursService');
+const consentService = require('./consentService');
+const timeZone = require('./timeZone');
+
+const STATUS_ORDER = ['pending', 'sent', 'delivered', 'read'];
+
+// Campañas de difusión: selección del público, mensaje personalizado por
+// destinatario y envío espaciado (por minuto y con espera aleatoria)
+class CampaignService {
+    constructor() {
+        this.settings = config.campaigns;
+        this.deliveryTimer = null;
+        this.delivering = false;
+    }
+
+    // timezone: para devolver la fecha programada como 'AAAA-MM-DDTHH:MM' local (editor del panel)
+    parseCampaign(row, timezone = null) {
+        return {
+            id: row.id,
+            name: row.name,
+            template: row.template,
+            audience: JSON.parse(row.audience || '{}'),
+            status: row.status,
+            perMinute: row.per_minute,
+            scheduledAt: row.scheduled_at,
+            scheduledAtLocal: row.scheduled_at && timezone ? timeZone.toLocalDateTime(new Date(row.scheduled_at), timezone) : null,
+            startedAt: row.started_at,
+            completedAt: row.completed_at,
+            createdBy: row.created_by,
+            createdAt: row.created_at
+        };
+    }
+
+    // ===== PÚBLICO =====
+
+    /**
+     * Contactos que cumplen los filtros del público.
+     * audience: { tags, stages, parks, lastActivityFrom, lastActivityTo ('AAAA-MM-DD') }
+     * Nunca incluye grupos ni contactos que pidieron no recibir mensajes.
+     */
+    async findAudience(audience = {}) {
+        const conditions = [
+            'c.is_group = FALSE',
+            "(c.jid IS NULL OR c.jid NOT LIKE '%@g.us')",
+            'c.user_id NOT IN (SELECT user_id FROM contact_consent WHERE opted_out = TRUE)'
+        ];
+        const params = [];
+
+        if (audience.stages && audience.stages.length > 0) {
+            conditions.push(`COALESCE(s.stage, 'initial_contact') IN (${audience.stages.map(() => '?').join(', ')})`);
+            params.push(...audience.stages);
+        }
+
+        // Fechas de actividad en la zona horaria del horario de atención
+        const { timezone } = await businessHoursService.getSettings();
+        if (audience.lastActivityFrom) {
+            conditions.push('l.last_activity >= ?');
+            params.push(timeZone.zonedToUtc(audience.lastActivityFrom, '00:00', timezone));
+        }
+        if (audience.lastActivityTo) {
+            conditions.push('l.last_activity < ?');
+            params.push(timeZone.zonedToUtc(timeZone.addDays(audience.lastActivityTo, 1), '00:00', timezone));
+        }
+
+        // Interés en un parque: lo cotizó o lo mencionó en la conversación
+        if (audience.parks && audience.parks.length > 0) {
+            const parkConditions = audience.parks.map(() => `(
+                EXISTS (SELECT 1 FROM quotations q WHERE q.user_id = c.user_id AND q.items LIKE ?)
+                OR EXISTS (SELECT 1 FROM conversation_logs m WHERE m.user_id = c.user_id AND m.role = 'cliente' AND m.message LIKE ?)
+            )`);
+            conditions.push(`(${parkConditions.join(' OR ')})`);
+            audience.parks.forEach(park => params.push(`%${park}%`, `%${park}%`));
+        }
+
+        const rows = await database.query(`
+            SELECT c.*, COALESCE(s.stage, 'initial_contact') AS stage, l.last_activity
+            FROM contacts c
+            LEFT JOIN sales_status s ON s.user_id = c.user_id
+            LEFT JOIN (
+                SELECT user_id, MAX(timestamp) AS last_activity
+                FROM conversation_logs
+                WHERE role = 'cliente'
+                GROUP BY user_id
+            ) l ON l.user_id = c.user_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY l.last_activity DESC
+        `, params);
+
+        const wantedTags = (audience.tags || []).map(tag => String(tag).toLowerCase());
+        return rows
+            .map(row => ({ ...contactService.parseRow(row), stage: row.stage, lastActivity: row.last_activity }))
+            .filter(contact => wantedTags.length === 0 ||
+                contact.tags.some(tag => wantedTags.includes(tag.toLowerCase())));
+    }
+
+    getJid(contact) {
+        if (contact.jid) return contact.jid;
+        return `${contact.phone || contact.userId}@s.whatsapp.net`;
+    }
+
+    /**
+     * Vista previa: cuántos contactos recibirían la campaña y el mensaje de algunos de ellos
+     */
+    async previewAudience(audience, template) {
+        const contacts = await this.findAudience(audience);
+        return {
+            count: contacts.length,
+            limit: this.settings.maxRecipients,
+            sample: contacts.slice(0, 10).map(contact => ({
+                userId: contact.userId,
+                name: contact.name || contact.displayName || null,
+                stage: contact.stage,
+                lastActivity: contact.lastActivity,
+                message: contactService.renderTemplate(template, contact)
+            }))
+        };
+    }
+
+    // Opciones para los filtros del panel
+    async getAudienceOptions() {
+        const records = await csvService.getAllRecords();
+        const parks = [...new Set(records.map(record => record['Parque Industrial']).filter(Boolean))].sort();
+
+        const rows = await database.query("SELECT tags FROM contacts WHERE tags IS NOT NULL AND tags != '[]'");
+        const tags = new Set();
+        rows.forEach(row => JSON.parse(row.tags || '[]').forEach(tag => tags.add(tag)));
+
+        const optedOut = await consentService.getOptedOutIds();
+        return { parks, tags: [...tags].sort(), optedOutCount: optedOut.length };
+    }
+
+    // ===== CAMPAÑAS =====
+
+    validate(data) {
+        if (!data.name || !String(data.name).trim()) {
+            throw new Error('La campaña necesita un nombre');
+        }
+        if (!data.template || !String(data.template).trim()) {
+            throw new Error('La campaña necesita un mensaje');
+        }
+    }
+
+    async getCampaign(id) {
+        const row = await database.findOne('campaigns', 'id = ?', [id]);
+        const { timezone } = await businessHoursService.getSettings();
+        return row ? this.parseCampaign(row, timezone) : null;
+    }
+
+    async getCampaigns() {
+        const rows = await database.findAll('campaigns', '1=1', [], 'created_at DESC');
+        const { timezone } = await businessHoursService.getSettings();
+        const campaigns = rows.map(row => this.parseCampaign(row, timezone));
+        for (const campaign of campaigns) {
+            campaign.stats = await this.getStats(campaign.id);
+        }
+        return campaigns;
+    }
+
+    async saveCampaign(id, data, createdBy = null) {
+        this.validate(data);
+
+        const perMinute = Math.min(
+            Math.max(parseInt(data.perMinute, 10) || this.settings.perMinute, 1),
+            this.settings.maxPerMinute
+        );
+        // La fecha programada llega como 'AAAA-MM-DDTHH:MM' en la zona del horario de atención
+        const { timezone } = await businessHoursService.getSettings();
+        const scheduledAt = data.scheduledAt ? timeZone.parseLocalDateTime(data.scheduledAt, timezone) : null;
+        if (scheduledAt && isNaN(scheduledAt.getTime())) {
+            throw new Error('Fecha de envío no válida');
+        }
+
+        const row = {
+            name: String(data.name).trim(),
+            template: String(data.template),
+            audience: JSON.stringify(data.audience || {}),
+            per_minute: perMinute,
+            scheduled_at: scheduledAt
+        };
+
+        if (id) {
+            const campaign = await this.getCampaign(id);
+            if (!campaign) {
+                throw new Error('Campaña no encontrada');
+            }
+            if (campaign.status !== 'draft') {
+                throw new Error('Solo se pueden editar campañas en borrador');
+            }
+            await database.update('campaigns', row, 'id = ?', [campaign.id]);
+            return await this.getCampaign(campaign.id);
+        }
+
+        const campaignId = await database.insert('campaigns', { ...row, status: 'draft', created_by: createdBy });
+        return await this.getCampaign(campaignId);
+    }
+
+    async deleteCampaign(id) {
+        const campaign = await this.getCampaign(id);
+        if (!campaign) {
+            throw new Error('Campaña no encontrada');
+        }
+        if (campaign.status !== 'draft') {
+            throw new Error('Solo se pueden eliminar campañas en borrador; cancélala en su lugar');
+        }
+        await database.delete('campaigns', 'id = ?', [campaign.id]);
+    }
+
+    /**
+     * Congela el público y el mensaje de cada destinatario y pone la campaña en cola
+     * (programada si tiene fecha futura)
+     */
+    async launchCampaign(id) {
+        const campaign = await this.getCampaign(id);
+        if (!campaign) {
+            throw new Error('Campaña no encontrada');
+        }
+
+        // Reclamar la campaña antes de congelar el público: con un doble clic o dos admins
+        // a la vez solo uno genera los destinatarios
+        const claimed = await database.update('campaigns', { status: 'launching' }, "id = ? AND status = 'draft'", [campaign.id]);
+        if (claimed.affectedRows === 0) {
+            throw new Error('La campaña ya fue lanzada');
+        }
+
+        const scheduled = campaign.scheduledAt && new Date(campaign.scheduledAt) > new Date();
+        let contacts;
+        try {
+            contacts = await this.findAudience(campaign.audience);
+            if (contacts.length === 0) {
+                throw new Error('Ningún contacto cumple los filtros de la campaña');
+            }
+            if (contacts.length > this.settings.maxRecipients) {
+                throw new Error(`La campaña tiene ${contacts.length} destinatarios; el máximo es ${this.settings.maxRecipients}`);
+            }
+
+            // Todo el público o nada: un fallo a medias no deja destinatarios sueltos
+            await database.transaction(async (connection) => {
+                for (const contact of contacts) {
+                    await connection.query(
+                        `INSERT IGNORE INTO campaign_recipients (campaign_id, user_id, jid, message, status)
+                         VALUES (?, ?, ?, ?, 'pending')`,
+                        [campaign.id, contact.userId, this.getJid(contact), contactService.renderTemplate(campaign.template, contact)]
+                    );
+                }
+
+                await connection.query(
+                    'UPDATE campaigns SET status = ?, started_at = ? WHERE id = ?',
+                    [scheduled ? 'scheduled' : 'sending', scheduled ? null : new Date(), campaign.id]
+                );
+            });
+        } catch (error) {
+            // Vuelve a borrador para corregir los filtros o reintentar
+            await database.update('campaigns', { status: 'draft' }, "id = ? AND status = 'launching'", [campaign.id]);
+            throw error;
+        }
+
+        console.log(`📣 Campaña "${campaign.name}" ${scheduled ? 'programada' : 'en envío'} para ${contacts.length} contactos`);
+        this.processCampaigns();
+        return await this.getCampaign(campaign.id);
+    }
+
+    async setStatus(id, status, allowedFrom) {
+        const campaign = await this.getCampaign(id);
+        if (!campaign) {
+            throw new Error('Campaña no encontrada');
+        }
+        if (!allowedFrom.includes(campaign.status)) {
+            throw new Error(`No se puede pasar de ${campaign.status} a ${status}`);
+        }
+
+        const data = { status };
+        if (status === 'sending' && !campaign.startedAt) data.started_at = new Date();
+        if (status === 'cancelled') data.completed_at = new Date();
+        await database.update('campaigns', data, 'id = ?', [campaign.id]);
+
+        if (status === 'cancelled') {
+            await database.query(
+                "UPDATE campaign_recipients SET status = 'skipped', error = 'Campaña cancelada' WHERE campaign_id = ? AND status = 'pending'",
+                [campaign.id]
+            );
+        }
+        if (status === 'sending') {
+            this.processCampaigns();
+        }
+        return await this.getCampaign(campaign.id);
+    }
+
+    async pauseCampaign(id) {
+        return await this.setStatus(id, 'paused', ['sending', 'scheduled']);
+    }
+
+    async resumeCampaign(id) {
+        return await this.setStatus(id, 'sending', ['paused']);
+    }
+
+    async cancelCampaign(id) {
+        return await this.setStatus(id, 'cancelled', ['scheduled', 'sending', 'paused']);
+    }
+
+    // ===== ESTADÍSTICAS =====
+
+    /**
+     * Conteo acumulado: un mensaje leído también cuenta como entregado y enviado.
+     * replied: destinatarios que escribieron después de recibir la campaña
+     */
+    async getStats(campaignId) {
+        const rows = await database.query(
+            'SELECT status, COUNT(*) AS total FROM campaign_recipients WHERE campaign_id = ? GROUP BY status',
+            [campaignId]
+        );
+        const counts = {};
+        rows.forEach(row => { counts[row.status] = Number(row.total); });
+
+        const [replied] = await database.query(`
+            SELECT COUNT(*) AS total
+            FROM campaign_recipients r
+            WHERE r.campaign_id = ? AND r.sent_at IS NOT NULL
+            AND EXISTS (
+                SELECT 1 FROM conversation_logs m
+                WHERE m.user_id = r.user_id AND m.role = 'cliente' AND m.timestamp > r.sent_at
+            )
+        `, [campaignId]);
+
+        const read = counts.read || 0;
+        const delivered = (counts.delivered || 0) + read;
+        return {
+            total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+            pending: counts.pending || 0,
+            sent: (counts.sent || 0) + delivered,
+            delivered,
+            read,
+            failed: counts.failed || 0,
+            skipped: counts.skipped || 0,
+            replied: Number(replied.total)
+        };
+    }
+
+    async getRecipients(campaignId, limit = 500) {
+        const rows = await database.query(`
+            SELECT r.*, c.name AS contact_name, c.display_name
+            FROM campaign_recipients r
+            LEFT JOIN contacts c ON c.user_id = r.user_id
+            WHERE r.campaign_id = ?
+            ORDER BY r.id ASC
+            LIMIT ?
+        `, [campaignId, limit]);
+
+        return rows.map(row => ({
+            id: row.id,
+            userId: row.user_id,
+            contactName: row.contact_name || row.display_name || null,
+            message: row.message,
+            status: row.status,
+            error: row.error,
+            sentAt: row.sent_at,
+            deliveredAt: row.delivered_at,
+            readAt: row.read_at
+        }));
+    }
+
+    /**
+     * Estado recibido en messages.update para un mensaje enviado.
+     * Solo avanza (sent -> delivered -> read), nunca retrocede.
+     */
+    async updateDeliveryStatus(messageId, status) {
+        const index = STATUS_ORDER.indexOf(status);
+        if (!messageId || index < 2) {
+            return;
+        }
+
+        try {
+            const previous = STATUS_ORDER.slice(0, index);
+            await database.query(`
+                UPDATE campaign_recipients
+                SET status = ?, ${status === 'read' ? 'read_at = NOW(), delivered_at = COALESCE(delivered_at, NOW())' : 'delivered_at = NOW()'}
+                WHERE message_id = ? AND status IN (${previous.map(() => '?').join(', ')})
+            `, [status, messageId, ...previous]);
+        } catch (error) {
+            console.error('Error actualizando estado de campaña:', error);
+        }
+    }
+
+    // ===== ENVÍO =====
+
+    isSocketConnected(sock) {
+        return Boolean(sock && sock.user && sock.ws && sock.ws.readyState === 1);
+    }
+
+    // Espera entre mensajes: el mínimo para respetar el límite por minuto más un extra aleatorio
+    getDelayMs(perMinute) {
+        return Math.round(60000 / perMinute + Math.random() * this.settings.jitterSeconds * 1000);
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Activa las campañas programadas que llegaron a su hora y envía las que están en curso,
+     * una a la vez y respetando el horario de atención
+     */
+    async processCampaigns() {
+        if (this.delivering) {
+            return;
+        }
+        this.delivering = true;
+
+        try {
+            await database.query(
+                "UPDATE campaigns SET status = 'sending', started_at = NOW() WHERE status = 'scheduled' AND scheduled_at <= NOW()"
+            );
+
+            const campaigns = await database.findAll('campaigns', "status = 'sending'", [], 'started_at ASC');
+            for (const row of campaigns) {
+                const finished = await this.deliverCampaign(this.parseCampaign(row));
+                if (!finished) {
+                    break; // Fuera de horario o sin conexión: se reintenta en la siguiente revisión
+                }
+            }
+        } catch (error) {
+            console.error('Error procesando campañas:', error);
+        } finally {
+            this.delivering = false;
+        }
+    }
+
+    /**
+     * Envía los mensajes pendientes de la campaña.
+     * Retorna true si terminó o se pausó, false si tuvo que detenerse (horario, conexión).
+     */
+    async deliverCampaign(campaign) {
+        while (true) {
+            const current = await this.getCampaign(campaign.id);
+            if (!current || current.status !== 'sending') {
+                return true;
+            }
+
+            const allowedAt = await businessHoursService.getNextAllowedTime(new Date());
+            if (!allowedAt || allowedAt > new Date()) {
+                return false;
+            }
+
+            const sock = global.whatsappBot && global.whatsappBot.sock;
+            if (!this.isSocketConnected(sock)) {
+                return false;
+            }
+
+            const [recipient] = await database.query(
+                "SELECT * FROM campaign_recipients WHERE campaign_id = ? AND status = 'pending' ORDER BY id ASC LIMIT 1",
+                [campaign.id]
+            );
+            if (!recipient) {
+                await database.update('campaigns', { status: 'completed', completed_at: new Date() }, 'id = ?', [campaign.id]);
+                console.log(`✅ Campaña "${campaign.name}" completada`);
+                return true;
+            }
+
+            // El contacto pudo darse de baja después de lanzar la campaña
+            if (await consentService.isOptedOut(recipient.user_id)) {
+                await database.update('campaign_recipients', { status: 'skipped', error: 'Contacto dado de baja' }, 'id = ?', [recipient.id]);
+                continue;
+            }
+            const contact = await contactService.getContact(recipient.user_id);
+
+            try {
+                const sentMsg = await sock.sendMessage(recipient.jid, { text: recipient.message });
+                const messageId = sentMsg?.key?.id || null;
+                await database.update('campaign_recipients', {
+                    status: 'sent',
+                    message_id: messageId,
+                    sent_at: new Date()
+                }, 'id = ?', [recipient.id]);
+                await logger.log('bot', recipient.message, recipient.user_id, contact?.displayName || null, false, null, null, messageId);
+            } catch (error) {
+                console.error(`Error enviando campaña a ${recipient.user_id}:`, error);
+                await database.update('campaign_recipients', {
+                    status: 'failed',
+                    error: String(error.message).slice(0, 255)
+                }, 'id = ?', [recipient.id]);
+            }
+
+            await this.sleep(this.getDelayMs(campaign.perMinute));
+        }
+    }
+
+    startDeliveryTimer() {
+        if (this.deliveryTimer) {
+            return;
+        }
+
+        // Una campaña que quedó en 'launching' por un reinicio no tiene destinatarios
+        // (se insertan en una transacción): vuelve a borrador
+        database.query("UPDATE campaigns SET status = 'draft' WHERE status = 'launching'").catch(error => {
+            console.error('Error recuperando campañas sin lanzar:', error);
+        });
+
+        this.deliveryTimer = setInterval(() => {
+            this.processCampaigns();
+        }, this.settings.checkInterval);
+        console.log('📣 Sistema de campañas iniciado');
+    }
+}
+
+module.exports = new CampaignService();
@@ -0,0 +1,57 @@
+// Circuit breaker simple: después de varios fallos seguidos deja de llamar al
+// servicio durante un tiempo y luego permite una llamada de prueba
+class CircuitBreaker {
+    constructor(name, { failureThreshold = 5, resetTimeoutMs = 60000 } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.state = 'closed'; // closed | open | half-open
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    canRequest() {
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt >= this.resetTimeoutMs) {
+                // Permitir una llamada de prueba
+                this.state = 'half-open';
+                return true;
+            }
+            return false;
+        }
+
+        return true;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            console.log(`✅ Circuito ${this.name} cerrado nuevamente`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    recordFailure() {
+        this.failures++;
+
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'open') {
+                console.error(`🔌 Circuito ${this.name} abierto tras ${this.failures} fallos`);
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    getStatus() {
+        return {
+            name: this.name,
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
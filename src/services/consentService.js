@@ -0,0 +1,161 @@
+const database = require('./database');
+const logger = require('./logger');
+const systemConfigService = require('./systemConfigService');
+const eventBus = require('./eventBus');
+
+// Registro de consentimiento: contactos que pidieron no recibir mensajes
+// automáticos (seguimientos y campañas), con historial de cada cambio
+class ConsentService {
+    // Minúsculas, sin acentos ni signos, para comparar las palabras de baja
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    async getSettings() {
+        return await systemConfigService.getOptOutSettings();
+    }
+
+    async saveSettings(data) {
+        const current = await this.getSettings();
+        const settings = { ...current, ...data };
+        settings.confirmationEnabled = Boolean(settings.confirmationEnabled);
+
+        const seen = new Set();
+        settings.keywords = (settings.keywords || [])
+            .map(keyword => String(keyword).trim())
+            .filter(keyword => {
+                const key = this.normalize(keyword);
+                if (!key || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        if (settings.keywords.length === 0) {
+            throw new Error('Se necesita al menos una palabra de baja');
+        }
+
+        const saved = await systemConfigService.setOptOutSettings(settings);
+        if (!saved) {
+            throw new Error('No se pudo guardar la configuración de bajas');
+        }
+        return settings;
+    }
+
+    /**
+     * Palabra de baja contenida en el mensaje, o null.
+     * Una palabra suelta (BAJA, STOP) debe ser el mensaje completo para no confundir
+     * "la renta más baja" con una baja; las frases se buscan dentro del mensaje.
+     */
+    matchKeyword(text, keywords) {
+        const message = this.normalize(text);
+        if (!message) {
+            return null;
+        }
+
+        return keywords.find(keyword => {
+            const key = this.normalize(keyword);
+            if (!key) return false;
+            return key.includes(' ')
+                ? ` ${message} `.includes(` ${key} `)
+                : message === key;
+        }) || null;
+    }
+
+    async isOptedOut(userId) {
+        const row = await database.findOne('contact_consent', 'user_id = ?', [userId]);
+        return Boolean(row && row.opted_out);
+    }
+
+    async getOptedOutIds() {
+        const rows = await database.query('SELECT user_id FROM contact_consent WHERE opted_out = TRUE');
+        return rows.map(row => row.user_id);
+    }
+
+    /**
+     * Estado de consentimiento de un contacto con su historial (más reciente primero)
+     */
+    async getConsent(userId) {
+        const row = await database.findOne('contact_consent', 'user_id = ?', [userId]);
+        const events = await database.findAll('consent_events', 'user_id = ?', [userId], 'created_at DESC, id DESC');
+
+        return {
+            optedOut: Boolean(row && row.opted_out),
+            source: row ? row.source : null,
+            keyword: row ? row.keyword : null,
+            updatedBy: row ? row.updated_by : null,
+            updatedAt: row ? row.updated_at : null,
+            history: events.map(event => ({
+                id: event.id,
+                action: event.action,
+                source: event.source,
+                keyword: event.keyword,
+                message: event.message,
+                reason: event.reason,
+                performedBy: event.performed_by,
+                createdAt: event.created_at
+            }))
+        };
+    }
+
+    /**
+     * Cambia el consentimiento y lo registra en el historial.
+     * source: 'keyword' (el cliente escribió una palabra de baja) o 'agent'
+     */
+    async setOptedOut(userId, optedOut, { source, keyword = null, message = null, reason = null, performedBy = null }) {
+        await database.query(
+            `INSERT INTO contact_consent (user_id, opted_out, source, keyword, updated_by)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE opted_out = ?, source = ?, keyword = ?, updated_by = ?`,
+            [userId, optedOut, source, keyword, performedBy, optedOut, source, keyword, performedBy]
+        );
+        await database.insert('consent_events', {
+            user_id: userId,
+            action: optedOut ? 'opt_out' : 'opt_in',
+            source,
+            keyword,
+            message,
+            reason,
+            performed_by: performedBy
+        });
+
+        eventBus.publish('consent', { userId, optedOut });
+
+        if (optedOut) {
+            // Require diferido: followUpService consulta este servicio antes de cada envío
+            const followUpService = require('./followUpService');
+            await followUpService.cancelFollowUp(userId, 'Cliente pidió no recibir mensajes');
+        }
+
+        const who = source === 'keyword' ? `el cliente ("${keyword}")` : (performedBy || 'un agente');
+        await logger.log('SYSTEM', optedOut
+            ? `🚫 Mensajes automáticos bloqueados por ${who}${reason ? `: ${reason}` : ''}`
+            : `✅ Mensajes automáticos permitidos de nuevo por ${who}${reason ? `: ${reason}` : ''}`, userId);
+    }
+
+    /**
+     * Revisa un mensaje del cliente. Si es una palabra de baja registra la baja y
+     * retorna { keyword, confirmation } (confirmation: texto a responder o null)
+     */
+    async handleIncomingMessage(userId, text) {
+        const settings = await this.getSettings();
+        const keyword = this.matchKeyword(text, settings.keywords);
+        if (!keyword) {
+            return null;
+        }
+
+        if (!await this.isOptedOut(userId)) {
+            await this.setOptedOut(userId, true, { source: 'keyword', keyword, message: text });
+        }
+
+        return {
+            keyword,
+            confirmation: settings.confirmationEnabled && settings.confirmationMessage ? settings.confirmationMessage : null
+        };
+    }
+}
+
+module.exports = new ConsentService();
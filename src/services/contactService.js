@@ -0,0 +1,287 @@
+const config = require('../config/config');
+const database = require('./database');
+const llmClient = require('./llmClient');
+
+// Campos del perfil que la IA puede completar y los agentes pueden editar
+const PROFILE_FIELDS = {
+    name: 'Nombre',
+    company: 'Empresa',
+    email: 'Email',
+    city: 'Ciudad',
+    required_m2: 'm² requeridos',
+    budget: 'Presupuesto'
+};
+
+class ContactService {
+    constructor() {
+        this.localCache = new Map(); // userId -> contacto
+        this.pendingExtraction = new Map(); // userId -> { messages, turns, timer } aún sin extraer
+    }
+
+    parseRow(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            jid: row.jid,
+            phone: row.phone,
+            lid: row.lid,
+            isGroup: Boolean(row.is_group),
+            displayName: row.display_name,
+            name: row.name,
+            company: row.company,
+            email: row.email,
+            city: row.city,
+            required_m2: row.required_m2,
+            budget: row.budget,
+            tags: JSON.parse(row.tags || '[]'),
+            customFields: JSON.parse(row.custom_fields || '{}'),
+            fieldSources: JSON.parse(row.field_sources || '{}'),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    async getContact(userId) {
+        if (this.localCache.has(userId)) {
+            return this.localCache.get(userId);
+        }
+
+        try {
+            const row = await database.findOne('contacts', 'user_id = ?', [userId]);
+            if (row) {
+                const contact = this.parseRow(row);
+                this.localCache.set(userId, contact);
+                return contact;
+            }
+        } catch (error) {
+            console.error('Error obteniendo contacto:', error);
+        }
+
+        return null;
+    }
+
+    /**
+     * Registra o actualiza los datos de identidad de WhatsApp del contacto
+     * en cada mensaje entrante (jid, número real vs @lid, nombre de perfil)
+     */
+    async touch({ userId, jid, phone = null, lid = null, displayName = null, isGroup = false }) {
+        try {
+            const existing = await this.getContact(userId);
+
+            if (!existing) {
+                await database.insert('contacts', {
+                    user_id: userId,
+                    jid,
+                    phone,
+                    lid,
+                    is_group: isGroup,
+                    display_name: displayName,
+                    tags: '[]',
+                    custom_fields: '{}',
+                    field_sources: '{}'
+                });
+                this.localCache.delete(userId);
+                return await this.getContact(userId);
+            }
+
+            const changes = {};
+            if (jid && jid !== existing.jid) changes.jid = jid;
+            if (phone && phone !== existing.phone) changes.phone = phone;
+            if (lid && lid !== existing.lid) changes.lid = lid;
+            if (displayName && displayName !== existing.displayName) changes.display_name = displayName;
+
+            if (Object.keys(changes).length > 0) {
+                await database.update('contacts', changes, 'user_id = ?', [userId]);
+                this.localCache.delete(userId);
+                return await this.getContact(userId);
+            }
+
+            return existing;
+        } catch (error) {
+            console.error('Error registrando contacto:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Actualiza el perfil del contacto.
+     * source: 'agent' (edición desde el panel) o 'ai' (extraído de la conversación).
+     * Los datos que capturó un agente no se sobrescriben con datos de la IA.
+     */
+    async updateContact(userId, data, source = 'agent') {
+        const contact = await this.getContact(userId);
+        if (!contact) {
+            throw new Error('Contacto no encontrado');
+        }
+
+        const fieldSources = { ...contact.fieldSources };
+        const changes = {};
+
+        Object.keys(PROFILE_FIELDS).forEach(field => {
+            if (data[field] === undefined) return;
+            if (source === 'ai' && fieldSources[field] === 'agent') return;
+
+            const value = data[field] === null ? null : String(data[field]).trim() || null;
+            if (value !== contact[field]) {
+                changes[field] = value;
+                fieldSources[field] = source;
+            }
+        });
+
+        if (Array.isArray(data.tags)) {
+            const tags = source === 'ai'
+                ? [...new Set([...contact.tags, ...data.tags])]
+                : [...new Set(data.tags.map(tag => String(tag).trim()).filter(Boolean))];
+            changes.tags = JSON.stringify(tags);
+        }
+
+        if (data.customFields && typeof data.customFields === 'object') {
+            const customFields = source === 'ai'
+                ? { ...data.customFields, ...contact.customFields } // La IA solo agrega campos nuevos
+                : data.customFields;
+            changes.custom_fields = JSON.stringify(customFields);
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return contact;
+        }
+
+        changes.field_sources = JSON.stringify(fieldSources);
+
+        await database.update('contacts', changes, 'user_id = ?', [userId]);
+        this.localCache.delete(userId);
+        return await this.getContact(userId);
+    }
+
+    /**
+     * Acumula los turnos de la conversación y extrae los datos del perfil por lotes
+     * (como el resumen) para no llamar a la IA en cada mensaje del cliente
+     */
+    queueExtraction(userId, messages) {
+        const pending = this.pendingExtraction.get(userId) || { messages: [], turns: 0, timer: null };
+        clearTimeout(pending.timer);
+        pending.messages.push(...messages);
+        pending.turns++;
+        this.pendingExtraction.set(userId, pending);
+
+        if (pending.turns >= config.profileExtraction.batchTurns) {
+            this.flushExtraction(userId);
+        } else {
+            pending.timer = setTimeout(() => this.flushExtraction(userId), config.profileExtraction.idleMs);
+        }
+    }
+
+    async flushExtraction(userId) {
+        const pending = this.pendingExtraction.get(userId);
+        if (!pending) {
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        this.pendingExtraction.delete(userId);
+        await this.extractFromConversation(userId, pending.messages);
+    }
+
+    /**
+     * Extrae datos del cliente de los últimos mensajes con la IA
+     * y los guarda en el perfil (sin pisar lo que editó un agente)
+     */
+    async extractFromConversation(userId, messages) {
+        try {
+            const contact = await this.getContact(userId);
+            if (!contact || contact.isGroup) {
+                return;
+            }
+
+            const transcript = messages.map(m => `${m.role === 'user' ? 'Cliente' : 'Asistente'}: ${m.content}`).join('\n');
+            const known = Object.keys(PROFILE_FIELDS)
+                .filter(field => contact[field])
+                .map(field => `${field}: ${contact[field]}`)
+                .join('\n');
+
+            const response = await llmClient.complete([
+                {
+                    role: 'system',
+                    content: `Extraes datos de contacto de conversaciones de ventas. Responde ÚNICAMENTE con un JSON con estas claves (omite las que el cliente no haya dicho explícitamente, no inventes):
+{"name": "nombre de la persona", "company": "empresa", "email": "correo", "city": "ciudad o estado de interés", "required_m2": "metros cuadrados que necesita", "budget": "presupuesto con moneda", "tags": ["etiquetas cortas de interés"]}`
+                },
+                {
+                    role: 'user',
+                    content: `Datos ya conocidos:\n${known || '(ninguno)'}\n\nConversación reciente:\n${transcript}`
+                }
+            ], 'extraction');
+
+            const cleanResponse = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+            const extracted = JSON.parse(cleanResponse.slice(cleanResponse.indexOf('{'), cleanResponse.lastIndexOf('}') + 1));
+
+            const data = {};
+            Object.keys(PROFILE_FIELDS).forEach(field => {
+                if (extracted[field]) data[field] = extracted[field];
+            });
+            if (Array.isArray(extracted.tags) && extracted.tags.length > 0) {
+                data.tags = extracted.tags;
+            }
+
+            if (Object.keys(data).length > 0) {
+                await this.updateContact(userId, data, 'ai');
+            }
+        } catch (error) {
+            console.error(`Error extrayendo datos de contacto de ${userId}:`, error.message);
+        }
+    }
+
+    // Perfil en texto para el prompt del sistema
+    formatForPrompt(contact) {
+        if (!contact) {
+            return '';
+        }
+
+        const lines = [];
+        if (contact.name) {
+            lines.push(`- Nombre: ${contact.name}`);
+        } else if (contact.displayName) {
+            lines.push(`- Nombre de perfil de WhatsApp: ${contact.displayName}`);
+        }
+        if (contact.phone) lines.push(`- Teléfono: ${contact.phone}`);
+
+        Object.entries(PROFILE_FIELDS).forEach(([field, label]) => {
+            if (field !== 'name' && contact[field]) {
+                lines.push(`- ${label}: ${contact[field]}`);
+            }
+        });
+
+        if (contact.tags.length > 0) lines.push(`- Intereses: ${contact.tags.join(', ')}`);
+        Object.entries(contact.customFields).forEach(([key, value]) => {
+            lines.push(`- ${key}: ${value}`);
+        });
+
+        if (lines.length === 0) {
+            return '';
+        }
+
+        return `*PERFIL DEL CLIENTE (datos ya conocidos, no los vuelvas a preguntar):*\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Reemplaza las variables del contacto en una plantilla: {nombre}, {empresa},
+     * {ciudad}, {m2}, {presupuesto} más las de `extra`. Las variables sin dato quedan vacías.
+     */
+    renderTemplate(template, contact, extra = {}) {
+        const values = {
+            nombre: contact?.name || contact?.displayName || '',
+            empresa: contact?.company || '',
+            ciudad: contact?.city || '',
+            m2: contact?.required_m2 || '',
+            presupuesto: contact?.budget || '',
+            ...extra
+        };
+
+        return String(template || '')
+            .replace(/\{(\w+)\}/g, (match, key) => key in values ? values[key] : match)
+            .replace(/[ \t]+([,.!?])/g, '$1')
+            .replace(/[ \t]{2,}/g, ' ')
+            .trim();
+    }
+}
+
+module.exports = new ContactService();
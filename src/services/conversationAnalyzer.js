@@ -1,13 +1,7 @@
-const axios = require('axios');
-const config = require('../config/config');
+const llmClient = require('./llmClient');
 const database = require('./database');
 
 class ConversationAnalyzer {
-    constructor() {
-        this.apiKey = config.deepseekApiKey;
-        this.apiUrl = config.deepseekApiUrl;
-    }
-
     async analyzeConversation(messages, userId = null) {
         try {
             // Preparar el contexto de la conversación
@@ -40,28 +34,16 @@ Responde ÚNICAMENTE con un JSON en este formato exacto:
   "keywords": ["palabra1", "palabra2"]
 }`;
 
-            const response = await axios.post(this.apiUrl, {
-                model: 'deepseek-chat',
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'Eres un analizador experto de conversaciones de servicio al cliente. Siempre respondes con JSON válido.'
-                    },
-                    {
-                        role: 'user',
-                        content: analysisPrompt
-                    }
-                ],
-                temperature: 0.3,
-                max_tokens: 400
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json'
+            const aiResponse = await llmClient.complete([
+                {
+                    role: 'system',
+                    content: 'Eres un analizador experto de conversaciones de servicio al cliente. Siempre respondes con JSON válido.'
+                },
+                {
+                    role: 'user',
+                    content: analysisPrompt
                 }
-            });
-
-            const aiResponse = response.data.choices[0].message.content;
+            ], 'analysis');
             
             // Intentar parsear la respuesta JSON
             try {
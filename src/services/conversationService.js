@@ -0,0 +1,233 @@
+const database = require('./database');
+const systemConfigService = require('./systemConfigService');
+const eventBus = require('./eventBus');
+
+const STATUSES = ['open', 'pending', 'resolved', 'closed'];
+const ACTIVE_STATUSES = ['open', 'pending'];
+const STATUS_LABELS = { open: 'abierta', pending: 'pendiente', resolved: 'resuelta', closed: 'cerrada' };
+
+// Conversaciones (tickets): cada contacto tiene una sucesión de conversaciones con
+// estado open/pending/resolved/closed; cada mensaje de conversation_logs apunta a una
+class ConversationService {
+    constructor() {
+        this.locks = new Map(); // Una resolución a la vez por contacto (evita abrir dos conversaciones)
+    }
+
+    async getSettings() {
+        return await systemConfigService.getConversationSettings();
+    }
+
+    async saveSettings(data) {
+        const current = await this.getSettings();
+        const settings = { ...current, ...data };
+
+        const hours = Number(settings.reopenWindowHours);
+        if (isNaN(hours) || hours < 0) {
+            throw new Error('La ventana para reabrir debe ser un número de horas mayor o igual a 0');
+        }
+        settings.reopenWindowHours = hours;
+
+        const saved = await systemConfigService.setConversationSettings(settings);
+        if (!saved) {
+            throw new Error('No se pudo guardar la configuración de conversaciones');
+        }
+        return settings;
+    }
+
+    statusLabel(status) {
+        return STATUS_LABELS[status] || status;
+    }
+
+    async getById(id) {
+        return await database.findOne('conversations', 'id = ?', [id]);
+    }
+
+    async getLatest(userId) {
+        const rows = await database.query(
+            'SELECT * FROM conversations WHERE user_id = ? ORDER BY id DESC LIMIT 1',
+            [userId]
+        );
+        return rows[0] || null;
+    }
+
+    // Conversación abierta o pendiente del contacto, o null
+    async getCurrent(userId) {
+        const latest = await this.getLatest(userId);
+        return latest && ACTIVE_STATUSES.includes(latest.status) ? latest : null;
+    }
+
+    // Conversaciones del contacto, la más reciente primero
+    async listForContact(userId) {
+        const rows = await database.query(`
+            SELECT c.*, COUNT(l.id) AS messages
+            FROM conversations c
+            LEFT JOIN conversation_logs l ON l.conversation_id = c.id
+            WHERE c.user_id = ?
+            GROUP BY c.id
+            ORDER BY c.id DESC
+        `, [userId]);
+        return rows.map(row => this.format(row));
+    }
+
+    async open(userId, { isGroup = false, channel = 'whatsapp' } = {}) {
+        const now = new Date();
+        const id = await database.insert('conversations', {
+            user_id: userId,
+            channel,
+            is_group: isGroup,
+            status: 'open',
+            opened_at: now,
+            last_message_at: now
+        });
+
+        eventBus.publish('conversation', { userId, conversationId: id, status: 'open' });
+        return id;
+    }
+
+    // Una conversación resuelta o cerrada se reabre si el cliente escribe dentro de la ventana configurada
+    async canReopen(conversation) {
+        if (!conversation.closed_at) {
+            return false;
+        }
+        const { reopenWindowHours } = await this.getSettings();
+        return reopenWindowHours > 0
+            && Date.now() - new Date(conversation.closed_at).getTime() <= reopenWindowHours * 60 * 60 * 1000;
+    }
+
+    /**
+     * Id de la conversación a la que pertenece un mensaje nuevo del contacto.
+     * - cliente: la abierta (una pendiente vuelve a open); si la última está resuelta o cerrada
+     *   se reabre dentro de la ventana configurada y si no empieza una nueva
+     * - bot y soporte: la abierta o pendiente, o una nueva si el negocio inicia el contacto
+     * - SYSTEM y ERROR: la última, sin abrir ni reabrir ninguna
+     */
+    async resolveForMessage(userId, role, isGroup = false) {
+        const previous = this.locks.get(userId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(() => this.resolve(userId, role, isGroup));
+        this.locks.set(userId, next);
+
+        const release = () => {
+            if (this.locks.get(userId) === next) this.locks.delete(userId);
+        };
+        next.then(release, release);
+
+        return next;
+    }
+
+    async resolve(userId, role, isGroup) {
+        const type = String(role || '').toLowerCase();
+        const latest = await this.getLatest(userId);
+
+        if (type === 'system' || type === 'error') {
+            return latest ? latest.id : null;
+        }
+
+        const now = new Date();
+
+        if (latest && ACTIVE_STATUSES.includes(latest.status)) {
+            const changes = { last_message_at: now };
+            if (type === 'cliente' && latest.status === 'pending') {
+                changes.status = 'open';
+            }
+            await database.update('conversations', changes, 'id = ?', [latest.id]);
+
+            if (changes.status) {
+                eventBus.publish('conversation', { userId, conversationId: latest.id, status: 'open' });
+            }
+            return latest.id;
+        }
+
+        if (latest && type === 'cliente' && await this.canReopen(latest)) {
+            await database.update('conversations', {
+                status: 'open',
+                closed_at: null,
+                closed_by: null,
+                resolution_reason: null,
+                reopened_count: (latest.reopened_count || 0) + 1,
+                last_message_at: now
+            }, 'id = ?', [latest.id]);
+
+            console.log(`🔄 Conversación ${latest.id} reabierta para ${userId}`);
+            eventBus.publish('conversation', { userId, conversationId: latest.id, status: 'open' });
+            return latest.id;
+        }
+
+        return await this.open(userId, { isGroup });
+    }
+
+    /**
+     * Cambia el estado de una conversación. resolved y closed registran la fecha de
+     * cierre, quién la cerró y el motivo; open y pending la dejan activa de nuevo
+     */
+    async setStatus(conversationId, status, { reason = null, performedBy = null } = {}) {
+        if (!STATUSES.includes(status)) {
+            throw new Error(`Estado de conversación inválido: ${status}`);
+        }
+
+        const conversation = await this.getById(conversationId);
+        if (!conversation) {
+            throw new Error('Conversación no encontrada');
+        }
+
+        // Solo puede haber una conversación activa por contacto
+        if (ACTIVE_STATUSES.includes(status) && !ACTIVE_STATUSES.includes(conversation.status)) {
+            const latest = await this.getLatest(conversation.user_id);
+            if (latest.id !== conversation.id) {
+                throw new Error('Solo se puede reabrir la conversación más reciente del contacto');
+            }
+        }
+
+        const changes = { status };
+        if (ACTIVE_STATUSES.includes(status)) {
+            changes.closed_at = null;
+            changes.closed_by = null;
+            changes.resolution_reason = null;
+        } else {
+            changes.closed_at = ACTIVE_STATUSES.includes(conversation.status) ? new Date() : conversation.closed_at;
+            changes.closed_by = performedBy;
+            changes.resolution_reason = reason;
+        }
+
+        await database.update('conversations', changes, 'id = ?', [conversationId]);
+        eventBus.publish('conversation', { userId: conversation.user_id, conversationId, status });
+
+        return this.format({ ...conversation, ...changes });
+    }
+
+    // Cierra la conversación activa del contacto (fin de conversación desde el panel)
+    async closeForContact(userId, { reason = null, performedBy = null } = {}) {
+        const current = await this.getCurrent(userId);
+        if (!current) {
+            return null;
+        }
+        return await this.setStatus(current.id, 'closed', { reason, performedBy });
+    }
+
+    // Marcas de ventas del reporte: { posible_venta, cita_agendada, analyzed_at }
+    async setSaleFlags(conversationId, flags) {
+        await database.update('conversations', flags, 'id = ?', [conversationId]);
+    }
+
+    format(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            channel: row.channel,
+            isGroup: Boolean(row.is_group),
+            status: row.status,
+            assignedAgentId: row.assigned_agent_id || null,
+            resolutionReason: row.resolution_reason || null,
+            closedBy: row.closed_by || null,
+            openedAt: row.opened_at,
+            closedAt: row.closed_at || null,
+            reopenedCount: row.reopened_count || 0,
+            lastMessageAt: row.last_message_at || null,
+            messages: row.messages !== undefined ? Number(row.messages) : undefined,
+            posibleVenta: Boolean(row.posible_venta),
+            citaAgendada: Boolean(row.cita_agendada),
+            analizadoIA: Boolean(row.analyzed_at)
+        };
+    }
+}
+
+module.exports = new ConversationService();
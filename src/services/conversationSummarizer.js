@@ -0,0 +1,33 @@
+const llmClient = require('./llmClient');
+
+class ConversationSummarizer {
+    /**
+     * Integra mensajes antiguos al resumen existente de la conversación.
+     * El resumen conserva los datos del cliente que el bot necesita recordar
+     * aunque los mensajes ya no estén en la ventana de contexto.
+     */
+    async summarize(previousSummary, messages) {
+        const transcript = messages.map(m => {
+            const speaker = m.role === 'user' ? 'Cliente' : 'Asistente';
+            return `${speaker}: ${m.content}`;
+        }).join('\n');
+
+        const prompt = [
+            {
+                role: 'system',
+                content: `Eres un asistente que mantiene el resumen de una conversación de ventas por WhatsApp.
+Actualiza el resumen con los mensajes nuevos. Conserva SIEMPRE: nombre del cliente, empresa, cargo, necesidades y requisitos (ubicación, área, presupuesto, plazos), naves o productos de interés, objeciones, acuerdos y próximos pasos.
+Escribe en español, en viñetas breves, máximo 150 palabras. No inventes datos. Responde solo con el resumen.`
+            },
+            {
+                role: 'user',
+                content: `Resumen actual:\n${previousSummary || '(sin resumen)'}\n\nMensajes nuevos:\n${transcript}`
+            }
+        ];
+
+        const summary = await llmClient.complete(prompt, 'summary');
+        return summary.trim();
+    }
+}
+
+module.exports = new ConversationSummarizer();
@@ -138,6 +138,18 @@ class CSVService {
     }
   }
 
+  // El id de una nave es su posición en el catálogo actual (empezando en 1)
+  async getRecordById(id) {
+    const records = await this.getAllRecords();
+    const index = parseInt(id, 10) - 1;
+
+    if (isNaN(index) || index < 0 || index >= records.length) {
+      return null;
+    }
+
+    return records[index];
+  }
+
   async searchInCSV(query) {
     try {
       const records = await this.getAllRecords();
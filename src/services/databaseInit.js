@@ -24,6 +24,35 @@ class DatabaseInit {
                 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
             `);
 
+            // Contenido multimedia asociado al mensaje: archivo guardado, tipo
+            // (audio, image, document, location, contact) y datos extra en JSON
+            await this.addColumnIfMissing('conversation_logs', 'media_id', 'INT');
+            await this.addColumnIfMissing('conversation_logs', 'media_type', 'VARCHAR(20)');
+            await this.addColumnIfMissing('conversation_logs', 'media_data', 'TEXT');
+
+            // Bandeja de entrada: resumen por conversación y mensajes no leídos por agente
+            await this.addIndexIfMissing('conversation_logs', 'idx_user_role_id', 'user_id, role, id');
+
+            // Resumen de cada contacto para la bandeja; logger.log lo actualiza con cada mensaje
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS inbox_summaries (
+                    user_id VARCHAR(50) PRIMARY KEY,
+                    is_group BOOLEAN DEFAULT FALSE,
+                    total_messages INT DEFAULT 0,
+                    user_messages INT DEFAULT 0,
+                    bot_messages INT DEFAULT 0,
+                    first_contact DATETIME,
+                    last_activity DATETIME,
+                    left_group BOOLEAN DEFAULT FALSE,
+                    last_message_id INT,
+                    last_client_message_id INT,
+                    INDEX idx_last_activity (last_activity)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Búsqueda en los mensajes desde la bandeja sin recorrer todo el historial
+            await this.addIndexIfMissing('conversation_logs', 'ft_message', 'message', 'FULLTEXT INDEX');
+
             // Crear tabla de usuarios de soporte
             await database.query(`
                 CREATE TABLE IF NOT EXISTS support_users (
@@ -60,6 +89,8 @@ class DatabaseInit {
                     id INT AUTO_INCREMENT PRIMARY KEY,
                     user_id VARCHAR(50) UNIQUE NOT NULL,
                     messages TEXT,
+                    summary TEXT,
+                    summarized_count INT DEFAULT 0,
                     last_activity DATETIME NOT NULL,
                     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                     INDEX idx_user_id (user_id),
@@ -67,6 +98,10 @@ class DatabaseInit {
                 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
             `);
 
+            // Columnas de resumen para instalaciones existentes
+            await this.addColumnIfMissing('user_sessions', 'summary', 'TEXT');
+            await this.addColumnIfMissing('user_sessions', 'summarized_count', 'INT DEFAULT 0');
+
             // Crear tabla de estados de modo humano/soporte
             await database.query(`
                 CREATE TABLE IF NOT EXISTS human_mode_states (
@@ -83,6 +118,503 @@ class DatabaseInit {
                 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
             `);
 
+            // Crear tabla de contactos (perfil del cliente)
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS contacts (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(50) UNIQUE NOT NULL,
+                    jid VARCHAR(100),
+                    phone VARCHAR(30),
+                    lid VARCHAR(50),
+                    is_group BOOLEAN DEFAULT FALSE,
+                    display_name VARCHAR(255),
+                    name VARCHAR(255),
+                    company VARCHAR(255),
+                    email VARCHAR(255),
+                    city VARCHAR(255),
+                    required_m2 VARCHAR(100),
+                    budget VARCHAR(100),
+                    tags TEXT,
+                    custom_fields TEXT,
+                    field_sources TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_phone (phone),
+                    INDEX idx_lid (lid)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Crear tabla de mensajes entrantes ya procesados (evita responder dos veces)
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS processed_messages (
+                    message_id VARCHAR(100) PRIMARY KEY,
+                    remote_jid VARCHAR(100),
+                    processed_at DATETIME NOT NULL,
+                    INDEX idx_processed_at (processed_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Crear tabla de archivos multimedia de las conversaciones
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS media (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    sha256 CHAR(64) NOT NULL,
+                    file_name VARCHAR(255) NOT NULL,
+                    original_name VARCHAR(255),
+                    mime_type VARCHAR(100),
+                    size INT,
+                    user_id VARCHAR(50),
+                    message_id VARCHAR(100),
+                    direction VARCHAR(10) DEFAULT 'incoming',
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_sha256 (sha256),
+                    INDEX idx_user_id (user_id),
+                    INDEX idx_message_id (message_id),
+                    INDEX idx_created_at (created_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Crear tabla de cotizaciones (copia de las naves y términos al momento de cotizar)
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS quotations (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    folio VARCHAR(30) UNIQUE,
+                    user_id VARCHAR(50) NOT NULL,
+                    items TEXT NOT NULL,
+                    client TEXT,
+                    total DECIMAL(15,2),
+                    currency VARCHAR(10),
+                    valid_until DATE,
+                    notes TEXT,
+                    media_id INT,
+                    message_id VARCHAR(100),
+                    created_by VARCHAR(255),
+                    sent_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_user_id (user_id),
+                    INDEX idx_created_at (created_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Crear tabla de reglas de disponibilidad de consultores
+            // (support_user_id NULL = horario general del equipo)
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS availability_rules (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    support_user_id INT,
+                    weekday TINYINT NOT NULL,
+                    start_time TIME NOT NULL,
+                    end_time TIME NOT NULL,
+                    slot_minutes INT DEFAULT 60,
+                    active BOOLEAN DEFAULT TRUE,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_weekday (weekday),
+                    INDEX idx_support_user (support_user_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Crear tabla de citas (horas guardadas en UTC)
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS appointments (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(50) NOT NULL,
+                    jid VARCHAR(100),
+                    contact_name VARCHAR(255),
+                    support_user_id INT,
+                    starts_at DATETIME NOT NULL,
+                    ends_at DATETIME NOT NULL,
+                    timezone VARCHAR(64),
+                    status VARCHAR(20) DEFAULT 'scheduled',
+                    notes TEXT,
+                    sequence INT DEFAULT 0,
+                    created_by VARCHAR(255),
+                    reminder_24h_sent_at DATETIME,
+                    reminder_1h_sent_at DATETIME,
+                    cancel_reason TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_user_id (user_id),
+                    INDEX idx_starts_at (starts_at),
+                    INDEX idx_status (status)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Un consultor (o el calendario general, 0) no puede tener dos citas activas a la misma hora,
+            // aunque dos reservas (la IA y un agente) lleguen a la vez; las canceladas no cuentan
+            try {
+                await this.addColumnIfMissing('appointments', 'active_consultant_id', "INT AS (IF(status = 'cancelled', NULL, COALESCE(support_user_id, 0))) STORED");
+                await this.addIndexIfMissing('appointments', 'uniq_active_slot', 'active_consultant_id, starts_at', 'UNIQUE INDEX');
+            } catch (error) {
+                console.error('Error creando restricción de horario único en citas:', error.message);
+            }
+
+            // Horario general por defecto: lunes a viernes de 9:00 a 18:00
+            const rulesExist = await database.findOne('availability_rules', '1=1');
+            if (!rulesExist) {
+                for (let weekday = 1; weekday <= 5; weekday++) {
+                    await database.insert('availability_rules', {
+                        support_user_id: null,
+                        weekday,
+                        start_time: '09:00:00',
+                        end_time: '18:00:00',
+                        slot_minutes: 60,
+                        active: true
+                    });
+                }
+                console.log('✅ Horario de citas por defecto creado (L-V 9:00 a 18:00)');
+            }
+
+            // Tabla de seguimientos activos (antes solo en migrations/001_create_follow_ups_table.sql)
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS follow_ups (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(255) NOT NULL UNIQUE,
+                    next_follow_up DATETIME NOT NULL,
+                    attempts INT DEFAULT 0,
+                    chat_id VARCHAR(255) NOT NULL,
+                    started_at DATETIME NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_user_id (user_id),
+                    INDEX idx_next_follow_up (next_follow_up)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Secuencia que sigue cada seguimiento (attempts = pasos ya enviados)
+            await this.addColumnIfMissing('follow_ups', 'sequence_id', 'INT');
+            // Borrador que espera aprobación de un agente antes de continuar
+            await this.addColumnIfMissing('follow_ups', 'awaiting_draft_id', 'INT');
+
+            // Crear tabla de secuencias de seguimiento
+            // stop_conditions: JSON con las condiciones que detienen la secuencia
+            // assignment_rules: JSON { stages, tags, chatType } para asignarla automáticamente
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS follow_up_sequences (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(255) NOT NULL,
+                    description TEXT,
+                    active BOOLEAN DEFAULT TRUE,
+                    is_default BOOLEAN DEFAULT FALSE,
+                    trigger_after_minutes INT DEFAULT 120,
+                    stop_conditions TEXT,
+                    assignment_rules TEXT,
+                    final_message TEXT,
+                    final_delay_minutes INT DEFAULT 1440,
+                    require_approval BOOLEAN DEFAULT FALSE,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Pasos de cada secuencia (delay_minutes cuenta desde el paso anterior)
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS follow_up_steps (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    sequence_id INT NOT NULL,
+                    step_order INT NOT NULL,
+                    delay_minutes INT NOT NULL,
+                    template TEXT NOT NULL,
+                    ai_personalized BOOLEAN DEFAULT FALSE,
+                    INDEX idx_sequence_id (sequence_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Mensajes de seguimiento pendientes de aprobación
+            // source: 'ai' (redactado por la IA) o 'template'; issues: JSON con los avisos de las validaciones
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS follow_up_drafts (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(255) NOT NULL,
+                    chat_id VARCHAR(255) NOT NULL,
+                    sequence_id INT,
+                    step_number INT,
+                    message TEXT,
+                    source VARCHAR(20),
+                    issues TEXT,
+                    status VARCHAR(20) DEFAULT 'pending',
+                    reviewed_by VARCHAR(255),
+                    reviewed_at DATETIME,
+                    sent_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_status (status),
+                    INDEX idx_user_id (user_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Asignación manual de una secuencia a un contacto
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS follow_up_assignments (
+                    user_id VARCHAR(255) PRIMARY KEY,
+                    sequence_id INT NOT NULL,
+                    assigned_by VARCHAR(255),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Crear tabla de campañas de difusión (audience: filtros JSON del público)
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS campaigns (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(255) NOT NULL,
+                    template TEXT NOT NULL,
+                    audience TEXT,
+                    status VARCHAR(20) DEFAULT 'draft',
+                    per_minute INT DEFAULT 6,
+                    scheduled_at DATETIME,
+                    started_at DATETIME,
+                    completed_at DATETIME,
+                    created_by VARCHAR(255),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_status (status)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Crear tabla de destinatarios de cada campaña con el mensaje ya personalizado
+            // status: pending, sent, delivered, read, failed o skipped
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS campaign_recipients (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    campaign_id INT NOT NULL,
+                    user_id VARCHAR(50) NOT NULL,
+                    jid VARCHAR(100),
+                    message TEXT,
+                    status VARCHAR(20) DEFAULT 'pending',
+                    message_id VARCHAR(100),
+                    error VARCHAR(255),
+                    sent_at DATETIME,
+                    delivered_at DATETIME,
+                    read_at DATETIME,
+                    UNIQUE KEY uniq_campaign_user (campaign_id, user_id),
+                    INDEX idx_campaign_status (campaign_id, status),
+                    INDEX idx_message_id (message_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Crear tabla de consentimiento: contactos que pidieron no recibir mensajes automáticos
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS contact_consent (
+                    user_id VARCHAR(50) PRIMARY KEY,
+                    opted_out BOOLEAN DEFAULT FALSE,
+                    source VARCHAR(20),
+                    keyword VARCHAR(100),
+                    updated_by VARCHAR(255),
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_opted_out (opted_out)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Historial de cambios de consentimiento (auditoría)
+            // action: opt_out u opt_in; source: keyword (mensaje del cliente) o agent
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS consent_events (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(50) NOT NULL,
+                    action VARCHAR(20) NOT NULL,
+                    source VARCHAR(20) NOT NULL,
+                    keyword VARCHAR(100),
+                    message TEXT,
+                    reason TEXT,
+                    performed_by VARCHAR(255),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_user_id (user_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Migrar la baja por etiqueta de campañas (CAMPAIGN_OPT_OUT_TAG) al registro de consentimiento.
+            // Solo contactos sin registro: si un agente ya cambió su consentimiento no se toca
+            try {
+                const optOutTag = (process.env.CAMPAIGN_OPT_OUT_TAG || 'no contactar').toLowerCase();
+                const tagged = await database.query(`
+                    SELECT c.user_id, c.tags
+                    FROM contacts c
+                    LEFT JOIN contact_consent cc ON cc.user_id = c.user_id
+                    WHERE cc.user_id IS NULL AND c.tags LIKE ?
+                `, [`%${optOutTag}%`]);
+
+                const performedBy = `etiqueta "${optOutTag}"`;
+                let migrated = 0;
+                for (const row of tagged) {
+                    const tags = JSON.parse(row.tags || '[]');
+                    if (!tags.some(tag => String(tag).toLowerCase() === optOutTag)) continue;
+
+                    await database.insert('contact_consent', {
+                        user_id: row.user_id,
+                        opted_out: true,
+                        source: 'agent',
+                        updated_by: performedBy
+                    });
+                    await database.insert('consent_events', {
+                        user_id: row.user_id,
+                        action: 'opt_out',
+                        source: 'agent',
+                        reason: 'Tenía la etiqueta de baja de campañas',
+                        performed_by: performedBy
+                    });
+                    migrated++;
+                }
+                if (migrated > 0) {
+                    console.log(`✅ ${migrated} contactos con la etiqueta "${optOutTag}" migrados a bajas`);
+                }
+            } catch (error) {
+                console.error('Error migrando bajas por etiqueta:', error.message);
+            }
+
+            // Último mensaje que cada agente vio de cada conversación (no leídos por agente)
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS conversation_reads (
+                    user_id VARCHAR(50) NOT NULL,
+                    agent_id INT NOT NULL,
+                    last_read_id INT NOT NULL DEFAULT 0,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, agent_id),
+                    INDEX idx_agent_id (agent_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Crear tabla de conversaciones (tickets): ciclo de vida de cada atención
+            // status: open, pending (esperando al cliente), resolved o closed
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS conversations (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    user_id VARCHAR(50) NOT NULL,
+                    channel VARCHAR(20) DEFAULT 'whatsapp',
+                    is_group BOOLEAN DEFAULT FALSE,
+                    status VARCHAR(20) NOT NULL DEFAULT 'open',
+                    assigned_agent_id INT,
+                    resolution_reason TEXT,
+                    closed_by VARCHAR(255),
+                    opened_at DATETIME NOT NULL,
+                    closed_at DATETIME,
+                    reopened_count INT DEFAULT 0,
+                    last_message_at DATETIME,
+                    posible_venta BOOLEAN DEFAULT FALSE,
+                    cita_agendada BOOLEAN DEFAULT FALSE,
+                    analyzed_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    INDEX idx_user_id (user_id),
+                    INDEX idx_status (status),
+                    INDEX idx_opened_at (opened_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Cada mensaje pertenece a una conversación
+            await this.addColumnIfMissing('conversation_logs', 'conversation_id', 'INT');
+            await this.addIndexIfMissing('conversation_logs', 'idx_conversation_id', 'conversation_id');
+
+            // Las marcas de ventas guardan la conversación en la que se registraron
+            // (sales_status la crea el módulo de ventas, puede no existir todavía)
+            if (await this.tableExists('sales_status')) {
+                await this.addColumnIfMissing('sales_status', 'conversation_id', 'INT');
+            }
+
+            // Migración: los logs anteriores quedan en una conversación cerrada por contacto
+            const conversationExists = await database.findOne('conversations', '1=1');
+            if (!conversationExists) {
+                // En una transacción: si el UPDATE falla no quedan conversaciones que
+                // hagan saltar la migración en el siguiente arranque
+                await database.transaction(async (connection) => {
+                    await connection.query(`
+                        INSERT INTO conversations (user_id, is_group, status, resolution_reason, opened_at, closed_at, last_message_at)
+                        SELECT user_id, COALESCE(MAX(is_group), 0), 'closed', 'Historial anterior', MIN(timestamp), MAX(timestamp), MAX(timestamp)
+                        FROM conversation_logs
+                        WHERE user_id IS NOT NULL AND conversation_id IS NULL
+                        GROUP BY user_id
+                    `);
+                    await connection.query(`
+                        UPDATE conversation_logs l
+                        JOIN conversations c ON c.user_id = l.user_id
+                        SET l.conversation_id = c.id
+                        WHERE l.conversation_id IS NULL
+                    `);
+                });
+                try {
+                    // Conservar en el reporte las marcas de ventas que antes eran por contacto
+                    await database.query(`
+                        UPDATE conversations c
+                        JOIN sales_status s ON s.user_id = c.user_id
+                        SET c.posible_venta = COALESCE(s.posible_venta, 0),
+                            c.cita_agendada = COALESCE(s.cita_agendada, 0),
+                            c.analyzed_at = IF(s.analizado_ia = 1, COALESCE(s.last_interaction, NOW()), NULL)
+                    `);
+                    await database.query(`
+                        UPDATE sales_status s
+                        JOIN conversations c ON c.user_id = s.user_id
+                        SET s.conversation_id = c.id
+                    `);
+                } catch (error) {
+                    console.error('Error migrando marcas de ventas a conversaciones:', error.message);
+                }
+                console.log('✅ Historial de mensajes agrupado en conversaciones');
+            }
+
+            // Asignación de conversaciones: disponibilidad (online, away, offline),
+            // equipo y habilidades de cada agente para el enrutamiento automático
+            await this.addColumnIfMissing('support_users', 'availability', "VARCHAR(20) DEFAULT 'offline'");
+            await this.addColumnIfMissing('support_users', 'team', 'VARCHAR(100)');
+            await this.addColumnIfMissing('support_users', 'skills', 'TEXT');
+            await this.addColumnIfMissing('support_users', 'last_assigned_at', 'DATETIME');
+            await this.addIndexIfMissing('conversations', 'idx_assigned_agent', 'assigned_agent_id, status');
+
+            // Historial de asignaciones de cada conversación
+            // method: manual, round_robin o least_busy; skill: habilidad o equipo que pidió la regla
+            await database.query(`
+                CREATE TABLE IF NOT EXISTS conversation_assignments (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    conversation_id INT NOT NULL,
+                    user_id VARCHAR(50) NOT NULL,
+                    agent_id INT,
+                    previous_agent_id INT,
+                    method VARCHAR(20) NOT NULL,
+                    skill VARCHAR(100),
+                    reason TEXT,
+                    assigned_by VARCHAR(255),
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_conversation_id (conversation_id),
+                    INDEX idx_agent_id (agent_id)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Secuencia por defecto con los mensajes que antes estaban fijos en followUpService
+            const sequenceExists = await database.findOne('follow_up_sequences', '1=1');
+            if (!sequenceExists) {
+                const sequenceId = await database.insert('follow_up_sequences', {
+                    name: 'Seguimiento general',
+                    description: 'Tres recordatorios cada 24 horas a clientes que dejan de responder',
+                    active: true,
+                    is_default: true,
+                    trigger_after_minutes: 120,
+                    stop_conditions: JSON.stringify(['replied', 'accepted', 'rejected', 'frustrated', 'appointment']),
+                    assignment_rules: JSON.stringify({}),
+                    final_message: 'Gracias por tu tiempo\n\nQuedo disponible si en el futuro necesitas multiplicar tu capacidad de atención\n\n¡Éxito! 👍',
+                    final_delay_minutes: 1440
+                });
+
+                const defaultSteps = [
+                    'Hola de nuevo {nombre} 👋\n\nVi que quedamos en pausa\n\n¿Sigues interesado en multiplicar tu capacidad de atención?\n\nSi no es buen momento, avísame y te contacto después',
+                    'Hola otra vez\n\nEntiendo que estás ocupado\n\nSolo te recuerdo que cada día sin esto siguen perdiendo leads\n\n¿Te sirve una llamada de 20 min esta semana?',
+                    'Último mensaje\n\nNo quiero saturarte, pero quería darte una última oportunidad\n\nSi no te interesa, está bien - avísame y no te molesto más\n\n¿Qué dices?'
+                ];
+                for (let i = 0; i < defaultSteps.length; i++) {
+                    await database.insert('follow_up_steps', {
+                        sequence_id: sequenceId,
+                        step_order: i + 1,
+                        delay_minutes: 1440,
+                        template: defaultSteps[i],
+                        ai_personalized: false
+                    });
+                }
+                console.log('✅ Secuencia de seguimiento por defecto creada');
+            }
+
+            // Resumen de la bandeja para los mensajes guardados antes de existir inbox_summaries
+            const summariesExist = await database.findOne('inbox_summaries', '1=1');
+            if (!summariesExist) {
+                const inboxService = require('./inboxService');
+                await inboxService.rebuildSummaries();
+            }
+
             // Insertar usuario admin por defecto si no existe
             const adminExists = await database.findOne('support_users', 'email = ?', ['admin@whatspanel.com']);
             if (!adminExists) {
@@ -105,6 +637,36 @@ class DatabaseInit {
             throw error;
         }
     }
+
+    // Columnas e índices para instalaciones existentes. Se consulta information_schema
+    // porque ADD COLUMN IF NOT EXISTS y CREATE INDEX IF NOT EXISTS solo existen en MariaDB
+    async addColumnIfMissing(table, column, definition) {
+        const rows = await database.query(
+            'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+            [table, column]
+        );
+        if (rows.length === 0) {
+            await database.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
+    async addIndexIfMissing(table, index, columns, kind = 'INDEX') {
+        const rows = await database.query(
+            'SELECT 1 FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+            [table, index]
+        );
+        if (rows.length === 0) {
+            await database.query(`CREATE ${kind} ${index} ON ${table} (${columns})`);
+        }
+    }
+
+    async tableExists(table) {
+        const rows = await database.query(
+            'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+            [table]
+        );
+        return rows.length > 0;
+    }
 }
 
 module.exports = new DatabaseInit();
\ No newline at end of file
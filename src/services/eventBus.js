@@ -0,0 +1,16 @@
+const EventEmitter = require('events');
+
+// Eventos en tiempo real para el panel (se envían por /api/events):
+// message, message_status, mode, whatsapp, follow_up, consent, conversation, assignment y agent
+class EventBus extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0); // Una suscripción por cada pestaña abierta del panel
+    }
+
+    publish(type, data = {}) {
+        this.emit('event', { type, data });
+    }
+}
+
+module.exports = new EventBus();
@@ -0,0 +1,269 @@
+const database = require('./database');
+const contactService = require('./contactService');
+const salesManager = require('./salesManager');
+
+// Condiciones que pueden detener una secuencia
+const STOP_CONDITIONS = {
+    replied: 'El cliente respondió',
+    accepted: 'El cliente aceptó la propuesta',
+    rejected: 'El cliente rechazó la propuesta',
+    frustrated: 'El cliente muestra frustración',
+    appointment: 'El cliente ya tiene reunión agendada',
+    human: 'La conversación pasó a modo humano o soporte'
+};
+
+// Secuencias de seguimiento (pasos con plantillas) editables desde el panel
+class FollowUpSequenceService {
+    constructor() {
+        this.sequences = new Map(); // id -> secuencia con sus pasos
+        this.assignments = new Map(); // userId -> sequenceId
+        this.loaded = false;
+    }
+
+    parseJson(value, fallback) {
+        try {
+            return value ? JSON.parse(value) : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    parseSequence(row, steps) {
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            active: Boolean(row.active),
+            isDefault: Boolean(row.is_default),
+            triggerAfterMinutes: row.trigger_after_minutes,
+            stopConditions: this.parseJson(row.stop_conditions, Object.keys(STOP_CONDITIONS)),
+            assignmentRules: this.parseJson(row.assignment_rules, {}),
+            finalMessage: row.final_message,
+            finalDelayMinutes: row.final_delay_minutes,
+            requireApproval: Boolean(row.require_approval),
+            steps: steps
+                .filter(step => step.sequence_id === row.id)
+                .sort((a, b) => a.step_order - b.step_order)
+                .map(step => ({
+                    id: step.id,
+                    delayMinutes: step.delay_minutes,
+                    template: step.template,
+                    aiPersonalized: Boolean(step.ai_personalized)
+                })),
+            updatedAt: row.updated_at
+        };
+    }
+
+    async load() {
+        try {
+            const rows = await database.findAll('follow_up_sequences', '1=1', [], 'id ASC');
+            const steps = await database.findAll('follow_up_steps');
+            const assignments = await database.findAll('follow_up_assignments');
+
+            this.sequences = new Map(rows.map(row => [row.id, this.parseSequence(row, steps)]));
+            this.assignments = new Map(assignments.map(row => [row.user_id, row.sequence_id]));
+            this.loaded = true;
+        } catch (error) {
+            console.error('Error cargando secuencias de seguimiento:', error);
+        }
+    }
+
+    async ensureLoaded() {
+        if (!this.loaded) {
+            await this.load();
+        }
+    }
+
+    getStopConditions() {
+        return STOP_CONDITIONS;
+    }
+
+    async getSequences() {
+        await this.ensureLoaded();
+        return Array.from(this.sequences.values());
+    }
+
+    async getSequence(id) {
+        await this.ensureLoaded();
+        return this.sequences.get(Number(id)) || null;
+    }
+
+    validate(data) {
+        if (!data.name || !String(data.name).trim()) {
+            throw new Error('La secuencia necesita un nombre');
+        }
+        if (!Array.isArray(data.steps) || data.steps.length === 0) {
+            throw new Error('La secuencia necesita al menos un paso');
+        }
+        data.steps.forEach((step, index) => {
+            if (!(parseInt(step.delayMinutes, 10) > 0)) {
+                throw new Error(`El paso ${index + 1} necesita un tiempo de espera mayor a 0`);
+            }
+            // También en los pasos con IA: la plantilla es el respaldo si su texto no pasa las validaciones
+            if (!String(step.template || '').trim()) {
+                throw new Error(`El paso ${index + 1} necesita un mensaje`);
+            }
+        });
+    }
+
+    /**
+     * Crea o actualiza una secuencia con sus pasos.
+     * data: { name, description, active, isDefault, triggerAfterMinutes, stopConditions,
+     *         assignmentRules, finalMessage, finalDelayMinutes, requireApproval,
+     *         steps: [{ delayMinutes, template, aiPersonalized }] }
+     * En los pasos con aiPersonalized la plantilla indica la intención del mensaje
+     * y se usa tal cual si el texto de la IA no pasa las validaciones.
+     */
+    async saveSequence(id, data) {
+        this.validate(data);
+
+        const row = {
+            name: String(data.name).trim(),
+            description: data.description || null,
+            active: data.active !== false,
+            is_default: Boolean(data.isDefault),
+            trigger_after_minutes: parseInt(data.triggerAfterMinutes, 10) || 120,
+            stop_conditions: JSON.stringify((data.stopConditions || []).filter(key => key in STOP_CONDITIONS)),
+            assignment_rules: JSON.stringify(data.assignmentRules || {}),
+            final_message: data.finalMessage ? String(data.finalMessage) : null,
+            final_delay_minutes: parseInt(data.finalDelayMinutes, 10) || 1440,
+            require_approval: Boolean(data.requireApproval)
+        };
+
+        // Solo puede haber una secuencia por defecto
+        if (row.is_default) {
+            await database.query('UPDATE follow_up_sequences SET is_default = FALSE');
+        }
+
+        let sequenceId = id ? Number(id) : null;
+        if (sequenceId) {
+            await database.update('follow_up_sequences', row, 'id = ?', [sequenceId]);
+            await database.query('DELETE FROM follow_up_steps WHERE sequence_id = ?', [sequenceId]);
+        } else {
+            sequenceId = await database.insert('follow_up_sequences', row);
+        }
+
+        for (let i = 0; i < data.steps.length; i++) {
+            const step = data.steps[i];
+            await database.insert('follow_up_steps', {
+                sequence_id: sequenceId,
+                step_order: i + 1,
+                delay_minutes: parseInt(step.delayMinutes, 10),
+                template: String(step.template || ''),
+                ai_personalized: Boolean(step.aiPersonalized)
+            });
+        }
+
+        await this.load();
+        console.log(`📝 Secuencia de seguimiento "${row.name}" guardada`);
+        return this.sequences.get(sequenceId);
+    }
+
+    async deleteSequence(id) {
+        const sequence = await this.getSequence(id);
+        if (!sequence) {
+            throw new Error('Secuencia no encontrada');
+        }
+        if (sequence.isDefault) {
+            throw new Error('No se puede eliminar la secuencia por defecto');
+        }
+
+        await database.query('DELETE FROM follow_up_steps WHERE sequence_id = ?', [sequence.id]);
+        await database.query('DELETE FROM follow_up_assignments WHERE sequence_id = ?', [sequence.id]);
+        await database.delete('follow_up_sequences', 'id = ?', [sequence.id]);
+        await this.load();
+    }
+
+    // ===== ASIGNACIÓN A CONTACTOS =====
+
+    async getAssignment(userId) {
+        await this.ensureLoaded();
+        return this.assignments.get(userId) || null;
+    }
+
+    // sequenceId null = volver a la asignación automática por reglas
+    async assignSequence(userId, sequenceId, assignedBy = null) {
+        if (sequenceId) {
+            const sequence = await this.getSequence(sequenceId);
+            if (!sequence) {
+                throw new Error('Secuencia no encontrada');
+            }
+
+            await database.query(
+                `INSERT INTO follow_up_assignments (user_id, sequence_id, assigned_by)
+                 VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE sequence_id = ?, assigned_by = ?`,
+                [userId, sequence.id, assignedBy, sequence.id, assignedBy]
+            );
+            this.assignments.set(userId, sequence.id);
+        } else {
+            await database.query('DELETE FROM follow_up_assignments WHERE user_id = ?', [userId]);
+            this.assignments.delete(userId);
+        }
+    }
+
+    matchesRules(rules, { stage, tags, isGroup }) {
+        const hasRules = (rules.stages && rules.stages.length > 0) ||
+            (rules.tags && rules.tags.length > 0) ||
+            (rules.chatType && rules.chatType !== 'all');
+        if (!hasRules) {
+            return false;
+        }
+
+        if (rules.stages && rules.stages.length > 0 && !rules.stages.includes(stage)) {
+            return false;
+        }
+        if (rules.tags && rules.tags.length > 0) {
+            const contactTags = tags.map(tag => tag.toLowerCase());
+            if (!rules.tags.some(tag => contactTags.includes(String(tag).toLowerCase()))) {
+                return false;
+            }
+        }
+        if (rules.chatType === 'individual' && isGroup) return false;
+        if (rules.chatType === 'group' && !isGroup) return false;
+
+        return true;
+    }
+
+    /**
+     * Secuencia que corresponde al contacto: la asignada manualmente, la primera
+     * cuyas reglas coincidan o la secuencia por defecto.
+     */
+    async resolveSequence(userId, chatId) {
+        await this.ensureLoaded();
+
+        const assignedId = this.assignments.get(userId);
+        if (assignedId) {
+            const assigned = this.sequences.get(assignedId);
+            if (assigned && assigned.active && assigned.steps.length > 0) {
+                return assigned;
+            }
+        }
+
+        const active = Array.from(this.sequences.values()).filter(sequence => sequence.active && sequence.steps.length > 0);
+        const contact = await contactService.getContact(userId);
+        const sale = await salesManager.getSaleStatus(userId);
+        const facts = {
+            stage: sale.stage,
+            tags: contact?.tags || [],
+            isGroup: Boolean(chatId && chatId.endsWith('@g.us'))
+        };
+
+        return active.find(sequence => this.matchesRules(sequence.assignmentRules, facts)) ||
+            active.find(sequence => sequence.isDefault) ||
+            null;
+    }
+
+    // ===== PLANTILLAS =====
+
+    /**
+     * Reemplaza las variables de la plantilla: las del contacto ({nombre}, {empresa},
+     * {ciudad}, {m2}, {presupuesto}) y {intento}. Las variables sin dato quedan vacías.
+     */
+    async renderTemplate(template, userId, attempt) {
+        const contact = await contactService.getContact(userId);
+        return contactService.renderTemplate(template, contact, { intento: String(attempt) });
+    }
+}
+
+module.exports = new FollowUpSequenceService();
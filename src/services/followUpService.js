@@ -1,14 +1,29 @@
 const database = require('./database');
 const logger = require('./logger');
-const aiService = require('./aiService');
-const config = require('../config/config');
-
+const llmClient = require('./llmClient');
+const humanModeManager = require('./humanModeManager');
+const salesManager = require('./salesManager');
+const followUpSequenceService = require('./followUpSequenceService');
+const followUpWriter = require('./followUpWriter');
+const businessHoursService = require('./businessHoursService');
+const consentService = require('./consentService');
+const eventBus = require('./eventBus');
+
+// Resultado del análisis de la respuesta -> condición de detención de la secuencia
+const ANALYSIS_CONDITIONS = {
+    ACEPTADO: { condition: 'accepted', result: 'ACCEPTED', reason: 'Cliente aceptó el trato' },
+    RECHAZADO: { condition: 'rejected', result: 'REJECTED', reason: 'Cliente rechazó el trato' },
+    FRUSTRADO: { condition: 'frustrated', result: 'FRUSTRATED', reason: 'Cliente muestra frustración' }
+};
+
+// Ejecuta las secuencias de seguimiento (definidas en followUpSequenceService)
+// para los clientes que dejan de responder
 class FollowUpService {
     constructor() {
-        this.followUps = new Map(); // userId -> { nextFollowUp, attempts, chatId }
-        this.checkInterval = 60 * 60 * 1000; // Revisar cada hora
-        this.followUpInterval = 24 * 60 * 60 * 1000; // 24 horas
-        this.maxAttempts = 3; // Máximo 3 seguimientos
+        this.followUps = new Map(); // userId -> { nextFollowUp, attempts, chatId, startedAt, sequenceId, awaitingDraftId }
+        this.triggeredAt = new Map(); // userId -> lastActivity de la sesión que ya generó un seguimiento
+        this.closedBy = new Map(); // userId -> condición (accepted/rejected/frustrated) hasta que vuelva a escribir
+        this.checkInterval = 5 * 60 * 1000; // Revisar cada 5 minutos
         this.immediateRetries = 3; // Reintentos inmediatos al fallar
         this.retryDelay = 30 * 1000; // 30 segundos entre reintentos
     }
@@ -35,34 +50,84 @@ class FollowUpService {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    /**
+     * Inicia el seguimiento cuando la conversación lleva inactiva el tiempo
+     * configurado en la secuencia del contacto (una sola vez por periodo de inactividad)
+     */
+    async startIfInactive(userId, chatId, lastActivity) {
+        if (this.followUps.has(userId) || this.triggeredAt.get(userId) === lastActivity) {
+            return false;
+        }
+
+        const sequence = await followUpSequenceService.resolveSequence(userId, chatId);
+        if (!sequence || Date.now() - lastActivity < sequence.triggerAfterMinutes * 60 * 1000) {
+            return false;
+        }
+
+        // Si el cliente aceptó, rechazó o se frustró no se le vuelve a escribir hasta que responda
+        const closedBy = this.closedBy.get(userId);
+        if (closedBy && sequence.stopConditions.includes(closedBy)) {
+            this.triggeredAt.set(userId, lastActivity);
+            return false;
+        }
+
+        // Pidió no recibir mensajes automáticos (palabra de baja o bloqueo de un agente)
+        if (await consentService.isOptedOut(userId)) {
+            this.triggeredAt.set(userId, lastActivity);
+            return false;
+        }
+
+        this.triggeredAt.set(userId, lastActivity);
+        await this.startFollowUp(userId, chatId, sequence);
+        return true;
+    }
+
     /**
      * Inicia un seguimiento para un usuario que dejó de responder
      */
-    async startFollowUp(userId, chatId) {
+    async startFollowUp(userId, chatId, sequence = null) {
+        sequence = sequence || await followUpSequenceService.resolveSequence(userId, chatId);
+        if (!sequence) {
+            console.log(`⚠️ No hay secuencia de seguimiento activa para ${userId}`);
+            return;
+        }
+        if (await consentService.isOptedOut(userId)) {
+            throw new Error('El contacto pidió no recibir mensajes automáticos');
+        }
+
         const now = Date.now();
-        const nextFollowUp = now + this.followUpInterval;
+        const delayMinutes = sequence.steps[0].delayMinutes;
+        const nextFollowUp = now + delayMinutes * 60 * 1000;
 
         this.followUps.set(userId, {
             nextFollowUp,
             attempts: 0,
             chatId,
-            startedAt: now
+            startedAt: now,
+            sequenceId: sequence.id,
+            awaitingDraftId: null
         });
 
-        console.log(`🚀 Seguimiento iniciado para ${userId} - próximo mensaje en ${this.followUpInterval / 60000} minutos`);
+        console.log(`🚀 Seguimiento "${sequence.name}" iniciado para ${userId} - próximo mensaje en ${delayMinutes} minutos`);
 
         // Guardar en BD
         try {
             await database.query(
-                `INSERT INTO follow_ups (user_id, next_follow_up, attempts, chat_id, started_at)
-                 VALUES (?, ?, ?, ?, ?)
+                `INSERT INTO follow_ups (user_id, next_follow_up, attempts, chat_id, started_at, sequence_id)
+                 VALUES (?, ?, ?, ?, ?, ?)
                  ON DUPLICATE KEY UPDATE
-                 next_follow_up = ?, attempts = ?, chat_id = ?, started_at = ?`,
-                [userId, new Date(nextFollowUp), 0, chatId, new Date(now),
-                 new Date(nextFollowUp), 0, chatId, new Date(now)]
+                 next_follow_up = ?, attempts = ?, chat_id = ?, started_at = ?, sequence_id = ?, awaiting_draft_id = NULL`,
+                [userId, new Date(nextFollowUp), 0, chatId, new Date(now), sequence.id,
+                 new Date(nextFollowUp), 0, chatId, new Date(now), sequence.id]
+            );
+            // Si se reinicia una secuencia, los mensajes por aprobar de la anterior ya no aplican
+            await database.query(
+                "UPDATE follow_up_drafts SET status = 'cancelled' WHERE user_id = ? AND status = 'pending'",
+                [userId]
             );
 
-            await logger.log('SYSTEM', `Seguimiento iniciado - próximo mensaje en ${this.followUpInterval / 60000} min`, userId);
+            await logger.log('SYSTEM', `Seguimiento "${sequence.name}" iniciado - próximo mensaje en ${delayMinutes} min`, userId);
+            this.publish(userId, 'started', { sequenceId: sequence.id, nextFollowUp: new Date(nextFollowUp).toISOString() });
         } catch (error) {
             console.error('Error guardando seguimiento en BD:', error);
         }
@@ -77,13 +142,45 @@ class FollowUpService {
 
             try {
                 await database.query('DELETE FROM follow_ups WHERE user_id = ?', [userId]);
+                await database.query(
+                    "UPDATE follow_up_drafts SET status = 'cancelled' WHERE user_id = ? AND status = 'pending'",
+                    [userId]
+                );
                 await logger.log('SYSTEM', `Seguimiento cancelado: ${reason}`, userId);
+                this.publish(userId, 'stopped', { reason });
             } catch (error) {
                 console.error('Error eliminando seguimiento de BD:', error);
             }
         }
     }
 
+    /**
+     * Detiene el seguimiento activo si la condición está entre las de su secuencia
+     */
+    async stopFollowUp(userId, condition, reason) {
+        const followUp = this.followUps.get(userId);
+        if (!followUp) {
+            return false;
+        }
+
+        const sequence = await followUpSequenceService.getSequence(followUp.sequenceId);
+        if (sequence && !sequence.stopConditions.includes(condition)) {
+            return false;
+        }
+
+        await this.cancelFollowUp(userId, reason);
+        return true;
+    }
+
+    /**
+     * Mensaje entrante del cliente: se olvida el cierre anterior y se detiene
+     * el seguimiento si la secuencia se detiene cuando el cliente responde
+     */
+    async onUserMessage(userId) {
+        this.closedBy.delete(userId);
+        await this.stopFollowUp(userId, 'replied', 'Cliente respondió');
+    }
+
     /**
      * Verifica si un usuario tiene seguimiento activo
      */
@@ -91,6 +188,13 @@ class FollowUpService {
         return this.followUps.has(userId);
     }
 
+    /**
+     * Aviso al panel (/api/events). action: started, sent, stopped, draft o draft_reviewed
+     */
+    publish(userId, action, data = {}) {
+        eventBus.publish('follow_up', { userId, action, ...data });
+    }
+
     /**
      * Analiza el mensaje del usuario para determinar si debe detenerse el seguimiento
      */
@@ -113,19 +217,15 @@ Responde ÚNICAMENTE con una de estas palabras: ACEPTADO, RECHAZADO, FRUSTRADO,
                 }
             ];
 
-            const analysis = await aiService.generateResponse(analysisPrompt);
+            const analysis = await llmClient.complete(analysisPrompt, 'classification');
             const status = analysis.trim().toUpperCase();
 
             // Detener seguimiento según análisis
-            if (status === 'ACEPTADO') {
-                await this.cancelFollowUp(userId, 'Cliente aceptó el trato');
-                return 'ACCEPTED';
-            } else if (status === 'RECHAZADO') {
-                await this.cancelFollowUp(userId, 'Cliente rechazó el trato');
-                return 'REJECTED';
-            } else if (status === 'FRUSTRADO') {
-                await this.cancelFollowUp(userId, 'Cliente muestra frustración');
-                return 'FRUSTRATED';
+            const match = ANALYSIS_CONDITIONS[status];
+            if (match) {
+                this.closedBy.set(userId, match.condition);
+                await this.stopFollowUp(userId, match.condition, match.reason);
+                return match.result;
             }
 
             return 'CONTINUE';
@@ -136,39 +236,241 @@ Responde ÚNICAMENTE con una de estas palabras: ACEPTADO, RECHAZADO, FRUSTRADO,
     }
 
     /**
-     * Genera mensaje de seguimiento apropiado según el número de intento
+     * Condiciones que se revisan antes de cada envío (la respuesta del cliente
+     * y el análisis de IA se revisan al recibir su mensaje). La baja del cliente
+     * detiene cualquier secuencia, sin importar sus condiciones.
+     */
+    async getPendingStopReason(userId, sequence) {
+        if (await consentService.isOptedOut(userId)) {
+            return 'Cliente pidió no recibir mensajes';
+        }
+
+        if (sequence.stopConditions.includes('appointment')) {
+            const sale = await salesManager.getSaleStatus(userId);
+            if (sale.citaAgendada) {
+                return 'Cliente ya tiene reunión agendada';
+            }
+        }
+
+        if (sequence.stopConditions.includes('human')) {
+            const isHuman = await humanModeManager.isHumanMode(userId);
+            const isSupport = await humanModeManager.isSupportMode(userId);
+            if (isHuman || isSupport) {
+                return 'Conversación en modo humano o soporte';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Mensaje del paso actual: redactado por la IA si el paso lo indica (con la
+     * plantilla como respaldo) o la plantilla con las variables del contacto.
+     * Retorna { text, source, aiText, issues }
+     */
+    async buildStepMessage(step, userId, attempt, totalSteps) {
+        if (step.aiPersonalized) {
+            return await followUpWriter.compose({ userId, step, attempt, totalSteps });
+        }
+
+        const text = await followUpSequenceService.renderTemplate(step.template, userId, attempt);
+        return { text, source: 'template', aiText: null, issues: [] };
+    }
+
+    /**
+     * Programa el siguiente paso (o la despedida) a partir de ahora
+     */
+    async scheduleNextStep(userId, followUp, sequence) {
+        const nextStep = sequence.steps[followUp.attempts];
+        const delayMinutes = nextStep ? nextStep.delayMinutes : sequence.finalDelayMinutes;
+
+        followUp.awaitingDraftId = null;
+        followUp.nextFollowUp = Date.now() + delayMinutes * 60 * 1000;
+        this.followUps.set(userId, followUp);
+
+        try {
+            await database.query(
+                'UPDATE follow_ups SET attempts = ?, next_follow_up = ?, awaiting_draft_id = NULL WHERE user_id = ?',
+                [followUp.attempts, new Date(followUp.nextFollowUp), userId]
+            );
+        } catch (error) {
+            console.error('Error programando siguiente seguimiento:', error);
+        }
+    }
+
+    /**
+     * Pospone el envío a la siguiente apertura del horario de atención.
+     * Sin ninguna apertura próxima se vuelve a revisar en 24 horas.
+     */
+    async deferFollowUp(userId, followUp, allowedAt) {
+        followUp.nextFollowUp = allowedAt ? allowedAt.getTime() : Date.now() + 24 * 60 * 60 * 1000;
+        this.followUps.set(userId, followUp);
+
+        try {
+            await database.query(
+                'UPDATE follow_ups SET next_follow_up = ? WHERE user_id = ?',
+                [new Date(followUp.nextFollowUp), userId]
+            );
+        } catch (error) {
+            console.error('Error posponiendo seguimiento:', error);
+        }
+
+        console.log(`🌙 Fuera de horario - seguimiento de ${userId} pospuesto a ${new Date(followUp.nextFollowUp).toISOString()}`);
+    }
+
+    // ===== APROBACIÓN DE MENSAJES =====
+
+    /**
+     * Guarda el mensaje del paso como borrador para que un agente lo apruebe.
+     * La secuencia queda en pausa hasta que se apruebe o se descarte.
      */
-    getFollowUpMessage(attempts) {
-        const messages = [
-            // Primer seguimiento (24h)
-            `Hola de nuevo 👋
+    async createDraft(userId, followUp, sequence, composed) {
+        const draftId = await database.insert('follow_up_drafts', {
+            user_id: userId,
+            chat_id: followUp.chatId,
+            sequence_id: sequence.id,
+            step_number: followUp.attempts + 1,
+            // Si la IA no pasó las validaciones pero no hay plantilla, el agente corrige el texto de la IA
+            message: composed.text || composed.aiText || '',
+            source: composed.text ? composed.source : 'ai',
+            issues: JSON.stringify(composed.issues),
+            status: 'pending'
+        });
 
-Vi que quedamos en pausa
+        followUp.attempts++;
+        followUp.awaitingDraftId = draftId;
+        this.followUps.set(userId, followUp);
+
+        await database.query(
+            'UPDATE follow_ups SET attempts = ?, awaiting_draft_id = ? WHERE user_id = ?',
+            [followUp.attempts, draftId, userId]
+        );
+        await logger.log('SYSTEM', `Seguimiento "${sequence.name}" (paso ${followUp.attempts}/${sequence.steps.length}) en espera de aprobación`, userId);
+        console.log(`📝 Borrador de seguimiento ${draftId} para ${userId} en espera de aprobación`);
+        this.publish(userId, 'draft', { draftId });
+    }
 
-¿Sigues interesado en multiplicar tu capacidad de atención?
+    async getDrafts(status = 'pending') {
+        const rows = await database.query(`
+            SELECT d.*, s.name AS sequence_name, c.name AS contact_name, c.display_name
+            FROM follow_up_drafts d
+            LEFT JOIN follow_up_sequences s ON s.id = d.sequence_id
+            LEFT JOIN contacts c ON c.user_id = d.user_id
+            WHERE d.status = ?
+            ORDER BY d.created_at ASC
+            LIMIT 200
+        `, [status]);
+
+        return rows.map(row => ({
+            id: row.id,
+            userId: row.user_id,
+            chatId: row.chat_id,
+            contactName: row.contact_name || row.display_name || null,
+            sequenceId: row.sequence_id,
+            sequenceName: row.sequence_name,
+            stepNumber: row.step_number,
+            message: row.message,
+            source: row.source,
+            issues: JSON.parse(row.issues || '[]'),
+            status: row.status,
+            reviewedBy: row.reviewed_by,
+            createdAt: row.created_at
+        }));
+    }
 
-Si no es buen momento, avísame y te contacto después`,
+    async getPendingDraft(draftId) {
+        const draft = await database.findOne('follow_up_drafts', 'id = ?', [draftId]);
+        if (!draft || draft.status !== 'pending') {
+            throw new Error('El mensaje ya fue revisado o el seguimiento terminó');
+        }
 
-            // Segundo seguimiento (48h)
-            `Hola otra vez
+        const followUp = this.followUps.get(draft.user_id);
+        if (!followUp || followUp.awaitingDraftId !== draft.id) {
+            await database.update('follow_up_drafts', { status: 'cancelled' }, 'id = ?', [draft.id]);
+            throw new Error('El seguimiento de este contacto ya terminó');
+        }
 
-Entiendo que estás ocupado
+        return { draft, followUp };
+    }
 
-Solo te recuerdo que cada día sin esto siguen perdiendo leads
+    /**
+     * Envía el mensaje aprobado (con las correcciones del agente) y continúa la secuencia
+     */
+    async approveDraft(draftId, message, reviewedBy) {
+        const { draft, followUp } = await this.getPendingDraft(draftId);
+        const text = String(message || draft.message || '').trim();
+        if (!text) {
+            throw new Error('El mensaje está vacío');
+        }
 
-¿Te sirve una llamada de 20 min esta semana?`,
+        const sequence = await followUpSequenceService.getSequence(followUp.sequenceId);
+        const stopReason = sequence ? await this.getPendingStopReason(draft.user_id, sequence) : 'La secuencia ya no existe';
+        if (stopReason) {
+            await this.cancelFollowUp(draft.user_id, stopReason);
+            throw new Error(`No se envió: ${stopReason}`);
+        }
 
-            // Tercer y último seguimiento (72h)
-            `Último mensaje
+        const sock = global.whatsappBot && global.whatsappBot.sock;
+        if (!this.isSocketConnected(sock)) {
+            throw new Error('El cliente de WhatsApp no está conectado');
+        }
 
-No quiero saturarte, pero quería darte una última oportunidad
+        // Sin el horario de atención: lo envía un agente que lo revisó en ese momento, igual
+        // que un mensaje escrito desde el panel (solo los envíos automáticos esperan la apertura)
+        await this.claimDraft(draft.id, 'sending');
+        try {
+            await sock.sendMessage(draft.chat_id, { text });
+        } catch (error) {
+            await database.update('follow_up_drafts', { status: 'pending' }, 'id = ?', [draft.id]);
+            throw error;
+        }
+        await logger.log('BOT', text, draft.user_id);
+
+        await database.update('follow_up_drafts', {
+            message: text,
+            status: 'sent',
+            reviewed_by: reviewedBy,
+            reviewed_at: new Date(),
+            sent_at: new Date()
+        }, 'id = ?', [draft.id]);
+
+        await this.scheduleNextStep(draft.user_id, followUp, sequence);
+        await logger.log('SYSTEM', `Seguimiento "${sequence.name}" aprobado por ${reviewedBy} y enviado (paso ${draft.step_number}/${sequence.steps.length})`, draft.user_id);
+        this.publish(draft.user_id, 'draft_reviewed', { draftId: draft.id, approved: true });
+    }
 
-Si no te interesa, está bien - avísame y no te molesto más
+    /**
+     * Toma el borrador para revisarlo: solo una aprobación o descarte puede pasar de pending
+     * a otro estado, aunque dos agentes lo revisen a la vez
+     */
+    async claimDraft(draftId, status) {
+        const result = await database.update('follow_up_drafts', { status }, "id = ? AND status = 'pending'", [draftId]);
+        if (result.affectedRows === 0) {
+            throw new Error('El mensaje ya fue revisado o el seguimiento terminó');
+        }
+    }
 
-¿Qué dices?`
-        ];
+    /**
+     * Descarta el mensaje; la secuencia continúa con el siguiente paso
+     */
+    async rejectDraft(draftId, reviewedBy) {
+        const { draft, followUp } = await this.getPendingDraft(draftId);
+
+        await this.claimDraft(draft.id, 'rejected');
+        await database.update('follow_up_drafts', {
+            reviewed_by: reviewedBy,
+            reviewed_at: new Date()
+        }, 'id = ?', [draft.id]);
+
+        const sequence = await followUpSequenceService.getSequence(followUp.sequenceId);
+        if (!sequence) {
+            await this.cancelFollowUp(draft.user_id, 'La secuencia ya no existe');
+            return;
+        }
 
-        return messages[Math.min(attempts, messages.length - 1)];
+        await this.scheduleNextStep(draft.user_id, followUp, sequence);
+        await logger.log('SYSTEM', `Seguimiento (paso ${draft.step_number}) descartado por ${reviewedBy}`, draft.user_id);
+        this.publish(draft.user_id, 'draft_reviewed', { draftId: draft.id, approved: false });
     }
 
     /**
@@ -179,113 +481,146 @@ Si no te interesa, está bien - avísame y no te molesto más
 
         console.log(`🔍 Revisando seguimientos pendientes... (${this.followUps.size} activos)`);
 
-        if (this.followUps.size > 0) {
-            for (const [userId, followUp] of this.followUps.entries()) {
-                const timeRemaining = followUp.nextFollowUp - now;
-                const minutesRemaining = Math.floor(timeRemaining / 60000);
-                console.log(`  - Usuario ${userId}: ${minutesRemaining} minutos restantes, intento ${followUp.attempts}/${this.maxAttempts}`);
+        for (const [userId, followUp] of this.followUps.entries()) {
+            // Verificar si es momento de enviar seguimiento (y que no espere aprobación)
+            if (followUp.awaitingDraftId || now < followUp.nextFollowUp) {
+                continue;
             }
-        }
 
-        for (const [userId, followUp] of this.followUps.entries()) {
-            // Verificar si es momento de enviar seguimiento
-            if (now >= followUp.nextFollowUp) {
-                console.log(`⏰ Es momento de enviar seguimiento a ${userId}`);
+            const sequence = await followUpSequenceService.getSequence(followUp.sequenceId);
+            if (!sequence || !sequence.active) {
+                await this.cancelFollowUp(userId, 'La secuencia ya no existe o está desactivada');
+                continue;
+            }
 
-                // Verificar si alcanzó máximo de intentos
-                if (followUp.attempts >= this.maxAttempts) {
-                    await this.cancelFollowUp(userId, 'Máximo de intentos alcanzado');
+            const stopReason = await this.getPendingStopReason(userId, sequence);
+            if (stopReason) {
+                await this.cancelFollowUp(userId, stopReason);
+                continue;
+            }
 
-                    // Enviar mensaje final de despedida
-                    try {
-                        const finalMessage = `Gracias por tu tiempo
+            // Fuera del horario de atención: posponer a la siguiente apertura
+            const allowedAt = await businessHoursService.getNextAllowedTime(new Date(now));
+            if (!allowedAt || allowedAt.getTime() > now) {
+                await this.deferFollowUp(userId, followUp, allowedAt);
+                continue;
+            }
 
-Quedo disponible si en el futuro necesitas multiplicar tu capacidad de atención
+            console.log(`⏰ Es momento de enviar seguimiento a ${userId}`);
 
-¡Éxito! 👍`;
+            // Se enviaron todos los pasos: mensaje final de despedida
+            if (followUp.attempts >= sequence.steps.length) {
+                await this.cancelFollowUp(userId, 'Secuencia completada');
 
+                if (sequence.finalMessage) {
+                    try {
+                        const finalMessage = await followUpSequenceService.renderTemplate(sequence.finalMessage, userId, followUp.attempts);
                         await sock.sendMessage(followUp.chatId, { text: finalMessage });
                         await logger.log('BOT', finalMessage, userId);
                     } catch (error) {
                         console.error('Error enviando mensaje final:', error);
                     }
-                    continue;
                 }
+                continue;
+            }
 
-                // Enviar mensaje de seguimiento con sistema de reintentos
-                const followUpMessage = this.getFollowUpMessage(followUp.attempts);
-                console.log(`📨 Enviando mensaje de seguimiento (intento ${followUp.attempts + 1}/${this.maxAttempts}) a ${userId}`);
-
-                // Incrementar intento y guardar en BD ANTES de enviar
-                followUp.attempts++;
-                const nextFollowUpTime = now + this.followUpInterval;
+            // Enviar mensaje de seguimiento con sistema de reintentos
+            const step = sequence.steps[followUp.attempts];
+            const composed = await this.buildStepMessage(step, userId, followUp.attempts + 1, sequence.steps.length);
 
+            if (sequence.requireApproval) {
                 try {
-                    await database.query(
-                        `UPDATE follow_ups
-                         SET attempts = ?, next_follow_up = ?
-                         WHERE user_id = ?`,
-                        [followUp.attempts, new Date(nextFollowUpTime), userId]
-                    );
-                } catch (dbError) {
-                    console.error('Error actualizando intento en BD:', dbError);
+                    await this.createDraft(userId, followUp, sequence, composed);
+                } catch (error) {
+                    console.error('Error guardando borrador de seguimiento:', error);
                 }
+                continue;
+            }
 
-                let messageSent = false;
-                let lastError = null;
-
-                // Intentar enviar con reintentos inmediatos
-                for (let retry = 0; retry < this.immediateRetries; retry++) {
-                    try {
-                        // Verificar conexión antes de cada intento
-                        if (!this.isSocketConnected(sock)) {
-                            throw new Error('Socket desconectado');
-                        }
+            // Paso con IA sin texto válido ni plantilla de respaldo: se omite
+            if (!composed.text) {
+                followUp.attempts++;
+                await this.scheduleNextStep(userId, followUp, sequence);
+                await logger.log('SYSTEM', `Seguimiento (paso ${followUp.attempts}) omitido: ${composed.issues.join('; ')}`, userId);
+                continue;
+            }
 
-                        await sock.sendMessage(followUp.chatId, { text: followUpMessage });
-                        await logger.log('BOT', followUpMessage, userId);
+            const followUpMessage = composed.text;
+            console.log(`📨 Enviando mensaje de seguimiento (paso ${followUp.attempts + 1}/${sequence.steps.length}) a ${userId}`);
 
-                        messageSent = true;
-                        console.log(`✅ Seguimiento enviado exitosamente. Próximo mensaje en ${this.followUpInterval / 60000} minutos`);
+            // Incrementar intento y guardar en BD ANTES de enviar
+            followUp.attempts++;
+            const nextStep = sequence.steps[followUp.attempts];
+            const nextDelayMinutes = nextStep ? nextStep.delayMinutes : sequence.finalDelayMinutes;
+            const nextFollowUpTime = now + nextDelayMinutes * 60 * 1000;
 
-                        // Actualizar seguimiento
-                        followUp.nextFollowUp = nextFollowUpTime;
-                        this.followUps.set(userId, followUp);
+            try {
+                await database.query(
+                    `UPDATE follow_ups
+                     SET attempts = ?, next_follow_up = ?
+                     WHERE user_id = ?`,
+                    [followUp.attempts, new Date(nextFollowUpTime), userId]
+                );
+            } catch (dbError) {
+                console.error('Error actualizando intento en BD:', dbError);
+            }
 
-                        await logger.log('SYSTEM', `Seguimiento enviado (intento ${followUp.attempts}/${this.maxAttempts})`, userId);
-                        break;
+            let messageSent = false;
+            let lastError = null;
 
-                    } catch (error) {
-                        lastError = error;
-                        console.error(`❌ Error en intento ${retry + 1}/${this.immediateRetries}:`, error.message || error);
-
-                        // Si no es el último intento, esperar antes de reintentar
-                        if (retry < this.immediateRetries - 1) {
-                            console.log(`⏳ Reintentando en ${this.retryDelay / 1000} segundos...`);
-                            await this.sleep(this.retryDelay);
-                        }
+            // Intentar enviar con reintentos inmediatos
+            for (let retry = 0; retry < this.immediateRetries; retry++) {
+                try {
+                    // Verificar conexión antes de cada intento
+                    if (!this.isSocketConnected(sock)) {
+                        throw new Error('Socket desconectado');
                     }
-                }
 
-                // Si después de todos los reintentos no se pudo enviar
-                if (!messageSent) {
-                    console.error(`❌ No se pudo enviar seguimiento después de ${this.immediateRetries} intentos`);
+                    await sock.sendMessage(followUp.chatId, { text: followUpMessage });
+                    await logger.log('BOT', followUpMessage, userId);
+
+                    messageSent = true;
+                    console.log(`✅ Seguimiento enviado exitosamente. Próximo mensaje en ${nextDelayMinutes} minutos`);
 
-                    // Postponer 10 minutos para el siguiente ciclo de verificación
-                    followUp.nextFollowUp = now + (10 * 60 * 1000);
+                    // Actualizar seguimiento
+                    followUp.nextFollowUp = nextFollowUpTime;
                     this.followUps.set(userId, followUp);
 
-                    try {
-                        await database.query(
-                            `UPDATE follow_ups SET next_follow_up = ? WHERE user_id = ?`,
-                            [new Date(followUp.nextFollowUp), userId]
-                        );
-                    } catch (dbError) {
-                        console.error('Error postponiendo seguimiento en BD:', dbError);
+                    await logger.log('SYSTEM', `Seguimiento "${sequence.name}" enviado (paso ${followUp.attempts}/${sequence.steps.length})`, userId);
+                    this.publish(userId, 'sent', { step: followUp.attempts, nextFollowUp: new Date(nextFollowUpTime).toISOString() });
+                    break;
+
+                } catch (error) {
+                    lastError = error;
+                    console.error(`❌ Error en intento ${retry + 1}/${this.immediateRetries}:`, error.message || error);
+
+                    // Si no es el último intento, esperar antes de reintentar
+                    if (retry < this.immediateRetries - 1) {
+                        console.log(`⏳ Reintentando en ${this.retryDelay / 1000} segundos...`);
+                        await this.sleep(this.retryDelay);
                     }
+                }
+            }
+
+            // Si después de todos los reintentos no se pudo enviar
+            if (!messageSent) {
+                console.error(`❌ No se pudo enviar seguimiento después de ${this.immediateRetries} intentos`);
 
-                    await logger.log('SYSTEM', `Error enviando seguimiento, reintentando en 10 min. Error: ${lastError?.message}`, userId);
+                // Repetir el mismo paso en 10 minutos
+                followUp.attempts--;
+                followUp.nextFollowUp = now + (10 * 60 * 1000);
+                this.followUps.set(userId, followUp);
+
+                try {
+                    await database.query(
+                        `UPDATE follow_ups SET attempts = ?, next_follow_up = ? WHERE user_id = ?`,
+                        [followUp.attempts, new Date(followUp.nextFollowUp), userId]
+                    );
+                } catch (dbError) {
+                    console.error('Error postponiendo seguimiento en BD:', dbError);
                 }
+
+                await logger.log('SYSTEM', `Error enviando seguimiento, reintentando en 10 min. Error: ${lastError?.message}`, userId);
             }
         }
     }
@@ -295,14 +630,24 @@ Quedo disponible si en el futuro necesitas multiplicar tu capacidad de atención
      */
     async loadFollowUpsFromDB() {
         try {
-            const results = await database.query('SELECT * FROM follow_ups WHERE attempts < ?', [this.maxAttempts]);
+            await followUpSequenceService.load();
+            const results = await database.query('SELECT * FROM follow_ups');
 
             for (const row of results) {
+                // Seguimientos anteriores a las secuencias usan la secuencia que corresponda al contacto
+                let sequenceId = row.sequence_id;
+                if (!sequenceId) {
+                    const sequence = await followUpSequenceService.resolveSequence(row.user_id, row.chat_id);
+                    sequenceId = sequence ? sequence.id : null;
+                }
+
                 this.followUps.set(row.user_id, {
                     nextFollowUp: new Date(row.next_follow_up).getTime(),
                     attempts: row.attempts,
                     chatId: row.chat_id,
-                    startedAt: new Date(row.started_at).getTime()
+                    startedAt: new Date(row.started_at).getTime(),
+                    sequenceId,
+                    awaitingDraftId: row.awaiting_draft_id || null
                 });
             }
 
@@ -319,7 +664,7 @@ Quedo disponible si en el futuro necesitas multiplicar tu capacidad de atención
         // Cargar seguimientos existentes
         this.loadFollowUpsFromDB();
 
-        // Procesar cada hora
+        // Procesar cada 5 minutos
         setInterval(() => {
             this.processFollowUps(sock);
         }, this.checkInterval);
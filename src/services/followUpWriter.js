@@ -0,0 +1,183 @@
+const config = require('../config/config');
+const llmClient = require('./llmClient');
+const csvService = require('./csvService');
+const contactService = require('./contactService');
+const navesRetriever = require('./navesRetriever');
+const quotationService = require('./quotationService');
+const sessionManager = require('./sessionManager');
+const followUpSequenceService = require('./followUpSequenceService');
+
+// Montos en el texto: "$1,500,000", "$1.2 millones", "850 mil pesos", "12 USD"
+const CURRENCY_PATTERNS = [
+    /\$\s*(\d[\d.,]*)\s*(mil|millones|millón|millon|mdp)?/gi,
+    /(\d[\d.,]*)\s*(mil|millones|millón|millon|mdp)?\s*(?:pesos|mxn|usd|dólares|dolares|dlls)\b/gi
+];
+
+// Redacta mensajes de seguimiento personalizados con la IA a partir de la
+// conversación, el perfil del contacto y las naves que le interesan.
+// El texto solo se usa si pasa las validaciones; si no, se usa la plantilla del paso.
+class FollowUpWriter {
+    constructor() {
+        this.maxChars = config.followUp.aiMaxChars;
+        this.historyMessages = config.followUp.aiHistoryMessages;
+    }
+
+    /**
+     * Naves de interés: las de su última cotización o, si no tiene,
+     * las que mejor coinciden con lo que escribió el cliente
+     */
+    async getNavesOfInterest(userId, messages) {
+        const quotations = await quotationService.getQuotations(userId);
+        if (quotations.length > 0) {
+            return quotations[0].items.map(item => ({
+                parque: item.park,
+                ubicacion: item.location,
+                tipo: item.type,
+                area_m2: item.area,
+                precio: item.price,
+                estado: item.status
+            }));
+        }
+
+        if (!messages.some(m => m.role === 'user')) {
+            return [];
+        }
+
+        const { records, matched } = await navesRetriever.retrieve(messages, 2);
+        if (matched === 0) {
+            return [];
+        }
+
+        return records.map(record => ({
+            parque: record['Parque Industrial'],
+            ubicacion: record['Ubicación'],
+            tipo: record['Tipo'],
+            area_m2: record['Area (m2)'],
+            precio: record['Precio'],
+            estado: record['Estado']
+        }));
+    }
+
+    buildPrompt({ contact, messages, naves, template, attempt, totalSteps }) {
+        const profile = contact ? {
+            nombre: contact.name || contact.displayName || null,
+            empresa: contact.company || null,
+            ciudad: contact.city || null,
+            m2_requeridos: contact.required_m2 || null,
+            presupuesto: contact.budget || null
+        } : {};
+
+        const history = messages
+            .filter(m => m.role === 'user' || m.role === 'assistant')
+            .slice(-this.historyMessages)
+            .map(m => `${m.role === 'user' ? 'Cliente' : 'Asesor'}: ${m.content}`)
+            .join('\n');
+
+        return [
+            {
+                role: 'system',
+                content: `Redactas un mensaje de seguimiento por WhatsApp para un cliente que dejó de responder a un asesor de naves industriales.
+
+Reglas:
+- Español, tono cercano y profesional, sin presión
+- Máximo ${this.maxChars} caracteres y una sola pregunta al final
+- Retoma lo que el cliente pidió (nave, ubicación, tamaño) usando solo los datos proporcionados
+- Solo menciona precios que aparezcan en "Naves de interés"; si no hay, no menciones precios
+- No inventes disponibilidad, descuentos ni promociones
+- Este es el seguimiento ${attempt} de ${totalSteps}${attempt === totalSteps ? ' (el último: despídete con cortesía y deja la puerta abierta)' : ''}
+- Responde solo con el texto del mensaje, sin comillas`
+            },
+            {
+                role: 'user',
+                content: [
+                    `Perfil del cliente:\n${JSON.stringify(profile)}`,
+                    `Naves de interés:\n${naves.length > 0 ? JSON.stringify(naves) : 'Ninguna identificada'}`,
+                    `Conversación reciente:\n${history || '(sin mensajes)'}`,
+                    template ? `Intención del mensaje (guía):\n${template}` : null
+                ].filter(Boolean).join('\n\n')
+            }
+        ];
+    }
+
+    // Precios del catálogo completo: son los únicos que la IA puede mencionar
+    async getCatalogPrices() {
+        const records = await csvService.getAllRecords();
+        return records
+            .map(record => navesRetriever.parseNumber(String(record['Precio'] || '').replace(/[$\s]/g, '')))
+            .filter(price => !isNaN(price) && price > 0);
+    }
+
+    extractAmounts(text) {
+        const amounts = [];
+        CURRENCY_PATTERNS.forEach(pattern => {
+            for (const match of text.matchAll(pattern)) {
+                const unit = match[2] ? match[2].toLowerCase().replace('ó', 'o') : null;
+                const amount = navesRetriever.parseAmount(match[1].replace(/[.,]$/, ''), unit);
+                if (!isNaN(amount)) {
+                    amounts.push({ text: match[0].trim(), amount });
+                }
+            }
+        });
+        return amounts;
+    }
+
+    /**
+     * Valida el texto generado. Retorna la lista de problemas (vacía si es válido).
+     * extraPrices: precios que se le dieron a la IA además del catálogo (p. ej. ajustados en una cotización)
+     */
+    async checkGuardrails(text, extraPrices = []) {
+        const issues = [];
+
+        if (!text) {
+            issues.push('La IA no generó texto');
+            return issues;
+        }
+        if (text.length > this.maxChars) {
+            issues.push(`Excede el largo máximo (${text.length}/${this.maxChars} caracteres)`);
+        }
+
+        const amounts = this.extractAmounts(text);
+        if (amounts.length > 0) {
+            const allowed = [...await this.getCatalogPrices(), ...extraPrices];
+            const invented = amounts
+                .filter(({ amount }) => !allowed.some(price => Math.abs(price - amount) <= price * 0.01))
+                .map(({ text: amountText }) => amountText);
+            [...new Set(invented)].forEach(amountText => issues.push(`Menciona un precio que no está en el catálogo: ${amountText}`));
+        }
+
+        return issues;
+    }
+
+    /**
+     * Redacta el mensaje del paso.
+     * Retorna { text, source: 'ai' | 'template', aiText, issues }
+     */
+    async compose({ userId, step, attempt, totalSteps }) {
+        const fallback = await followUpSequenceService.renderTemplate(step.template, userId, attempt);
+        let aiText = null;
+        let issues = [];
+
+        try {
+            const contact = await contactService.getContact(userId);
+            const messages = await sessionManager.peekMessages(userId);
+            const naves = await this.getNavesOfInterest(userId, messages);
+
+            const prompt = this.buildPrompt({ contact, messages, naves, template: fallback, attempt, totalSteps });
+            aiText = (await llmClient.complete(prompt, 'followup') || '').trim().replace(/^"|"$/g, '');
+            const navePrices = naves.map(nave => Number(nave.precio)).filter(price => !isNaN(price) && price > 0);
+            issues = await this.checkGuardrails(aiText, navePrices);
+        } catch (error) {
+            console.error('Error redactando seguimiento con IA:', error);
+            issues = [`Error de la IA: ${error.message}`];
+        }
+
+        if (issues.length === 0) {
+            return { text: aiText, source: 'ai', aiText, issues };
+        }
+
+        console.log(`⚠️ Seguimiento con IA descartado para ${userId}: ${issues.join('; ')}`);
+        return { text: fallback, source: 'template', aiText, issues };
+    }
+}
+
+module.exports = new FollowUpWriter();
@@ -1,4 +1,5 @@
 const database = require('./database');
+const eventBus = require('./eventBus');
 
 class HumanModeManager {
     constructor() {
@@ -31,12 +32,16 @@ class HumanModeManager {
         }
     }
 
-    async setHumanMode(phone, isHumanMode, activatedBy = 'system') {
+    async setHumanMode(phone, isHumanMode, activatedBy = 'system', handoff = {}) {
         const mode = isHumanMode ? 'human' : false;
-        await this.setMode(phone, mode, activatedBy);
+        await this.setMode(phone, mode, activatedBy, handoff);
     }
     
-    async setMode(phone, mode, activatedBy = 'system') {
+    /**
+     * handoff: { agentId, reason } del traspaso a humano o soporte. Con agentId (un agente lo
+     * activó desde el panel) la conversación queda asignada a ese agente; sin él se enruta
+     */
+    async setMode(phone, mode, activatedBy = 'system', handoff = {}) {
         // mode puede ser: false (IA), 'human', o 'support'
         // Si mode es false o 'ai', convertir a false
         const normalizedMode = (mode === 'ai' || mode === false) ? false : mode;
@@ -82,9 +87,24 @@ class HumanModeManager {
 
             const modeText = normalizedMode === 'support' ? 'SOPORTE' : normalizedMode === 'human' ? 'HUMANO' : 'IA';
             console.log(`✅ Modo ${modeText} establecido exitosamente para ${phone} en BD y cache`);
+            eventBus.publish('mode', { userId: phone, mode: normalizedMode || 'ai' });
         } catch (error) {
             console.error('❌ Error actualizando modo en BD:', error);
         }
+
+        if (isHumanMode) {
+            try {
+                // Require diferido: assignmentService registra la asignación con logger
+                const assignmentService = require('./assignmentService');
+                await assignmentService.handleHandoff(phone, {
+                    agentId: handoff.agentId || null,
+                    agentName: handoff.agentId ? activatedBy : null,
+                    reason: handoff.reason || null
+                });
+            } catch (error) {
+                console.error('❌ Error asignando conversación:', error);
+            }
+        }
     }
 
     async ensureModeColumn() {
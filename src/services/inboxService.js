@@ -0,0 +1,275 @@
+const database = require('./database');
+const logger = require('./logger');
+
+// Avisos internos que el panel no muestra dentro de la conversación
+const HIDDEN_SYSTEM_MESSAGES = [
+    'Modo HUMANO activo',
+    'Modo SOPORTE activo',
+    'Mensaje ignorado',
+    'Conversación reiniciada por inactividad'
+];
+const VISIBLE_ROLES = ['cliente', 'bot', 'soporte', 'HUMAN', 'SYSTEM'];
+const VISIBLE_CONDITION = `l.role IN (${VISIBLE_ROLES.map(role => `'${role}'`).join(', ')})
+    AND NOT (l.role = 'SYSTEM' AND (${HIDDEN_SYSTEM_MESSAGES.map(() => 'l.message LIKE ?').join(' OR ')}))`;
+const VISIBLE_PARAMS = HIDDEN_SYSTEM_MESSAGES.map(text => `%${text}%`);
+
+const MAX_PAGE_SIZE = 200;
+
+// Bandeja de entrada del panel: resumen de cada conversación (tabla inbox_summaries,
+// actualizada con cada mensaje) e historial de mensajes paginado
+class InboxService {
+    pageSize(value, fallback = 50) {
+        const size = parseInt(value, 10);
+        return isNaN(size) || size < 1 ? fallback : Math.min(size, MAX_PAGE_SIZE);
+    }
+
+    isVisible(role, message) {
+        return VISIBLE_ROLES.includes(role)
+            && !(role === 'SYSTEM' && HIDDEN_SYSTEM_MESSAGES.some(text => String(message || '').includes(text)));
+    }
+
+    /**
+     * Suma un mensaje recién guardado al resumen de su contacto (lo llama logger al guardarlo).
+     * entry: { id, userId, role, message, isGroup, timestamp }
+     */
+    async recordMessage({ id, userId, role, message, isGroup, timestamp }) {
+        if (!userId || !id || !this.isVisible(role, message)) {
+            return;
+        }
+
+        const date = new Date(timestamp);
+        await database.query(`
+            INSERT INTO inbox_summaries
+                (user_id, is_group, total_messages, user_messages, bot_messages, first_contact, last_activity,
+                 left_group, last_message_id, last_client_message_id)
+            VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                is_group = is_group OR VALUES(is_group),
+                total_messages = total_messages + 1,
+                user_messages = user_messages + VALUES(user_messages),
+                bot_messages = bot_messages + VALUES(bot_messages),
+                last_activity = GREATEST(COALESCE(last_activity, VALUES(last_activity)), VALUES(last_activity)),
+                left_group = left_group OR VALUES(left_group),
+                last_message_id = IF(VALUES(last_message_id) > COALESCE(last_message_id, 0), VALUES(last_message_id), last_message_id),
+                last_client_message_id = IF(VALUES(last_client_message_id) > COALESCE(last_client_message_id, 0), VALUES(last_client_message_id), last_client_message_id)
+        `, [
+            userId,
+            Boolean(isGroup),
+            role === 'cliente' ? 1 : 0,
+            ['bot', 'soporte', 'HUMAN'].includes(role) ? 1 : 0,
+            date,
+            date,
+            role === 'SYSTEM' && String(message || '').includes('Bot salió del grupo'),
+            role !== 'SYSTEM' ? id : null,
+            role === 'cliente' ? id : null
+        ]);
+    }
+
+    // Recalcula todos los resúmenes desde conversation_logs (solo al migrar una instalación existente)
+    async rebuildSummaries() {
+        await database.query('DELETE FROM inbox_summaries');
+        await database.query(`
+            INSERT INTO inbox_summaries
+                (user_id, is_group, total_messages, user_messages, bot_messages, first_contact, last_activity,
+                 left_group, last_message_id, last_client_message_id)
+            SELECT l.user_id,
+                   COALESCE(MAX(l.is_group), 0),
+                   COUNT(*),
+                   SUM(l.role = 'cliente'),
+                   SUM(l.role IN ('bot', 'soporte', 'HUMAN')),
+                   MIN(l.timestamp),
+                   MAX(l.timestamp),
+                   MAX(l.role = 'SYSTEM' AND l.message LIKE '%Bot salió del grupo%'),
+                   MAX(CASE WHEN l.role <> 'SYSTEM' THEN l.id END),
+                   MAX(CASE WHEN l.role = 'cliente' THEN l.id END)
+            FROM conversation_logs l
+            WHERE l.user_id IS NOT NULL AND ${VISIBLE_CONDITION}
+            GROUP BY l.user_id
+        `, VISIBLE_PARAMS);
+        console.log('✅ Resumen de la bandeja calculado desde el historial');
+    }
+
+    // Texto de búsqueda en modo booleano del índice FULLTEXT: todas las palabras, por prefijo
+    fullTextQuery(search) {
+        return search
+            .replace(/[+\-<>()~*"@]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(word => `+${word}*`)
+            .join(' ');
+    }
+
+    /**
+     * Resumen por contacto: contadores, último mensaje, modo, baja, agente que la atiende,
+     * estado de su conversación más reciente y si el cliente escribió después de lo último
+     * que vio el agente (agentId). mine: solo conversaciones activas asignadas al agente
+     */
+    buildInboxQuery(agentId, { tab = null, search = '', mine = false } = {}) {
+        const params = [agentId];
+        const conditions = [];
+
+        if (tab === 'chats') {
+            conditions.push('s.is_group = 0');
+        } else if (tab === 'groups') {
+            conditions.push('s.is_group = 1');
+        }
+
+        if (search) {
+            const like = `%${search}%`;
+            const words = this.fullTextQuery(search);
+            conditions.push(`(
+                s.user_id LIKE ?
+                OR COALESCE(c.display_name, lm.user_name) LIKE ?
+                ${words ? 'OR s.user_id IN (SELECT sm.user_id FROM conversation_logs sm WHERE MATCH(sm.message) AGAINST (? IN BOOLEAN MODE))' : ''}
+            )`);
+            params.push(like, like);
+            if (words) params.push(words);
+        }
+
+        if (mine) {
+            conditions.push("cv.assigned_agent_id = ? AND cv.status IN ('open', 'pending')");
+            params.push(agentId);
+        }
+
+        const sql = `
+            SELECT s.*,
+                   lm.message AS last_message,
+                   lm.role AS last_role,
+                   lm.timestamp AS last_message_at,
+                   lm.user_name AS last_user_name,
+                   c.display_name,
+                   h.mode,
+                   h.is_human_mode,
+                   COALESCE(cc.opted_out, FALSE) AS opted_out,
+                   cv.id AS conversation_id,
+                   cv.status AS conversation_status,
+                   cv.assigned_agent_id,
+                   ag.name AS assigned_agent_name,
+                   COALESCE(r.last_read_id, 0) AS last_read_id,
+                   COALESCE(s.last_client_message_id, 0) > COALESCE(r.last_read_id, 0) AS has_unread
+            FROM inbox_summaries s
+            LEFT JOIN conversation_logs lm ON lm.id = s.last_message_id
+            LEFT JOIN contacts c ON c.user_id = s.user_id
+            LEFT JOIN human_mode_states h ON h.contact_id = s.user_id
+            LEFT JOIN contact_consent cc ON cc.user_id = s.user_id
+            LEFT JOIN conversation_reads r ON r.user_id = s.user_id AND r.agent_id = ?
+            LEFT JOIN conversations cv ON cv.id = (SELECT MAX(id) FROM conversations WHERE user_id = s.user_id)
+            LEFT JOIN support_users ag ON ag.id = cv.assigned_agent_id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        `;
+
+        return { sql, params };
+    }
+
+    /**
+     * Página de la bandeja: primero soporte, luego con mensajes sin leer y por última actividad.
+     * Los no leídos solo se cuentan para las conversaciones de la página.
+     * filters: { tab: 'chats' | 'groups', search, mine, limit, offset }
+     */
+    async getInbox(agentId, filters = {}) {
+        const limit = this.pageSize(filters.limit);
+        const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+        const { sql, params } = this.buildInboxQuery(agentId, filters);
+        const order = "(inbox.mode = 'support') DESC, inbox.has_unread DESC, inbox.last_activity DESC";
+
+        const rows = await database.query(`
+            SELECT inbox.*,
+                   (SELECT COUNT(*) FROM conversation_logs u
+                    WHERE u.user_id = inbox.user_id AND u.role = 'cliente' AND u.id > inbox.last_read_id) AS unread
+            FROM (
+                SELECT * FROM (${sql}) inbox
+                ORDER BY ${order}
+                LIMIT ? OFFSET ?
+            ) inbox
+            ORDER BY ${order}
+        `, [...params, limit, offset]);
+        const [count] = await database.query(`SELECT COUNT(*) AS total FROM (${sql}) inbox`, params);
+        const total = Number(count.total);
+
+        return {
+            conversations: rows.map(row => this.formatConversation(row)),
+            total,
+            hasMore: offset + rows.length < total
+        };
+    }
+
+    formatConversation(row) {
+        const isGroup = Boolean(row.is_group);
+        const mode = row.mode && row.mode !== 'ai' ? row.mode : (row.is_human_mode ? 'human' : 'ai');
+        const lastType = row.last_role ? logger.getType(row.last_role) : null;
+
+        return {
+            phone: row.user_id,
+            name: row.display_name || null,
+            isGroup,
+            groupName: isGroup ? (row.last_user_name || row.display_name || null) : null,
+            totalMessages: Number(row.total_messages),
+            userMessages: Number(row.user_messages),
+            botMessages: Number(row.bot_messages),
+            firstContact: row.first_contact.toISOString(),
+            lastActivity: row.last_activity.toISOString(),
+            lastMessage: lastType ? {
+                text: row.last_message,
+                time: row.last_message_at.toISOString(),
+                type: lastType === 'USER' ? 'user' : lastType.toLowerCase()
+            } : null,
+            mode,
+            isHumanMode: mode === 'human',
+            leftGroup: Boolean(row.left_group),
+            optedOut: Boolean(row.opted_out),
+            unreadCount: Number(row.unread),
+            conversationId: row.conversation_id || null,
+            conversationStatus: row.conversation_status || null,
+            // Agente al que está asignada la conversación actual
+            assignedAgentId: row.assigned_agent_id || null,
+            assignedAgent: row.assigned_agent_name || null
+        };
+    }
+
+    /**
+     * Historial de una conversación del más reciente al más antiguo.
+     * before: id del mensaje más antiguo ya cargado (cursor) para traer los anteriores
+     */
+    async getMessages(userId, { before = null, limit = null } = {}) {
+        const size = this.pageSize(limit);
+        const params = [userId, ...VISIBLE_PARAMS];
+        let sql = `
+            SELECT l.*, m.id AS media_row_id, m.mime_type AS media_mime_type
+            FROM conversation_logs l
+            LEFT JOIN media m ON m.id = l.media_id
+            WHERE l.user_id = ? AND ${VISIBLE_CONDITION}
+        `;
+
+        const cursor = parseInt(before, 10);
+        if (!isNaN(cursor)) {
+            sql += ' AND l.id < ?';
+            params.push(cursor);
+        }
+
+        // Uno extra para saber si quedan mensajes más antiguos
+        sql += ' ORDER BY l.id DESC LIMIT ?';
+        params.push(size + 1);
+
+        const rows = await database.query(sql, params);
+        const messages = rows.slice(0, size).map(row => logger.formatLog(row));
+        const hasMore = rows.length > size;
+
+        return {
+            messages,
+            hasMore,
+            nextCursor: hasMore ? messages[messages.length - 1].id : null
+        };
+    }
+
+    // Marca como vistos por el agente todos los mensajes actuales de la conversación
+    async markRead(userId, agentId) {
+        await database.query(
+            `INSERT INTO conversation_reads (user_id, agent_id, last_read_id)
+             SELECT ?, ?, COALESCE(MAX(id), 0) FROM conversation_logs WHERE user_id = ?
+             ON DUPLICATE KEY UPDATE last_read_id = GREATEST(last_read_id, VALUES(last_read_id))`,
+            [userId, agentId, userId]
+        );
+    }
+}
+
+module.exports = new InboxService();
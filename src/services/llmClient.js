@@ -0,0 +1,215 @@
+const config = require('../config/config');
+const CircuitBreaker = require('./circuitBreaker');
+const OpenAICompatibleProvider = require('./llmProviders/openAICompatibleProvider');
+const OllamaProvider = require('./llmProviders/ollamaProvider');
+const MockProvider = require('./llmProviders/mockProvider');
+const toolProtocol = require('./llmProviders/toolProtocol');
+
+// Errores de red que vale la pena reintentar
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+// Cliente compartido para todas las llamadas al modelo de lenguaje
+class LLMClient {
+    constructor() {
+        const { timeout, maxRetries, retryBaseDelayMs, retryMaxDelayMs, circuitBreaker, fallback } = config.llm;
+
+        this.uses = config.llm.uses;
+        this.timeout = timeout;
+        this.maxRetries = maxRetries;
+        this.retryBaseDelayMs = retryBaseDelayMs;
+        this.retryMaxDelayMs = retryMaxDelayMs;
+
+        // Proveedor principal y secundario opcional, cada uno con su propio circuito
+        this.targets = [];
+        this.provider = this.createProvider(config.llm);
+        this.targets.push({
+            provider: this.provider,
+            model: null,
+            breaker: new CircuitBreaker(`IA principal (${this.provider.name})`, circuitBreaker)
+        });
+
+        if (fallback.provider || fallback.model) {
+            const fallbackProvider = fallback.provider
+                ? this.createProvider({
+                    provider: fallback.provider,
+                    apiKey: fallback.apiKey || config.llm.apiKey,
+                    baseUrl: fallback.baseUrl
+                })
+                : this.provider;
+
+            this.targets.push({
+                provider: fallbackProvider,
+                model: fallback.model,
+                breaker: new CircuitBreaker(`IA secundaria (${fallbackProvider.name})`, circuitBreaker)
+            });
+        }
+
+        const fallbackInfo = this.targets[1] ? ` (respaldo: ${this.targets[1].provider.name}${this.targets[1].model ? ` / ${this.targets[1].model}` : ''})` : '';
+        console.log(`🤖 Proveedor de IA: ${this.provider.name}${fallbackInfo}`);
+    }
+
+    createProvider({ provider, apiKey, baseUrl }) {
+        switch (provider) {
+            case 'deepseek':
+                return new OpenAICompatibleProvider({
+                    name: 'deepseek',
+                    baseUrl: baseUrl || 'https://api.deepseek.com/v1',
+                    apiKey,
+                    defaultModel: 'deepseek-chat',
+                    supportsTools: config.llm.nativeTools
+                });
+            case 'openai':
+                return new OpenAICompatibleProvider({
+                    name: 'openai',
+                    baseUrl: baseUrl || 'https://api.openai.com/v1',
+                    apiKey,
+                    defaultModel: 'gpt-4o-mini',
+                    supportsTools: config.llm.nativeTools
+                });
+            case 'ollama':
+                return new OllamaProvider({
+                    baseUrl: baseUrl || 'http://localhost:11434',
+                    defaultModel: 'llama3.1'
+                });
+            case 'mock':
+                return new MockProvider();
+            default:
+                throw new Error(`Proveedor de IA no soportado: ${provider}`);
+        }
+    }
+
+    /**
+     * Envía los mensajes al proveedor configurado y retorna el texto generado.
+     * use: 'chat', 'classification' o 'analysis' (define modelo, temperatura y max_tokens).
+     * overrides permite ajustar cualquiera de esos parámetros para una llamada puntual.
+     */
+    async complete(messages, use = 'chat', overrides = {}) {
+        const result = await this.chat(messages, use, overrides);
+        return result.content;
+    }
+
+    /**
+     * Igual que complete() pero admite herramientas (overrides.tools) y retorna
+     * { content, toolCalls }. Si el proveedor no soporta function calling nativo
+     * se usa el protocolo JSON en texto de forma transparente.
+     * Reintenta con backoff los errores transitorios y, si el principal no responde,
+     * usa el proveedor secundario. Si todos fallan lanza el último error.
+     */
+    async chat(messages, use = 'chat', overrides = {}) {
+        const params = {
+            ...(this.uses[use] || this.uses.chat),
+            ...overrides,
+            use
+        };
+
+        let lastError = null;
+
+        for (const target of this.targets) {
+            if (!target.breaker.canRequest()) {
+                lastError = new Error(`Circuito abierto para ${target.breaker.name}`);
+                lastError.code = 'CIRCUIT_OPEN';
+                continue;
+            }
+
+            try {
+                const targetParams = target.model ? { ...params, model: target.model } : params;
+                const result = await this.chatWithRetries(target.provider, messages, targetParams);
+                target.breaker.recordSuccess();
+                return result;
+            } catch (error) {
+                target.breaker.recordFailure();
+                lastError = error;
+                console.error(`Error con ${target.breaker.name}:`, error.response?.data || error.message);
+            }
+        }
+
+        throw lastError;
+    }
+
+    async chatWithRetries(provider, messages, params) {
+        const useTextTools = params.tools && params.tools.length > 0 && !provider.supportsTools;
+        const providerMessages = useTextTools ? toolProtocol.toTextMessages(messages, params.tools) : messages;
+        const providerParams = useTextTools ? { ...params, tools: undefined } : params;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                let result = await this.callWithTimeout(provider, providerMessages, providerParams);
+
+                if (useTextTools) {
+                    result = toolProtocol.parseResponse(result.content);
+                }
+
+                if ((!result.content || !result.content.trim()) && result.toolCalls.length === 0) {
+                    const emptyError = new Error('Respuesta vacía del proveedor de IA');
+                    emptyError.code = 'EMPTY_RESPONSE';
+                    throw emptyError;
+                }
+
+                return result;
+            } catch (error) {
+                if (attempt >= this.maxRetries || !this.isRetryable(error)) {
+                    throw error;
+                }
+
+                const delay = this.getBackoffDelay(attempt);
+                console.log(`🔄 Reintentando llamada a ${provider.name} en ${delay}ms (intento ${attempt + 2}/${this.maxRetries + 1})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // Límite duro por llamada: cancela la petición HTTP si el proveedor no responde a tiempo
+    async callWithTimeout(provider, messages, params) {
+        const controller = new AbortController();
+        let timer = null;
+
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                const timeoutError = new Error(`Tiempo de espera agotado (${this.timeout}ms)`);
+                timeoutError.code = 'ETIMEDOUT';
+                reject(timeoutError);
+            }, this.timeout);
+        });
+
+        try {
+            return await Promise.race([
+                provider.chat(messages, { ...params, signal: controller.signal }),
+                timeout
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    isRetryable(error) {
+        if (error.code === 'EMPTY_RESPONSE' || RETRYABLE_CODES.includes(error.code)) {
+            return true;
+        }
+
+        const status = error.response?.status;
+        if (!status) {
+            // Sin respuesta HTTP: fallo de red
+            return Boolean(error.request);
+        }
+
+        return status === 429 || status >= 500;
+    }
+
+    // Backoff exponencial con jitter para no sincronizar reintentos
+    getBackoffDelay(attempt) {
+        const exponential = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * Math.pow(2, attempt));
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    // Estado del circuito de cada proveedor (GET /api/ai-status, indicador del panel)
+    getStatus() {
+        return this.targets.map(target => ({
+            provider: target.provider.name,
+            model: target.model,
+            ...target.breaker.getStatus()
+        }));
+    }
+}
+
+module.exports = new LLMClient();
@@ -0,0 +1,51 @@
+// Proveedor determinista para pruebas: no hace llamadas de red y
+// siempre responde lo mismo para la misma entrada
+class MockProvider {
+    constructor() {
+        this.name = 'mock';
+        this.defaultModel = 'mock';
+        this.supportsTools = false;
+    }
+
+    async chat(messages, { use }) {
+        return { content: this.respond(messages, use), toolCalls: [] };
+    }
+
+    respond(messages, use) {
+        const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+        const text = lastUserMessage ? lastUserMessage.content : '';
+
+        if (use === 'classification') {
+            return 'CONTINUAR';
+        }
+
+        if (use === 'analysis') {
+            return JSON.stringify({
+                posibleVenta: false,
+                ventaCerrada: false,
+                citaAgendada: false,
+                sentiment: 'neutral',
+                intent: 'información',
+                main_topics: [],
+                satisfaction_score: 5,
+                keywords: []
+            });
+        }
+
+        if (use === 'extraction') {
+            return '{}';
+        }
+
+        if (use === 'followup') {
+            return 'Hola 👋 ¿Pudiste revisar la información de las naves? Si quieres, te comparto más opciones o agendamos una llamada.';
+        }
+
+        if (use === 'summary') {
+            return `- Último mensaje del cliente: ${text.slice(0, 200)}`;
+        }
+
+        return `[mock] Recibí tu mensaje: ${text}`;
+    }
+}
+
+module.exports = MockProvider;
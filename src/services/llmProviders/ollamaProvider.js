@@ -0,0 +1,27 @@
+const axios = require('axios');
+
+// Proveedor para un servidor local de Ollama usando su API nativa (/api/chat)
+class OllamaProvider {
+    constructor({ baseUrl, defaultModel }) {
+        this.name = 'ollama';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.defaultModel = defaultModel;
+        this.supportsTools = false; // Depende del modelo; se usa el protocolo de texto
+    }
+
+    async chat(messages, { model, temperature, maxTokens, signal }) {
+        const response = await axios.post(`${this.baseUrl}/api/chat`, {
+            model: model || this.defaultModel,
+            messages,
+            stream: false,
+            options: {
+                temperature,
+                num_predict: maxTokens
+            }
+        }, { signal });
+
+        return { content: response.data.message.content || '', toolCalls: [] };
+    }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,92 @@
+const axios = require('axios');
+
+// Proveedor para cualquier API con el formato de OpenAI (/chat/completions):
+// DeepSeek, OpenAI, llama.cpp server, vLLM, LM Studio, etc.
+class OpenAICompatibleProvider {
+    constructor({ name, baseUrl, apiKey, defaultModel, supportsTools = true }) {
+        this.name = name;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.defaultModel = defaultModel;
+        this.supportsTools = supportsTools; // Function calling nativo
+    }
+
+    async chat(messages, { model, temperature, maxTokens, tools, signal }) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const body = {
+            model: model || this.defaultModel,
+            messages: messages.map(m => this.formatMessage(m)),
+            temperature,
+            max_tokens: maxTokens
+        };
+
+        if (tools && tools.length > 0) {
+            body.tools = tools.map(tool => ({ type: 'function', function: tool }));
+        }
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, body, {
+            headers,
+            signal
+        });
+
+        const message = response.data.choices[0].message;
+        return {
+            content: message.content || '',
+            toolCalls: (message.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: this.parseArguments(call.function.arguments)
+            }))
+        };
+    }
+
+    // Convierte el formato interno de mensajes (toolCalls / role 'tool') al de la API
+    formatMessage(message) {
+        if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+            return {
+                role: 'assistant',
+                content: message.content || null,
+                tool_calls: message.toolCalls.map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: {
+                        name: call.name,
+                        arguments: JSON.stringify(call.arguments || {})
+                    }
+                }))
+            };
+        }
+
+        if (message.role === 'tool') {
+            return {
+                role: 'tool',
+                tool_call_id: message.toolCallId,
+                content: message.content
+            };
+        }
+
+        return { role: message.role, content: message.content };
+    }
+
+    parseArguments(value) {
+        if (!value) {
+            return {};
+        }
+        if (typeof value === 'object') {
+            return value;
+        }
+
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            console.error('Argumentos de herramienta inválidos:', value);
+            return {};
+        }
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
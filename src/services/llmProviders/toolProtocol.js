@@ -0,0 +1,105 @@
+// Protocolo de herramientas en texto (JSON dentro de la respuesta) para
+// proveedores sin function calling nativo
+
+const RESULT_PREFIX = 'RESULTADO DE HERRAMIENTA';
+
+function describeParameters(parameters) {
+    const properties = parameters?.properties || {};
+    const required = parameters?.required || [];
+
+    return Object.entries(properties)
+        .map(([name, schema]) => {
+            const type = schema.enum ? schema.enum.join(' | ') : schema.type;
+            const optional = required.includes(name) ? '' : ', opcional';
+            return `    - ${name} (${type}${optional}): ${schema.description || ''}`;
+        })
+        .join('\n');
+}
+
+function buildInstructions(tools) {
+    const toolList = tools.map(tool => {
+        const params = describeParameters(tool.parameters);
+        return `- ${tool.name}: ${tool.description}${params ? `\n${params}` : ''}`;
+    }).join('\n');
+
+    return `*HERRAMIENTAS DISPONIBLES:*
+Para usar una herramienta responde ÚNICAMENTE con un JSON como este, sin ningún otro texto:
+{"tool_calls": [{"name": "nombre_de_la_herramienta", "arguments": {"parametro": "valor"}}]}
+Recibirás la respuesta en un mensaje que empieza con "${RESULT_PREFIX}". Cuando tengas lo necesario, responde al cliente normalmente (sin JSON).
+
+${toolList}`;
+}
+
+/**
+ * Convierte los mensajes con toolCalls / role 'tool' a mensajes de texto plano
+ * y agrega las instrucciones del protocolo al mensaje del sistema
+ */
+function toTextMessages(messages, tools) {
+    const instructions = buildInstructions(tools);
+    let hasSystem = false;
+
+    const converted = messages.map(message => {
+        if (message.role === 'system' && !hasSystem) {
+            hasSystem = true;
+            return { role: 'system', content: `${message.content}\n\n${instructions}` };
+        }
+
+        if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+            return {
+                role: 'assistant',
+                content: JSON.stringify({
+                    tool_calls: message.toolCalls.map(call => ({ name: call.name, arguments: call.arguments }))
+                })
+            };
+        }
+
+        if (message.role === 'tool') {
+            return { role: 'user', content: `${RESULT_PREFIX} ${message.name}:\n${message.content}` };
+        }
+
+        return { role: message.role, content: message.content };
+    });
+
+    if (!hasSystem) {
+        converted.unshift({ role: 'system', content: instructions });
+    }
+
+    return converted;
+}
+
+// Detecta si la respuesta del modelo es una llamada a herramientas
+function parseResponse(text) {
+    const content = text || '';
+
+    if (!content.includes('"tool_calls"')) {
+        return { content, toolCalls: [] };
+    }
+
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+
+    try {
+        const parsed = JSON.parse(content.slice(start, end + 1));
+        const calls = Array.isArray(parsed.tool_calls) ? parsed.tool_calls : [];
+
+        return {
+            content: '',
+            toolCalls: calls
+                .filter(call => call && call.name)
+                .map((call, index) => ({
+                    id: `texto_${Date.now()}_${index}`,
+                    name: call.name,
+                    arguments: call.arguments || {}
+                }))
+        };
+    } catch (error) {
+        console.error('No se pudo interpretar llamada a herramienta en texto:', error.message);
+        return { content, toolCalls: [] };
+    }
+}
+
+module.exports = {
+    buildInstructions,
+    toTextMessages,
+    parseResponse
+};
@@ -1,4 +1,6 @@
 const database = require('./database');
+const eventBus = require('./eventBus');
+const conversationService = require('./conversationService');
 
 class Logger {
     constructor() {
@@ -6,8 +8,9 @@ class Logger {
         this.isProcessingQueue = false;
     }
 
-    async log(role, message, userId = null, userName = null, isGroup = false, response = null, supportUserId = null, messageId = null) {
+    async log(role, message, userId = null, userName = null, isGroup = false, response = null, supportUserId = null, messageId = null, media = null) {
         const timestamp = new Date();
+        const conversationId = await this.getConversationId(userId, role, isGroup);
         const logEntry = {
             timestamp: timestamp.toISOString(),
             role, // 'cliente', 'bot', 'soporte'
@@ -18,16 +21,59 @@ class Logger {
             response,
             supportUserId,
             messageId,
-            status: messageId ? 'sent' : null // Si hay messageId, el mensaje fue enviado
+            // Contenido multimedia: { id, type, data } (audio, image, document, location, contact)
+            mediaId: media?.id || null,
+            mediaType: media?.type || null,
+            mediaData: media?.data || null,
+            status: messageId ? 'sent' : null, // Si hay messageId, el mensaje fue enviado
+            conversationId
         };
 
         // Solo guardar en BD y mostrar en consola
         const insertedId = await this.saveToDB(logEntry);
         this.printToConsole(logEntry.timestamp, role, message, userId, isGroup);
 
+        // Avisar al panel con el mismo formato que getLogs
+        if (userId) {
+            eventBus.publish('message', {
+                id: insertedId,
+                timestamp: logEntry.timestamp,
+                type: this.getType(role),
+                role,
+                userId,
+                userName,
+                isGroup,
+                message,
+                messageId,
+                status: logEntry.status,
+                mediaId: logEntry.mediaId,
+                mediaMimeType: null,
+                mediaExpired: false,
+                mediaType: logEntry.mediaType,
+                mediaData: logEntry.mediaData,
+                response,
+                supportUserId,
+                conversationId
+            });
+        }
+
         return insertedId;
     }
 
+    // Conversación a la que pertenece el mensaje (abre o reabre según el rol)
+    async getConversationId(userId, role, isGroup) {
+        if (!userId) {
+            return null;
+        }
+
+        try {
+            return await conversationService.resolveForMessage(userId, role, isGroup);
+        } catch (error) {
+            console.error('Error resolviendo conversación del mensaje:', error);
+            return null;
+        }
+    }
+
     async saveToDB(logEntry) {
         // Solo guardar en BD si hay un userId válido (logs de conversaciones)
         if (!logEntry.userId) {
@@ -35,7 +81,7 @@ class Logger {
         }
 
         try {
-            const result = await database.insert('conversation_logs', {
+            const insertedId = await database.insert('conversation_logs', {
                 timestamp: new Date(logEntry.timestamp),
                 user_id: logEntry.userId,
                 user_name: logEntry.userName,
@@ -43,12 +89,17 @@ class Logger {
                 message: logEntry.message,
                 message_id: logEntry.messageId,
                 status: logEntry.status,
+                media_id: logEntry.mediaId,
+                media_type: logEntry.mediaType,
+                media_data: logEntry.mediaData ? JSON.stringify(logEntry.mediaData) : null,
                 response: logEntry.response,
                 role: logEntry.role,
                 support_user_id: logEntry.supportUserId,
-                session_id: null
+                session_id: null,
+                conversation_id: logEntry.conversationId
             });
-            return result.insertId;
+            await this.updateInboxSummary(logEntry, insertedId);
+            return insertedId;
         } catch (error) {
             console.error('Error guardando log en BD:', error);
             // Agregar a cola para reintento posterior
@@ -58,6 +109,17 @@ class Logger {
         }
     }
 
+    // Resumen del contacto en la bandeja (así la bandeja no recorre todo el historial)
+    async updateInboxSummary(logEntry, id) {
+        try {
+            // Require diferido: inboxService usa logger para formatear los mensajes
+            const inboxService = require('./inboxService');
+            await inboxService.recordMessage({ ...logEntry, id });
+        } catch (error) {
+            console.error('Error actualizando resumen de la bandeja:', error);
+        }
+    }
+
     async processLogQueue() {
         if (this.isProcessingQueue || this.logQueue.length === 0) {
             return;
@@ -74,17 +136,22 @@ class Logger {
             }
             
             try {
-                await database.insert('conversation_logs', {
+                const insertedId = await database.insert('conversation_logs', {
                     timestamp: new Date(logEntry.timestamp),
                     user_id: logEntry.userId,
                     user_name: logEntry.userName,
                     is_group: logEntry.isGroup || false,
                     message: logEntry.message,
+                    media_id: logEntry.mediaId,
+                    media_type: logEntry.mediaType,
+                    media_data: logEntry.mediaData ? JSON.stringify(logEntry.mediaData) : null,
                     response: logEntry.response,
                     role: logEntry.role,
                     support_user_id: logEntry.supportUserId,
-                    session_id: null
+                    session_id: null,
+                    conversation_id: logEntry.conversationId
                 });
+                await this.updateInboxSummary(logEntry, insertedId);
             } catch (error) {
                 console.error('Error procesando cola de logs:', error);
                 // Volver a agregar a la cola si falla
@@ -97,6 +164,44 @@ class Logger {
     }
 
 
+    // Convertir roles a tipos esperados por el frontend
+    getType(role) {
+        if (role === 'cliente') {
+            return 'USER';
+        } else if (role === 'bot') {
+            return 'BOT';
+        } else if (role === 'soporte' || role === 'HUMAN') {
+            return 'HUMAN';
+        } else if (role) {
+            return role.toUpperCase();
+        }
+        return 'BOT';
+    }
+
+    // Fila de conversation_logs (con media_row_id y media_mime_type del JOIN con media) en el formato del panel
+    formatLog(log) {
+        return {
+            id: log.id,
+            timestamp: log.timestamp.toISOString(),
+            type: this.getType(log.role),
+            role: log.role,
+            userId: log.user_id,
+            userName: log.user_name,
+            isGroup: log.is_group || false,
+            message: log.message,
+            messageId: log.message_id,
+            status: log.status,
+            mediaId: log.media_id,
+            mediaMimeType: log.media_mime_type,
+            mediaExpired: Boolean(log.media_id && !log.media_row_id), // Eliminado por retención
+            mediaType: log.media_type,
+            mediaData: log.media_data ? JSON.parse(log.media_data) : null,
+            response: log.response,
+            supportUserId: log.support_user_id,
+            conversationId: log.conversation_id || null
+        };
+    }
+
     printToConsole(timestamp, type, message, userId, isGroup = false) {
         const userInfo = userId ? ` (${isGroup ? 'Grupo' : 'Usuario'}: ${userId})` : '';
         const time = timestamp.split('T')[1].split('.')[0]; // Solo hora:minuto:segundo
@@ -119,46 +224,24 @@ class Logger {
     async getLogs(date = null, limit = 1000, offset = 0) {
         try {
             // Solo obtener de BD
-            let query = 'SELECT * FROM conversation_logs';
+            let query = `
+                SELECT l.*, m.id AS media_row_id, m.mime_type AS media_mime_type
+                FROM conversation_logs l
+                LEFT JOIN media m ON m.id = l.media_id
+            `;
             let params = [];
             
             if (date) {
-                query += ' WHERE DATE(timestamp) = ?';
+                query += ' WHERE DATE(l.timestamp) = ?';
                 params.push(date);
             }
             
-            query += ' ORDER BY timestamp DESC LIMIT ? OFFSET ?';
+            query += ' ORDER BY l.timestamp DESC LIMIT ? OFFSET ?';
             params.push(limit, offset);
             
             const dbLogs = await database.query(query, params);
             
-            return dbLogs.map(log => {
-                // Convertir roles a tipos esperados por el frontend
-                let type = 'BOT';
-                if (log.role === 'cliente') {
-                    type = 'USER';
-                } else if (log.role === 'bot') {
-                    type = 'BOT';
-                } else if (log.role === 'soporte' || log.role === 'HUMAN') {
-                    type = 'HUMAN';
-                } else if (log.role) {
-                    type = log.role.toUpperCase();
-                }
-
-                return {
-                    timestamp: log.timestamp.toISOString(),
-                    type: type,
-                    role: log.role,
-                    userId: log.user_id,
-                    userName: log.user_name,
-                    isGroup: log.is_group || false,
-                    message: log.message,
-                    messageId: log.message_id,
-                    status: log.status,
-                    response: log.response,
-                    supportUserId: log.support_user_id
-                };
-            });
+            return dbLogs.map(log => this.formatLog(log));
         } catch (error) {
             console.error('Error obteniendo logs de BD:', error);
             return [];
@@ -224,6 +307,7 @@ class Logger {
                 'UPDATE conversation_logs SET status = ? WHERE message_id = ?',
                 [status, messageId]
             );
+            eventBus.publish('message_status', { messageId, status });
             return true;
         } catch (error) {
             console.error('Error actualizando estado de mensaje:', error);
@@ -241,6 +325,14 @@ class Logger {
                 'DELETE FROM conversation_logs WHERE user_id = ?',
                 [userId]
             );
+            await database.query(
+                'DELETE FROM conversations WHERE user_id = ?',
+                [userId]
+            );
+            await database.query(
+                'DELETE FROM inbox_summaries WHERE user_id = ?',
+                [userId]
+            );
             console.log(`✅ Conversación eliminada para usuario: ${userId}`);
             return true;
         } catch (error) {
@@ -0,0 +1,173 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+const database = require('./database');
+
+// Extensión de archivo según el tipo MIME
+const EXTENSIONS = {
+    'audio/ogg': '.ogg',
+    'audio/mpeg': '.mp3',
+    'audio/mp4': '.m4a',
+    'audio/aac': '.aac',
+    'audio/wav': '.wav',
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif',
+    'application/pdf': '.pdf',
+    'application/msword': '.doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+    'application/vnd.ms-excel': '.xls',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+    'text/plain': '.txt',
+    'text/calendar': '.ics'
+};
+
+// Archivos multimedia de las conversaciones (notas de voz, imágenes, documentos).
+// Cada archivo se guarda una sola vez con el hash de su contenido como nombre;
+// la tabla media tiene un registro por mensaje que apunta a ese archivo.
+class MediaService {
+    constructor() {
+        this.mediaDir = path.resolve(config.media.dir);
+        this.retentionDays = config.media.retentionDays;
+        this.cleanupTimer = null;
+    }
+
+    // Tipo MIME declarado por el remitente reducido a uno conocido; cualquier otro
+    // (text/html, image/svg+xml...) se guarda como binario genérico
+    normalizeMimeType(mimeType) {
+        const baseType = String(mimeType || '').split(';')[0].trim().toLowerCase();
+        return EXTENSIONS[baseType] ? baseType : 'application/octet-stream';
+    }
+
+    // Tipos que el navegador puede mostrar sin ejecutar nada; el resto se descarga
+    canDisplayInline(mimeType) {
+        return /^(image\/(jpeg|png|webp|gif)|audio\/[\w.+-]+|application\/pdf)$/.test(String(mimeType || '').split(';')[0].trim());
+    }
+
+    getExtension(mimeType, originalName = null) {
+        const baseType = String(mimeType || '').split(';')[0].trim();
+        if (EXTENSIONS[baseType]) {
+            return EXTENSIONS[baseType];
+        }
+
+        // Tipos poco comunes: usar la extensión del nombre original si es segura
+        const ext = originalName ? path.extname(originalName).toLowerCase() : '';
+        return /^\.[a-z0-9]{1,8}$/.test(ext) ? ext : '';
+    }
+
+    /**
+     * Guarda un archivo (entrante o saliente) y lo registra en la tabla media.
+     * Si ya existe un archivo con el mismo contenido se reutiliza.
+     * Retorna el registro creado.
+     */
+    async save(buffer, { mimeType, userId, messageId = null, direction = 'incoming', originalName = null }) {
+        await fs.mkdir(this.mediaDir, { recursive: true });
+
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+        const fileName = `${sha256}${this.getExtension(mimeType, originalName)}`;
+        const filePath = path.join(this.mediaDir, fileName);
+
+        try {
+            // 'wx' falla si el archivo ya existe: mismo hash = mismo contenido
+            await fs.writeFile(filePath, buffer, { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        const mediaId = await database.insert('media', {
+            sha256,
+            file_name: fileName,
+            original_name: originalName,
+            mime_type: mimeType,
+            size: buffer.length,
+            user_id: userId,
+            message_id: messageId,
+            direction
+        });
+
+        return {
+            id: mediaId,
+            sha256,
+            fileName,
+            mimeType,
+            size: buffer.length
+        };
+    }
+
+    async getMedia(id) {
+        try {
+            return await database.findOne('media', 'id = ?', [id]);
+        } catch (error) {
+            console.error('Error obteniendo archivo multimedia:', error);
+            return null;
+        }
+    }
+
+    getFilePath(media) {
+        return path.join(this.mediaDir, media.file_name);
+    }
+
+    /**
+     * Política de retención: elimina los registros más antiguos que retentionDays
+     * y borra del disco los archivos que ya no usa ningún otro mensaje.
+     * Los logs conservan su media_id y el panel muestra el archivo como eliminado.
+     */
+    async cleanup() {
+        if (!this.retentionDays || this.retentionDays <= 0) {
+            return;
+        }
+
+        try {
+            const expired = await database.query(
+                'SELECT id, file_name FROM media WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+                [this.retentionDays]
+            );
+            if (expired.length === 0) {
+                return;
+            }
+
+            await database.query(
+                'DELETE FROM media WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+                [this.retentionDays]
+            );
+
+            let removedFiles = 0;
+            for (const fileName of new Set(expired.map(row => row.file_name))) {
+                const stillUsed = await database.findOne('media', 'file_name = ?', [fileName]);
+                if (stillUsed) {
+                    continue;
+                }
+
+                try {
+                    await fs.unlink(path.join(this.mediaDir, fileName));
+                    removedFiles++;
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        console.error(`Error eliminando archivo ${fileName}:`, error.message);
+                    }
+                }
+            }
+
+            console.log(`🧹 Retención de multimedia: ${expired.length} registro(s) y ${removedFiles} archivo(s) eliminados`);
+        } catch (error) {
+            console.error('Error limpiando archivos multimedia:', error);
+        }
+    }
+
+    startCleanupTimer() {
+        if (this.cleanupTimer) {
+            return;
+        }
+
+        this.cleanup();
+        this.cleanupTimer = setInterval(() => {
+            this.cleanup();
+        }, 24 * 60 * 60 * 1000); // Revisar una vez al día
+    }
+}
+
+module.exports = new MediaService();
@@ -0,0 +1,311 @@
+const csvService = require('./csvService');
+
+// Palabras muy comunes que no ayudan a distinguir una nave de otra
+const STOPWORDS = new Set([
+    'a', 'al', 'algo', 'como', 'con', 'cual', 'cuales', 'cuanto', 'cuesta', 'de', 'del', 'donde', 'el', 'en',
+    'es', 'esta', 'este', 'estoy', 'hay', 'hola', 'la', 'las', 'le', 'lo', 'los', 'me', 'mi', 'mas', 'muy',
+    'necesito', 'no', 'o', 'para', 'pero', 'por', 'que', 'quiero', 'se', 'si', 'sin', 'sobre', 'su', 'tiene',
+    'tienen', 'tienes', 'un', 'una', 'unas', 'unos', 'y', 'ya', 'yo', 'busco', 'buscando', 'gracias', 'favor'
+]);
+
+const AREA_UNIT = '(?:m2|mts2|mts|metros cuadrados|metros)(?!\\s*de\\s*(?:ancho|largo|frente|fondo|altura))';
+const MONEY_UNIT = '(millones|millon|mil|mdp)?';
+
+class NavesRetriever {
+    constructor() {
+        // Parámetros estándar de BM25
+        this.k1 = 1.2;
+        this.b = 0.75;
+    }
+
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/m²/g, 'm2');
+    }
+
+    tokenize(text) {
+        return this.normalize(text)
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1 && !STOPWORDS.has(token));
+    }
+
+    recordText(record) {
+        return [
+            record['Parque Industrial'],
+            record['Ubicación'],
+            record['Tipo'],
+            record['Estado'],
+            record['Información Extra'],
+            record['Ventajas Estratégicas']
+        ].filter(Boolean).join(' ');
+    }
+
+    parseNumber(value) {
+        const text = String(value || '').trim();
+        if (!text) {
+            return NaN;
+        }
+
+        // "1,500" o "1.500.000" son separadores de miles; "1.5" es decimal
+        if (/^\d{1,3}([.,]\d{3})+$/.test(text)) {
+            return parseFloat(text.replace(/[.,]/g, ''));
+        }
+        return parseFloat(text.replace(/,/g, ''));
+    }
+
+    parseAmount(value, unit) {
+        const amount = this.parseNumber(value);
+        if (unit === 'mil') {
+            return amount * 1000;
+        }
+        if ((unit && unit.startsWith('millon')) || unit === 'mdp') {
+            return amount * 1000000;
+        }
+        return amount;
+    }
+
+    /**
+     * Extrae filtros estructurados del texto del cliente:
+     * parque, ubicación, rango de área, rango de precio y estado
+     */
+    extractFilters(text, records) {
+        let normalized = this.normalize(text);
+        const filters = {};
+
+        // Parque industrial mencionado por nombre
+        const parks = [...new Set(records.map(r => r['Parque Industrial']).filter(Boolean))];
+        const park = parks.find(name => normalized.includes(this.normalize(name)));
+        if (park) {
+            filters.park = park;
+        }
+
+        // Ubicación: cualquier parte de "Municipio, Estado" mencionada en el texto
+        const locationParts = new Set();
+        records.forEach(r => {
+            String(r['Ubicación'] || '').split(',').forEach(part => {
+                const clean = this.normalize(part).trim();
+                if (clean.length >= 4) {
+                    locationParts.add(clean);
+                }
+            });
+        });
+        const location = [...locationParts].find(part =>
+            new RegExp(`\\b${part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(normalized)
+        );
+        if (location) {
+            filters.location = location;
+        }
+
+        // Rango de área
+        const num = '([\\d.,]+)';
+        let match;
+        if ((match = normalized.match(new RegExp(`entre\\s+${num}\\s*(?:${AREA_UNIT})?\\s*(?:y|a)\\s+${num}\\s*${AREA_UNIT}`)))) {
+            filters.minArea = this.parseNumber(match[1]);
+            filters.maxArea = this.parseNumber(match[2]);
+        } else if ((match = normalized.match(new RegExp(`(?:mas de|mayor a|minimo|al menos|arriba de|desde)\\s+${num}\\s*${AREA_UNIT}`)))) {
+            filters.minArea = this.parseNumber(match[1]);
+        } else if ((match = normalized.match(new RegExp(`(?:menos de|menor a|maximo|hasta|no mas de)\\s+${num}\\s*${AREA_UNIT}`)))) {
+            filters.maxArea = this.parseNumber(match[1]);
+        } else if ((match = normalized.match(new RegExp(`${num}\\s*${AREA_UNIT}`)))) {
+            // Área aproximada: ±25%
+            const area = this.parseNumber(match[1]);
+            filters.minArea = area * 0.75;
+            filters.maxArea = area * 1.25;
+        }
+        if (match) {
+            // Evitar que el número del área se interprete también como precio
+            normalized = normalized.replace(match[0], ' ');
+        }
+
+        // Rango de precio (solo si hay señal de dinero: $, pesos, mil, millones o presupuesto)
+        const money = `\\$?\\s*([\\d.,]+)\\s*${MONEY_UNIT}`;
+        const hasMoneySignal = (m) => m && (m[0].includes('$') || m[0].includes('presupuesto') || /mil|millon|mdp|pesos/.test(m[0]));
+        if ((match = normalized.match(new RegExp(`entre\\s+${money}\\s*(?:y|a)\\s+${money}(\\s*pesos)?`))) && hasMoneySignal(match)) {
+            filters.minPrice = this.parseAmount(match[1], match[2] || match[4]);
+            filters.maxPrice = this.parseAmount(match[3], match[4]);
+        } else if ((match = normalized.match(new RegExp(`(?:hasta|menos de|maximo|no mas de|presupuesto de|presupuesto es de)\\s+${money}(\\s*pesos)?`))) && hasMoneySignal(match)) {
+            filters.maxPrice = this.parseAmount(match[1], match[2]);
+        } else if ((match = normalized.match(new RegExp(`(?:mas de|desde|minimo|arriba de)\\s+${money}(\\s*pesos)?`))) && hasMoneySignal(match)) {
+            filters.minPrice = this.parseAmount(match[1], match[2]);
+        }
+
+        // Estado (disponible, sold out, preventa...)
+        if (/\bdisponibles?\b/.test(normalized)) {
+            filters.status = 'disponible';
+        } else {
+            const statuses = [...new Set(records.map(r => this.normalize(r['Estado'])).filter(Boolean))];
+            const status = statuses.find(value => normalized.includes(value));
+            if (status) {
+                filters.status = status;
+            }
+        }
+
+        return filters;
+    }
+
+    matchesFilters(record, filters) {
+        if (filters.park && !this.normalize(record['Parque Industrial']).includes(this.normalize(filters.park))) {
+            return false;
+        }
+        if (filters.location && !this.normalize(record['Ubicación']).includes(this.normalize(filters.location))) {
+            return false;
+        }
+        if (filters.status && this.normalize(record['Estado']) !== this.normalize(filters.status)) {
+            return false;
+        }
+
+        // Los registros sin área o precio no se descartan por rangos numéricos
+        const area = this.parseNumber(record['Area (m2)']);
+        if (!isNaN(area)) {
+            if (filters.minArea !== undefined && area < filters.minArea) return false;
+            if (filters.maxArea !== undefined && area > filters.maxArea) return false;
+        }
+
+        const price = this.parseNumber(record['Precio']);
+        if (!isNaN(price)) {
+            if (filters.minPrice !== undefined && price < filters.minPrice) return false;
+            if (filters.maxPrice !== undefined && price > filters.maxPrice) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Aplica los filtros y, si ninguna nave cumple, los va relajando:
+     * primero los rangos numéricos y el estado, luego todo.
+     */
+    applyFilters(records, filters) {
+        const strict = records.filter(r => this.matchesFilters(r, filters));
+        if (strict.length > 0 || Object.keys(filters).length === 0) {
+            return { candidates: strict, relaxed: false };
+        }
+
+        const placeFilters = {};
+        if (filters.park) placeFilters.park = filters.park;
+        if (filters.location) placeFilters.location = filters.location;
+
+        const byPlace = records.filter(r => this.matchesFilters(r, placeFilters));
+        if (byPlace.length > 0) {
+            return { candidates: byPlace, relaxed: true };
+        }
+
+        return { candidates: records, relaxed: true };
+    }
+
+    // Puntaje BM25 de cada registro contra los términos de la consulta
+    scoreRecords(records, candidates, queryTokens) {
+        const docs = records.map(r => this.tokenize(this.recordText(r)));
+        const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+
+        // Frecuencia de documento calculada sobre todo el catálogo
+        const docFreq = new Map();
+        docs.forEach(doc => {
+            new Set(doc).forEach(token => docFreq.set(token, (docFreq.get(token) || 0) + 1));
+        });
+
+        const idf = (token) => {
+            const df = docFreq.get(token) || 0;
+            return Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+        };
+
+        return candidates.map(record => {
+            const doc = docs[records.indexOf(record)];
+            const termFreq = new Map();
+            doc.forEach(token => termFreq.set(token, (termFreq.get(token) || 0) + 1));
+
+            let score = 0;
+            queryTokens.forEach((weight, token) => {
+                const tf = termFreq.get(token) || 0;
+                if (tf === 0) return;
+                const norm = tf * (this.k1 + 1) / (tf + this.k1 * (1 - this.b + this.b * doc.length / avgLength));
+                score += weight * idf(token) * norm;
+            });
+
+            return { record, score };
+        });
+    }
+
+    /**
+     * Selecciona las naves relevantes para la conversación.
+     * messages: historial en formato de chat; se usan los últimos mensajes del cliente
+     * dando más peso al más reciente.
+     */
+    async retrieve(messages, topK) {
+        const records = await csvService.getAllRecords();
+        const userMessages = messages.filter(m => m.role === 'user').slice(-3);
+        const latest = userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+        const context = userMessages.map(m => m.content).join('\n');
+
+        // Pesos de la consulta: mensaje actual x2, mensajes anteriores x1
+        const queryTokens = new Map();
+        this.tokenize(context).forEach(token => queryTokens.set(token, 1));
+        this.tokenize(latest).forEach(token => queryTokens.set(token, 2));
+
+        // Los filtros del mensaje actual tienen prioridad sobre los anteriores
+        const filters = {
+            ...this.extractFilters(context, records),
+            ...this.extractFilters(latest, records)
+        };
+        const { candidates, relaxed } = this.applyFilters(records, filters);
+        const ranked = this.rank(records, candidates, queryTokens);
+
+        return {
+            records: ranked.slice(0, topK),
+            total: records.length,
+            matched: candidates.length,
+            filters,
+            relaxed,
+            catalog: records
+        };
+    }
+
+    /**
+     * Búsqueda con filtros explícitos (usada por la herramienta search_naves).
+     * Retorna los registros con su id (posición en el catálogo, empezando en 1).
+     */
+    async search(filters = {}, text = '', limit = 5) {
+        const records = await csvService.getAllRecords();
+        const queryTokens = new Map();
+        this.tokenize(text).forEach(token => queryTokens.set(token, 1));
+
+        const candidates = records.filter(r => this.matchesFilters(r, filters));
+
+        return {
+            total: candidates.length,
+            results: this.rank(records, candidates, queryTokens)
+                .slice(0, limit)
+                .map(record => ({ id: records.indexOf(record) + 1, record }))
+        };
+    }
+
+    // Ordena por puntaje BM25 y, en empate, primero las disponibles
+    rank(records, candidates, queryTokens) {
+        const isAvailable = (record) => this.normalize(record['Estado']) === 'disponible' ? 1 : 0;
+
+        return this.scoreRecords(records, candidates, queryTokens)
+            .sort((a, b) => b.score - a.score || isAvailable(b.record) - isAvailable(a.record))
+            .map(item => item.record);
+    }
+
+    // Resumen corto del catálogo completo para que la IA sepa qué más existe
+    summarizeCatalog(records) {
+        const parks = new Map();
+        records.forEach(r => {
+            const name = r['Parque Industrial'];
+            if (!name) return;
+            if (!parks.has(name)) {
+                parks.set(name, { location: r['Ubicación'], count: 0 });
+            }
+            parks.get(name).count++;
+        });
+
+        return [...parks.entries()]
+            .map(([name, info]) => `- ${name}${info.location ? ` (${info.location})` : ''}: ${info.count} nave(s)`)
+            .join('\n');
+    }
+}
+
+module.exports = new NavesRetriever();
@@ -0,0 +1,72 @@
+const database = require('./database');
+
+class ProcessedMessagesService {
+    constructor() {
+        this.localCache = new Set(); // IDs procesados recientemente (evita ir a BD en ráfagas)
+        this.maxCacheSize = 5000;
+        this.retentionDays = 7; // Conservar IDs procesados por 7 días
+        this.cleanupTimer = null;
+    }
+
+    /**
+     * Marca un mensaje como procesado de forma atómica.
+     * Retorna true si este proceso lo reclamó, false si ya había sido procesado
+     * (por ejemplo al reconectar y recibir de nuevo el mismo mensaje).
+     */
+    async claim(messageId, remoteJid = null) {
+        if (!messageId) {
+            return true; // Sin ID no hay forma de deduplicar
+        }
+
+        if (this.localCache.has(messageId)) {
+            return false;
+        }
+
+        this.remember(messageId);
+
+        try {
+            const result = await database.query(
+                'INSERT IGNORE INTO processed_messages (message_id, remote_jid, processed_at) VALUES (?, ?, ?)',
+                [messageId, remoteJid, new Date()]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('Error registrando mensaje procesado:', error);
+            // Si la BD falla, confiar en el cache local para no perder el mensaje
+            return true;
+        }
+    }
+
+    remember(messageId) {
+        this.localCache.add(messageId);
+
+        // Mantener el cache acotado eliminando los más antiguos
+        if (this.localCache.size > this.maxCacheSize) {
+            const oldest = this.localCache.values().next().value;
+            this.localCache.delete(oldest);
+        }
+    }
+
+    async cleanup() {
+        try {
+            await database.query(
+                'DELETE FROM processed_messages WHERE processed_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+                [this.retentionDays]
+            );
+        } catch (error) {
+            console.error('Error limpiando mensajes procesados:', error);
+        }
+    }
+
+    startCleanupTimer() {
+        if (this.cleanupTimer) {
+            return;
+        }
+
+        this.cleanupTimer = setInterval(() => {
+            this.cleanup();
+        }, 6 * 60 * 60 * 1000); // Limpiar cada 6 horas
+    }
+}
+
+module.exports = new ProcessedMessagesService();
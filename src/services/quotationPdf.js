@@ -0,0 +1,173 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const config = require('../config/config');
+
+// Genera el PDF de una cotización con la marca configurada
+class QuotationPdf {
+    constructor() {
+        this.settings = config.quotation;
+        this.margin = 50;
+    }
+
+    formatMoney(amount, currency) {
+        return Number(amount).toLocaleString('es-MX', {
+            style: 'currency',
+            currency,
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        });
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleDateString('es-MX', { day: '2-digit', month: 'long', year: 'numeric' });
+    }
+
+    /**
+     * quotation: { folio, createdAt, validUntil, client, items, total, currency, notes }
+     * Retorna el PDF como Buffer.
+     */
+    render(quotation) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'LETTER', margin: this.margin, bufferPages: true });
+            const chunks = [];
+
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            try {
+                this.drawHeader(doc, quotation);
+                this.drawClient(doc, quotation);
+                quotation.items.forEach((item, index) => this.drawItem(doc, item, index, quotation.currency));
+                this.drawTotals(doc, quotation);
+                this.drawTerms(doc, quotation);
+                this.drawFooter(doc);
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    drawHeader(doc, quotation) {
+        const { brandColor, companyName, logoPath } = this.settings;
+        const width = doc.page.width;
+
+        doc.rect(0, 0, width, 90).fill(brandColor);
+
+        let textX = this.margin;
+        if (logoPath && fs.existsSync(logoPath)) {
+            try {
+                doc.image(logoPath, this.margin, 20, { fit: [50, 50] });
+                textX += 60;
+            } catch (error) {
+                console.error('Error cargando logo de cotización:', error.message);
+            }
+        }
+
+        doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(18).text(companyName, textX, 28, { width: 280 });
+        doc.font('Helvetica-Bold').fontSize(16).text('COTIZACIÓN', width - this.margin - 200, 24, { width: 200, align: 'right' });
+        doc.font('Helvetica').fontSize(10).text(`Folio: ${quotation.folio}`, width - this.margin - 200, 46, { width: 200, align: 'right' });
+
+        doc.fillColor('#374151').fontSize(10);
+        doc.text(`Fecha: ${this.formatDate(quotation.createdAt)}`, this.margin, 110);
+        doc.text(`Vigencia: hasta el ${this.formatDate(quotation.validUntil)}`, this.margin, 125);
+        doc.moveDown(1.5);
+    }
+
+    drawClient(doc, quotation) {
+        const client = quotation.client || {};
+        const lines = [
+            ['Cliente', client.name],
+            ['Empresa', client.company],
+            ['Teléfono', client.phone],
+            ['Email', client.email],
+            ['Ciudad', client.city]
+        ].filter(([, value]) => value);
+
+        this.sectionTitle(doc, 'Datos del cliente');
+        if (lines.length === 0) {
+            doc.font('Helvetica').fontSize(10).fillColor('#374151').text('Cliente de WhatsApp');
+        }
+        lines.forEach(([label, value]) => this.labelValue(doc, label, value));
+        doc.moveDown(1);
+    }
+
+    drawItem(doc, item, index, currency) {
+        if (doc.y > doc.page.height - 220) {
+            doc.addPage();
+        }
+
+        this.sectionTitle(doc, `${index + 1}. ${[item.park, item.type].filter(Boolean).join(' - ') || 'Nave industrial'}`);
+
+        if (item.location) this.labelValue(doc, 'Ubicación', item.location);
+        if (item.width && item.length) this.labelValue(doc, 'Dimensiones', `${item.width} m x ${item.length} m`);
+        if (item.area) this.labelValue(doc, 'Área', `${Number(item.area).toLocaleString('es-MX')} m²`);
+        if (item.status) this.labelValue(doc, 'Estado', item.status);
+        this.labelValue(doc, 'Precio', item.price !== null ? this.formatMoney(item.price, currency) : 'A consultar');
+
+        if (item.extra) this.labelValue(doc, 'Información', item.extra);
+        if (item.advantages) this.labelValue(doc, 'Ventajas', item.advantages);
+        doc.moveDown(1);
+    }
+
+    drawTotals(doc, quotation) {
+        if (quotation.items.length < 2 || quotation.total === null) {
+            return;
+        }
+
+        const width = doc.page.width - this.margin * 2;
+        doc.moveTo(this.margin, doc.y).lineTo(this.margin + width, doc.y).strokeColor('#E8EBED').stroke();
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').fontSize(12).fillColor('#111827')
+            .text(`Total: ${this.formatMoney(quotation.total, quotation.currency)}`, this.margin, doc.y, { width, align: 'right' });
+        doc.moveDown(1);
+    }
+
+    drawTerms(doc, quotation) {
+        if (doc.y > doc.page.height - 180) {
+            doc.addPage();
+        }
+
+        if (quotation.notes) {
+            this.sectionTitle(doc, 'Notas');
+            doc.font('Helvetica').fontSize(10).fillColor('#374151').text(quotation.notes);
+            doc.moveDown(1);
+        }
+
+        this.sectionTitle(doc, 'Términos');
+        doc.font('Helvetica').fontSize(9).fillColor('#6B7280')
+            .text(`Precios expresados en ${quotation.currency}. Sujeto a disponibilidad al momento de la firma. ` +
+                `Esta cotización es válida hasta el ${this.formatDate(quotation.validUntil)}.`);
+    }
+
+    drawFooter(doc) {
+        const { companyName, companyContact } = this.settings;
+        const range = doc.bufferedPageRange();
+
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            // Escribir dentro del margen inferior sin que pdfkit agregue otra página
+            doc.page.margins.bottom = 0;
+            const bottom = doc.page.height - 40;
+            doc.font('Helvetica').fontSize(8).fillColor('#9CA3AF')
+                .text([companyName, companyContact].filter(Boolean).join(' · '), this.margin, bottom, {
+                    width: doc.page.width - this.margin * 2,
+                    align: 'center',
+                    lineBreak: false
+                });
+        }
+    }
+
+    sectionTitle(doc, title) {
+        doc.font('Helvetica-Bold').fontSize(12).fillColor(this.settings.brandColor).text(title, this.margin);
+        doc.moveDown(0.3);
+    }
+
+    labelValue(doc, label, value) {
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827').text(`${label}: `, this.margin, doc.y, { continued: true })
+            .font('Helvetica').fillColor('#374151').text(String(value));
+    }
+}
+
+module.exports = new QuotationPdf();
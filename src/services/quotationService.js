@@ -0,0 +1,171 @@
+const config = require('../config/config');
+const database = require('./database');
+const csvService = require('./csvService');
+const contactService = require('./contactService');
+const mediaService = require('./mediaService');
+const quotationPdf = require('./quotationPdf');
+const logger = require('./logger');
+
+// Cotizaciones formales en PDF a partir de naves del catálogo
+class QuotationService {
+    constructor() {
+        this.settings = config.quotation;
+    }
+
+    parsePrice(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const price = parseFloat(String(value).replace(/[$,\s]/g, ''));
+        return isNaN(price) ? null : price;
+    }
+
+    // Copia de la nave al momento de cotizar (el id del catálogo cambia si se sube otro CSV)
+    buildItem(naveId, record, priceOverride) {
+        return {
+            naveId: Number(naveId),
+            park: record['Parque Industrial'] || null,
+            location: record['Ubicación'] || null,
+            type: record['Tipo'] || null,
+            width: record['Ancho'] || null,
+            length: record['Largo'] || null,
+            area: record['Area (m2)'] || null,
+            status: record['Estado'] || null,
+            price: priceOverride !== null ? priceOverride : this.parsePrice(record['Precio']),
+            extra: record['Información Extra'] || null,
+            advantages: record['Ventajas Estratégicas'] || null
+        };
+    }
+
+    /**
+     * Crea una cotización, genera el PDF y lo guarda.
+     * options: { userId, naveIds, prices: { [naveId]: precio }, validityDays, notes, createdBy }
+     * Los precios ajustados solo los puede indicar un agente; la IA usa los del catálogo.
+     */
+    async createQuotation({ userId, naveIds, prices = {}, validityDays = null, notes = null, createdBy = 'Bot' }) {
+        const ids = [...new Set((naveIds || []).map(id => parseInt(id, 10)).filter(id => !isNaN(id)))];
+        if (ids.length === 0) {
+            throw new Error('Debe indicar al menos una nave');
+        }
+
+        const items = [];
+        for (const id of ids) {
+            const record = await csvService.getRecordById(id);
+            if (!record) {
+                throw new Error(`No existe una nave con id ${id}`);
+            }
+            items.push(this.buildItem(id, record, this.parsePrice(prices[id])));
+        }
+
+        const contact = await contactService.getContact(userId);
+        const client = {
+            name: contact?.name || contact?.displayName || null,
+            company: contact?.company || null,
+            phone: contact?.phone || (contact?.isGroup ? null : userId),
+            email: contact?.email || null,
+            city: contact?.city || null
+        };
+
+        const days = parseInt(validityDays, 10) || this.settings.validityDays;
+        const createdAt = new Date();
+        const validUntil = new Date(createdAt.getTime() + days * 24 * 60 * 60 * 1000);
+        const total = items.every(item => item.price !== null)
+            ? items.reduce((sum, item) => sum + item.price, 0)
+            : null;
+
+        const quotationId = await database.insert('quotations', {
+            user_id: userId,
+            items: JSON.stringify(items),
+            client: JSON.stringify(client),
+            total,
+            currency: this.settings.currency,
+            valid_until: validUntil.toISOString().split('T')[0],
+            notes: notes || null,
+            created_by: createdBy
+        });
+
+        // El folio se deriva del id para que sea único aunque se generen dos a la vez
+        const folio = `${this.settings.folioPrefix}-${createdAt.getFullYear()}-${String(quotationId).padStart(5, '0')}`;
+
+        const quotation = {
+            id: quotationId,
+            folio,
+            userId,
+            client,
+            items,
+            total,
+            currency: this.settings.currency,
+            validUntil,
+            notes: notes || null,
+            createdBy,
+            createdAt
+        };
+
+        const buffer = await quotationPdf.render(quotation);
+        const media = await mediaService.save(buffer, {
+            mimeType: 'application/pdf',
+            userId,
+            direction: 'outgoing',
+            originalName: `Cotizacion-${folio}.pdf`
+        });
+
+        await database.update('quotations', { folio, media_id: media.id }, 'id = ?', [quotation.id]);
+
+        console.log(`📄 Cotización ${folio} generada para ${userId} (${items.length} nave(s))`);
+        return { ...quotation, mediaId: media.id, buffer, fileName: `Cotizacion-${folio}.pdf` };
+    }
+
+    /**
+     * Envía la cotización por WhatsApp como documento y la registra en la conversación.
+     * role: 'bot' si la envió la IA, 'soporte' si la envió un agente.
+     */
+    async sendQuotation(quotation, jid, { role = 'bot', senderName = null, isGroup = false } = {}) {
+        if (!global.whatsappBot || !global.whatsappBot.sock) {
+            throw new Error('El cliente de WhatsApp no está conectado');
+        }
+
+        const caption = `Cotización ${quotation.folio}`;
+        const sentMsg = await global.whatsappBot.sendMedia(jid, {
+            buffer: quotation.buffer,
+            mimeType: 'application/pdf',
+            fileName: quotation.fileName,
+            caption
+        });
+        const messageId = sentMsg?.key?.id || null;
+
+        await database.update('quotations', { message_id: messageId, sent_at: new Date() }, 'id = ?', [quotation.id]);
+        await database.update('media', { message_id: messageId }, 'id = ?', [quotation.mediaId]);
+
+        await logger.log(role, `📄 ${caption}`, quotation.userId, senderName, isGroup, null, null, messageId, {
+            id: quotation.mediaId,
+            type: 'document',
+            data: { fileName: quotation.fileName }
+        });
+
+        return messageId;
+    }
+
+    async getQuotations(userId) {
+        try {
+            const rows = await database.findAll('quotations', 'user_id = ?', [userId], 'created_at DESC');
+            return rows.map(row => ({
+                id: row.id,
+                folio: row.folio,
+                items: JSON.parse(row.items || '[]'),
+                total: row.total !== null ? Number(row.total) : null,
+                currency: row.currency,
+                validUntil: row.valid_until,
+                notes: row.notes,
+                mediaId: row.media_id,
+                createdBy: row.created_by,
+                sentAt: row.sent_at,
+                createdAt: row.created_at
+            }));
+        } catch (error) {
+            console.error('Error obteniendo cotizaciones:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = new QuotationService();
@@ -0,0 +1,76 @@
+const config = require('../config/config');
+
+class ReplySplitter {
+    constructor() {
+        this.delimiter = '{{SEPARAR}}'; // Marcador que el modelo puede usar para dividir mensajes
+        this.maxWords = config.maxWordsPerMessage;
+        this.minTypingDelay = 1200; // Pausa mínima entre mensajes (ms)
+        this.maxTypingDelay = 4000; // Pausa máxima entre mensajes (ms)
+        this.msPerCharacter = 35; // Velocidad aproximada de escritura
+    }
+
+    /**
+     * Divide una respuesta de la IA en los mensajes que se enviarán por WhatsApp.
+     * Primero respeta el marcador explícito y luego, si una parte sigue excediendo
+     * el límite de palabras, la corta por párrafos.
+     */
+    split(text) {
+        if (!text) {
+            return [];
+        }
+
+        return text
+            .split(this.delimiter)
+            .map(part => part.trim())
+            .filter(part => part.length > 0)
+            .flatMap(part => this.splitByParagraphs(part));
+    }
+
+    splitByParagraphs(text) {
+        if (this.countWords(text) <= this.maxWords) {
+            return [text];
+        }
+
+        const paragraphs = text
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(paragraph => paragraph.length > 0);
+
+        const chunks = [];
+        let current = '';
+
+        for (const paragraph of paragraphs) {
+            const candidate = current ? `${current}\n\n${paragraph}` : paragraph;
+
+            if (current && this.countWords(candidate) > this.maxWords) {
+                chunks.push(current);
+                current = paragraph;
+            } else {
+                current = candidate;
+            }
+        }
+
+        if (current) {
+            chunks.push(current);
+        }
+
+        return chunks;
+    }
+
+    countWords(text) {
+        return text.split(/\s+/).filter(word => word.length > 0).length;
+    }
+
+    // Texto sin marcadores, para guardar en la sesión como un solo turno
+    toPlainText(text) {
+        return this.split(text).join('\n\n');
+    }
+
+    // Tiempo de "escribiendo..." proporcional a la longitud del mensaje
+    getTypingDelay(text) {
+        const delay = text.length * this.msPerCharacter;
+        return Math.min(this.maxTypingDelay, Math.max(this.minTypingDelay, delay));
+    }
+}
+
+module.exports = new ReplySplitter();
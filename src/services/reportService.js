@@ -0,0 +1,207 @@
+const database = require('./database');
+const logger = require('./logger');
+const timeZone = require('./timeZone');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PAGE_SIZE = 200;
+const CONVERSATION_STATUSES = ['open', 'pending', 'resolved', 'closed'];
+
+// Columnas por las que se puede ordenar el reporte
+const SORT_COLUMNS = {
+    fecha: 'r.primer_mensaje',
+    ultimo: 'r.ultimo_mensaje',
+    telefono: 'r.user_id',
+    mensajes: 'r.mensajes'
+};
+
+// Mensajes de la conversación (sin avisos del sistema)
+const MESSAGE_ROLES = "('cliente', 'bot', 'soporte', 'HUMAN')";
+
+// Reporte de conversaciones: una fila por conversación (tabla conversations) con
+// mensajes en el rango, calculada con SQL agrupado junto con sus marcas de ventas
+class ReportService {
+    /**
+     * Condición de rango sobre conversation_logs (alias l). from y to son fechas
+     * AAAA-MM-DD incluidas; sin ninguna se toma todo el historial
+     */
+    buildRange(from, to) {
+        const conditions = [];
+        const params = [];
+
+        if (from) {
+            if (!DATE_PATTERN.test(from)) throw new Error('Fecha inicial inválida (AAAA-MM-DD)');
+            conditions.push('l.timestamp >= ?');
+            params.push(`${from} 00:00:00`);
+        }
+        if (to) {
+            if (!DATE_PATTERN.test(to)) throw new Error('Fecha final inválida (AAAA-MM-DD)');
+            conditions.push('l.timestamp < DATE_ADD(?, INTERVAL 1 DAY)');
+            params.push(`${to} 00:00:00`);
+        }
+        if (from && to && from > to) {
+            throw new Error('La fecha inicial es posterior a la final');
+        }
+
+        return { conditions, params };
+    }
+
+    /**
+     * Consulta base con los filtros del reporte:
+     * { from, to, phone, status: 'ai' | 'human' | 'support', hasSale: 'yes' | 'no', hasAppointment: 'yes' | 'no',
+     *   chatType: 'individual' | 'group', conversationStatus: 'open' | 'pending' | 'resolved' | 'closed' }
+     */
+    buildQuery(filters = {}) {
+        const range = this.buildRange(filters.from, filters.to);
+        const params = [...range.params];
+        const conditions = [];
+
+        if (filters.phone) {
+            conditions.push('r.user_id LIKE ?');
+            params.push(`%${filters.phone}%`);
+        }
+
+        if (filters.status === 'human') {
+            conditions.push('r.modo_humano = 1');
+        } else if (filters.status === 'support') {
+            conditions.push('r.soporte_activado = 1');
+        } else if (filters.status === 'ai') {
+            conditions.push('r.modo_humano = 0 AND r.soporte_activado = 0');
+        }
+
+        if (filters.hasSale === 'yes' || filters.hasSale === 'no') {
+            conditions.push(`(r.posible_venta = 1 OR r.analizado_ia = 1) = ${filters.hasSale === 'yes' ? 1 : 0}`);
+        }
+
+        if (filters.hasAppointment === 'yes' || filters.hasAppointment === 'no') {
+            conditions.push(`r.cita_agendada = ${filters.hasAppointment === 'yes' ? 1 : 0}`);
+        }
+
+        if (filters.chatType === 'individual' || filters.chatType === 'group') {
+            conditions.push(`r.is_group = ${filters.chatType === 'group' ? 1 : 0}`);
+        }
+
+        if (CONVERSATION_STATUSES.includes(filters.conversationStatus)) {
+            conditions.push('r.estado = ?');
+            params.push(filters.conversationStatus);
+        }
+
+        const sql = `
+            SELECT r.* FROM (
+                SELECT c.id AS conversation_id,
+                       c.user_id,
+                       c.status AS estado,
+                       c.opened_at,
+                       c.closed_at,
+                       c.resolution_reason,
+                       a.mensajes,
+                       a.primer_mensaje,
+                       a.ultimo_mensaje,
+                       c.is_group,
+                       COALESCE(a.soporte_en_rango = 1 OR (c.status IN ('open', 'pending') AND h.mode = 'support'), 0) AS soporte_activado,
+                       COALESCE(a.humano_en_rango = 1 OR (c.status IN ('open', 'pending') AND (h.mode = 'human' OR (h.mode IS NULL AND h.is_human_mode = 1))), 0) AS modo_humano,
+                       COALESCE(c.posible_venta, 0) AS posible_venta,
+                       c.analyzed_at IS NOT NULL AS analizado_ia,
+                       COALESCE(c.cita_agendada, 0) AS cita_agendada
+                FROM (
+                    SELECT l.conversation_id,
+                           SUM(l.role IN ${MESSAGE_ROLES}) AS mensajes,
+                           MIN(CASE WHEN l.role IN ${MESSAGE_ROLES} THEN l.timestamp END) AS primer_mensaje,
+                           MAX(CASE WHEN l.role IN ${MESSAGE_ROLES} THEN l.timestamp END) AS ultimo_mensaje,
+                           MAX(l.role IN ('soporte', 'HUMAN') OR (l.role = 'SYSTEM' AND l.message LIKE '%Modo SOPORTE activado%')) AS soporte_en_rango,
+                           MAX(l.role = 'SYSTEM' AND l.message LIKE '%Modo HUMANO establecido%') AS humano_en_rango
+                    FROM conversation_logs l
+                    WHERE ${['l.conversation_id IS NOT NULL', ...range.conditions].join(' AND ')}
+                    GROUP BY l.conversation_id
+                ) a
+                JOIN conversations c ON c.id = a.conversation_id
+                LEFT JOIN human_mode_states h ON h.contact_id = c.user_id
+            ) r
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        `;
+
+        return { sql, params };
+    }
+
+    /**
+     * Página del reporte con los totales de todas las conversaciones filtradas.
+     * options: { sort: 'fecha' | 'ultimo' | 'telefono' | 'mensajes', order: 'asc' | 'desc', page, limit }
+     */
+    async getReports(filters = {}, options = {}) {
+        const { sql, params } = this.buildQuery(filters);
+
+        const sortColumn = SORT_COLUMNS[options.sort] || SORT_COLUMNS.fecha;
+        const order = options.order === 'asc' ? 'ASC' : 'DESC';
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(options.page, 10) || 1, 1);
+
+        const rows = await database.query(
+            `${sql} ORDER BY ${sortColumn} ${order}, r.conversation_id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        const [totals] = await database.query(`
+            SELECT COUNT(*) AS total,
+                   COALESCE(SUM(posible_venta), 0) AS posibles_ventas,
+                   COALESCE(SUM(analizado_ia), 0) AS analizados,
+                   COALESCE(SUM(cita_agendada), 0) AS citas,
+                   COALESCE(SUM(soporte_activado), 0) AS soporte
+            FROM (${sql}) t
+        `, params);
+
+        return {
+            reports: rows.map(row => this.formatReport(row)),
+            total: Number(totals.total),
+            page,
+            limit,
+            totals: {
+                conversaciones: Number(totals.total),
+                posiblesVentas: Number(totals.posibles_ventas),
+                analizados: Number(totals.analizados),
+                citas: Number(totals.citas),
+                soporte: Number(totals.soporte)
+            }
+        };
+    }
+
+    formatReport(row) {
+        const first = row.primer_mensaje ? new Date(row.primer_mensaje) : null;
+
+        return {
+            id: row.conversation_id,
+            conversationId: row.conversation_id,
+            telefono: row.user_id,
+            estado: row.estado,
+            motivoCierre: row.resolution_reason || null,
+            abierta: row.opened_at ? new Date(row.opened_at).toISOString() : null,
+            cerrada: row.closed_at ? new Date(row.closed_at).toISOString() : null,
+            // Hora local del servidor, la misma de los timestamps guardados y de los filtros from/to
+            fecha: first ? timeZone.toLocalDate(first) : null,
+            hora: first ? first.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' }) : '',
+            mensajes: Number(row.mensajes) || 0,
+            posibleVenta: Boolean(row.posible_venta),
+            ventaCerrada: Boolean(row.analizado_ia), // Compatibilidad: antes "venta cerrada" marcaba el análisis
+            analizadoIA: Boolean(row.analizado_ia),
+            citaAgendada: Boolean(row.cita_agendada),
+            soporteActivado: Boolean(row.soporte_activado),
+            modoHumano: Boolean(row.modo_humano),
+            isGroup: Boolean(row.is_group),
+            primerMensaje: first ? first.toISOString() : null,
+            ultimoMensaje: row.ultimo_mensaje ? new Date(row.ultimo_mensaje).toISOString() : null
+        };
+    }
+
+    // Mensajes de una conversación, del más antiguo al más reciente (para analizar o ver el chat)
+    async getConversation(conversationId) {
+        const rows = await database.query(`
+            SELECT l.*, m.id AS media_row_id, m.mime_type AS media_mime_type
+            FROM conversation_logs l
+            LEFT JOIN media m ON m.id = l.media_id
+            WHERE l.conversation_id = ? AND l.role IN ${MESSAGE_ROLES}
+            ORDER BY l.id ASC
+        `, [conversationId]);
+
+        return rows.map(row => logger.formatLog(row));
+    }
+}
+
+module.exports = new ReportService();
@@ -1,4 +1,5 @@
 const database = require('./database');
+const conversationService = require('./conversationService');
 
 class SalesManager {
     constructor() {
@@ -31,64 +32,76 @@ class SalesManager {
         }
     }
 
-    generateConversationId(phone, date) {
-        // Generar un ID único pero consistente basado en teléfono y fecha
-        const dateStr = date || new Date().toISOString().split('T')[0];
-        const phoneClean = phone.replace(/[^0-9]/g, '');
-        return `${phoneClean}_${dateStr}`;
-    }
-
+    /**
+     * Marcas del reporte de conversaciones (posible venta, analizado con IA, cita agendada).
+     * Se guardan en la conversación y se copian al estado de venta del contacto junto con
+     * el id de la conversación. Solo cambia los campos recibidos; ventaCerrada se mantiene
+     * como alias de analizadoIA
+     */
     async setSaleStatus(conversationId, data) {
         try {
-            // El conversationId es phone_date
-            const [phone] = conversationId.split('_');
-            
-            console.log(`Guardando en BD para ${phone}:`, {
-                posibleVenta: data.posibleVenta,
-                analizadoIA: true,
-                citaAgendada: data.citaAgendada
-            });
-            
-            // Buscar o crear registro en BD
-            const existing = await database.findOne('sales_status', 'user_id = ?', [phone]);
-            
+            const conversation = await conversationService.getById(conversationId);
+            if (!conversation) {
+                throw new Error('Conversación no encontrada');
+            }
+            const userId = conversation.user_id;
+
+            const flags = {};
+            const fields = {};
+            if (data.posibleVenta !== undefined) {
+                flags.posible_venta = data.posibleVenta ? 1 : 0;
+                fields.posible_venta = flags.posible_venta;
+            }
+            if (data.analizadoIA !== undefined || data.ventaCerrada !== undefined) {
+                const analyzed = Boolean(data.analizadoIA || data.ventaCerrada);
+                flags.analyzed_at = analyzed ? new Date() : null;
+                fields.analizado_ia = analyzed ? 1 : 0;
+            }
+            if (data.citaAgendada !== undefined) {
+                flags.cita_agendada = data.citaAgendada ? 1 : 0;
+                fields.cita_agendada = flags.cita_agendada;
+            }
+            if (data.notas !== undefined) fields.notes = data.notas;
+
+            if (Object.keys(flags).length > 0) {
+                await conversationService.setSaleFlags(conversationId, flags);
+            }
+
+            const existing = await database.findOne('sales_status', 'user_id = ?', [userId]);
+
             if (existing) {
-                // Actualizar registro existente
-                const updateResult = await database.update('sales_status', {
-                    posible_venta: data.posibleVenta ? 1 : 0,
-                    analizado_ia: 1, // Siempre 1 cuando se analiza con IA
-                    cita_agendada: data.citaAgendada ? 1 : 0,
-                    notes: data.notas || existing.notes,
+                await database.update('sales_status', {
+                    ...fields,
+                    conversation_id: conversationId,
                     last_interaction: new Date()
-                }, 'user_id = ?', [phone]);
-                console.log('✅ Registro actualizado en BD:', updateResult);
+                }, 'user_id = ?', [userId]);
             } else {
-                // Crear nuevo registro
-                const insertResult = await database.insert('sales_status', {
-                    user_id: phone,
-                    stage: 'analyzed',
-                    interest_level: data.posibleVenta ? 5 : 0,
-                    posible_venta: data.posibleVenta ? 1 : 0,
-                    analizado_ia: 1, // Siempre 1 cuando se analiza con IA
-                    cita_agendada: data.citaAgendada ? 1 : 0,
+                await database.insert('sales_status', {
+                    user_id: userId,
+                    conversation_id: conversationId,
+                    stage: fields.analizado_ia ? 'analyzed' : 'initial_contact',
+                    interest_level: fields.posible_venta ? 5 : 0,
+                    posible_venta: 0,
+                    analizado_ia: 0,
+                    cita_agendada: 0,
                     products_interested: '[]',
                     objections: '[]',
                     next_action: '',
-                    notes: data.notas || ''
+                    notes: '',
+                    ...fields
                 });
-                console.log('✅ Nuevo registro creado en BD:', insertResult);
             }
 
             // Actualizar cache local
-            this.localCache.set(phone, {
-                ...this.localCache.get(phone),
-                posibleVenta: data.posibleVenta,
-                analizadoIA: true,
-                citaAgendada: data.citaAgendada,
-                notas: data.notas
-            });
+            const cached = { ...this.localCache.get(userId) };
+            if (fields.posible_venta !== undefined) cached.posibleVenta = fields.posible_venta === 1;
+            if (fields.analizado_ia !== undefined) cached.analizadoIA = fields.analizado_ia === 1;
+            if (fields.cita_agendada !== undefined) cached.citaAgendada = fields.cita_agendada === 1;
+            if (fields.notes !== undefined) cached.notes = fields.notes;
+            cached.conversationId = conversationId;
+            this.localCache.set(userId, cached);
 
-            return { success: true, saved: true };
+            return { success: true, saved: true, conversationId };
         } catch (error) {
             console.error('❌ Error guardando estado de venta en BD:', error);
             throw error;
@@ -97,6 +110,12 @@ class SalesManager {
 
     async updateSaleStatus(userId, data) {
         try {
+            // Los cambios se registran en la conversación en curso del contacto
+            const conversation = await conversationService.getCurrent(userId);
+            if (conversation && data.citaAgendada !== undefined) {
+                await conversationService.setSaleFlags(conversation.id, { cita_agendada: data.citaAgendada ? 1 : 0 });
+            }
+
             // Verificar si existe registro previo
             const existing = await database.findOne('sales_status', 'user_id = ?', [userId]);
             
@@ -113,6 +132,8 @@ class SalesManager {
                 if (data.objections !== undefined) updateData.objections = JSON.stringify(data.objections);
                 if (data.next_action !== undefined) updateData.next_action = data.next_action;
                 if (data.notes !== undefined) updateData.notes = data.notes;
+                if (data.citaAgendada !== undefined) updateData.cita_agendada = data.citaAgendada ? 1 : 0;
+                if (conversation) updateData.conversation_id = conversation.id;
                 
                 await database.update('sales_status', updateData, 'user_id = ?', [userId]);
                 
@@ -129,18 +150,21 @@ class SalesManager {
                     objections: data.objections || [],
                     next_action: data.next_action || '',
                     notes: data.notes || '',
+                    citaAgendada: data.citaAgendada || false,
                     last_interaction: new Date(),
                     created_at: new Date()
                 };
                 
                 await database.insert('sales_status', {
                     user_id: userId,
+                    conversation_id: conversation ? conversation.id : null,
                     stage: saleData.stage,
                     interest_level: saleData.interest_level,
                     products_interested: JSON.stringify(saleData.products_interested),
                     objections: JSON.stringify(saleData.objections),
                     next_action: saleData.next_action,
-                    notes: saleData.notes
+                    notes: saleData.notes,
+                    cita_agendada: saleData.citaAgendada ? 1 : 0
                 });
                 
                 this.localCache.set(userId, saleData);
@@ -155,12 +179,9 @@ class SalesManager {
 
     async getSaleStatus(userId) {
         try {
-            // Si el userId viene como conversationId (phone_date), extraer el phone
-            const phone = userId.includes('_') ? userId.split('_')[0] : userId;
-            
             // Verificar cache local primero
-            if (this.localCache.has(phone)) {
-                const cached = this.localCache.get(phone);
+            if (this.localCache.has(userId)) {
+                const cached = this.localCache.get(userId);
                 return {
                     ...cached,
                     posibleVenta: cached.posibleVenta || cached.posible_venta || false,
@@ -171,7 +192,7 @@ class SalesManager {
             }
             
             // Buscar en BD
-            const dbData = await database.findOne('sales_status', 'user_id = ?', [phone]);
+            const dbData = await database.findOne('sales_status', 'user_id = ?', [userId]);
             if (dbData) {
                 const saleData = {
                     stage: dbData.stage,
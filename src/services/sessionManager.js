@@ -2,10 +2,12 @@ const config = require('../config/config');
 const logger = require('./logger');
 const humanModeManager = require('./humanModeManager');
 const database = require('./database');
+const conversationSummarizer = require('./conversationSummarizer');
 
 class SessionManager {
     constructor() {
         this.localCache = new Map(); // Cache local para rendimiento
+        this.summarizing = new Set(); // Usuarios con un resumen en curso
     }
 
     async getSession(userId, chatId = null) {
@@ -24,6 +26,8 @@ class SessionManager {
             if (dbSession) {
                 const session = {
                     messages: JSON.parse(dbSession.messages || '[]'),
+                    summary: dbSession.summary || '',
+                    summarizedCount: dbSession.summarized_count || 0,
                     lastActivity: Date.now(),
                     chatId: chatId,
                     mode: 'ai'
@@ -42,6 +46,8 @@ class SessionManager {
                 // Crear nueva sesión
                 const session = {
                     messages: [],
+                    summary: '',
+                    summarizedCount: 0,
                     lastActivity: Date.now(),
                     chatId: chatId,
                     mode: 'ai'
@@ -61,6 +67,8 @@ class SessionManager {
             // Fallback a cache local si hay error de BD
             const session = {
                 messages: [],
+                summary: '',
+                summarizedCount: 0,
                 lastActivity: Date.now(),
                 chatId: chatId,
                 mode: 'ai'
@@ -93,15 +101,133 @@ class SessionManager {
         }
     }
 
+    // Mensajes de la sesión sin marcarla como activa (para procesos en segundo plano)
+    async peekMessages(userId) {
+        return (await this.peekSession(userId)).messages;
+    }
+
+    // Sesión desde cache o BD sin crearla ni actualizar su última actividad
+    async peekSession(userId) {
+        if (this.localCache.has(userId)) {
+            return this.localCache.get(userId);
+        }
+
+        try {
+            const dbSession = await database.findOne('user_sessions', 'user_id = ?', [userId]);
+            return {
+                messages: dbSession ? JSON.parse(dbSession.messages || '[]') : [],
+                summary: dbSession ? dbSession.summary || '' : '',
+                summarizedCount: dbSession ? dbSession.summarized_count || 0 : 0
+            };
+        } catch (error) {
+            console.error('Error leyendo la sesión:', error);
+            return { messages: [], summary: '', summarizedCount: 0 };
+        }
+    }
+
     async getMessages(userId, chatId = null) {
         const session = await this.getSession(userId, chatId);
         return session.messages.slice(-config.maxMessages);
     }
 
+    /**
+     * Contexto para la IA: resumen de lo anterior + mensajes recientes sin resumir.
+     * El historial completo se conserva en la sesión y en los logs del panel.
+     */
+    async getContext(userId, chatId = null) {
+        const session = await this.getSession(userId, chatId);
+        const unsummarized = session.messages.slice(session.summarizedCount || 0);
+
+        return {
+            summary: session.summary || '',
+            // Limitar por si el resumen no se ha podido generar (p. ej. IA caída)
+            messages: unsummarized.slice(-(config.maxMessages + config.summaryBatchSize))
+        };
+    }
+
+    /**
+     * Resume los mensajes que ya salieron de la ventana de contexto.
+     * Se agrupan en lotes para no llamar a la IA en cada mensaje.
+     */
+    async summarizeIfNeeded(userId, chatId = null) {
+        if (this.summarizing.has(userId)) {
+            return;
+        }
+
+        const session = await this.getSession(userId, chatId);
+        const start = session.summarizedCount || 0;
+        const end = session.messages.length - config.maxMessages;
+
+        if (end - start < config.summaryBatchSize) {
+            return;
+        }
+
+        this.summarizing.add(userId);
+        try {
+            const previousSummary = session.summary;
+            const summary = await conversationSummarizer.summarize(previousSummary, session.messages.slice(start, end));
+
+            // La sesión pudo reiniciarse mientras se generaba el resumen
+            if (session.messages.length < end) {
+                return;
+            }
+
+            // Un agente editó el resumen mientras se generaba: se conserva su versión
+            // y estos mensajes se resumen en el siguiente lote sobre ella
+            if (session.summary !== previousSummary) {
+                return;
+            }
+
+            session.summary = summary;
+            session.summarizedCount = end;
+            await database.update('user_sessions',
+                {
+                    summary: summary,
+                    summarized_count: end
+                },
+                'user_id = ?',
+                [userId]
+            );
+            console.log(`📝 Resumen de conversación actualizado para ${userId} (${end} mensajes resumidos)`);
+        } catch (error) {
+            console.error(`Error resumiendo conversación de ${userId}:`, error.message);
+        } finally {
+            this.summarizing.delete(userId);
+        }
+    }
+
+    // Solo lectura: consultar el resumen desde el panel no cuenta como actividad del contacto
+    async getSummary(userId) {
+        const session = await this.peekSession(userId);
+        return {
+            summary: session.summary || '',
+            summarizedCount: session.summarizedCount || 0,
+            totalMessages: session.messages.length
+        };
+    }
+
+    // Edición manual del resumen desde el panel
+    async updateSummary(userId, summary) {
+        if (this.localCache.has(userId)) {
+            this.localCache.get(userId).summary = summary;
+        }
+
+        await database.update('user_sessions',
+            { summary: summary },
+            'user_id = ?',
+            [userId]
+        );
+
+        return this.getSummary(userId);
+    }
+
     async clearSession(userId) {
         // Limpiar cache local
         if (this.localCache.has(userId)) {
-            this.localCache.get(userId).messages = [];
+            const session = this.localCache.get(userId);
+            session.messages = [];
+            session.summary = '';
+            session.summarizedCount = 0;
         }
         
         // Limpiar en base de datos
@@ -109,6 +235,8 @@ class SessionManager {
             await database.update('user_sessions',
                 {
                     messages: '[]',
+                    summary: null,
+                    summarized_count: 0,
                     last_activity: new Date()
                 },
                 'user_id = ?',
@@ -157,20 +285,15 @@ class SessionManager {
                 continue;
             }
 
-            // Si hay seguimiento activo, NO enviar mensaje de 5 minutos
+            // Si ya hay seguimiento activo, dejar que el seguimiento maneje la conversación
             if (followUpService.hasActiveFollowUp(userId)) {
                 continue;
             }
 
             if (now - session.lastActivity > config.sessionTimeout && session.messages.length > 0) {
-                // A los 5 minutos, iniciar seguimiento en lugar de finalizar sesión
-                if (!followUpService.hasActiveFollowUp(userId)) {
-                    await followUpService.startFollowUp(userId, session.chatId);
-                    // No limpiar la sesión, el seguimiento la mantendrá
-                    continue;
-                }
-
-                // Si ya hay seguimiento activo, no hacer nada (dejar que el seguimiento maneje)
+                // Iniciar seguimiento cuando se cumpla la inactividad de la secuencia del contacto
+                // (no se limpia la sesión, el seguimiento la mantendrá)
+                await followUpService.startIfInactive(userId, session.chatId, session.lastActivity);
             }
         }
 
@@ -1,4 +1,5 @@
 const database = require('./database');
+const appConfig = require('../config/config');
 
 class SystemConfigService {
     constructor() {
@@ -106,6 +107,125 @@ class SystemConfigService {
         return await this.setConfig('individual_ai_enabled', enabled ? 'true' : 'false');
     }
 
+    // Ventana para agrupar mensajes consecutivos de un mismo contacto en un solo turno
+    async getBurstWindowMs() {
+        const value = await this.getConfig('burst_window_seconds', '4');
+        const seconds = parseFloat(value);
+        return isNaN(seconds) || seconds < 0 ? 4000 : seconds * 1000;
+    }
+
+    /**
+     * Horario de atención (JSON en 'business_hours'), completado con los valores por defecto.
+     * schedule: { '0'..'6': [{ start: 'HH:MM', end: 'HH:MM' }] } (0 = domingo)
+     * holidays: [{ date: 'AAAA-MM-DD' o 'MM-DD' (cada año), name }]
+     */
+    async getBusinessHours() {
+        const value = await this.getConfig('business_hours', null);
+        let saved = {};
+        try {
+            saved = value ? JSON.parse(value) : {};
+        } catch (error) {
+            console.error('Error leyendo horario de atención:', error);
+        }
+
+        const defaults = {
+            // Desactivado hasta que un admin guarde el horario: sin configurar, no se difieren envíos
+            enabled: false,
+            timezone: appConfig.appointments.timezone,
+            schedule: {
+                '0': [],
+                '1': [{ start: '09:00', end: '19:00' }],
+                '2': [{ start: '09:00', end: '19:00' }],
+                '3': [{ start: '09:00', end: '19:00' }],
+                '4': [{ start: '09:00', end: '19:00' }],
+                '5': [{ start: '09:00', end: '19:00' }],
+                '6': [{ start: '09:00', end: '14:00' }]
+            },
+            holidays: [],
+            autoReplyEnabled: false,
+            autoReplyMessage: 'Gracias por escribirnos 🙌 En este momento estamos fuera de horario. Un asesor te atenderá a partir del {apertura}.',
+            promptVariantEnabled: false,
+            promptVariant: 'Estamos fuera del horario de atención. Puedes resolver dudas y agendar reuniones, pero no prometas atención inmediata de un asesor: indica que un asesor estará disponible a partir del {apertura}.'
+        };
+
+        return { ...defaults, ...saved, schedule: { ...defaults.schedule, ...saved.schedule } };
+    }
+
+    async setBusinessHours(settings) {
+        return await this.setConfig('business_hours', JSON.stringify(settings), 'Horario de atención, días festivos y mensajes fuera de horario');
+    }
+
+    /**
+     * Bajas (JSON en 'opt_out'): palabras con las que el cliente pide no recibir
+     * más mensajes automáticos y la confirmación que se le envía
+     */
+    async getOptOutSettings() {
+        const value = await this.getConfig('opt_out', null);
+        let saved = {};
+        try {
+            saved = value ? JSON.parse(value) : {};
+        } catch (error) {
+            console.error('Error leyendo configuración de bajas:', error);
+        }
+
+        const defaults = {
+            keywords: ['BAJA', 'STOP', 'no me escriban', 'no me escribas', 'darme de baja'],
+            confirmationEnabled: true,
+            confirmationMessage: 'Listo, no volveremos a enviarte mensajes automáticos. Si necesitas algo, escríbenos cuando quieras.'
+        };
+
+        return { ...defaults, ...saved };
+    }
+
+    async setOptOutSettings(settings) {
+        return await this.setConfig('opt_out', JSON.stringify(settings), 'Palabras de baja y mensaje de confirmación');
+    }
+
+    async getConversationSettings() {
+        const value = await this.getConfig('conversations', null);
+        let saved = {};
+        try {
+            saved = value ? JSON.parse(value) : {};
+        } catch (error) {
+            console.error('Error leyendo configuración de conversaciones:', error);
+        }
+
+        const defaults = {
+            // Un mensaje del cliente dentro de estas horas desde el cierre reabre la conversación;
+            // pasado ese tiempo (o con 0) empieza una nueva
+            reopenWindowHours: 24
+        };
+
+        return { ...defaults, ...saved };
+    }
+
+    async setConversationSettings(settings) {
+        return await this.setConfig('conversations', JSON.stringify(settings), 'Reglas para reabrir o iniciar conversaciones');
+    }
+
+    async getAssignmentSettings() {
+        const value = await this.getConfig('assignment', null);
+        let saved = {};
+        try {
+            saved = value ? JSON.parse(value) : {};
+        } catch (error) {
+            console.error('Error leyendo configuración de asignación:', error);
+        }
+
+        const defaults = {
+            strategy: 'round_robin', // round_robin, least_busy o manual (quedan en cola sin asignar)
+            maxChatsPerAgent: 0, // 0 = sin límite
+            fallbackToAway: false, // Sin agentes en línea, asignar a los ausentes
+            skillRules: [] // [{ keywords: ['precio', 'cotización'], skill: 'ventas' }]
+        };
+
+        return { ...defaults, ...saved };
+    }
+
+    async setAssignmentSettings(settings) {
+        return await this.setConfig('assignment', JSON.stringify(settings), 'Reglas de asignación de conversaciones a agentes');
+    }
+
     // Sincronizar cache con BD
     async syncCache() {
         try {
@@ -0,0 +1,105 @@
+// Conversión entre la hora local de una zona horaria IANA (p. ej. America/Mexico_City)
+// y UTC usando solo Intl, para no depender de librerías de fechas.
+// Las fechas locales se manejan como texto 'AAAA-MM-DD' y las horas como 'HH:MM'.
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// Componentes de la fecha tal como se ven en la zona horaria
+function getParts(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    });
+    return parts;
+}
+
+// Diferencia en ms entre la hora local de la zona y UTC en ese instante
+function getOffsetMs(date, timeZone) {
+    const p = getParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Instante UTC que corresponde a una fecha y hora locales de la zona.
+ * Se recalcula el offset una vez para los días de cambio de horario.
+ */
+function zonedToUtc(dateString, timeString, timeZone) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hour, minute] = timeString.split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+    let utc = guess - getOffsetMs(new Date(guess), timeZone);
+    utc = guess - getOffsetMs(new Date(utc), timeZone);
+    return new Date(utc);
+}
+
+// 'AAAA-MM-DD' local de un instante
+function toLocalDate(date, timeZone) {
+    const p = getParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// 'AAAA-MM-DDTHH:MM' local de un instante
+function toLocalDateTime(date, timeZone) {
+    const p = getParts(date, timeZone);
+    return `${toLocalDate(date, timeZone)}T${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+// Convierte 'AAAA-MM-DDTHH:MM' local (o un ISO con zona/Z) a Date
+function parseLocalDateTime(value, timeZone) {
+    const text = String(value || '').trim();
+    if (/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+        return new Date(text);
+    }
+
+    const match = text.match(/^(\d{4}-\d{2}-\d{2})[T\s](\d{1,2}:\d{2})/);
+    if (!match) {
+        return new Date(NaN);
+    }
+    return zonedToUtc(match[1], match[2], timeZone);
+}
+
+function addDays(dateString, days) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+// Día de la semana de una fecha local (0 = domingo)
+function getWeekday(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// Texto para el cliente, p. ej. "martes 21 de octubre, 10:00"
+function formatForHumans(date, timeZone) {
+    const day = date.toLocaleDateString('es-MX', { timeZone, weekday: 'long', day: 'numeric', month: 'long' });
+    const time = date.toLocaleTimeString('es-MX', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    return `${day}, ${time}`;
+}
+
+module.exports = {
+    zonedToUtc,
+    toLocalDate,
+    toLocalDateTime,
+    parseLocalDateTime,
+    addDays,
+    getWeekday,
+    formatForHumans
+};
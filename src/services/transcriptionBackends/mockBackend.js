@@ -0,0 +1,14 @@
+// Backend determinista para pruebas: no ejecuta ningún modelo y
+// siempre devuelve el mismo texto configurado
+class MockBackend {
+    constructor({ text }) {
+        this.name = 'mock';
+        this.text = text;
+    }
+
+    async transcribe() {
+        return this.text;
+    }
+}
+
+module.exports = MockBackend;
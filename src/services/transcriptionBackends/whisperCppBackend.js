@@ -0,0 +1,64 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Transcripción local con whisper.cpp en CPU.
+// Las notas de voz de WhatsApp llegan en OGG/Opus, así que primero se convierten
+// con ffmpeg a WAV mono de 16 kHz, que es el formato que acepta whisper.cpp.
+class WhisperCppBackend {
+    constructor({ binary, model, threads, ffmpegBinary, language, timeout }) {
+        this.name = 'whisper-cpp';
+        this.binary = binary;
+        this.model = model;
+        this.threads = threads;
+        this.ffmpegBinary = ffmpegBinary;
+        this.language = language;
+        this.timeout = timeout;
+    }
+
+    run(command, args) {
+        return new Promise((resolve, reject) => {
+            execFile(command, args, { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    error.message = `${command} falló: ${error.message}${stderr ? ` - ${stderr.trim().slice(-300)}` : ''}`;
+                    return reject(error);
+                }
+                resolve(stdout);
+            });
+        });
+    }
+
+    async transcribe(buffer) {
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whabot-audio-'));
+        const inputPath = path.join(workDir, 'input');
+        const wavPath = path.join(workDir, 'audio.wav');
+
+        try {
+            await fs.writeFile(inputPath, buffer);
+            await this.run(this.ffmpegBinary, ['-y', '-i', inputPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath]);
+
+            // -nt: sin marcas de tiempo, -np: sin mensajes de progreso (solo el texto en stdout)
+            const stdout = await this.run(this.binary, [
+                '-m', this.model,
+                '-f', wavPath,
+                '-l', this.language,
+                '-t', String(this.threads),
+                '-nt',
+                '-np'
+            ]);
+
+            return stdout
+                .split('\n')
+                .map(line => line.trim())
+                .filter(Boolean)
+                .join(' ')
+                .replace(/\[BLANK_AUDIO\]/g, '') // Marca de whisper.cpp para audio sin voz
+                .trim();
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true });
+        }
+    }
+}
+
+module.exports = WhisperCppBackend;
@@ -0,0 +1,53 @@
+const config = require('../config/config');
+const WhisperCppBackend = require('./transcriptionBackends/whisperCppBackend');
+const MockBackend = require('./transcriptionBackends/mockBackend');
+
+// Convierte notas de voz en texto con el backend configurado
+class TranscriptionService {
+    constructor() {
+        const { backend, language, timeout, whisperCpp, mockText } = config.transcription;
+
+        switch (backend) {
+            case 'whisper-cpp':
+                this.backend = new WhisperCppBackend({ ...whisperCpp, language, timeout });
+                break;
+            case 'mock':
+                this.backend = new MockBackend({ text: mockText });
+                break;
+            case 'none':
+                this.backend = null;
+                break;
+            default:
+                console.error(`⚠️ Backend de transcripción desconocido: ${backend}. Transcripción desactivada`);
+                this.backend = null;
+        }
+
+        console.log(`🎤 Transcripción de notas de voz: ${this.backend ? this.backend.name : 'desactivada'}`);
+    }
+
+    isEnabled() {
+        return this.backend !== null;
+    }
+
+    /**
+     * Transcribe un audio. Retorna el texto o null si no se pudo transcribir
+     * (backend desactivado, error o audio sin voz).
+     */
+    async transcribe(buffer, mimeType = null) {
+        if (!this.backend) {
+            return null;
+        }
+
+        try {
+            const startedAt = Date.now();
+            const text = (await this.backend.transcribe(buffer, mimeType)).trim();
+            console.log(`🎤 Nota de voz transcrita en ${Date.now() - startedAt}ms (${this.backend.name})`);
+            return text || null;
+        } catch (error) {
+            console.error('Error transcribiendo nota de voz:', error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = new TranscriptionService();
@@ -3,6 +3,9 @@ import ContactsList from './components/ContactsList';
 import ChatPanel from './components/ChatPanel';
 import Dashboard from './components/Dashboard';
 import Reports from './components/Reports';
+import Calendar from './components/Calendar';
+import FollowUpSequences from './components/FollowUpSequences';
+import Campaigns from './components/Campaigns';
 import QRDisplay from './components/QRDisplay';
 import Header from './components/Header';
 import Login from './components/Login';
@@ -144,6 +147,12 @@ function App() {
         <Dashboard />
       ) : currentView === 'reports' ? (
         <Reports />
+      ) : currentView === 'calendar' ? (
+        <Calendar />
+      ) : currentView === 'followups' ? (
+        <FollowUpSequences isAdmin={user?.role === 'admin'} />
+      ) : currentView === 'campaigns' && user?.role === 'admin' ? (
+        <Campaigns />
       ) : currentView === 'whatsapp' && user?.role === 'admin' ? (
         <QRDisplay />
       ) : (
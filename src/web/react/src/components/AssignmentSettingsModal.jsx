@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import { getAssignmentSettings, saveAssignmentSettings, getAgents, updateAgent } from '../services/api';
+
+const STRATEGIES = [
+  { value: 'round_robin', label: 'Round robin', description: 'Por turnos: la recibe el agente que hace más tiempo no recibe una' },
+  { value: 'least_busy', label: 'Menos ocupado', description: 'La recibe el agente con menos conversaciones abiertas' },
+  { value: 'manual', label: 'Manual', description: 'Quedan en cola sin asignar hasta que un agente las tome' }
+];
+
+const AVAILABILITY_LABELS = { online: 'En línea', away: 'Ausente', offline: 'Desconectado' };
+
+// Listas separadas por comas <-> arreglos
+const toList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+function AssignmentSettingsModal({ onClose }) {
+  const [form, setForm] = useState(null);
+  const [agents, setAgents] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      const [settings, agentsData] = await Promise.all([getAssignmentSettings(), getAgents()]);
+      setForm({
+        ...settings,
+        skillRules: settings.skillRules.map(rule => ({ skill: rule.skill, keywords: rule.keywords.join(', ') }))
+      });
+      setAgents(agentsData.map(agent => ({ ...agent, skillsText: agent.skills.join(', '), changed: false })));
+    } catch (error) {
+      alert('Error cargando configuración de asignación: ' + error.message);
+      onClose();
+    }
+  };
+
+  const updateRule = (index, changes) => {
+    setForm({ ...form, skillRules: form.skillRules.map((rule, i) => i === index ? { ...rule, ...changes } : rule) });
+  };
+
+  const updateAgentField = (agentId, changes) => {
+    setAgents(agents.map(agent => agent.id === agentId ? { ...agent, ...changes, changed: true } : agent));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await saveAssignmentSettings({
+        ...form,
+        maxChatsPerAgent: Number(form.maxChatsPerAgent),
+        skillRules: form.skillRules.map(rule => ({ skill: rule.skill.trim(), keywords: toList(rule.keywords) }))
+      });
+      for (const agent of agents.filter(a => a.changed)) {
+        await updateAgent(agent.id, { team: agent.team || null, skills: toList(agent.skillsText) });
+      }
+      onClose();
+    } catch (error) {
+      alert('Error guardando configuración de asignación: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputStyle = { border: '1px solid #E8EBED' };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm">
+      <div className="bg-white rounded-2xl max-w-2xl w-full mx-4 max-h-[90vh] flex flex-col" style={{
+        boxShadow: '0 20px 50px rgba(0, 0, 0, 0.15)'
+      }}>
+        <div className="px-6 py-4 flex items-center justify-between" style={{ borderBottom: '1px solid #E8EBED' }}>
+          <div>
+            <h3 className="font-semibold text-gray-800">Asignación de conversaciones</h3>
+            <p className="text-xs text-gray-500">A qué agente llegan los traspasos a modo humano o soporte</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">✕</button>
+        </div>
+
+        {!form ? (
+          <div className="flex-1 flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-4 border-gray-200 border-t-purple-600"></div>
+          </div>
+        ) : (
+          <div className="flex-1 overflow-y-auto p-6 space-y-5">
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-2">Estrategia</label>
+              <div className="space-y-2">
+                {STRATEGIES.map(strategy => (
+                  <label key={strategy.value} className="flex items-start gap-2 text-sm cursor-pointer">
+                    <input
+                      type="radio"
+                      name="strategy"
+                      checked={form.strategy === strategy.value}
+                      onChange={() => setForm({ ...form, strategy: strategy.value })}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="font-medium text-gray-800">{strategy.label}</span>
+                      <span className="block text-xs text-gray-500">{strategy.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex gap-6">
+              <div>
+                <label className="block text-xs font-semibold text-gray-600 mb-1">Máximo de chats por agente</label>
+                <p className="text-xs text-gray-500 mb-2">0 = sin límite</p>
+                <input
+                  type="number"
+                  min="0"
+                  value={form.maxChatsPerAgent}
+                  onChange={(e) => setForm({ ...form, maxChatsPerAgent: e.target.value })}
+                  className="w-32 px-3 py-2 text-sm rounded-xl focus:outline-none"
+                  style={inputStyle}
+                />
+              </div>
+              <label className="flex items-start gap-2 text-sm cursor-pointer pt-5">
+                <input
+                  type="checkbox"
+                  checked={form.fallbackToAway}
+                  onChange={(e) => setForm({ ...form, fallbackToAway: e.target.checked })}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="font-medium text-gray-800">Asignar a agentes ausentes</span>
+                  <span className="block text-xs text-gray-500">Solo si no hay ningún agente en línea</span>
+                </span>
+              </label>
+            </div>
+
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Reglas por habilidad</label>
+              <p className="text-xs text-gray-500 mb-2">
+                Si el motivo del traspaso o los últimos mensajes del cliente contienen alguna de las palabras, se prefiere a los agentes con esa habilidad o de ese equipo.
+              </p>
+              <div className="space-y-2">
+                {form.skillRules.map((rule, index) => (
+                  <div key={index} className="flex gap-2 items-center">
+                    <input
+                      type="text"
+                      placeholder="Palabras separadas por comas"
+                      value={rule.keywords}
+                      onChange={(e) => updateRule(index, { keywords: e.target.value })}
+                      className="flex-1 px-3 py-2 text-sm rounded-xl focus:outline-none"
+                      style={inputStyle}
+                    />
+                    <span className="text-gray-400 text-sm">→</span>
+                    <input
+                      type="text"
+                      placeholder="Habilidad o equipo"
+                      value={rule.skill}
+                      onChange={(e) => updateRule(index, { skill: e.target.value })}
+                      className="w-40 px-3 py-2 text-sm rounded-xl focus:outline-none"
+                      style={inputStyle}
+                    />
+                    <button
+                      onClick={() => setForm({ ...form, skillRules: form.skillRules.filter((_, i) => i !== index) })}
+                      className="text-gray-400 hover:text-red-500"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <button
+                onClick={() => setForm({ ...form, skillRules: [...form.skillRules, { keywords: '', skill: '' }] })}
+                className="mt-2 text-xs font-medium"
+                style={{ color: '#5c19e3' }}
+              >
+                + Agregar regla
+              </button>
+            </div>
+
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-2">Agentes</label>
+              <div className="space-y-2">
+                {agents.map(agent => (
+                  <div key={agent.id} className="rounded-xl p-3" style={{ background: '#FAFBFC', border: '1px solid #E8EBED' }}>
+                    <div className="flex items-center justify-between mb-2 text-xs">
+                      <span className="font-semibold text-gray-800">{agent.name}</span>
+                      <span className="text-gray-500">
+                        {AVAILABILITY_LABELS[agent.availability]} · {agent.activeChats} chats activos
+                      </span>
+                    </div>
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        placeholder="Equipo"
+                        value={agent.team || ''}
+                        onChange={(e) => updateAgentField(agent.id, { team: e.target.value })}
+                        className="w-40 px-3 py-1.5 text-xs rounded-lg focus:outline-none bg-white"
+                        style={inputStyle}
+                      />
+                      <input
+                        type="text"
+                        placeholder="Habilidades separadas por comas"
+                        value={agent.skillsText}
+                        onChange={(e) => updateAgentField(agent.id, { skillsText: e.target.value })}
+                        className="flex-1 px-3 py-1.5 text-xs rounded-lg focus:outline-none bg-white"
+                        style={inputStyle}
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="px-6 py-4 flex gap-3" style={{ borderTop: '1px solid #E8EBED' }}>
+          <button
+            onClick={onClose}
+            className="px-6 py-3 rounded-xl text-sm font-medium transition-all"
+            style={{ background: '#E8EBED', color: '#6B7280' }}
+          >
+            Cancelar
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!form || saving}
+            className="flex-1 px-4 py-3 rounded-xl text-sm font-medium text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{ background: '#5c19e3' }}
+          >
+            {saving ? 'Guardando...' : 'Guardar'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AssignmentSettingsModal;
@@ -0,0 +1,287 @@
+import React, { useState, useEffect } from 'react';
+import { getBusinessHours, saveBusinessHours } from '../services/api';
+
+const DAYS = [
+  { key: '1', label: 'Lunes' },
+  { key: '2', label: 'Martes' },
+  { key: '3', label: 'Miércoles' },
+  { key: '4', label: 'Jueves' },
+  { key: '5', label: 'Viernes' },
+  { key: '6', label: 'Sábado' },
+  { key: '0', label: 'Domingo' }
+];
+
+function BusinessHoursModal({ onClose }) {
+  const [form, setForm] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      const data = await getBusinessHours();
+      setForm(data.settings);
+      setStatus(data.status);
+    } catch (error) {
+      alert('Error cargando horario de atención: ' + error.message);
+      onClose();
+    }
+  };
+
+  const updateRange = (day, index, prop, value) => {
+    setForm(prev => ({
+      ...prev,
+      schedule: {
+        ...prev.schedule,
+        [day]: prev.schedule[day].map((range, i) => i === index ? { ...range, [prop]: value } : range)
+      }
+    }));
+  };
+
+  const setRanges = (day, ranges) => {
+    setForm(prev => ({ ...prev, schedule: { ...prev.schedule, [day]: ranges } }));
+  };
+
+  const handleAddHoliday = () => {
+    if (!newHoliday.date) return;
+    setForm({ ...form, holidays: [...form.holidays, newHoliday] });
+    setNewHoliday({ date: '', name: '' });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await saveBusinessHours(form);
+      onClose();
+    } catch (error) {
+      alert('Error guardando horario: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputStyle = { border: '1px solid #E8EBED' };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm">
+      <div className="bg-white rounded-2xl max-w-2xl w-full mx-4 max-h-[90vh] flex flex-col" style={{
+        boxShadow: '0 20px 50px rgba(0, 0, 0, 0.15)'
+      }}>
+        <div className="px-6 py-4 flex items-center justify-between" style={{ borderBottom: '1px solid #E8EBED' }}>
+          <div>
+            <h3 className="font-semibold text-gray-800">Horario de atención</h3>
+            {status && (
+              <p className="text-xs text-gray-500">
+                {!status.enabled
+                  ? 'Desactivado: los mensajes automáticos salen a cualquier hora'
+                  : status.open
+                    ? 'Abierto ahora'
+                    : `Cerrado · abre ${status.nextOpeningText || 'sin fecha próxima'}`}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">✕</button>
+        </div>
+
+        {!form ? (
+          <div className="flex-1 flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-4 border-gray-200 border-t-purple-600"></div>
+          </div>
+        ) : (
+          <div className="flex-1 overflow-y-auto p-6 space-y-5">
+            <div className="flex items-center gap-6 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={form.enabled} onChange={(e) => setForm({ ...form, enabled: e.target.checked })} />
+                Enviar mensajes automáticos solo en horario de atención
+              </label>
+              <div className="flex items-center gap-2 ml-auto">
+                <span className="text-xs text-gray-500">Zona horaria</span>
+                <input
+                  type="text"
+                  value={form.timezone}
+                  onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+                  className="w-48 px-3 py-1.5 text-sm rounded-xl focus:outline-none"
+                  style={inputStyle}
+                />
+              </div>
+            </div>
+
+            {/* Horario semanal */}
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-2">Horario semanal</label>
+              <div className="space-y-2">
+                {DAYS.map(day => {
+                  const ranges = form.schedule[day.key] || [];
+                  return (
+                    <div key={day.key} className="flex items-start gap-3 text-sm">
+                      <label className="w-28 flex items-center gap-2 pt-1.5 text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={ranges.length > 0}
+                          onChange={(e) => setRanges(day.key, e.target.checked ? [{ start: '09:00', end: '18:00' }] : [])}
+                        />
+                        {day.label}
+                      </label>
+                      {ranges.length === 0 ? (
+                        <span className="pt-1.5 text-xs text-gray-400">Cerrado</span>
+                      ) : (
+                        <div className="flex flex-wrap items-center gap-2">
+                          {ranges.map((range, index) => (
+                            <div key={index} className="flex items-center gap-1">
+                              <input
+                                type="time"
+                                value={range.start}
+                                onChange={(e) => updateRange(day.key, index, 'start', e.target.value)}
+                                className="px-2 py-1 text-xs rounded-lg focus:outline-none"
+                                style={inputStyle}
+                              />
+                              <span className="text-gray-400">-</span>
+                              <input
+                                type="time"
+                                value={range.end}
+                                onChange={(e) => updateRange(day.key, index, 'end', e.target.value)}
+                                className="px-2 py-1 text-xs rounded-lg focus:outline-none"
+                                style={inputStyle}
+                              />
+                              {ranges.length > 1 && (
+                                <button
+                                  onClick={() => setRanges(day.key, ranges.filter((_, i) => i !== index))}
+                                  className="px-1 text-gray-400"
+                                  title="Quitar horario"
+                                >
+                                  ✕
+                                </button>
+                              )}
+                            </div>
+                          ))}
+                          <button
+                            onClick={() => setRanges(day.key, [...ranges, { start: '16:00', end: '19:00' }])}
+                            className="text-xs font-medium"
+                            style={{ color: '#5c19e3' }}
+                          >
+                            + Horario
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* Días festivos */}
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Días festivos</label>
+              <p className="text-xs text-gray-500 mb-2">Usa AAAA-MM-DD para una fecha o MM-DD para repetirlo cada año.</p>
+              <div className="flex flex-wrap gap-2 mb-2">
+                {form.holidays.map((holiday, index) => (
+                  <span key={index} className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs text-gray-700" style={{ background: '#F3F4F6' }}>
+                    {holiday.date}{holiday.name ? ` · ${holiday.name}` : ''}
+                    <button
+                      onClick={() => setForm({ ...form, holidays: form.holidays.filter((_, i) => i !== index) })}
+                      className="text-gray-400"
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ))}
+              </div>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={newHoliday.date}
+                  onChange={(e) => setNewHoliday({ ...newHoliday, date: e.target.value.trim() })}
+                  placeholder="12-25"
+                  className="w-32 px-3 py-2 text-sm rounded-xl focus:outline-none"
+                  style={inputStyle}
+                />
+                <input
+                  type="text"
+                  value={newHoliday.name}
+                  onChange={(e) => setNewHoliday({ ...newHoliday, name: e.target.value })}
+                  placeholder="Navidad"
+                  className="flex-1 px-3 py-2 text-sm rounded-xl focus:outline-none"
+                  style={inputStyle}
+                />
+                <button
+                  onClick={handleAddHoliday}
+                  disabled={!newHoliday.date}
+                  className="px-4 py-2 rounded-xl text-sm font-medium disabled:opacity-50"
+                  style={{ background: '#F3F4F6', color: '#374151' }}
+                >
+                  Agregar
+                </button>
+              </div>
+            </div>
+
+            {/* Fuera de horario */}
+            <div className="space-y-3">
+              <label className="block text-xs font-semibold text-gray-600">Fuera de horario</label>
+              <p className="text-xs text-gray-500">{'{apertura}'} se reemplaza por la siguiente apertura, p. ej. "lunes 20 de octubre, 09:00".</p>
+              <div>
+                <label className="flex items-center gap-2 text-sm text-gray-700 mb-1">
+                  <input
+                    type="checkbox"
+                    checked={form.autoReplyEnabled}
+                    onChange={(e) => setForm({ ...form, autoReplyEnabled: e.target.checked })}
+                  />
+                  Respuesta automática (una vez por cliente en cada periodo cerrado)
+                </label>
+                <textarea
+                  value={form.autoReplyMessage}
+                  onChange={(e) => setForm({ ...form, autoReplyMessage: e.target.value })}
+                  rows={2}
+                  disabled={!form.autoReplyEnabled}
+                  className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none resize-none disabled:opacity-50"
+                  style={inputStyle}
+                />
+              </div>
+              <div>
+                <label className="flex items-center gap-2 text-sm text-gray-700 mb-1">
+                  <input
+                    type="checkbox"
+                    checked={form.promptVariantEnabled}
+                    onChange={(e) => setForm({ ...form, promptVariantEnabled: e.target.checked })}
+                  />
+                  Instrucciones adicionales para la IA
+                </label>
+                <textarea
+                  value={form.promptVariant}
+                  onChange={(e) => setForm({ ...form, promptVariant: e.target.value })}
+                  rows={3}
+                  disabled={!form.promptVariantEnabled}
+                  className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none resize-none disabled:opacity-50"
+                  style={inputStyle}
+                />
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="px-6 py-4 flex gap-3" style={{ borderTop: '1px solid #E8EBED' }}>
+          <button
+            onClick={onClose}
+            className="px-6 py-3 rounded-xl text-sm font-medium transition-all"
+            style={{ background: '#E8EBED', color: '#6B7280' }}
+          >
+            Cancelar
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!form || saving}
+            className="flex-1 px-4 py-3 rounded-xl text-sm font-medium text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{ background: '#5c19e3' }}
+          >
+            {saving ? 'Guardando...' : 'Guardar horario'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BusinessHoursModal;
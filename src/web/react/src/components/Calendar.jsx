@@ -0,0 +1,276 @@
+import React, { useState, useEffect } from 'react';
+import { getAppointments, getAppointmentSlots, rescheduleAppointment, cancelAppointment } from '../services/api';
+
+const WEEKDAYS = ['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'];
+
+// Fechas locales como texto 'AAAA-MM-DD' (igual que localStart de las citas)
+function toDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function getMonday(date) {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return monday;
+}
+
+function Calendar() {
+  const [weekStart, setWeekStart] = useState(() => getMonday(new Date()));
+  const [appointments, setAppointments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [rescheduleDate, setRescheduleDate] = useState('');
+  const [slots, setSlots] = useState([]);
+  const [timezone, setTimezone] = useState('');
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const days = Array.from({ length: 7 }, (_, i) => {
+    const day = new Date(weekStart);
+    day.setDate(day.getDate() + i);
+    return day;
+  });
+
+  useEffect(() => {
+    loadAppointments();
+  }, [weekStart]);
+
+  useEffect(() => {
+    if (!selected || !rescheduleDate) {
+      setSlots([]);
+      return;
+    }
+
+    const loadSlots = async () => {
+      setLoadingSlots(true);
+      try {
+        const data = await getAppointmentSlots(rescheduleDate, 1, selected.consultantId);
+        setSlots(data.slots);
+        setTimezone(data.timezone);
+      } catch (error) {
+        setSlots([]);
+      } finally {
+        setLoadingSlots(false);
+      }
+    };
+    loadSlots();
+  }, [selected, rescheduleDate]);
+
+  const loadAppointments = async () => {
+    setLoading(true);
+    try {
+      // Un día de margen a cada lado por la diferencia con la zona horaria de las citas
+      const from = new Date(weekStart);
+      from.setDate(from.getDate() - 1);
+      const to = new Date(weekStart);
+      to.setDate(to.getDate() + 8);
+      const data = await getAppointments(from.toISOString(), to.toISOString());
+      setAppointments(data);
+    } catch (error) {
+      // Error silencioso
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const changeWeek = (offset) => {
+    const next = new Date(weekStart);
+    next.setDate(next.getDate() + offset * 7);
+    setWeekStart(next);
+  };
+
+  const openAppointment = (appointment) => {
+    setSelected(appointment);
+    setRescheduleDate(appointment.localStart.split('T')[0]);
+  };
+
+  const handleReschedule = async (slot) => {
+    if (!window.confirm(`¿Mover la cita de ${selected.contactName || selected.userId} al ${slot.label}? El cliente recibirá la invitación actualizada.`)) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await rescheduleAppointment(selected.id, slot.localStart, selected.consultantId);
+      setSelected(null);
+      await loadAppointments();
+    } catch (error) {
+      alert('Error reprogramando cita: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    const reason = window.prompt('Motivo de la cancelación (se enviará al cliente, opcional):');
+    if (reason === null) return;
+
+    setSaving(true);
+    try {
+      await cancelAppointment(selected.id, reason);
+      setSelected(null);
+      await loadAppointments();
+    } catch (error) {
+      alert('Error cancelando cita: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const weekLabel = `${days[0].toLocaleDateString('es-ES', { day: 'numeric', month: 'short' })} – ${days[6].toLocaleDateString('es-ES', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+  const todayKey = toDateKey(new Date());
+
+  return (
+    <div className="p-8 max-w-full overflow-auto" style={{ background: '#FAFBFC', minHeight: '100vh' }}>
+      <div className="bg-white rounded-2xl p-6" style={{
+        border: '1px solid #E8EBED',
+        boxShadow: '0 2px 8px rgba(0, 0, 0, 0.04)'
+      }}>
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-2xl font-semibold text-gray-800">Agenda de reuniones</h2>
+            <p className="text-sm text-gray-500">{weekLabel}</p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => changeWeek(-1)}
+              className="px-3 py-2 rounded-lg text-sm font-medium text-gray-700"
+              style={{ background: '#F3F4F6' }}
+            >
+              ←
+            </button>
+            <button
+              onClick={() => setWeekStart(getMonday(new Date()))}
+              className="px-4 py-2 rounded-lg text-sm font-medium text-gray-700"
+              style={{ background: '#F3F4F6' }}
+            >
+              Hoy
+            </button>
+            <button
+              onClick={() => changeWeek(1)}
+              className="px-3 py-2 rounded-lg text-sm font-medium text-gray-700"
+              style={{ background: '#F3F4F6' }}
+            >
+              →
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500 text-center py-8">Cargando citas...</p>
+        ) : (
+          <div className="grid grid-cols-7 gap-3">
+            {days.map((day, index) => {
+              const key = toDateKey(day);
+              const dayAppointments = appointments.filter(a => a.localStart.startsWith(key));
+
+              return (
+                <div
+                  key={key}
+                  className="rounded-xl p-2 min-h-[320px]"
+                  style={{
+                    border: '1px solid #E8EBED',
+                    background: key === todayKey ? 'rgba(92, 25, 227, 0.04)' : '#FAFBFC'
+                  }}
+                >
+                  <p className="text-xs font-semibold text-gray-600 mb-2 text-center">
+                    {WEEKDAYS[index]} {day.getDate()}
+                  </p>
+                  <div className="space-y-2">
+                    {dayAppointments.map(appointment => (
+                      <button
+                        key={appointment.id}
+                        onClick={() => openAppointment(appointment)}
+                        className="w-full text-left px-2 py-2 rounded-lg text-xs transition-all"
+                        style={{ background: 'white', border: '1px solid #E8EBED', borderLeft: '3px solid #5c19e3' }}
+                      >
+                        <p className="font-semibold text-gray-800">{appointment.localStart.split('T')[1]}</p>
+                        <p className="text-gray-700 truncate">{appointment.contactName || appointment.userId}</p>
+                        {appointment.consultantName && (
+                          <p className="text-gray-500 truncate">👤 {appointment.consultantName}</p>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {selected && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm">
+          <div className="bg-white rounded-2xl max-w-lg w-full mx-4 max-h-[90vh] flex flex-col" style={{
+            boxShadow: '0 20px 50px rgba(0, 0, 0, 0.15)'
+          }}>
+            <div className="px-6 py-4" style={{ borderBottom: '1px solid #E8EBED' }}>
+              <h3 className="font-semibold text-gray-800">{selected.contactName || selected.userId}</h3>
+              <p className="text-xs text-gray-500">
+                {selected.label} · {selected.timezone}
+                {selected.consultantName ? ` · ${selected.consultantName}` : ''}
+              </p>
+              {selected.notes && <p className="text-xs text-gray-600 mt-1">{selected.notes}</p>}
+              <p className="text-xs text-gray-400 mt-1">Agendada por {selected.createdBy} · +{selected.userId}</p>
+            </div>
+
+            <div className="flex-1 overflow-y-auto px-6 py-4 space-y-3">
+              <div>
+                <label className="block text-xs font-semibold text-gray-600 mb-1">Reprogramar</label>
+                <input
+                  type="date"
+                  value={rescheduleDate}
+                  min={todayKey}
+                  onChange={(e) => setRescheduleDate(e.target.value)}
+                  className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none"
+                  style={{ border: '1px solid #E8EBED' }}
+                />
+              </div>
+              {loadingSlots ? (
+                <p className="text-xs text-gray-500 text-center py-2">Buscando horarios libres...</p>
+              ) : slots.length === 0 ? (
+                <p className="text-xs text-gray-500 text-center py-2">No hay horarios libres ese día</p>
+              ) : (
+                <div className="grid grid-cols-4 gap-2">
+                  {slots.map(slot => (
+                    <button
+                      key={`${slot.start}-${slot.consultantId}`}
+                      onClick={() => handleReschedule(slot)}
+                      disabled={saving}
+                      title={slot.consultantName || ''}
+                      className="px-2 py-2 rounded-lg text-xs font-medium text-gray-700 transition-all disabled:opacity-50"
+                      style={{ border: '1px solid #E8EBED' }}
+                    >
+                      {slot.localStart.split('T')[1]}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {timezone && <p className="text-xs text-gray-400">Horarios en {timezone}</p>}
+            </div>
+
+            <div className="px-6 py-4 flex gap-3" style={{ borderTop: '1px solid #E8EBED' }}>
+              <button
+                onClick={() => setSelected(null)}
+                className="flex-1 px-4 py-3 rounded-xl text-sm font-medium text-gray-700 transition-all"
+                style={{ background: '#F3F4F6' }}
+              >
+                Cerrar
+              </button>
+              <button
+                onClick={handleCancel}
+                disabled={saving}
+                className="flex-1 px-4 py-3 rounded-xl text-sm font-medium text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                style={{ background: '#DC2626' }}
+              >
+                Cancelar cita
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Calendar;
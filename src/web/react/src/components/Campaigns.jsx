@@ -0,0 +1,511 @@
+import React, { useState, useEffect } from 'react';
+import {
+  getCampaigns,
+  getCampaign,
+  getCampaignAudienceOptions,
+  previewCampaignAudience,
+  saveCampaign,
+  deleteCampaign,
+  runCampaignAction
+} from '../services/api';
+
+const STAGES = [
+  { key: 'initial_contact', label: 'Contacto inicial' },
+  { key: 'interested', label: 'Interesado' },
+  { key: 'qualified', label: 'Calificado' },
+  { key: 'proposal', label: 'Propuesta' },
+  { key: 'closed_won', label: 'Ganado' },
+  { key: 'closed_lost', label: 'Perdido' }
+];
+
+const STATUS_LABELS = {
+  draft: { label: 'Borrador', color: '#6B7280', background: '#F3F4F6' },
+  launching: { label: 'Preparando', color: '#6B7280', background: '#F3F4F6' },
+  scheduled: { label: 'Programada', color: '#B45309', background: '#FFFBEB' },
+  sending: { label: 'Enviando', color: '#5c19e3', background: 'rgba(92, 25, 227, 0.1)' },
+  paused: { label: 'En pausa', color: '#B45309', background: '#FFFBEB' },
+  completed: { label: 'Completada', color: '#166534', background: 'rgba(34, 197, 94, 0.1)' },
+  cancelled: { label: 'Cancelada', color: '#B91C1C', background: '#FEF2F2' }
+};
+
+const RECIPIENT_LABELS = {
+  pending: 'Pendiente',
+  sent: 'Enviado',
+  delivered: 'Entregado',
+  read: 'Leído',
+  failed: 'Falló',
+  skipped: 'Omitido'
+};
+
+const VARIABLES = ['{nombre}', '{empresa}', '{ciudad}', '{m2}', '{presupuesto}'];
+
+const EMPTY_CAMPAIGN = {
+  name: '',
+  template: '',
+  audience: { tags: [], stages: [], parks: [], lastActivityFrom: '', lastActivityTo: '' },
+  perMinute: 6,
+  scheduledAtLocal: ''
+};
+
+function Campaigns() {
+  const [campaigns, setCampaigns] = useState([]);
+  const [options, setOptions] = useState({ parks: [], tags: [], optedOutCount: 0 });
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadCampaigns();
+    loadOptions();
+  }, []);
+
+  // Mientras haya campañas en curso se actualizan las estadísticas
+  useEffect(() => {
+    if (!detail || !['sending', 'scheduled'].includes(detail.status)) return;
+    const interval = setInterval(() => {
+      loadDetail(detail.id);
+      loadCampaigns();
+    }, 15000);
+    return () => clearInterval(interval);
+  }, [detail]);
+
+  const loadCampaigns = async () => {
+    try {
+      setCampaigns(await getCampaigns());
+    } catch (error) {
+      // Error silencioso
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadOptions = async () => {
+    try {
+      setOptions(await getCampaignAudienceOptions());
+    } catch (error) {
+      // Error silencioso
+    }
+  };
+
+  const loadDetail = async (id) => {
+    try {
+      setDetail(await getCampaign(id));
+    } catch (error) {
+      // Error silencioso
+    }
+  };
+
+  const selectCampaign = (campaign) => {
+    setSelectedId(campaign ? campaign.id : null);
+    setPreview(null);
+
+    if (!campaign || campaign.status === 'draft') {
+      const data = campaign || EMPTY_CAMPAIGN;
+      setForm({
+        ...data,
+        audience: { ...EMPTY_CAMPAIGN.audience, ...data.audience },
+        scheduledAtLocal: data.scheduledAtLocal || ''
+      });
+      setDetail(null);
+    } else {
+      setForm(null);
+      loadDetail(campaign.id);
+    }
+  };
+
+  const updateAudience = (prop, value) => {
+    setForm(prev => ({ ...prev, audience: { ...prev.audience, [prop]: value } }));
+    setPreview(null);
+  };
+
+  const toggleInList = (list, value) => list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+
+  const handlePreview = async () => {
+    try {
+      setPreview(await previewCampaignAudience(form.audience, form.template));
+    } catch (error) {
+      alert('Error calculando público: ' + error.message);
+    }
+  };
+
+  const handleSave = async (launch = false) => {
+    setSaving(true);
+    try {
+      const result = await saveCampaign(selectedId, {
+        ...form,
+        scheduledAt: form.scheduledAtLocal || null
+      });
+
+      if (launch) {
+        const count = preview ? preview.count : null;
+        const message = count !== null
+          ? `¿Enviar la campaña "${form.name}" a ${count} contactos?`
+          : `¿Enviar la campaña "${form.name}"?`;
+        if (!window.confirm(message)) {
+          setSelectedId(result.campaign.id);
+          await loadCampaigns();
+          return;
+        }
+        const launched = await runCampaignAction(result.campaign.id, 'launch');
+        await loadCampaigns();
+        selectCampaign(launched.campaign);
+      } else {
+        setSelectedId(result.campaign.id);
+        await loadCampaigns();
+      }
+    } catch (error) {
+      alert('Error guardando campaña: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedId || !window.confirm(`¿Eliminar la campaña "${form.name}"?`)) return;
+    try {
+      await deleteCampaign(selectedId);
+      setSelectedId(null);
+      setForm(null);
+      await loadCampaigns();
+    } catch (error) {
+      alert('Error eliminando campaña: ' + error.message);
+    }
+  };
+
+  const handleAction = async (action) => {
+    if (action === 'cancel' && !window.confirm('¿Cancelar la campaña? Los mensajes pendientes no se enviarán.')) return;
+    try {
+      const result = await runCampaignAction(detail.id, action);
+      await loadDetail(result.campaign.id);
+      await loadCampaigns();
+    } catch (error) {
+      alert('Error actualizando campaña: ' + error.message);
+    }
+  };
+
+  const formatDate = (value) => value
+    ? new Date(value).toLocaleString('es-ES', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+    : '-';
+
+  const percent = (value, total) => total > 0 ? `${Math.round((value / total) * 100)}%` : '0%';
+
+  const inputStyle = { border: '1px solid #E8EBED' };
+  const cardStyle = { border: '1px solid #E8EBED', boxShadow: '0 2px 8px rgba(0, 0, 0, 0.04)' };
+
+  return (
+    <div className="p-8 flex gap-6 flex-1 overflow-hidden" style={{ background: '#FAFBFC' }}>
+      {/* Lista de campañas */}
+      <div className="w-72 flex-shrink-0 bg-white rounded-2xl p-4 flex flex-col" style={cardStyle}>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-800">Campañas</h2>
+          <button
+            onClick={() => selectCampaign(null)}
+            className="text-xs font-medium"
+            style={{ color: '#5c19e3' }}
+          >
+            + Nueva
+          </button>
+        </div>
+        <div className="flex-1 overflow-y-auto space-y-2">
+          {loading ? (
+            <p className="text-xs text-gray-500 text-center py-4">Cargando...</p>
+          ) : campaigns.length === 0 ? (
+            <p className="text-xs text-gray-500 text-center py-4">Sin campañas</p>
+          ) : campaigns.map(campaign => {
+            const status = STATUS_LABELS[campaign.status] || STATUS_LABELS.draft;
+            return (
+              <button
+                key={campaign.id}
+                onClick={() => selectCampaign(campaign)}
+                className="w-full text-left px-3 py-2 rounded-xl text-sm transition-all"
+                style={{
+                  border: '1px solid #E8EBED',
+                  background: campaign.id === selectedId ? 'rgba(92, 25, 227, 0.05)' : 'white'
+                }}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <p className="font-medium text-gray-800 truncate">{campaign.name}</p>
+                  <span className="text-[10px] px-1.5 py-0.5 rounded-md font-medium flex-shrink-0" style={{ background: status.background, color: status.color }}>
+                    {status.label}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500">
+                  {campaign.stats.total > 0
+                    ? `${campaign.stats.sent}/${campaign.stats.total} enviados · ${campaign.stats.read} leídos`
+                    : formatDate(campaign.createdAt)}
+                </p>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Editor de borrador */}
+      {form && (
+        <div className="flex-1 bg-white rounded-2xl flex flex-col overflow-hidden" style={cardStyle}>
+          <div className="flex-1 overflow-y-auto p-6 space-y-5">
+            <div className="flex gap-3">
+              <div className="flex-1">
+                <label className="block text-xs font-semibold text-gray-600 mb-1">Nombre</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="Nuevas naves en Querétaro"
+                  className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none"
+                  style={inputStyle}
+                />
+              </div>
+              <div className="w-32">
+                <label className="block text-xs font-semibold text-gray-600 mb-1">Mensajes / min</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="20"
+                  value={form.perMinute}
+                  onChange={(e) => setForm({ ...form, perMinute: e.target.value })}
+                  className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none"
+                  style={inputStyle}
+                />
+              </div>
+              <div className="w-56">
+                <label className="block text-xs font-semibold text-gray-600 mb-1">Programar (opcional)</label>
+                <input
+                  type="datetime-local"
+                  value={form.scheduledAtLocal}
+                  onChange={(e) => setForm({ ...form, scheduledAtLocal: e.target.value })}
+                  className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none"
+                  style={inputStyle}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Mensaje</label>
+              <p className="text-xs text-gray-500 mb-2">Variables: {VARIABLES.join(' ')}</p>
+              <textarea
+                value={form.template}
+                onChange={(e) => { setForm({ ...form, template: e.target.value }); setPreview(null); }}
+                rows={5}
+                placeholder="Hola {nombre} 👋 Tenemos nuevas naves disponibles..."
+                className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none resize-none"
+                style={inputStyle}
+              />
+            </div>
+
+            {/* Público */}
+            <div className="space-y-3">
+              <label className="block text-xs font-semibold text-gray-600">Público</label>
+              <p className="text-xs text-gray-500">
+                Sin filtros se envía a todos los contactos individuales. Nunca se incluyen grupos ni contactos dados de baja ({options.optedOutCount}).
+              </p>
+
+              <div className="flex flex-wrap gap-2">
+                {STAGES.map(stage => (
+                  <label key={stage.key} className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs text-gray-700" style={inputStyle}>
+                    <input
+                      type="checkbox"
+                      checked={form.audience.stages.includes(stage.key)}
+                      onChange={() => updateAudience('stages', toggleInList(form.audience.stages, stage.key))}
+                    />
+                    {stage.label}
+                  </label>
+                ))}
+              </div>
+
+              {options.tags.length > 0 && (
+                <div>
+                  <p className="text-xs text-gray-500 mb-1">Con alguna de estas etiquetas</p>
+                  <div className="flex flex-wrap gap-2">
+                    {options.tags.map(tag => (
+                      <label key={tag} className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs text-gray-700" style={inputStyle}>
+                        <input
+                          type="checkbox"
+                          checked={form.audience.tags.includes(tag)}
+                          onChange={() => updateAudience('tags', toggleInList(form.audience.tags, tag))}
+                        />
+                        {tag}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {options.parks.length > 0 && (
+                <div>
+                  <p className="text-xs text-gray-500 mb-1">Interesados en estos parques (los cotizaron o los mencionaron)</p>
+                  <div className="flex flex-wrap gap-2">
+                    {options.parks.map(park => (
+                      <label key={park} className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs text-gray-700" style={inputStyle}>
+                        <input
+                          type="checkbox"
+                          checked={form.audience.parks.includes(park)}
+                          onChange={() => updateAudience('parks', toggleInList(form.audience.parks, park))}
+                        />
+                        {park}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="flex items-center gap-2 text-xs text-gray-600">
+                <span>Última actividad del cliente entre</span>
+                <input
+                  type="date"
+                  value={form.audience.lastActivityFrom}
+                  onChange={(e) => updateAudience('lastActivityFrom', e.target.value)}
+                  className="px-2 py-1 text-xs rounded-lg focus:outline-none"
+                  style={inputStyle}
+                />
+                <span>y</span>
+                <input
+                  type="date"
+                  value={form.audience.lastActivityTo}
+                  onChange={(e) => updateAudience('lastActivityTo', e.target.value)}
+                  className="px-2 py-1 text-xs rounded-lg focus:outline-none"
+                  style={inputStyle}
+                />
+              </div>
+
+              <button
+                onClick={handlePreview}
+                className="px-4 py-2 rounded-xl text-xs font-medium"
+                style={{ background: '#F3F4F6', color: '#374151' }}
+              >
+                Calcular público
+              </button>
+
+              {preview && (
+                <div className="rounded-xl p-3 space-y-2" style={{ background: '#FAFBFC', border: '1px solid #E8EBED' }}>
+                  <p className="text-sm font-medium text-gray-800">
+                    {preview.count} contacto(s)
+                    {preview.count > preview.limit && <span className="text-red-600"> · el máximo por campaña es {preview.limit}</span>}
+                  </p>
+                  {preview.sample.map(item => (
+                    <div key={item.userId} className="text-xs">
+                      <p className="font-medium text-gray-700">{item.name || item.userId}</p>
+                      <p className="text-gray-500 whitespace-pre-wrap">{item.message}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="px-6 py-4 flex gap-3" style={{ borderTop: '1px solid #E8EBED' }}>
+            {selectedId && (
+              <button
+                onClick={handleDelete}
+                className="px-4 py-3 rounded-xl text-sm font-medium text-red-600 transition-all"
+                style={{ background: '#FEF2F2' }}
+              >
+                Eliminar
+              </button>
+            )}
+            <button
+              onClick={() => handleSave(false)}
+              disabled={saving}
+              className="flex-1 px-4 py-3 rounded-xl text-sm font-medium transition-all disabled:opacity-50"
+              style={{ background: '#F3F4F6', color: '#374151' }}
+            >
+              Guardar borrador
+            </button>
+            <button
+              onClick={() => handleSave(true)}
+              disabled={saving}
+              className="flex-1 px-4 py-3 rounded-xl text-sm font-medium text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{ background: '#5c19e3' }}
+            >
+              {saving ? 'Guardando...' : form.scheduledAtLocal ? 'Programar envío' : 'Enviar campaña'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Detalle y estadísticas de una campaña lanzada */}
+      {detail && (
+        <div className="flex-1 bg-white rounded-2xl flex flex-col overflow-hidden" style={cardStyle}>
+          <div className="px-6 py-4 flex items-center justify-between" style={{ borderBottom: '1px solid #E8EBED' }}>
+            <div>
+              <h3 className="font-semibold text-gray-800">{detail.name}</h3>
+              <p className="text-xs text-gray-500">
+                {(STATUS_LABELS[detail.status] || STATUS_LABELS.draft).label}
+                {detail.status === 'scheduled' ? ` · ${formatDate(detail.scheduledAt)}` : ''}
+                {detail.startedAt ? ` · inició ${formatDate(detail.startedAt)}` : ''}
+                {detail.completedAt ? ` · terminó ${formatDate(detail.completedAt)}` : ''}
+                {` · ${detail.perMinute} msg/min`}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              {['sending', 'scheduled'].includes(detail.status) && (
+                <button onClick={() => handleAction('pause')} className="px-3 py-2 rounded-xl text-xs font-medium" style={{ background: '#F3F4F6', color: '#374151' }}>
+                  Pausar
+                </button>
+              )}
+              {detail.status === 'paused' && (
+                <button onClick={() => handleAction('resume')} className="px-3 py-2 rounded-xl text-xs font-medium text-white" style={{ background: '#5c19e3' }}>
+                  Reanudar
+                </button>
+              )}
+              {['sending', 'scheduled', 'paused'].includes(detail.status) && (
+                <button onClick={() => handleAction('cancel')} className="px-3 py-2 rounded-xl text-xs font-medium text-red-600" style={{ background: '#FEF2F2' }}>
+                  Cancelar
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-4 gap-3 p-6">
+            {[
+              { label: 'Enviados', value: detail.stats.sent },
+              { label: 'Entregados', value: detail.stats.delivered },
+              { label: 'Leídos', value: detail.stats.read },
+              { label: 'Respondieron', value: detail.stats.replied }
+            ].map(stat => (
+              <div key={stat.label} className="rounded-xl p-4" style={{ background: '#FAFBFC', border: '1px solid #E8EBED' }}>
+                <p className="text-xs text-gray-500">{stat.label}</p>
+                <p className="text-2xl font-semibold text-gray-800">{stat.value}</p>
+                <p className="text-xs text-gray-400">{percent(stat.value, detail.stats.total)} de {detail.stats.total}</p>
+              </div>
+            ))}
+          </div>
+          <p className="px-6 -mt-3 mb-3 text-xs text-gray-500">
+            {detail.stats.pending} pendiente(s) · {detail.stats.failed} con error · {detail.stats.skipped} omitido(s)
+          </p>
+
+          <div className="flex-1 overflow-y-auto px-6 pb-6">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-2 font-medium">Contacto</th>
+                  <th className="py-2 font-medium">Estado</th>
+                  <th className="py-2 font-medium">Enviado</th>
+                  <th className="py-2 font-medium">Leído</th>
+                </tr>
+              </thead>
+              <tbody>
+                {detail.recipients.map(recipient => (
+                  <tr key={recipient.id} style={{ borderTop: '1px solid #E8EBED' }}>
+                    <td className="py-2 text-gray-800">{recipient.contactName || recipient.userId}</td>
+                    <td className="py-2 text-gray-600" title={recipient.error || ''}>
+                      {RECIPIENT_LABELS[recipient.status] || recipient.status}
+                      {recipient.error ? ' ⚠️' : ''}
+                    </td>
+                    <td className="py-2 text-gray-500">{formatDate(recipient.sentAt)}</td>
+                    <td className="py-2 text-gray-500">{formatDate(recipient.readAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Campaigns;
@@ -1,7 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { sendMessage, toggleHumanMode, endConversation, deleteConversation, leaveGroup, getAIConfig } from '../services/api';
+import { sendMessage, sendMedia, toggleHumanMode, endConversation, deleteConversation, leaveGroup, getAIConfig, getConversationSummary, updateConversationSummary, fetchConversationMessages } from '../services/api';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import ContactProfileSidebar from './ContactProfileSidebar';
+import MessageMedia from './MessageMedia';
+import QuotationModal from './QuotationModal';
 
 function ChatPanel({ contact, onUpdateContact }) {
   const [message, setMessage] = useState('');
@@ -16,7 +19,22 @@ function ChatPanel({ contact, onUpdateContact }) {
   const [deletingConversation, setDeletingConversation] = useState(false);
   const [leavingGroup, setLeavingGroup] = useState(false);
   const [aiConfig, setAiConfig] = useState({ groupsAIEnabled: true, individualAIEnabled: true });
+  const [summaryInfo, setSummaryInfo] = useState(null);
+  const [showSummary, setShowSummary] = useState(false);
+  const [editingSummary, setEditingSummary] = useState(false);
+  const [summaryDraft, setSummaryDraft] = useState('');
+  const [savingSummary, setSavingSummary] = useState(false);
+  const [showProfile, setShowProfile] = useState(false);
+  const [showQuotation, setShowQuotation] = useState(false);
+  const [attachment, setAttachment] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const olderScrollRef = useRef(null); // Distancia al final antes de agregar mensajes anteriores
+  const contactRef = useRef(contact);
+  contactRef.current = contact;
+  const fileInputRef = useRef(null);
   const optionsMenuRef = useRef(null);
 
   useEffect(() => {
@@ -38,6 +56,36 @@ function ChatPanel({ contact, onUpdateContact }) {
     }
   }, [contact?.phone]); // Solo cuando cambia el contacto
 
+  useEffect(() => {
+    // Cargar resumen de la conversación al cambiar de contacto
+    setSummaryInfo(null);
+    setEditingSummary(false);
+    if (!contact?.phone) return;
+
+    const loadSummary = async () => {
+      try {
+        const data = await getConversationSummary(contact.phone);
+        setSummaryInfo(data);
+      } catch (error) {
+        // Error silencioso
+      }
+    };
+    loadSummary();
+  }, [contact?.phone]);
+
+  const handleSaveSummary = async () => {
+    setSavingSummary(true);
+    try {
+      const data = await updateConversationSummary(contact.phone, summaryDraft);
+      setSummaryInfo(data);
+      setEditingSummary(false);
+    } catch (error) {
+      alert('Error guardando resumen: ' + error.message);
+    } finally {
+      setSavingSummary(false);
+    }
+  };
+
   // Cerrar menú al hacer click fuera
   useEffect(() => {
     function handleClickOutside(event) {
@@ -50,6 +98,14 @@ function ChatPanel({ contact, onUpdateContact }) {
   }, []);
 
   useEffect(() => {
+    // Al agregar mensajes anteriores se mantiene la posición en lugar de bajar al final
+    if (olderScrollRef.current !== null && messagesContainerRef.current) {
+      const container = messagesContainerRef.current;
+      container.scrollTop = container.scrollHeight - olderScrollRef.current;
+      olderScrollRef.current = null;
+      return;
+    }
+
     // Scroll suave cuando llegan nuevos mensajes
     if (contact?.messages && contact.messages.length > 0) {
       setTimeout(() => {
@@ -58,6 +114,42 @@ function ChatPanel({ contact, onUpdateContact }) {
     }
   }, [contact?.messages?.length]); // Solo cuando cambia la cantidad de mensajes
   
+  // Historial paginado: al llegar arriba del chat se cargan los mensajes anteriores
+  const loadOlderMessages = async () => {
+    if (!contact?.hasMoreMessages || loadingOlder) return;
+
+    const phone = contact.phone;
+    setLoadingOlder(true);
+    try {
+      const page = await fetchConversationMessages(phone, contact.messagesCursor);
+      const current = contactRef.current;
+      if (!current || current.phone !== phone) return;
+
+      const older = page.messages.filter(m => !current.messages.some(c => c.id === m.id));
+      const container = messagesContainerRef.current;
+      if (older.length > 0 && container) {
+        olderScrollRef.current = container.scrollHeight - container.scrollTop;
+      }
+
+      onUpdateContact({
+        ...current,
+        messages: [...current.messages, ...older],
+        hasMoreMessages: page.hasMore,
+        messagesCursor: page.nextCursor
+      });
+    } catch (error) {
+      // Error silencioso
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const handleMessagesScroll = (e) => {
+    if (e.currentTarget.scrollTop < 80) {
+      loadOlderMessages();
+    }
+  };
+
   useEffect(() => {
     // Mostrar modal solo si es modo soporte Y no hay mensajes HUMAN Y NO es un grupo
     if (contact?.mode === 'support' && contact?.phone && !contact?.isGroup) {
@@ -79,6 +171,10 @@ function ChatPanel({ contact, onUpdateContact }) {
   }, [contact?.mode, contact?.phone, contact?.messages, contact?.isGroup]);
 
   const handleSend = async () => {
+    if (attachment) {
+      return handleSendAttachment();
+    }
+
     if (!message.trim() || !contact || sending) return;
 
     if (!contact.isHumanMode && contact.mode !== 'support') {
@@ -108,6 +204,58 @@ function ChatPanel({ contact, onUpdateContact }) {
     }
   };
 
+  // El adjunto pertenece al chat en el que se eligió
+  useEffect(() => {
+    setAttachment(null);
+  }, [contact?.phone]);
+
+  const handleSelectFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Permitir volver a elegir el mismo archivo
+    if (!file) return;
+
+    if (!file.type.startsWith('image/') && !file.type.startsWith('audio/') && file.type !== 'application/pdf') {
+      alert('Solo se permiten imágenes, PDF y audio');
+      return;
+    }
+    setAttachment(file);
+  };
+
+  const handleSendAttachment = async () => {
+    if (!contact || sending) return;
+    if (!contact.isHumanMode && contact.mode !== 'support') return;
+
+    setSending(true);
+    setUploadProgress(0);
+    try {
+      const result = await sendMedia(contact.phone, attachment, message.trim(), contact.isGroup, setUploadProgress);
+      setMessage('');
+      setAttachment(null);
+
+      const newMessage = {
+        type: 'HUMAN',
+        message: result.sentMessage,
+        messageId: result.messageId,
+        status: 'sent',
+        mediaId: result.mediaId,
+        mediaType: result.mediaType,
+        mediaMimeType: result.mediaMimeType,
+        mediaData: result.mediaData,
+        timestamp: new Date().toISOString()
+      };
+
+      onUpdateContact({
+        ...contact,
+        messages: [...(contact.messages || []), newMessage]
+      });
+    } catch (error) {
+      alert('Error enviando archivo: ' + error.message);
+    } finally {
+      setSending(false);
+      setUploadProgress(null);
+    }
+  };
+
   const handleToggleMode = async () => {
     try {
       // Si está en modo soporte, cambiar a IA
@@ -233,7 +381,7 @@ function ChatPanel({ contact, onUpdateContact }) {
               </span>
             </div>
             <span className="text-xs text-gray-500">
-              {contact.messages?.length || 0} mensajes
+              {contact.totalMessages || contact.messages?.length || 0} mensajes
             </span>
           </div>
         </div>
@@ -350,6 +498,37 @@ function ChatPanel({ contact, onUpdateContact }) {
             </button>
           )}
 
+          {/* Botón de cotización en PDF */}
+          <button
+            onClick={() => setShowQuotation(true)}
+            className="w-10 h-10 rounded-xl flex items-center justify-center transition-all"
+            style={{ background: 'transparent', color: '#6B7280' }}
+            onMouseEnter={(e) => e.currentTarget.style.background = 'rgba(107, 114, 128, 0.1)'}
+            onMouseLeave={(e) => e.currentTarget.style.background = 'transparent'}
+            title="Enviar cotización"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+            </svg>
+          </button>
+
+          {/* Botón de perfil del contacto */}
+          {!contact.isGroup && (
+            <button
+              onClick={() => setShowProfile(!showProfile)}
+              className="w-10 h-10 rounded-xl flex items-center justify-center transition-all"
+              style={{
+                background: showProfile ? 'rgba(92, 25, 227, 0.1)' : 'transparent',
+                color: showProfile ? '#5c19e3' : '#6B7280'
+              }}
+              title="Perfil del contacto"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+              </svg>
+            </button>
+          )}
+
           {/* Botón de menú de opciones (3 puntos) */}
           <div className="relative" ref={optionsMenuRef}>
             <button
@@ -459,8 +638,94 @@ function ChatPanel({ contact, onUpdateContact }) {
         </div>
       )}
 
+      {/* Resumen de la conversación (contexto que usa la IA) */}
+      <div className="bg-white px-6 py-2" style={{ borderBottom: '1px solid #E8EBED' }}>
+        <button
+          onClick={() => setShowSummary(!showSummary)}
+          className="flex items-center gap-2 text-xs font-medium transition-all"
+          style={{ color: '#5c19e3' }}
+        >
+          <svg className={`w-3.5 h-3.5 transition-transform ${showSummary ? 'rotate-90' : ''}`} fill="currentColor" viewBox="0 0 20 20">
+            <path fillRule="evenodd" d="M7.293 14.707a1 1 0 010-1.414L10.586 10 7.293 6.707a1 1 0 011.414-1.414l4 4a1 1 0 010 1.414l-4 4a1 1 0 01-1.414 0z" clipRule="evenodd" />
+          </svg>
+          Resumen de la conversación
+          {summaryInfo?.summarizedCount > 0 && (
+            <span className="text-[10px] text-gray-400 font-normal">
+              ({summaryInfo.summarizedCount} de {summaryInfo.totalMessages} mensajes resumidos)
+            </span>
+          )}
+        </button>
+
+        {showSummary && (
+          <div className="mt-2 mb-1">
+            {editingSummary ? (
+              <>
+                <textarea
+                  value={summaryDraft}
+                  onChange={(e) => setSummaryDraft(e.target.value)}
+                  rows={5}
+                  className="w-full px-3 py-2 text-xs rounded-xl focus:outline-none"
+                  style={{ border: '1px solid #E8EBED', background: '#FAFBFC' }}
+                  placeholder="Datos clave del cliente: nombre, empresa, necesidades..."
+                />
+                <div className="flex justify-end gap-2 mt-2">
+                  <button
+                    onClick={() => setEditingSummary(false)}
+                    className="px-3 py-1.5 rounded-lg text-xs font-medium text-gray-600"
+                    style={{ background: '#F3F4F6' }}
+                    disabled={savingSummary}
+                  >
+                    Cancelar
+                  </button>
+                  <button
+                    onClick={handleSaveSummary}
+                    className="px-3 py-1.5 rounded-lg text-xs font-medium text-white"
+                    style={{ background: '#5c19e3', opacity: savingSummary ? 0.6 : 1 }}
+                    disabled={savingSummary}
+                  >
+                    {savingSummary ? 'Guardando...' : 'Guardar'}
+                  </button>
+                </div>
+              </>
+            ) : (
+              <div className="flex items-start gap-3">
+                <p className="flex-1 text-xs text-gray-600 whitespace-pre-wrap leading-relaxed">
+                  {summaryInfo?.summary || 'Aún no hay resumen. Se genera automáticamente cuando la conversación supera la ventana de contexto de la IA.'}
+                </p>
+                <button
+                  onClick={() => {
+                    setSummaryDraft(summaryInfo?.summary || '');
+                    setEditingSummary(true);
+                  }}
+                  className="px-3 py-1.5 rounded-lg text-xs font-medium transition-all"
+                  style={{ background: 'rgba(92, 25, 227, 0.1)', color: '#5c19e3' }}
+                  onMouseEnter={(e) => {
+                    e.target.style.background = '#5c19e3';
+                    e.target.style.color = 'white';
+                  }}
+                  onMouseLeave={(e) => {
+                    e.target.style.background = 'rgba(92, 25, 227, 0.1)';
+                    e.target.style.color = '#5c19e3';
+                  }}
+                >
+                  Editar
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
       {/* Área de mensajes */}
-      <div className="flex-1 overflow-y-auto p-6 space-y-3" style={{ background: '#FAFBFC' }}>
+      <div
+        ref={messagesContainerRef}
+        onScroll={handleMessagesScroll}
+        className="flex-1 overflow-y-auto p-6 space-y-3"
+        style={{ background: '#FAFBFC' }}
+      >
+        {loadingOlder && (
+          <div className="text-center text-xs text-gray-400">Cargando mensajes anteriores...</div>
+        )}
         {contact.messages?.slice().reverse().map((msg, index) => {
           const isClient = msg.type === 'USER' || msg.type === 'CLIENTE' || msg.role === 'cliente';
           const isBotOrSupport = msg.type === 'BOT' || msg.type === 'SOPORTE' || msg.role === 'bot' || msg.role === 'soporte';
@@ -471,6 +736,7 @@ function ChatPanel({ contact, onUpdateContact }) {
           const isMessageFromSupport = msg.type === 'SOPORTE' || msg.role === 'soporte' || (msg.type === 'HUMAN' && contact.mode === 'support');
           const isMessageFromHuman = msg.type === 'HUMAN' && contact.mode !== 'support';
           const isMessageFromBot = msg.type === 'BOT';
+          const isVoiceNote = msg.mediaType === 'audio';
 
           if (isSystem) {
             return (
@@ -516,11 +782,12 @@ function ChatPanel({ contact, onUpdateContact }) {
                 boxShadow: isMessageFromSupport ? '0 2px 8px rgba(249, 115, 22, 0.2)' : isMessageFromHuman ? '0 2px 8px rgba(59, 130, 246, 0.2)' : '0 2px 8px rgba(92, 25, 227, 0.2)'
               }}>
                 <div className={`text-[10px] font-semibold mb-1 ${isClient ? 'text-gray-500' : 'text-white/80'}`}>
-                  {isClient ? 'Cliente' :
+                  {isClient ? (isVoiceNote ? 'Cliente · Nota de voz' : 'Cliente') :
                    msg.role === 'soporte' || msg.type === 'SOPORTE' ? `Soporte${msg.userName ? ` - ${msg.userName}` : ''}` :
                    msg.type === 'HUMAN' ? (contact.mode === 'support' ? 'Soporte' : 'Humano') :
                    msg.type === 'BOT' ? 'Bot' : 'Sistema'}
                 </div>
+                {(msg.mediaType || msg.mediaId) && <MessageMedia msg={msg} isClient={isClient} />}
                 <div className="text-sm leading-relaxed pr-16">
                   {isClient || isHumanOrBot ? (
                     <ReactMarkdown
@@ -596,58 +863,141 @@ function ChatPanel({ contact, onUpdateContact }) {
           </div>
         </div>
       ) : (
-        <div className="bg-white px-6 py-4 flex gap-3" style={{
+        <div className="bg-white px-6 py-4" style={{
           borderTop: '1px solid #E8EBED',
           boxShadow: '0 -1px 3px rgba(0, 0, 0, 0.02)'
         }}>
-          <input
-            type="text"
-            value={message}
-            onChange={(e) => setMessage(e.target.value)}
-            onKeyPress={(e) => e.key === 'Enter' && handleSend()}
-            placeholder={contact.isHumanMode || contact.mode === 'support' ? 'Escribe un mensaje...' : 'Activa MODO HUMANO para escribir'}
-            disabled={(!contact.isHumanMode && contact.mode !== 'support') || sending}
-            className="flex-1 px-4 py-3 rounded-xl focus:outline-none text-sm transition-all disabled:opacity-50"
-            style={{
-              background: '#F3F4F6',
-              border: '1px solid transparent'
-            }}
-            onFocus={(e) => {
-              if (!e.target.disabled) {
-                e.target.style.background = '#ffffff';
-                e.target.style.border = '1px solid #5c19e3';
-                e.target.style.boxShadow = '0 0 0 3px rgba(92, 25, 227, 0.08)';
-              }
-            }}
-            onBlur={(e) => {
-              e.target.style.background = '#F3F4F6';
-              e.target.style.border = '1px solid transparent';
-              e.target.style.boxShadow = 'none';
-            }}
-          />
-          <button
-            onClick={handleSend}
-            disabled={(!contact.isHumanMode && contact.mode !== 'support') || sending || !message.trim()}
-            className="px-6 py-3 rounded-xl text-sm font-medium text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
-            style={{
-              background: '#5c19e3'
-            }}
-            onMouseEnter={(e) => {
-              if (!e.target.disabled) {
-                e.target.style.background = '#4c10d4';
-              }
-            }}
-            onMouseLeave={(e) => {
-              if (!e.target.disabled) {
-                e.target.style.background = '#5c19e3';
-              }
-            }}
-          >
-            {sending ? '...' : 'Enviar'}
-          </button>
+          {/* Archivo adjunto y progreso de subida */}
+          {attachment && (
+            <div className="mb-3 px-3 py-2 rounded-xl text-xs" style={{ background: '#FAFBFC', border: '1px solid #E8EBED' }}>
+              <div className="flex items-center gap-2">
+                <span>{attachment.type.startsWith('image/') ? '📷' : attachment.type.startsWith('audio/') ? '🎤' : '📄'}</span>
+                <span className="flex-1 truncate font-medium text-gray-700">{attachment.name}</span>
+                <span className="text-gray-500">{(attachment.size / (1024 * 1024)).toFixed(1)} MB</span>
+                {!sending && (
+                  <button
+                    onClick={() => setAttachment(null)}
+                    className="px-1 text-gray-400"
+                    title="Quitar archivo"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+              {uploadProgress !== null && (
+                <div className="mt-2 flex items-center gap-2">
+                  <div className="flex-1 h-1.5 rounded-full overflow-hidden" style={{ background: '#E8EBED' }}>
+                    <div className="h-full rounded-full transition-all" style={{ width: `${uploadProgress}%`, background: '#5c19e3' }} />
+                  </div>
+                  <span className="text-gray-500 w-20 text-right">
+                    {uploadProgress < 100 ? `Subiendo ${uploadProgress}%` : 'Enviando...'}
+                  </span>
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-3">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*,audio/*,application/pdf"
+              onChange={handleSelectFile}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={(!contact.isHumanMode && contact.mode !== 'support') || sending}
+              className="px-3 py-3 rounded-xl text-gray-500 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{ background: '#F3F4F6' }}
+              title="Adjuntar imagen, PDF o audio"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+              </svg>
+            </button>
+            <input
+              type="text"
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              onKeyPress={(e) => e.key === 'Enter' && handleSend()}
+              placeholder={contact.isHumanMode || contact.mode === 'support' ? (attachment ? 'Agrega un texto (opcional)...' : 'Escribe un mensaje...') : 'Activa MODO HUMANO para escribir'}
+              disabled={(!contact.isHumanMode && contact.mode !== 'support') || sending}
+              className="flex-1 px-4 py-3 rounded-xl focus:outline-none text-sm transition-all disabled:opacity-50"
+              style={{
+                background: '#F3F4F6',
+                border: '1px solid transparent'
+              }}
+              onFocus={(e) => {
+                if (!e.target.disabled) {
+                  e.target.style.background = '#ffffff';
+                  e.target.style.border = '1px solid #5c19e3';
+                  e.target.style.boxShadow = '0 0 0 3px rgba(92, 25, 227, 0.08)';
+                }
+              }}
+              onBlur={(e) => {
+                e.target.style.background = '#F3F4F6';
+                e.target.style.border = '1px solid transparent';
+                e.target.style.boxShadow = 'none';
+              }}
+            />
+            <button
+              onClick={handleSend}
+              disabled={(!contact.isHumanMode && contact.mode !== 'support') || sending || (!message.trim() && !attachment)}
+              className="px-6 py-3 rounded-xl text-sm font-medium text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{
+                background: '#5c19e3'
+              }}
+              onMouseEnter={(e) => {
+                if (!e.target.disabled) {
+                  e.target.style.background = '#4c10d4';
+                }
+              }}
+              onMouseLeave={(e) => {
+                if (!e.target.disabled) {
+                  e.target.style.background = '#5c19e3';
+                }
+              }}
+            >
+              {sending ? '...' : 'Enviar'}
+            </button>
+          </div>
         </div>
       )}
 
+      {/* Cotización en PDF */}
+      {showQuotation && (
+        <QuotationModal
+          contact={contact}
+          onClose={() => setShowQuotation(false)}
+          onSent={(result) => {
+            setShowQuotation(false);
+            onUpdateContact({
+              ...contact,
+              messages: [...(contact.messages || []), {
+                type: 'HUMAN',
+                message: `📄 Cotización ${result.folio}`,
+                messageId: result.messageId,
+                status: 'sent',
+                mediaId: result.mediaId,
+                mediaType: 'document',
+                mediaMimeType: 'application/pdf',
+                mediaData: { fileName: result.fileName },
+                timestamp: new Date().toISOString()
+              }]
+            });
+          }}
+        />
+      )}
+
+      {/* Perfil del contacto */}
+      {showProfile && !contact.isGroup && (
+        <ContactProfileSidebar
+          phone={contact.phone}
+          onClose={() => setShowProfile(false)}
+        />
+      )}
+
       {/* Modal de soporte activado */}
       {showSupportModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm">
@@ -0,0 +1,569 @@
+import React, { useState, useEffect } from 'react';
+import { getContactProfile, updateContactProfile, getFollowUpSequences, getContactFollowUp, assignFollowUpSequence, getContactConsent, updateContactConsent, getContactConversations, updateConversationStatus, getAgents, assignConversation, getAssignmentHistory } from '../services/api';
+import { useEventStream } from '../hooks/useEventStream';
+
+const PROFILE_FIELDS = [
+  { key: 'name', label: 'Nombre', placeholder: 'Nombre del cliente' },
+  { key: 'company', label: 'Empresa', placeholder: 'Empresa' },
+  { key: 'email', label: 'Email', placeholder: 'correo@empresa.com' },
+  { key: 'city', label: 'Ciudad', placeholder: 'Ciudad o estado de interés' },
+  { key: 'required_m2', label: 'm² requeridos', placeholder: 'Ej. 2,000 m²' },
+  { key: 'budget', label: 'Presupuesto', placeholder: 'Ej. $150,000 MXN/mes' }
+];
+
+const ASSIGNMENT_METHODS = { manual: 'manual', round_robin: 'round robin', least_busy: 'menos ocupado' };
+
+const CONVERSATION_STATUS = {
+  open: { label: 'Abierta', color: '#5c19e3' },
+  pending: { label: 'Pendiente', color: '#A16207' },
+  resolved: { label: 'Resuelta', color: '#16A34A' },
+  closed: { label: 'Cerrada', color: '#6B7280' }
+};
+
+function ContactProfileSidebar({ phone, onClose }) {
+  const [profile, setProfile] = useState(null);
+  const [form, setForm] = useState({});
+  const [tagsText, setTagsText] = useState('');
+  const [customFields, setCustomFields] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [sequences, setSequences] = useState([]);
+  const [followUp, setFollowUp] = useState(null);
+  const [consent, setConsent] = useState(null);
+  const [showConsentHistory, setShowConsentHistory] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [showConversationHistory, setShowConversationHistory] = useState(false);
+  const [agents, setAgents] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [showAssignmentHistory, setShowAssignmentHistory] = useState(false);
+  const currentUser = JSON.parse(localStorage.getItem('currentUser') || '{}');
+  const isAdmin = currentUser.role === 'admin';
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      setLoading(true);
+      try {
+        const data = await getContactProfile(phone);
+        setProfile(data);
+        fillForm(data);
+      } catch (error) {
+        // Error silencioso
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadProfile();
+    loadFollowUp();
+    loadConsent();
+    loadConversations();
+    loadAgents();
+  }, [phone]);
+
+  // Seguimiento, baja, conversación o asignación del contacto cambiados mientras el perfil está abierto
+  useEventStream((type, data) => {
+    if (type === 'agent') {
+      loadAgents();
+      return;
+    }
+    if (data.userId !== phone) return;
+    if (type === 'follow_up') {
+      loadFollowUp();
+    } else if (type === 'consent') {
+      loadConsent();
+    } else if (type === 'conversation' || type === 'assignment') {
+      loadConversations();
+    }
+  });
+
+  const loadFollowUp = async () => {
+    try {
+      const [sequencesData, followUpData] = await Promise.all([
+        getFollowUpSequences(),
+        getContactFollowUp(phone)
+      ]);
+      setSequences(sequencesData.sequences.filter(sequence => sequence.active));
+      setFollowUp(followUpData);
+    } catch (error) {
+      // Error silencioso
+    }
+  };
+
+  const loadConsent = async () => {
+    try {
+      setConsent(await getContactConsent(phone));
+    } catch (error) {
+      // Error silencioso
+    }
+  };
+
+  const loadConversations = async () => {
+    try {
+      const data = await getContactConversations(phone);
+      setConversations(data);
+      setAssignments(data.length > 0 ? await getAssignmentHistory(data[0].id) : []);
+    } catch (error) {
+      // Error silencioso
+    }
+  };
+
+  const loadAgents = async () => {
+    try {
+      setAgents(await getAgents());
+    } catch (error) {
+      // Error silencioso
+    }
+  };
+
+  // Admin: asignar, reasignar o dejar sin asignar; soporte: tomar una conversación sin agente
+  const handleAssign = async (conversation, value) => {
+    const agentId = value ? parseInt(value, 10) : null;
+    let reason = null;
+    if (isAdmin && conversation.assignedAgentId) {
+      reason = window.prompt('Motivo de la reasignación (opcional):');
+      if (reason === null) return;
+    }
+
+    try {
+      await assignConversation(conversation.id, agentId, reason ? reason.trim() : null);
+      await loadConversations();
+    } catch (error) {
+      alert('Error asignando conversación: ' + error.message);
+    }
+  };
+
+  const agentName = (agentId) => (agents.find(agent => agent.id === agentId) || {}).name || 'otro agente';
+
+  const handleConversationStatus = async (conversation, status) => {
+    let reason = null;
+    if (status === 'resolved') {
+      reason = window.prompt('Motivo de la resolución (opcional):');
+      if (reason === null) return;
+    }
+
+    try {
+      await updateConversationStatus(conversation.id, status, reason ? reason.trim() : null);
+      await loadConversations();
+    } catch (error) {
+      alert('Error actualizando conversación: ' + error.message);
+    }
+  };
+
+  const handleToggleConsent = async () => {
+    const optedOut = !consent.optedOut;
+    const reason = window.prompt(optedOut
+      ? 'Motivo para bloquear los mensajes automáticos a este contacto:'
+      : 'Motivo para volver a enviar mensajes automáticos (p. ej. el cliente lo pidió):');
+    if (!reason || !reason.trim()) return;
+
+    try {
+      const result = await updateContactConsent(phone, optedOut, reason.trim());
+      setConsent(result.consent);
+      await loadFollowUp();
+    } catch (error) {
+      alert('Error actualizando consentimiento: ' + error.message);
+    }
+  };
+
+  const formatDate = (value) => new Date(value).toLocaleString('es-ES', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+  const handleAssignSequence = async (value, startNow = false) => {
+    try {
+      await assignFollowUpSequence(phone, value ? parseInt(value, 10) : null, startNow);
+      await loadFollowUp();
+    } catch (error) {
+      alert('Error asignando secuencia: ' + error.message);
+    }
+  };
+
+  const fillForm = (data) => {
+    const values = {};
+    PROFILE_FIELDS.forEach(field => {
+      values[field.key] = data?.[field.key] || '';
+    });
+    setForm(values);
+    setTagsText((data?.tags || []).join(', '));
+    setCustomFields(Object.entries(data?.customFields || {}).map(([key, value]) => ({ key, value })));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const customFieldsObject = {};
+      customFields.forEach(({ key, value }) => {
+        if (key.trim()) customFieldsObject[key.trim()] = value;
+      });
+
+      const result = await updateContactProfile(phone, {
+        ...form,
+        tags: tagsText.split(',').map(tag => tag.trim()).filter(Boolean),
+        customFields: customFieldsObject
+      });
+      setProfile(result.contact);
+      fillForm(result.contact);
+    } catch (error) {
+      alert('Error guardando perfil: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateCustomField = (index, prop, value) => {
+    setCustomFields(prev => prev.map((field, i) => i === index ? { ...field, [prop]: value } : field));
+  };
+
+  return (
+    <div className="fixed top-0 right-0 h-full w-96 bg-white z-40 flex flex-col" style={{
+      borderLeft: '1px solid #E8EBED',
+      boxShadow: '-10px 0 25px rgba(0, 0, 0, 0.08)'
+    }}>
+      <div className="px-6 py-4 flex items-center justify-between" style={{ borderBottom: '1px solid #E8EBED' }}>
+        <div>
+          <h3 className="font-semibold text-gray-800">Perfil del contacto</h3>
+          <p className="text-xs text-gray-500">{phone}</p>
+        </div>
+        <button
+          onClick={onClose}
+          className="w-8 h-8 rounded-lg flex items-center justify-center text-gray-500 transition-all"
+          onMouseEnter={(e) => e.currentTarget.style.background = '#F3F4F6'}
+          onMouseLeave={(e) => e.currentTarget.style.background = 'transparent'}
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex-1 flex items-center justify-center text-sm text-gray-500">
+          Cargando perfil...
+        </div>
+      ) : !profile ? (
+        <div className="flex-1 flex items-center justify-center px-6 text-center text-sm text-gray-500">
+          Este contacto aún no tiene perfil. Se crea automáticamente con su próximo mensaje.
+        </div>
+      ) : (
+        <>
+          <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+            {/* Identidad de WhatsApp */}
+            <div className="rounded-xl p-3 text-xs text-gray-600 space-y-1" style={{ background: '#FAFBFC', border: '1px solid #E8EBED' }}>
+              <p><span className="font-semibold">Nombre en WhatsApp:</span> {profile.displayName || '—'}</p>
+              <p><span className="font-semibold">Teléfono real:</span> {profile.phone || 'No disponible'}</p>
+              {profile.lid && <p><span className="font-semibold">ID @lid:</span> {profile.lid}</p>}
+            </div>
+
+            {/* Consentimiento para mensajes automáticos */}
+            {consent && (
+              <div className="rounded-xl p-3 text-xs space-y-2" style={{
+                background: consent.optedOut ? '#FEF2F2' : '#FAFBFC',
+                border: consent.optedOut ? '1px solid #FECACA' : '1px solid #E8EBED'
+              }}>
+                <div className="flex items-start justify-between gap-2">
+                  <div>
+                    <p className={`font-semibold ${consent.optedOut ? 'text-red-700' : 'text-gray-600'}`}>
+                      {consent.optedOut ? '🚫 No recibe mensajes automáticos' : 'Recibe mensajes automáticos'}
+                    </p>
+                    {consent.optedOut && (
+                      <p className="text-red-600">
+                        {consent.source === 'keyword'
+                          ? `El cliente escribió "${consent.keyword}"`
+                          : `Bloqueado por ${consent.updatedBy || 'un agente'}`}
+                        {consent.updatedAt ? ` · ${formatDate(consent.updatedAt)}` : ''}
+                      </p>
+                    )}
+                  </div>
+                  <button
+                    onClick={handleToggleConsent}
+                    className="font-medium flex-shrink-0"
+                    style={{ color: '#5c19e3' }}
+                  >
+                    {consent.optedOut ? 'Permitir' : 'Bloquear'}
+                  </button>
+                </div>
+                {consent.history.length > 0 && (
+                  <div>
+                    <button
+                      onClick={() => setShowConsentHistory(!showConsentHistory)}
+                      className="text-gray-500"
+                    >
+                      {showConsentHistory ? 'Ocultar historial' : `Ver historial (${consent.history.length})`}
+                    </button>
+                    {showConsentHistory && (
+                      <div className="mt-2 space-y-1.5">
+                        {consent.history.map(event => (
+                          <div key={event.id} className="text-gray-600">
+                            <p>
+                              <span className="font-semibold">{event.action === 'opt_out' ? 'Baja' : 'Alta'}</span>
+                              {' · '}{formatDate(event.createdAt)}
+                              {' · '}{event.source === 'keyword' ? 'cliente' : (event.performedBy || 'agente')}
+                            </p>
+                            {(event.reason || event.message) && (
+                              <p className="text-gray-500 italic">"{event.reason || event.message}"</p>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Conversación actual (ticket) e historial de conversaciones */}
+            {conversations.length > 0 && (
+              <div className="rounded-xl p-3 text-xs space-y-2" style={{ background: '#FAFBFC', border: '1px solid #E8EBED' }}>
+                {(() => {
+                  const current = conversations[0];
+                  const status = CONVERSATION_STATUS[current.status] || { label: current.status, color: '#6B7280' };
+                  const isActive = current.status === 'open' || current.status === 'pending';
+                  return (
+                    <div className="flex items-start justify-between gap-2">
+                      <div>
+                        <p className="font-semibold text-gray-600">
+                          Conversación #{current.id} · <span style={{ color: status.color }}>{status.label}</span>
+                        </p>
+                        <p className="text-gray-500">
+                          Abierta {formatDate(current.openedAt)}
+                          {current.closedAt ? ` · cerrada ${formatDate(current.closedAt)}${current.closedBy ? ` por ${current.closedBy}` : ''}` : ''}
+                        </p>
+                        {current.resolutionReason && (
+                          <p className="text-gray-500 italic">"{current.resolutionReason}"</p>
+                        )}
+                        <p className="text-gray-500">
+                          👤 {current.assignedAgentId ? `Asignada a ${agentName(current.assignedAgentId)}` : 'Sin asignar'}
+                        </p>
+                      </div>
+                      <div className="flex flex-col items-end gap-1 flex-shrink-0">
+                        {current.status === 'open' && (
+                          <button onClick={() => handleConversationStatus(current, 'pending')} className="font-medium" style={{ color: '#5c19e3' }}>
+                            Pendiente
+                          </button>
+                        )}
+                        {isActive && (
+                          <button onClick={() => handleConversationStatus(current, 'resolved')} className="font-medium" style={{ color: '#5c19e3' }}>
+                            Resolver
+                          </button>
+                        )}
+                        {!isActive && (
+                          <button onClick={() => handleConversationStatus(current, 'open')} className="font-medium" style={{ color: '#5c19e3' }}>
+                            Reabrir
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })()}
+                {/* Asignación: los admin reasignan, soporte solo toma las que no tienen agente */}
+                {(conversations[0].status === 'open' || conversations[0].status === 'pending') && (
+                  isAdmin ? (
+                    <select
+                      value={conversations[0].assignedAgentId || ''}
+                      onChange={(e) => handleAssign(conversations[0], e.target.value)}
+                      className="w-full px-2 py-1.5 text-xs rounded-lg focus:outline-none bg-white"
+                      style={{ border: '1px solid #E8EBED' }}
+                    >
+                      <option value="">Sin asignar</option>
+                      {agents.map(agent => (
+                        <option key={agent.id} value={agent.id}>
+                          {agent.name} · {agent.availability === 'online' ? 'en línea' : agent.availability === 'away' ? 'ausente' : 'desconectado'} · {agent.activeChats} chats
+                        </option>
+                      ))}
+                    </select>
+                  ) : !conversations[0].assignedAgentId && (
+                    <button
+                      onClick={() => handleAssign(conversations[0], currentUser.id)}
+                      className="w-full py-1.5 rounded-lg font-medium text-white"
+                      style={{ background: '#5c19e3' }}
+                    >
+                      Tomar conversación
+                    </button>
+                  )
+                )}
+                {assignments.length > 0 && (
+                  <div>
+                    <button
+                      onClick={() => setShowAssignmentHistory(!showAssignmentHistory)}
+                      className="text-gray-500"
+                    >
+                      {showAssignmentHistory ? 'Ocultar asignaciones' : `Ver asignaciones (${assignments.length})`}
+                    </button>
+                    {showAssignmentHistory && (
+                      <div className="mt-2 space-y-1.5">
+                        {assignments.map(assignment => (
+                          <div key={assignment.id} className="text-gray-600">
+                            <p>
+                              {assignment.agentName || 'Sin asignar'}
+                              {assignment.previousAgentName ? ` (antes ${assignment.previousAgentName})` : ''}
+                              {' · '}{assignment.method === 'manual' && assignment.assignedBy ? assignment.assignedBy : ASSIGNMENT_METHODS[assignment.method] || assignment.method}
+                              {assignment.skill ? ` · ${assignment.skill}` : ''}
+                              {' · '}{formatDate(assignment.createdAt)}
+                            </p>
+                            {assignment.reason && (
+                              <p className="text-gray-500 italic">"{assignment.reason}"</p>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+                {conversations.length > 1 && (
+                  <div>
+                    <button
+                      onClick={() => setShowConversationHistory(!showConversationHistory)}
+                      className="text-gray-500"
+                    >
+                      {showConversationHistory ? 'Ocultar anteriores' : `Ver anteriores (${conversations.length - 1})`}
+                    </button>
+                    {showConversationHistory && (
+                      <div className="mt-2 space-y-1.5">
+                        {conversations.slice(1).map(conversation => (
+                          <div key={conversation.id} className="text-gray-600">
+                            <p>
+                              <span className="font-semibold">#{conversation.id}</span>
+                              {' · '}{(CONVERSATION_STATUS[conversation.status] || {}).label || conversation.status}
+                              {' · '}{formatDate(conversation.openedAt)}
+                              {' · '}{conversation.messages} msgs
+                            </p>
+                            {conversation.resolutionReason && (
+                              <p className="text-gray-500 italic">"{conversation.resolutionReason}"</p>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {followUp && (
+              <div>
+                <label className="block text-xs font-semibold text-gray-600 mb-1">Secuencia de seguimiento</label>
+                <select
+                  value={followUp.sequenceId || ''}
+                  onChange={(e) => handleAssignSequence(e.target.value)}
+                  className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none bg-white"
+                  style={{ border: '1px solid #E8EBED' }}
+                >
+                  <option value="">Automática (según reglas)</option>
+                  {sequences.map(sequence => (
+                    <option key={sequence.id} value={sequence.id}>{sequence.name}</option>
+                  ))}
+                </select>
+                <div className="flex items-center justify-between mt-1 text-xs text-gray-500">
+                  {followUp.active ? (
+                    <span>
+                      En curso: {followUp.active.stepsSent} paso(s) enviados · próximo {new Date(followUp.active.nextFollowUp).toLocaleString('es-ES', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                    </span>
+                  ) : (
+                    <>
+                      <span>Sin seguimiento en curso</span>
+                      <button
+                        onClick={() => handleAssignSequence(followUp.sequenceId, true)}
+                        className="font-medium"
+                        style={{ color: '#5c19e3' }}
+                      >
+                        Iniciar ahora
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {PROFILE_FIELDS.map(field => (
+              <div key={field.key}>
+                <label className="flex items-center gap-2 text-xs font-semibold text-gray-600 mb-1">
+                  {field.label}
+                  {profile.fieldSources?.[field.key] === 'ai' && (
+                    <span className="text-[10px] px-1.5 py-0.5 rounded-md font-medium" style={{
+                      background: 'rgba(92, 25, 227, 0.1)',
+                      color: '#5c19e3'
+                    }}>
+                      IA
+                    </span>
+                  )}
+                </label>
+                <input
+                  type="text"
+                  value={form[field.key] || ''}
+                  onChange={(e) => setForm({ ...form, [field.key]: e.target.value })}
+                  placeholder={field.placeholder}
+                  className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none"
+                  style={{ border: '1px solid #E8EBED' }}
+                />
+              </div>
+            ))}
+
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Etiquetas</label>
+              <input
+                type="text"
+                value={tagsText}
+                onChange={(e) => setTagsText(e.target.value)}
+                placeholder="Separadas por coma"
+                className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none"
+                style={{ border: '1px solid #E8EBED' }}
+              />
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <label className="text-xs font-semibold text-gray-600">Campos personalizados</label>
+                <button
+                  onClick={() => setCustomFields([...customFields, { key: '', value: '' }])}
+                  className="text-xs font-medium"
+                  style={{ color: '#5c19e3' }}
+                >
+                  + Agregar
+                </button>
+              </div>
+              <div className="space-y-2">
+                {customFields.map((field, index) => (
+                  <div key={index} className="flex gap-2">
+                    <input
+                      type="text"
+                      value={field.key}
+                      onChange={(e) => updateCustomField(index, 'key', e.target.value)}
+                      placeholder="Campo"
+                      className="w-2/5 px-3 py-2 text-sm rounded-xl focus:outline-none"
+                      style={{ border: '1px solid #E8EBED' }}
+                    />
+                    <input
+                      type="text"
+                      value={field.value}
+                      onChange={(e) => updateCustomField(index, 'value', e.target.value)}
+                      placeholder="Valor"
+                      className="flex-1 px-3 py-2 text-sm rounded-xl focus:outline-none"
+                      style={{ border: '1px solid #E8EBED' }}
+                    />
+                    <button
+                      onClick={() => setCustomFields(customFields.filter((_, i) => i !== index))}
+                      className="px-2 text-gray-400"
+                      title="Eliminar campo"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="px-6 py-4" style={{ borderTop: '1px solid #E8EBED' }}>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="w-full px-4 py-3 rounded-xl text-sm font-medium text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{ background: '#5c19e3' }}
+            >
+              {saving ? 'Guardando...' : 'Guardar perfil'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ContactProfileSidebar;
@@ -1,86 +1,123 @@
-import React, { useEffect, useState } from 'react';
-import { fetchContacts, toggleHumanMode } from '../services/api';
+import React, { useEffect, useRef, useState } from 'react';
+import { fetchInbox, fetchConversationMessages, markConversationRead, toggleHumanMode, applyLiveMessage } from '../services/api';
+import { useEventStream } from '../hooks/useEventStream';
+
+const PAGE_SIZE = 50;
 
 function ContactsList({ contacts, setContacts, selectedContact, onSelectContact }) {
   const [searchTerm, setSearchTerm] = useState('');
+  const [search, setSearch] = useState(''); // Búsqueda enviada al servidor (con retardo al escribir)
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
   const [activeTab, setActiveTab] = useState('chats'); // 'chats' o 'groups'
-  const [lastReadMessages, setLastReadMessages] = useState(() => {
-    // Cargar del localStorage al iniciar
-    const saved = localStorage.getItem('lastReadMessages');
-    return saved ? JSON.parse(saved) : {};
+  const [mine, setMine] = useState(false); // Solo las conversaciones asignadas al usuario actual
+  const requestRef = useRef(0);
+  const currentUserId = JSON.parse(localStorage.getItem('currentUser') || '{}').id;
+
+  // Cambios en tiempo real; al (re)conectar se recarga todo por si se perdió algún evento
+  const streamConnected = useEventStream((type, data) => {
+    if (type === 'ready') {
+      loadContacts();
+      refreshSelectedMessages();
+    } else if (type === 'message') {
+      applyContactChange(data.userId, null, contactsList => applyLiveMessage(contactsList, data));
+    } else if (type === 'message_status') {
+      if (selectedContact && selectedContact.messages.some(m => m.messageId === data.messageId)) {
+        applyContactChange(selectedContact.phone, contact => ({
+          ...contact,
+          messages: contact.messages.map(m => m.messageId === data.messageId ? { ...m, status: data.status } : m)
+        }));
+      }
+    } else if (type === 'mode') {
+      applyContactChange(data.userId, contact => ({
+        ...contact,
+        mode: data.mode,
+        isHumanMode: data.mode === 'human'
+      }));
+    } else if (type === 'consent') {
+      applyContactChange(data.userId, contact => ({ ...contact, optedOut: data.optedOut }));
+    } else if (type === 'conversation') {
+      applyContactChange(data.userId, contact => ({
+        ...contact,
+        conversationId: data.conversationId,
+        conversationStatus: data.status
+      }));
+    } else if (type === 'assignment') {
+      applyContactChange(data.userId, contact => ({
+        ...contact,
+        assignedAgentId: data.agentId,
+        assignedAgent: data.agentName
+      }));
+      // Una conversación recién asignada al usuario todavía no está en "Mis chats"
+      if (mine && data.agentId === currentUserId) {
+        loadContacts();
+      }
+    }
   });
 
+  // Buscar en el servidor cuando se deja de escribir
   useEffect(() => {
-    loadContacts();
-    const interval = setInterval(loadContacts, 5000); // Actualizar cada 5 segundos (balance entre rendimiento y UX)
-    return () => clearInterval(interval);
-  }, [selectedContact]);
+    const timeout = setTimeout(() => setSearch(searchTerm.trim()), 300);
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
 
-  // Guardar en localStorage cada vez que cambie
   useEffect(() => {
-    localStorage.setItem('lastReadMessages', JSON.stringify(lastReadMessages));
-  }, [lastReadMessages]);
+    loadContacts(true);
+  }, [activeTab, search, mine]);
 
-  const loadContacts = async () => {
-    try {
-      const data = await fetchContacts();
-
-      // Actualizar solo si hay cambios reales
-      setContacts(prevContacts => {
-        // Si no hay contactos previos, actualizar
-        if (prevContacts.length === 0) return data;
-
-        // Comparar si hay cambios reales
-        const hasChanges = data.some(newContact => {
-          const oldContact = prevContacts.find(c => c.phone === newContact.phone);
-          if (!oldContact) return true; // Contacto nuevo
-
-          // Verificar si hay cambios en mensajes o estado
-          return (
-            oldContact.messages.length !== newContact.messages.length ||
-            oldContact.mode !== newContact.mode ||
-            oldContact.isHumanMode !== newContact.isHumanMode
-          );
-        });
-
-        // Solo actualizar si hay cambios
-        return hasChanges ? data : prevContacts;
-      });
+  // Sin conexión en tiempo real: consultar cada 5 segundos hasta que vuelva
+  useEffect(() => {
+    if (streamConnected) return;
+    const interval = setInterval(() => {
+      loadContacts();
+      refreshSelectedMessages();
+    }, 5000);
+    return () => clearInterval(interval);
+  }, [streamConnected, selectedContact, activeTab, search, mine, contacts.length]);
+
+  /**
+   * Aplica un cambio a un contacto de la lista y, si está abierto, también al chat.
+   * updateContact cambia un contacto existente; updateList (opcional) cambia la lista completa.
+   */
+  const applyContactChange = (phone, updateContact, updateList = null) => {
+    const isOpen = selectedContact && selectedContact.phone === phone;
+    const update = updateList || (contactsList => contactsList.map(c => c.phone === phone ? updateContact(c) : c));
+    // El chat está abierto: los mensajes nuevos quedan leídos
+    const markOpenAsRead = contactsList => isOpen
+      ? contactsList.map(c => c.phone === phone ? { ...c, unreadCount: 0 } : c)
+      : contactsList;
 
-      // Si hay un contacto seleccionado, actualizar sus mensajes solo si hay cambios
-      if (selectedContact) {
-        const updatedContact = data.find(c => c.phone === selectedContact.phone);
-        if (updatedContact) {
-          // Detectar cambios en cantidad de mensajes
-          const hasNewMessages =
-            updatedContact.messages.length !== selectedContact.messages.length ||
-            (updatedContact.messages.length > 0 && selectedContact.messages.length > 0 &&
-             updatedContact.messages[updatedContact.messages.length - 1].timestamp !==
-             selectedContact.messages[selectedContact.messages.length - 1].timestamp);
-
-          // Detectar cambios en estados de mensajes (checks)
-          const hasStatusChanges = updatedContact.messages.some((newMsg) => {
-            // Buscar el mensaje correspondiente por messageId
-            const oldMsg = selectedContact.messages.find(
-              m => m.messageId && m.messageId === newMsg.messageId
-            );
-            // Si existe y el estado cambió, retornar true
-            return oldMsg && oldMsg.status !== newMsg.status;
-          });
-
-          if (hasNewMessages || hasStatusChanges) {
-            onSelectContact(updatedContact);
-
-            // Marcar los nuevos mensajes como leídos automáticamente si estamos viendo este chat
-            setLastReadMessages(prev => ({
-              ...prev,
-              [updatedContact.phone]: updatedContact.messages.length
-            }));
-          }
+    setContacts(prev => markOpenAsRead(update(prev)));
+
+    if (isOpen) {
+      const updated = update([selectedContact]).find(c => c.phone === phone);
+      if (updated && updated !== selectedContact) {
+        if (updated.unreadCount > 0) {
+          markConversationRead(phone).catch(() => {});
         }
+        onSelectContact({ ...updated, unreadCount: 0 });
       }
+    }
+  };
 
+  /**
+   * Recarga la bandeja. reset: primera página (cambio de pestaña o búsqueda);
+   * si no, vuelve a pedir tantas conversaciones como las que ya están cargadas.
+   */
+  const loadContacts = async (reset = false) => {
+    const requestId = ++requestRef.current;
+    try {
+      const limit = reset ? PAGE_SIZE : Math.max(PAGE_SIZE, contacts.length);
+      const data = await fetchInbox({ tab: activeTab, search, mine, limit });
+      if (requestId !== requestRef.current) return; // Llegó una respuesta más reciente
+
+      // Conservar los mensajes ya cargados de cada conversación
+      setContacts(prev => data.conversations.map(contact => {
+        const previous = prev.find(c => c.phone === contact.phone);
+        return previous ? { ...previous, ...contact, messages: previous.messages } : contact;
+      }));
+      setHasMore(data.hasMore);
       setLoading(false);
     } catch (error) {
       // Error silencioso
@@ -88,6 +125,65 @@ function ContactsList({ contacts, setContacts, selectedContact, onSelectContact
     }
   };
 
+  const loadMoreContacts = async () => {
+    if (loadingMore || !hasMore) return;
+    setLoadingMore(true);
+    const requestId = requestRef.current;
+    try {
+      const data = await fetchInbox({ tab: activeTab, search, mine, limit: PAGE_SIZE, offset: contacts.length });
+      if (requestId !== requestRef.current) return;
+
+      setContacts(prev => [
+        ...prev,
+        ...data.conversations.filter(contact => !prev.some(c => c.phone === contact.phone))
+      ]);
+      setHasMore(data.hasMore);
+    } catch (error) {
+      // Error silencioso
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleListScroll = (e) => {
+    const list = e.currentTarget;
+    if (list.scrollHeight - list.scrollTop - list.clientHeight < 200) {
+      loadMoreContacts();
+    }
+  };
+
+  /**
+   * Carga la página más reciente de mensajes de la conversación abierta. Los mensajes
+   * que llegaron en tiempo real después de esa página (o aún sin registrar) se conservan.
+   */
+  const loadMessages = async (phone) => {
+    try {
+      const page = await fetchConversationMessages(phone);
+      const newestId = page.messages[0]?.id || 0;
+
+      onSelectContact(prev => {
+        if (!prev || prev.phone !== phone) return prev;
+        const newer = prev.messages.filter(m => !m.role || m.id > newestId);
+        return {
+          ...prev,
+          messages: [...newer, ...page.messages],
+          hasMoreMessages: page.hasMore,
+          messagesCursor: page.nextCursor,
+          historyLoaded: true
+        };
+      });
+    } catch (error) {
+      // Error silencioso
+    }
+  };
+
+  // Solo las conversaciones abiertas desde la lista (las que llegan desde reportes traen sus mensajes)
+  const refreshSelectedMessages = () => {
+    if (selectedContact?.historyLoaded) {
+      loadMessages(selectedContact.phone);
+    }
+  };
+
   const handleToggleMode = async (phone, isHuman) => {
     try {
       await toggleHumanMode(phone, isHuman);
@@ -101,19 +197,18 @@ function ContactsList({ contacts, setContacts, selectedContact, onSelectContact
 
   const handleSelectContact = (contact) => {
     // Marcar mensajes como leídos
-    setLastReadMessages(prev => ({
-      ...prev,
-      [contact.phone]: contact.messages.length
-    }));
-    onSelectContact(contact);
-  };
+    if (contact.unreadCount > 0) {
+      setContacts(prev => prev.map(c => c.phone === contact.phone ? { ...c, unreadCount: 0 } : c));
+    }
+    markConversationRead(contact.phone).catch(() => {});
 
-  const getUnreadCount = (contact) => {
-    const lastRead = lastReadMessages[contact.phone] || 0;
-    const unreadCount = contact.messages.length - lastRead;
-    return unreadCount > 0 ? unreadCount : 0;
+    onSelectContact({ ...contact, unreadCount: 0, messages: [], hasMoreMessages: false, messagesCursor: null });
+    loadMessages(contact.phone);
   };
 
+  const getUnreadCount = (contact) => contact.unreadCount || 0;
+
+  // La bandeja ya llega filtrada y ordenada; esto mantiene el orden con los cambios en tiempo real
   const filteredContacts = contacts
     .filter(contact => {
       // Filtrar por tab activo
@@ -122,22 +217,10 @@ function ContactsList({ contacts, setContacts, selectedContact, onSelectContact
       if (activeTab === 'chats' && isGroupContact) return false;
       if (activeTab === 'groups' && !isGroupContact) return false;
 
-      const searchLower = searchTerm.toLowerCase();
-
-      // Buscar en el número de teléfono o nombre de grupo
-      const contactName = contact.isGroup ? (contact.groupName || contact.phone) : contact.phone;
-      if (contactName.toLowerCase().includes(searchLower)) {
-        return true;
-      }
-
-      // Buscar en los mensajes de la conversación
-      if (contact.messages && contact.messages.length > 0) {
-        return contact.messages.some(msg =>
-          msg.message && msg.message.toLowerCase().includes(searchLower)
-        );
-      }
+      // Mis chats: deja de mostrar las que se reasignan a otro agente
+      if (mine && contact.assignedAgentId !== currentUserId) return false;
 
-      return false;
+      return true;
     })
     .sort((a, b) => {
       // Primero los de soporte (prioridad máxima)
@@ -193,6 +276,23 @@ function ContactsList({ contacts, setContacts, selectedContact, onSelectContact
           </button>
         </div>
 
+        <div className="flex gap-2 mb-3">
+          {[{ value: false, label: 'Todos' }, { value: true, label: 'Mis chats' }].map(option => (
+            <button
+              key={option.label}
+              onClick={() => setMine(option.value)}
+              className="px-3 py-1 rounded-full text-xs font-medium transition-all duration-200"
+              style={{
+                background: mine === option.value ? 'rgba(92, 25, 227, 0.1)' : 'transparent',
+                color: mine === option.value ? '#5c19e3' : '#6B7280',
+                border: mine === option.value ? '1px solid rgba(92, 25, 227, 0.2)' : '1px solid #E8EBED'
+              }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
         <div className="relative">
           <svg className="absolute left-3.5 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
@@ -222,7 +322,7 @@ function ContactsList({ contacts, setContacts, selectedContact, onSelectContact
       </div>
 
       {/* Lista de contactos */}
-      <div className="flex-1 overflow-y-auto px-3">
+      <div className="flex-1 overflow-y-auto px-3" onScroll={handleListScroll}>
         {filteredContacts.length === 0 ? (
           <div className="text-center py-12 text-gray-400 text-sm">No hay contactos</div>
         ) : (
@@ -333,6 +433,30 @@ function ContactsList({ contacts, setContacts, selectedContact, onSelectContact
                               Soporte
                             </span>
                           )}
+                          {contact.optedOut && (
+                            <span
+                              className="text-xs px-2 py-0.5 rounded-full font-medium"
+                              style={{
+                                background: 'rgba(239, 68, 68, 0.1)',
+                                color: '#DC2626'
+                              }}
+                              title="Pidió no recibir mensajes automáticos"
+                            >
+                              Baja
+                            </span>
+                          )}
+                          {(contact.conversationStatus === 'pending' || contact.conversationStatus === 'resolved') && (
+                            <span
+                              className="text-xs px-2 py-0.5 rounded-full font-medium"
+                              style={{
+                                background: contact.conversationStatus === 'pending' ? 'rgba(234, 179, 8, 0.12)' : 'rgba(34, 197, 94, 0.1)',
+                                color: contact.conversationStatus === 'pending' ? '#A16207' : '#16A34A'
+                              }}
+                              title={contact.conversationStatus === 'pending' ? 'Esperando respuesta del cliente' : 'Conversación resuelta'}
+                            >
+                              {contact.conversationStatus === 'pending' ? 'Pendiente' : 'Resuelta'}
+                            </span>
+                          )}
                         </>
                       )}
                     </div>
@@ -341,6 +465,11 @@ function ContactsList({ contacts, setContacts, selectedContact, onSelectContact
                     <p className={`text-xs truncate flex-1 pr-2 ${contact.leftGroup ? 'text-gray-400 italic' : getUnreadCount(contact) > 0 ? 'text-gray-900 font-medium' : 'text-gray-500'}`}>
                       {contact.leftGroup ? 'Ya no eres miembro' : contact.lastMessage?.text || 'Sin mensajes'}
                     </p>
+                    {contact.assignedAgent && !contact.leftGroup && (
+                      <span className="text-[10px] text-gray-400 truncate max-w-[80px] mr-1.5" title={`Asignado a ${contact.assignedAgent}`}>
+                        👤 {contact.assignedAgent}
+                      </span>
+                    )}
                     {!contact.leftGroup && (
                       <span
                         className="text-[10px] px-2 py-0.5 rounded-md font-medium"
@@ -366,6 +495,9 @@ function ContactsList({ contacts, setContacts, selectedContact, onSelectContact
             </div>
           ))
         )}
+        {loadingMore && (
+          <div className="text-center py-3 text-gray-400 text-xs">Cargando más conversaciones...</div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { getConversationSettings, saveConversationSettings } from '../services/api';
+
+function ConversationSettingsModal({ onClose }) {
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      setForm(await getConversationSettings());
+    } catch (error) {
+      alert('Error cargando configuración de conversaciones: ' + error.message);
+      onClose();
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await saveConversationSettings({ ...form, reopenWindowHours: Number(form.reopenWindowHours) });
+      onClose();
+    } catch (error) {
+      alert('Error guardando configuración de conversaciones: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputStyle = { border: '1px solid #E8EBED' };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm">
+      <div className="bg-white rounded-2xl max-w-lg w-full mx-4 max-h-[90vh] flex flex-col" style={{
+        boxShadow: '0 20px 50px rgba(0, 0, 0, 0.15)'
+      }}>
+        <div className="px-6 py-4 flex items-center justify-between" style={{ borderBottom: '1px solid #E8EBED' }}>
+          <div>
+            <h3 className="font-semibold text-gray-800">Conversaciones</h3>
+            <p className="text-xs text-gray-500">Qué pasa cuando un cliente escribe después de cerrar su conversación</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">✕</button>
+        </div>
+
+        {!form ? (
+          <div className="flex-1 flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-4 border-gray-200 border-t-purple-600"></div>
+          </div>
+        ) : (
+          <div className="flex-1 overflow-y-auto p-6 space-y-5">
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Reabrir dentro de (horas)</label>
+              <p className="text-xs text-gray-500 mb-2">
+                Si el cliente escribe antes de que pase este tiempo desde que se resolvió o cerró su conversación, se reabre la misma; después empieza una nueva. Con 0 siempre empieza una nueva.
+              </p>
+              <input
+                type="number"
+                min="0"
+                value={form.reopenWindowHours}
+                onChange={(e) => setForm({ ...form, reopenWindowHours: e.target.value })}
+                className="w-32 px-3 py-2 text-sm rounded-xl focus:outline-none"
+                style={inputStyle}
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="px-6 py-4 flex gap-3" style={{ borderTop: '1px solid #E8EBED' }}>
+          <button
+            onClick={onClose}
+            className="px-6 py-3 rounded-xl text-sm font-medium transition-all"
+            style={{ background: '#E8EBED', color: '#6B7280' }}
+          >
+            Cancelar
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!form || saving}
+            className="flex-1 px-4 py-3 rounded-xl text-sm font-medium text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{ background: '#5c19e3' }}
+          >
+            {saving ? 'Guardando...' : 'Guardar'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConversationSettingsModal;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { getFollowUpDrafts, approveFollowUpDraft, rejectFollowUpDraft } from '../services/api';
+import { useEventStream } from '../hooks/useEventStream';
+
+function FollowUpApprovals({ onCountChange }) {
+  const [drafts, setDrafts] = useState([]);
+  const [edited, setEdited] = useState({}); // id -> texto corregido por el agente
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  // Borradores nuevos, revisados por otro agente o cancelados al detenerse el seguimiento
+  const streamConnected = useEventStream((type, data) => {
+    if (type === 'ready' || (type === 'follow_up' && ['draft', 'draft_reviewed', 'stopped'].includes(data.action))) {
+      loadDrafts();
+    }
+  });
+
+  useEffect(() => {
+    loadDrafts();
+  }, []);
+
+  useEffect(() => {
+    if (streamConnected) return;
+    const interval = setInterval(loadDrafts, 30000);
+    return () => clearInterval(interval);
+  }, [streamConnected]);
+
+  const loadDrafts = async () => {
+    try {
+      const data = await getFollowUpDrafts();
+      setDrafts(data);
+      if (onCountChange) onCountChange(data.length);
+    } catch (error) {
+      // Error silencioso
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApprove = async (draft) => {
+    setBusyId(draft.id);
+    try {
+      await approveFollowUpDraft(draft.id, edited[draft.id] ?? draft.message);
+      await loadDrafts();
+    } catch (error) {
+      alert('Error enviando mensaje: ' + error.message);
+      await loadDrafts();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReject = async (draft) => {
+    setBusyId(draft.id);
+    try {
+      await rejectFollowUpDraft(draft.id);
+      await loadDrafts();
+    } catch (error) {
+      alert('Error descartando mensaje: ' + error.message);
+      await loadDrafts();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500 text-center py-8">Cargando mensajes...</p>;
+  }
+
+  if (drafts.length === 0) {
+    return <p className="text-sm text-gray-500 text-center py-8">No hay mensajes de seguimiento por aprobar</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {drafts.map(draft => (
+        <div key={draft.id} className="rounded-xl p-4 space-y-3" style={{ border: '1px solid #E8EBED', background: 'white' }}>
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="font-medium text-gray-800">{draft.contactName || draft.userId}</p>
+              <p className="text-xs text-gray-500">
+                {draft.sequenceName} · paso {draft.stepNumber} · {new Date(draft.createdAt).toLocaleString('es-ES', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+              </p>
+            </div>
+            <span className="text-[10px] px-1.5 py-0.5 rounded-md font-medium" style={{
+              background: draft.source === 'ai' ? 'rgba(92, 25, 227, 0.1)' : '#F3F4F6',
+              color: draft.source === 'ai' ? '#5c19e3' : '#6B7280'
+            }}>
+              {draft.source === 'ai' ? 'IA' : 'Plantilla'}
+            </span>
+          </div>
+
+          {draft.issues.length > 0 && (
+            <div className="rounded-lg px-3 py-2 text-xs" style={{ background: '#FFFBEB', color: '#92400E' }}>
+              {draft.issues.map((issue, index) => <p key={index}>⚠️ {issue}</p>)}
+            </div>
+          )}
+
+          <textarea
+            value={edited[draft.id] ?? draft.message}
+            onChange={(e) => setEdited({ ...edited, [draft.id]: e.target.value })}
+            rows={4}
+            className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none resize-none"
+            style={{ border: '1px solid #E8EBED' }}
+          />
+
+          <div className="flex gap-3">
+            <button
+              onClick={() => handleReject(draft)}
+              disabled={busyId === draft.id}
+              className="flex-1 px-4 py-2 rounded-xl text-sm font-medium text-gray-700 transition-all disabled:opacity-50"
+              style={{ background: '#F3F4F6' }}
+            >
+              Descartar paso
+            </button>
+            <button
+              onClick={() => handleApprove(draft)}
+              disabled={busyId === draft.id || !(edited[draft.id] ?? draft.message).trim()}
+              className="flex-1 px-4 py-2 rounded-xl text-sm font-medium text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              style={{ background: '#5c19e3' }}
+            >
+              {busyId === draft.id ? 'Enviando...' : 'Aprobar y enviar'}
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default FollowUpApprovals;
@@ -0,0 +1,419 @@
+import React, { useState, useEffect } from 'react';
+import { getFollowUpSequences, saveFollowUpSequence, deleteFollowUpSequence } from '../services/api';
+import FollowUpApprovals from './FollowUpApprovals';
+
+const STAGES = [
+  { key: 'initial_contact', label: 'Contacto inicial' },
+  { key: 'interested', label: 'Interesado' },
+  { key: 'qualified', label: 'Calificado' },
+  { key: 'proposal', label: 'Propuesta' },
+  { key: 'closed_won', label: 'Ganado' },
+  { key: 'closed_lost', label: 'Perdido' }
+];
+
+const VARIABLES = ['{nombre}', '{empresa}', '{ciudad}', '{m2}', '{presupuesto}', '{intento}'];
+
+const EMPTY_SEQUENCE = {
+  name: '',
+  description: '',
+  active: true,
+  isDefault: false,
+  triggerAfterMinutes: 120,
+  stopConditions: ['replied', 'accepted', 'rejected', 'frustrated', 'appointment'],
+  assignmentRules: { stages: [], tags: [], chatType: 'all' },
+  finalMessage: '',
+  finalDelayMinutes: 1440,
+  requireApproval: false,
+  steps: [{ delayMinutes: 1440, template: '', aiPersonalized: false }]
+};
+
+// Los tiempos se guardan en minutos y se editan en horas
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+const toMinutes = (hours) => Math.max(1, Math.round(parseFloat(hours || 0) * 60));
+
+function FollowUpSequences({ isAdmin }) {
+  const [tab, setTab] = useState('approvals');
+  const [pendingCount, setPendingCount] = useState(0);
+  const [sequences, setSequences] = useState([]);
+  const [stopConditions, setStopConditions] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(null);
+  const [tagsText, setTagsText] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isAdmin) loadSequences();
+  }, [isAdmin]);
+
+  const loadSequences = async (selectId = null) => {
+    setLoading(true);
+    try {
+      const data = await getFollowUpSequences();
+      setSequences(data.sequences);
+      setStopConditions(data.stopConditions);
+
+      const selected = data.sequences.find(s => s.id === selectId) || data.sequences[0];
+      if (selected) selectSequence(selected);
+    } catch (error) {
+      // Error silencioso
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectSequence = (sequence) => {
+    setSelectedId(sequence ? sequence.id : null);
+    const data = sequence || EMPTY_SEQUENCE;
+    setForm({
+      ...data,
+      assignmentRules: { stages: [], tags: [], chatType: 'all', ...data.assignmentRules },
+      steps: data.steps.map(step => ({ ...step }))
+    });
+    setTagsText((data.assignmentRules?.tags || []).join(', '));
+  };
+
+  const updateStep = (index, prop, value) => {
+    setForm(prev => ({
+      ...prev,
+      steps: prev.steps.map((step, i) => i === index ? { ...step, [prop]: value } : step)
+    }));
+  };
+
+  const toggleInList = (list, value) => list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await saveFollowUpSequence(selectedId, {
+        ...form,
+        assignmentRules: {
+          ...form.assignmentRules,
+          tags: tagsText.split(',').map(tag => tag.trim()).filter(Boolean)
+        }
+      });
+      await loadSequences(result.sequence.id);
+    } catch (error) {
+      alert('Error guardando secuencia: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedId || !window.confirm(`¿Eliminar la secuencia "${form.name}"? Los contactos asignados volverán a la asignación automática.`)) {
+      return;
+    }
+
+    try {
+      await deleteFollowUpSequence(selectedId);
+      await loadSequences();
+    } catch (error) {
+      alert('Error eliminando secuencia: ' + error.message);
+    }
+  };
+
+  const inputStyle = { border: '1px solid #E8EBED' };
+
+  return (
+    <div className="p-8 flex flex-col gap-4 flex-1 overflow-hidden" style={{ background: '#FAFBFC' }}>
+      <div className="flex gap-2">
+        {[
+          { key: 'approvals', label: `Por aprobar${pendingCount > 0 ? ` (${pendingCount})` : ''}` },
+          ...(isAdmin ? [{ key: 'sequences', label: 'Secuencias' }] : [])
+        ].map(item => (
+          <button
+            key={item.key}
+            onClick={() => setTab(item.key)}
+            className="px-4 py-2 rounded-xl text-sm font-medium transition-all"
+            style={tab === item.key
+              ? { background: '#5c19e3', color: 'white' }
+              : { background: 'white', color: '#4B5563', border: '1px solid #E8EBED' }}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Mensajes generados que esperan aprobación de un agente */}
+      <div className={tab === 'approvals' ? 'flex-1 overflow-y-auto' : 'hidden'}>
+        <div className="max-w-3xl">
+          <FollowUpApprovals onCountChange={setPendingCount} />
+        </div>
+      </div>
+
+      {isAdmin && tab === 'sequences' && (
+        <div className="flex gap-6 flex-1 overflow-hidden">
+          {/* Lista de secuencias */}
+          <div className="w-72 flex-shrink-0 bg-white rounded-2xl p-4 flex flex-col" style={{
+            border: '1px solid #E8EBED',
+            boxShadow: '0 2px 8px rgba(0, 0, 0, 0.04)'
+          }}>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-800">Seguimiento</h2>
+              <button
+                onClick={() => selectSequence(null)}
+                className="text-xs font-medium"
+                style={{ color: '#5c19e3' }}
+              >
+                + Nueva
+              </button>
+            </div>
+            <div className="flex-1 overflow-y-auto space-y-2">
+              {loading ? (
+                <p className="text-xs text-gray-500 text-center py-4">Cargando...</p>
+              ) : sequences.map(sequence => (
+                <button
+                  key={sequence.id}
+                  onClick={() => selectSequence(sequence)}
+                  className="w-full text-left px-3 py-2 rounded-xl text-sm transition-all"
+                  style={{
+                    border: '1px solid #E8EBED',
+                    background: sequence.id === selectedId ? 'rgba(92, 25, 227, 0.05)' : 'white'
+                  }}
+                >
+                  <p className="font-medium text-gray-800 truncate">{sequence.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {sequence.steps.length} paso(s)
+                    {sequence.isDefault ? ' · Por defecto' : ''}
+                    {!sequence.active ? ' · Inactiva' : ''}
+                  </p>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Editor */}
+          {form && (
+            <div className="flex-1 bg-white rounded-2xl flex flex-col overflow-hidden" style={{
+              border: '1px solid #E8EBED',
+              boxShadow: '0 2px 8px rgba(0, 0, 0, 0.04)'
+            }}>
+              <div className="flex-1 overflow-y-auto p-6 space-y-5">
+                <div className="flex gap-3">
+                  <div className="flex-1">
+                    <label className="block text-xs font-semibold text-gray-600 mb-1">Nombre</label>
+                    <input
+                      type="text"
+                      value={form.name}
+                      onChange={(e) => setForm({ ...form, name: e.target.value })}
+                      className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none"
+                      style={inputStyle}
+                    />
+                  </div>
+                  <div className="w-48">
+                    <label className="block text-xs font-semibold text-gray-600 mb-1">Iniciar tras inactividad (h)</label>
+                    <input
+                      type="number"
+                      min="0.1"
+                      step="0.5"
+                      value={toHours(form.triggerAfterMinutes)}
+                      onChange={(e) => setForm({ ...form, triggerAfterMinutes: toMinutes(e.target.value) })}
+                      className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none"
+                      style={inputStyle}
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-xs font-semibold text-gray-600 mb-1">Descripción</label>
+                  <input
+                    type="text"
+                    value={form.description || ''}
+                    onChange={(e) => setForm({ ...form, description: e.target.value })}
+                    className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none"
+                    style={inputStyle}
+                  />
+                </div>
+
+                <div className="flex gap-6 text-sm text-gray-700">
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={form.active} onChange={(e) => setForm({ ...form, active: e.target.checked })} />
+                    Activa
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={form.isDefault} onChange={(e) => setForm({ ...form, isDefault: e.target.checked })} />
+                    Secuencia por defecto
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={form.requireApproval} onChange={(e) => setForm({ ...form, requireApproval: e.target.checked })} />
+                    Requiere aprobación de un agente
+                  </label>
+                </div>
+
+                {/* Pasos */}
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <label className="text-xs font-semibold text-gray-600">Pasos</label>
+                    <button
+                      onClick={() => setForm({ ...form, steps: [...form.steps, { delayMinutes: 1440, template: '', aiPersonalized: false }] })}
+                      className="text-xs font-medium"
+                      style={{ color: '#5c19e3' }}
+                    >
+                      + Agregar paso
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-500 mb-2">
+                    Variables: {VARIABLES.join(' ')}. En los pasos personalizados con IA el mensaje sirve de guía y se envía tal cual si el texto de la IA no pasa las validaciones.
+                  </p>
+                  <div className="space-y-3">
+                    {form.steps.map((step, index) => (
+                      <div key={index} className="rounded-xl p-3 space-y-2" style={{ background: '#FAFBFC', border: '1px solid #E8EBED' }}>
+                        <div className="flex items-center gap-3 text-xs text-gray-600">
+                          <span className="font-semibold">Paso {index + 1}</span>
+                          <span>Esperar</span>
+                          <input
+                            type="number"
+                            min="0.1"
+                            step="0.5"
+                            value={toHours(step.delayMinutes)}
+                            onChange={(e) => updateStep(index, 'delayMinutes', toMinutes(e.target.value))}
+                            className="w-20 px-2 py-1 text-xs rounded-lg focus:outline-none bg-white"
+                            style={inputStyle}
+                          />
+                          <span>h {index === 0 ? 'desde que inicia' : 'desde el paso anterior'}</span>
+                          <label className="flex items-center gap-1 ml-auto">
+                            <input
+                              type="checkbox"
+                              checked={step.aiPersonalized}
+                              onChange={(e) => updateStep(index, 'aiPersonalized', e.target.checked)}
+                            />
+                            Personalizar con IA
+                          </label>
+                          {form.steps.length > 1 && (
+                            <button
+                              onClick={() => setForm({ ...form, steps: form.steps.filter((_, i) => i !== index) })}
+                              className="px-1 text-gray-400"
+                              title="Eliminar paso"
+                            >
+                              ✕
+                            </button>
+                          )}
+                        </div>
+                        <textarea
+                          value={step.template}
+                          onChange={(e) => updateStep(index, 'template', e.target.value)}
+                          rows={4}
+                          placeholder={step.aiPersonalized ? 'Intención del mensaje (se envía si la IA falla)' : 'Hola {nombre} 👋 ...'}
+                          className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none resize-none bg-white"
+                          style={inputStyle}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="flex gap-3">
+                  <div className="flex-1">
+                    <label className="block text-xs font-semibold text-gray-600 mb-1">Mensaje de despedida (opcional)</label>
+                    <textarea
+                      value={form.finalMessage || ''}
+                      onChange={(e) => setForm({ ...form, finalMessage: e.target.value })}
+                      rows={3}
+                      className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none resize-none"
+                      style={inputStyle}
+                    />
+                  </div>
+                  <div className="w-48">
+                    <label className="block text-xs font-semibold text-gray-600 mb-1">Enviar tras el último paso (h)</label>
+                    <input
+                      type="number"
+                      min="0.1"
+                      step="0.5"
+                      value={toHours(form.finalDelayMinutes)}
+                      onChange={(e) => setForm({ ...form, finalDelayMinutes: toMinutes(e.target.value) })}
+                      className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none"
+                      style={inputStyle}
+                    />
+                  </div>
+                </div>
+
+                {/* Condiciones de detención */}
+                <div>
+                  <label className="block text-xs font-semibold text-gray-600 mb-2">Detener la secuencia cuando</label>
+                  <div className="grid grid-cols-2 gap-2 text-sm text-gray-700">
+                    {Object.entries(stopConditions).map(([key, label]) => (
+                      <label key={key} className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={form.stopConditions.includes(key)}
+                          onChange={() => setForm({ ...form, stopConditions: toggleInList(form.stopConditions, key) })}
+                        />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Reglas de asignación */}
+                <div>
+                  <label className="block text-xs font-semibold text-gray-600 mb-1">Asignar automáticamente a contactos</label>
+                  <p className="text-xs text-gray-500 mb-2">
+                    Sin reglas, la secuencia solo se usa si es la secuencia por defecto o si se asigna manualmente desde el perfil del contacto.
+                  </p>
+                  <div className="flex flex-wrap gap-2 mb-2">
+                    {STAGES.map(stage => (
+                      <label key={stage.key} className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs text-gray-700" style={inputStyle}>
+                        <input
+                          type="checkbox"
+                          checked={form.assignmentRules.stages.includes(stage.key)}
+                          onChange={() => setForm({
+                            ...form,
+                            assignmentRules: { ...form.assignmentRules, stages: toggleInList(form.assignmentRules.stages, stage.key) }
+                          })}
+                        />
+                        {stage.label}
+                      </label>
+                    ))}
+                  </div>
+                  <div className="flex gap-3">
+                    <input
+                      type="text"
+                      value={tagsText}
+                      onChange={(e) => setTagsText(e.target.value)}
+                      placeholder="Con alguna de estas etiquetas (separadas por coma)"
+                      className="flex-1 px-3 py-2 text-sm rounded-xl focus:outline-none"
+                      style={inputStyle}
+                    />
+                    <select
+                      value={form.assignmentRules.chatType}
+                      onChange={(e) => setForm({ ...form, assignmentRules: { ...form.assignmentRules, chatType: e.target.value } })}
+                      className="px-3 py-2 text-sm rounded-xl focus:outline-none"
+                      style={inputStyle}
+                    >
+                      <option value="all">Chats individuales y grupos</option>
+                      <option value="individual">Solo chats individuales</option>
+                      <option value="group">Solo grupos</option>
+                    </select>
+                  </div>
+                </div>
+              </div>
+
+              <div className="px-6 py-4 flex gap-3" style={{ borderTop: '1px solid #E8EBED' }}>
+                {selectedId && !form.isDefault && (
+                  <button
+                    onClick={handleDelete}
+                    className="px-4 py-3 rounded-xl text-sm font-medium text-red-600 transition-all"
+                    style={{ background: '#FEF2F2' }}
+                  >
+                    Eliminar
+                  </button>
+                )}
+                <button
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="flex-1 px-4 py-3 rounded-xl text-sm font-medium text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                  style={{ background: '#5c19e3' }}
+                >
+                  {saving ? 'Guardando...' : selectedId ? 'Guardar cambios' : 'Crear secuencia'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FollowUpSequences;
@@ -1,25 +1,93 @@
 import React, { useState, useEffect } from 'react';
 import logo from '../assets/logo.svg';
 import icono from '../assets/icono.jpeg';
-import { checkWhatsAppStatus } from '../services/api';
+import { checkWhatsAppStatus, getAIStatus, getAgents, setMyAvailability } from '../services/api';
+import { useEventStream } from '../hooks/useEventStream';
+
+const AVAILABILITY_OPTIONS = [
+  { value: 'online', label: 'En línea', color: '#22C55E' },
+  { value: 'away', label: 'Ausente', color: '#F59E0B' },
+  { value: 'offline', label: 'Desconectado', color: '#9CA3AF' }
+];
 
 function Header({ currentView, onViewChange, user, onLogout }) {
   const [whatsappStatus, setWhatsappStatus] = useState({ connected: false, loading: true });
+  const [availability, setAvailability] = useState(null);
+  const [aiProviders, setAIProviders] = useState([]);
+  const isAgent = user?.role === 'admin' || user?.role === 'support';
+
+  // El estado de conexión y la disponibilidad llegan en tiempo real
+  const streamConnected = useEventStream((type, data) => {
+    if (type === 'whatsapp') {
+      setWhatsappStatus({ connected: data.status === 'connected', loading: false });
+    } else if (type === 'agent' && user && data.agentId === user.id) {
+      setAvailability(data.availability);
+    } else if (type === 'ready') {
+      checkStatus();
+      loadAvailability();
+    }
+  });
 
   useEffect(() => {
     // Verificar estado inicial
     checkStatus();
+    loadAvailability();
+  }, []);
 
-    // Polling cada 10 segundos
-    const interval = setInterval(checkStatus, 10000);
+  const loadAvailability = async () => {
+    if (!isAgent) return;
+    try {
+      const agent = (await getAgents()).find(a => a.id === user.id);
+      if (agent) setAvailability(agent.availability);
+    } catch (error) {
+      // Error silencioso
+    }
+  };
 
+  const handleAvailabilityChange = async (value) => {
+    const previous = availability;
+    setAvailability(value);
+    try {
+      await setMyAvailability(value);
+    } catch (error) {
+      setAvailability(previous);
+      alert('Error actualizando disponibilidad: ' + error.message);
+    }
+  };
+
+  const availabilityOption = AVAILABILITY_OPTIONS.find(option => option.value === availability);
+
+  // Sin conexión en tiempo real: polling cada 10 segundos
+  useEffect(() => {
+    if (streamConnected) return;
+    const interval = setInterval(checkStatus, 10000);
     return () => clearInterval(interval);
-  }, []);
+  }, [streamConnected]);
 
   const checkStatus = async () => {
     const status = await checkWhatsAppStatus();
     setWhatsappStatus({ connected: status.connected, loading: false });
   };
+
+  // Circuito de los proveedores de IA: abierto = las respuestas se están reprogramando
+  useEffect(() => {
+    const checkAIStatus = async () => {
+      try {
+        const data = await getAIStatus();
+        setAIProviders(data.providers || []);
+      } catch (error) {
+        // Error silencioso
+      }
+    };
+
+    checkAIStatus();
+    const interval = setInterval(checkAIStatus, 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const degradedProviders = aiProviders.filter(provider => provider.state !== 'closed');
+  const aiUnavailable = aiProviders.length > 0 && degradedProviders.length === aiProviders.length;
+
   return (
     <header className="sticky top-0 z-50 bg-white px-6 py-3" style={{
       borderBottom: '1px solid #E8EBED',
@@ -101,6 +169,74 @@ function Header({ currentView, onViewChange, user, onLogout }) {
           >
             Contactos
           </button>
+          <button
+            className="px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200"
+            style={{
+              background: currentView === 'calendar' ? '#5c19e3' : 'transparent',
+              color: currentView === 'calendar' ? 'white' : '#6B7280'
+            }}
+            onMouseEnter={(e) => {
+              if (currentView !== 'calendar') {
+                e.target.style.background = '#F3F4F6';
+                e.target.style.color = '#374151';
+              }
+            }}
+            onMouseLeave={(e) => {
+              if (currentView !== 'calendar') {
+                e.target.style.background = 'transparent';
+                e.target.style.color = '#6B7280';
+              }
+            }}
+            onClick={() => onViewChange('calendar')}
+          >
+            Agenda
+          </button>
+          <button
+            className="px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200"
+            style={{
+              background: currentView === 'followups' ? '#5c19e3' : 'transparent',
+              color: currentView === 'followups' ? 'white' : '#6B7280'
+            }}
+            onMouseEnter={(e) => {
+              if (currentView !== 'followups') {
+                e.target.style.background = '#F3F4F6';
+                e.target.style.color = '#374151';
+              }
+            }}
+            onMouseLeave={(e) => {
+              if (currentView !== 'followups') {
+                e.target.style.background = 'transparent';
+                e.target.style.color = '#6B7280';
+              }
+            }}
+            onClick={() => onViewChange('followups')}
+          >
+            Seguimiento
+          </button>
+          {user?.role === 'admin' && (
+            <button
+              className="px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200"
+              style={{
+                background: currentView === 'campaigns' ? '#5c19e3' : 'transparent',
+                color: currentView === 'campaigns' ? 'white' : '#6B7280'
+              }}
+              onMouseEnter={(e) => {
+                if (currentView !== 'campaigns') {
+                  e.target.style.background = '#F3F4F6';
+                  e.target.style.color = '#374151';
+                }
+              }}
+              onMouseLeave={(e) => {
+                if (currentView !== 'campaigns') {
+                  e.target.style.background = 'transparent';
+                  e.target.style.color = '#6B7280';
+                }
+              }}
+              onClick={() => onViewChange('campaigns')}
+            >
+              Campañas
+            </button>
+          )}
           {user?.role === 'admin' && (
             <button
               className="px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 relative"
@@ -139,6 +275,33 @@ function Header({ currentView, onViewChange, user, onLogout }) {
         {/* Usuario y logout */}
         {user && (
           <div className="flex items-center gap-3">
+            {/* Proveedores de IA con fallas */}
+            {degradedProviders.length > 0 && (
+              <div
+                className="flex items-center gap-1.5 px-2 py-1.5 rounded-lg text-xs font-medium"
+                style={{ background: aiUnavailable ? '#FEF2F2' : '#FFFBEB', color: aiUnavailable ? '#B91C1C' : '#B45309' }}
+                title={degradedProviders.map(provider => `${provider.name}: ${provider.state === 'open' ? 'sin respuesta' : 'en prueba'}`).join('\n')}
+              >
+                <span className="w-2 h-2 rounded-full" style={{ background: aiUnavailable ? '#EF4444' : '#F59E0B' }}></span>
+                {aiUnavailable ? 'IA no disponible' : 'IA con fallas'}
+              </div>
+            )}
+            {/* Disponibilidad para recibir conversaciones asignadas */}
+            {isAgent && availability && (
+              <div className="flex items-center gap-1.5 px-2 py-1.5 rounded-lg" style={{ background: '#F3F4F6' }}>
+                <span className="w-2 h-2 rounded-full" style={{ background: availabilityOption?.color || '#9CA3AF' }}></span>
+                <select
+                  value={availability}
+                  onChange={(e) => handleAvailabilityChange(e.target.value)}
+                  className="text-xs font-medium text-gray-700 bg-transparent focus:outline-none cursor-pointer"
+                  title="Disponibilidad para recibir conversaciones"
+                >
+                  {AVAILABILITY_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
             <div className="flex items-center gap-2 px-3 py-1.5 rounded-lg" style={{
               background: '#F3F4F6'
             }}>
@@ -0,0 +1,92 @@
+import React from 'react';
+import { getMediaUrl } from '../services/api';
+
+// Contenido multimedia de un mensaje: nota de voz, imagen, documento, ubicación o contacto
+function MessageMedia({ msg, isClient }) {
+  const type = msg.mediaType || (msg.mediaMimeType?.startsWith('audio/') ? 'audio' : null);
+  const data = msg.mediaData || {};
+  const cardStyle = {
+    background: isClient ? '#FAFBFC' : 'rgba(255, 255, 255, 0.15)',
+    border: isClient ? '1px solid #E8EBED' : '1px solid rgba(255, 255, 255, 0.25)'
+  };
+
+  if (msg.mediaExpired) {
+    return (
+      <div className="px-3 py-2 mb-1 rounded-lg text-xs italic opacity-80" style={cardStyle}>
+        {type === 'audio' ? '🎤 Audio' : type === 'image' ? '📷 Imagen' : '📄 Archivo'} no disponible (eliminado por la política de retención)
+      </div>
+    );
+  }
+
+  if (type === 'audio' && msg.mediaId) {
+    return (
+      <audio
+        controls
+        preload="none"
+        src={getMediaUrl(msg.mediaId)}
+        className="w-64 max-w-full h-10 mb-1"
+      />
+    );
+  }
+
+  if (type === 'image' && msg.mediaId) {
+    return (
+      <a href={getMediaUrl(msg.mediaId)} target="_blank" rel="noopener noreferrer" className="block mb-1">
+        <img
+          src={getMediaUrl(msg.mediaId)}
+          alt="Imagen enviada"
+          loading="lazy"
+          className="rounded-lg max-h-64 w-auto max-w-full object-cover"
+        />
+      </a>
+    );
+  }
+
+  if (type === 'document' && msg.mediaId) {
+    return (
+      <a
+        href={getMediaUrl(msg.mediaId)}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="flex items-center gap-2 px-3 py-2 mb-1 rounded-lg text-xs font-medium"
+        style={cardStyle}
+      >
+        <svg className="w-5 h-5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+        </svg>
+        <span className="truncate">{data.fileName || 'Documento'}</span>
+      </a>
+    );
+  }
+
+  if (type === 'location' && data.latitude !== undefined) {
+    return (
+      <a
+        href={`https://www.google.com/maps?q=${data.latitude},${data.longitude}`}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="block px-3 py-2 mb-1 rounded-lg text-xs"
+        style={cardStyle}
+      >
+        <span className="font-semibold">📍 {data.name || 'Ubicación'}</span>
+        {data.address && <span className="block opacity-80">{data.address}</span>}
+        <span className="block opacity-70 mt-0.5">{data.latitude}, {data.longitude} · Ver en mapa</span>
+      </a>
+    );
+  }
+
+  if (type === 'contact') {
+    return (
+      <div className="px-3 py-2 mb-1 rounded-lg text-xs" style={cardStyle}>
+        <span className="font-semibold">👤 {data.name || 'Contacto'}</span>
+        {(data.phones || []).map(phone => (
+          <span key={phone} className="block opacity-80">{phone}</span>
+        ))}
+      </div>
+    );
+  }
+
+  return null;
+}
+
+export default MessageMedia;
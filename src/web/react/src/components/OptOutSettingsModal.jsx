@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { getOptOutSettings, saveOptOutSettings } from '../services/api';
+
+function OptOutSettingsModal({ onClose }) {
+  const [form, setForm] = useState(null);
+  const [newKeyword, setNewKeyword] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      setForm(await getOptOutSettings());
+    } catch (error) {
+      alert('Error cargando configuración de bajas: ' + error.message);
+      onClose();
+    }
+  };
+
+  const handleAddKeyword = () => {
+    const keyword = newKeyword.trim();
+    if (!keyword) return;
+    setForm({ ...form, keywords: [...form.keywords, keyword] });
+    setNewKeyword('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await saveOptOutSettings(form);
+      onClose();
+    } catch (error) {
+      alert('Error guardando configuración de bajas: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputStyle = { border: '1px solid #E8EBED' };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm">
+      <div className="bg-white rounded-2xl max-w-lg w-full mx-4 max-h-[90vh] flex flex-col" style={{
+        boxShadow: '0 20px 50px rgba(0, 0, 0, 0.15)'
+      }}>
+        <div className="px-6 py-4 flex items-center justify-between" style={{ borderBottom: '1px solid #E8EBED' }}>
+          <div>
+            <h3 className="font-semibold text-gray-800">Bajas</h3>
+            <p className="text-xs text-gray-500">Clientes que piden no recibir más mensajes automáticos</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">✕</button>
+        </div>
+
+        {!form ? (
+          <div className="flex-1 flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-4 border-gray-200 border-t-purple-600"></div>
+          </div>
+        ) : (
+          <div className="flex-1 overflow-y-auto p-6 space-y-5">
+            <div>
+              <label className="block text-xs font-semibold text-gray-600 mb-1">Palabras de baja</label>
+              <p className="text-xs text-gray-500 mb-2">
+                Una palabra suelta (BAJA, STOP) cuenta solo si es el mensaje completo; una frase ("no me escriban") cuenta si aparece en el mensaje. No importan mayúsculas ni acentos.
+              </p>
+              <div className="flex flex-wrap gap-2 mb-2">
+                {form.keywords.map((keyword, index) => (
+                  <span key={index} className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs text-gray-700" style={{ background: '#F3F4F6' }}>
+                    {keyword}
+                    <button
+                      onClick={() => setForm({ ...form, keywords: form.keywords.filter((_, i) => i !== index) })}
+                      className="text-gray-400"
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ))}
+              </div>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={newKeyword}
+                  onChange={(e) => setNewKeyword(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleAddKeyword()}
+                  placeholder="Ej. cancelar suscripción"
+                  className="flex-1 px-3 py-2 text-sm rounded-xl focus:outline-none"
+                  style={inputStyle}
+                />
+                <button
+                  onClick={handleAddKeyword}
+                  disabled={!newKeyword.trim()}
+                  className="px-4 py-2 rounded-xl text-sm font-medium disabled:opacity-50"
+                  style={{ background: '#F3F4F6', color: '#374151' }}
+                >
+                  Agregar
+                </button>
+              </div>
+            </div>
+
+            <div>
+              <label className="flex items-center gap-2 text-sm text-gray-700 mb-1">
+                <input
+                  type="checkbox"
+                  checked={form.confirmationEnabled}
+                  onChange={(e) => setForm({ ...form, confirmationEnabled: e.target.checked })}
+                />
+                Confirmar la baja al cliente
+              </label>
+              <textarea
+                value={form.confirmationMessage}
+                onChange={(e) => setForm({ ...form, confirmationMessage: e.target.value })}
+                rows={3}
+                disabled={!form.confirmationEnabled}
+                className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none resize-none disabled:opacity-50"
+                style={inputStyle}
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="px-6 py-4 flex gap-3" style={{ borderTop: '1px solid #E8EBED' }}>
+          <button
+            onClick={onClose}
+            className="px-6 py-3 rounded-xl text-sm font-medium transition-all"
+            style={{ background: '#E8EBED', color: '#6B7280' }}
+          >
+            Cancelar
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!form || saving}
+            className="flex-1 px-4 py-3 rounded-xl text-sm font-medium text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{ background: '#5c19e3' }}
+          >
+            {saving ? 'Guardando...' : 'Guardar'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OptOutSettingsModal;
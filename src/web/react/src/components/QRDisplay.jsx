@@ -1,7 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
+import BusinessHoursModal from './BusinessHoursModal';
+import OptOutSettingsModal from './OptOutSettingsModal';
+import ConversationSettingsModal from './ConversationSettingsModal';
+import AssignmentSettingsModal from './AssignmentSettingsModal';
+import { useEventStream } from '../hooks/useEventStream';
 
 function QRDisplay() {
   const [qrData, setQrData] = useState(null);
+  const [qrLibraryReady, setQrLibraryReady] = useState(Boolean(window.QRCode));
   const [status, setStatus] = useState('loading');
   const [isResetting, setIsResetting] = useState(false);
 
@@ -36,6 +42,19 @@ function QRDisplay() {
   const [showToast, setShowToast] = useState(false);
   const [toastMessage, setToastMessage] = useState('');
   const [toastType, setToastType] = useState('success');
+  const [showBusinessHours, setShowBusinessHours] = useState(false);
+  const [showOptOutSettings, setShowOptOutSettings] = useState(false);
+  const [showConversationSettings, setShowConversationSettings] = useState(false);
+  const [showAssignmentSettings, setShowAssignmentSettings] = useState(false);
+
+  // QR y estado de conexión en tiempo real
+  const streamConnected = useEventStream((type, data) => {
+    if (type === 'whatsapp') {
+      showQR(data);
+    } else if (type === 'ready') {
+      checkQR();
+    }
+  });
 
   useEffect(() => {
     // Cargar librería QRCode si no está disponible
@@ -44,21 +63,26 @@ function QRDisplay() {
       script.src = 'https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js';
       script.async = true;
       script.onload = () => {
+        setQrLibraryReady(true);
         checkQR();
-        intervalRef.current = setInterval(checkQR, 3000);
       };
       document.body.appendChild(script);
     } else {
       checkQR();
-      intervalRef.current = setInterval(checkQR, 3000);
     }
+  }, []);
+
+  // Sin conexión en tiempo real: consultar el QR cada 3 segundos
+  useEffect(() => {
+    if (streamConnected) return;
+    intervalRef.current = setInterval(checkQR, 3000);
 
     return () => {
       if (intervalRef.current) {
         clearInterval(intervalRef.current);
       }
     };
-  }, []);
+  }, [streamConnected]);
 
   useEffect(() => {
     loadGroupsAIConfig();
@@ -228,41 +252,44 @@ function QRDisplay() {
   const checkQR = async () => {
     try {
       const response = await fetch('/api/qr');
-      const data = await response.json();
-
-      if (data.qr) {
-        setStatus('waiting');
-        setQrData(data.qr);
-
-        // Generar QR Code
-        if (qrCanvasRef.current && window.QRCode) {
-          // Limpiar canvas anterior
-          qrCanvasRef.current.innerHTML = '';
-
-          // Crear nuevo QR
-          qrcodeRef.current = new window.QRCode(qrCanvasRef.current, {
-            text: data.qr,
-            width: 256,
-            height: 256,
-            colorDark: "#000000",
-            colorLight: "#ffffff",
-            correctLevel: window.QRCode?.CorrectLevel?.M || 0
-          });
-        }
-      } else {
-        // Usar el status explícito del backend
-        setStatus(data.status === 'connected' ? 'connected' : 'disconnected');
-        setQrData(null);
-        if (qrCanvasRef.current) {
-          qrCanvasRef.current.innerHTML = '';
-        }
-      }
+      showQR(await response.json());
     } catch (error) {
       console.error('Error obteniendo QR:', error);
       setStatus('error');
     }
   };
 
+  // data: { qr, status } de /api/qr o del evento 'whatsapp'
+  const showQR = (data) => {
+    if (data.qr) {
+      setStatus('waiting');
+      setQrData(data.qr);
+    } else {
+      // Usar el status explícito del backend
+      setStatus(data.status === 'connected' ? 'connected' : 'disconnected');
+      setQrData(null);
+    }
+  };
+
+  // Dibujar el QR cuando cambia (el contenedor solo existe mientras se espera el escaneo)
+  useEffect(() => {
+    if (!qrCanvasRef.current || !window.QRCode) return;
+
+    // Limpiar canvas anterior
+    qrCanvasRef.current.innerHTML = '';
+    if (!qrData) return;
+
+    // Crear nuevo QR
+    qrcodeRef.current = new window.QRCode(qrCanvasRef.current, {
+      text: qrData,
+      width: 256,
+      height: 256,
+      colorDark: "#000000",
+      colorLight: "#ffffff",
+      correctLevel: window.QRCode?.CorrectLevel?.M || 0
+    });
+  }, [qrData, status, qrLibraryReady]);
+
   const handleResetSession = async () => {
     if (isResetting) return;
 
@@ -630,8 +657,68 @@ function QRDisplay() {
               )}
             </div>
 
-            {/* Download Backup Button */}
-            <div className="flex justify-end">
+            {/* Business Hours & Download Backup Buttons */}
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => setShowBusinessHours(true)}
+                className="px-4 py-2 rounded-lg text-xs font-medium transition-all flex items-center gap-2"
+                style={{
+                  background: '#F3F4F6',
+                  color: '#374151'
+                }}
+                onMouseEnter={(e) => (e.target.style.background = '#E5E7EB')}
+                onMouseLeave={(e) => (e.target.style.background = '#F3F4F6')}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                <span>Horario de atención</span>
+              </button>
+              <button
+                onClick={() => setShowOptOutSettings(true)}
+                className="px-4 py-2 rounded-lg text-xs font-medium transition-all flex items-center gap-2"
+                style={{
+                  background: '#F3F4F6',
+                  color: '#374151'
+                }}
+                onMouseEnter={(e) => (e.target.style.background = '#E5E7EB')}
+                onMouseLeave={(e) => (e.target.style.background = '#F3F4F6')}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636" />
+                </svg>
+                <span>Bajas</span>
+              </button>
+              <button
+                onClick={() => setShowConversationSettings(true)}
+                className="px-4 py-2 rounded-lg text-xs font-medium transition-all flex items-center gap-2"
+                style={{
+                  background: '#F3F4F6',
+                  color: '#374151'
+                }}
+                onMouseEnter={(e) => (e.target.style.background = '#E5E7EB')}
+                onMouseLeave={(e) => (e.target.style.background = '#F3F4F6')}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
+                </svg>
+                <span>Conversaciones</span>
+              </button>
+              <button
+                onClick={() => setShowAssignmentSettings(true)}
+                className="px-4 py-2 rounded-lg text-xs font-medium transition-all flex items-center gap-2"
+                style={{
+                  background: '#F3F4F6',
+                  color: '#374151'
+                }}
+                onMouseEnter={(e) => (e.target.style.background = '#E5E7EB')}
+                onMouseLeave={(e) => (e.target.style.background = '#F3F4F6')}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z" />
+                </svg>
+                <span>Asignación</span>
+              </button>
               <button
                 onClick={() => handleDownloadPrompt(activePromptTab)}
                 disabled={loadingPrompts}
@@ -768,6 +855,22 @@ function QRDisplay() {
         </div>
       </div>
 
+      {showBusinessHours && (
+        <BusinessHoursModal onClose={() => setShowBusinessHours(false)} />
+      )}
+
+      {showOptOutSettings && (
+        <OptOutSettingsModal onClose={() => setShowOptOutSettings(false)} />
+      )}
+
+      {showConversationSettings && (
+        <ConversationSettingsModal onClose={() => setShowConversationSettings(false)} />
+      )}
+
+      {showAssignmentSettings && (
+        <AssignmentSettingsModal onClose={() => setShowAssignmentSettings(false)} />
+      )}
+
       {/* Toast Notification */}
       {showToast && (
         <div
@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import { getNaves, getQuotations, createQuotation, getMediaUrl } from '../services/api';
+
+function QuotationModal({ contact, onClose, onSent }) {
+  const [naves, setNaves] = useState([]);
+  const [quotations, setQuotations] = useState([]);
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState({}); // id -> precio ajustado ('' = precio del catálogo)
+  const [validityDays, setValidityDays] = useState('');
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    const loadData = async () => {
+      setLoading(true);
+      try {
+        const [navesData, quotationsData] = await Promise.all([
+          getNaves(),
+          getQuotations(contact.phone)
+        ]);
+        setNaves(navesData);
+        setQuotations(quotationsData);
+      } catch (error) {
+        // Error silencioso
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadData();
+  }, [contact.phone]);
+
+  const toggleNave = (id) => {
+    setSelected(prev => {
+      const next = { ...prev };
+      if (id in next) {
+        delete next[id];
+      } else {
+        next[id] = '';
+      }
+      return next;
+    });
+  };
+
+  const handleSend = async () => {
+    const naveIds = Object.keys(selected).map(Number);
+    if (naveIds.length === 0) return;
+
+    setSending(true);
+    try {
+      const prices = {};
+      Object.entries(selected).forEach(([id, price]) => {
+        if (String(price).trim()) prices[id] = price;
+      });
+
+      const result = await createQuotation(contact.phone, {
+        naveIds,
+        prices,
+        validityDays: validityDays ? parseInt(validityDays, 10) : null,
+        notes
+      }, contact.isGroup);
+      onSent(result);
+    } catch (error) {
+      alert('Error generando cotización: ' + error.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const term = search.trim().toLowerCase();
+  const filteredNaves = naves.filter(nave =>
+    !term || [nave.park, nave.location, nave.type, nave.status].some(value => String(value || '').toLowerCase().includes(term))
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm">
+      <div className="bg-white rounded-2xl max-w-2xl w-full mx-4 max-h-[90vh] flex flex-col" style={{
+        boxShadow: '0 20px 50px rgba(0, 0, 0, 0.15)'
+      }}>
+        <div className="px-6 py-4 flex items-center justify-between" style={{ borderBottom: '1px solid #E8EBED' }}>
+          <div>
+            <h3 className="font-semibold text-gray-800">Nueva cotización</h3>
+            <p className="text-xs text-gray-500">Se genera en PDF y se envía por WhatsApp a {contact.groupName || contact.phone}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="w-8 h-8 rounded-lg flex items-center justify-center text-gray-500 transition-all"
+            onMouseEnter={(e) => e.currentTarget.style.background = '#F3F4F6'}
+            onMouseLeave={(e) => e.currentTarget.style.background = 'transparent'}
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+          {loading ? (
+            <p className="text-sm text-gray-500 text-center py-8">Cargando naves...</p>
+          ) : (
+            <>
+              <div>
+                <label className="block text-xs font-semibold text-gray-600 mb-1">Naves a cotizar</label>
+                <input
+                  type="text"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  placeholder="Buscar por parque, ubicación o tipo..."
+                  className="w-full px-3 py-2 mb-2 text-sm rounded-xl focus:outline-none"
+                  style={{ border: '1px solid #E8EBED' }}
+                />
+                <div className="max-h-64 overflow-y-auto rounded-xl" style={{ border: '1px solid #E8EBED' }}>
+                  {filteredNaves.length === 0 ? (
+                    <p className="text-xs text-gray-500 text-center py-4">No hay naves que coincidan</p>
+                  ) : filteredNaves.map(nave => (
+                    <div
+                      key={nave.id}
+                      className="flex items-center gap-3 px-3 py-2 text-sm"
+                      style={{
+                        borderBottom: '1px solid #E8EBED',
+                        background: nave.id in selected ? 'rgba(92, 25, 227, 0.05)' : 'transparent'
+                      }}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={nave.id in selected}
+                        onChange={() => toggleNave(nave.id)}
+                      />
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium text-gray-800 truncate">{nave.park} · {nave.type}</p>
+                        <p className="text-xs text-gray-500 truncate">
+                          {nave.location} · {nave.area} m² · {nave.status}
+                        </p>
+                      </div>
+                      {nave.id in selected ? (
+                        <input
+                          type="text"
+                          value={selected[nave.id]}
+                          onChange={(e) => setSelected({ ...selected, [nave.id]: e.target.value })}
+                          placeholder={nave.price ? `$${nave.price}` : 'Precio'}
+                          title="Precio ajustado (vacío = precio del catálogo)"
+                          className="w-32 px-2 py-1 text-xs rounded-lg focus:outline-none"
+                          style={{ border: '1px solid #E8EBED' }}
+                        />
+                      ) : (
+                        <span className="text-xs text-gray-500">{nave.price ? `$${nave.price}` : ''}</span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex gap-3">
+                <div className="w-40">
+                  <label className="block text-xs font-semibold text-gray-600 mb-1">Vigencia (días)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={validityDays}
+                    onChange={(e) => setValidityDays(e.target.value)}
+                    placeholder="Por defecto"
+                    className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none"
+                    style={{ border: '1px solid #E8EBED' }}
+                  />
+                </div>
+                <div className="flex-1">
+                  <label className="block text-xs font-semibold text-gray-600 mb-1">Notas</label>
+                  <textarea
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    rows={2}
+                    placeholder="Condiciones, descuentos, plazos de entrega..."
+                    className="w-full px-3 py-2 text-sm rounded-xl focus:outline-none resize-none"
+                    style={{ border: '1px solid #E8EBED' }}
+                  />
+                </div>
+              </div>
+
+              {quotations.length > 0 && (
+                <div>
+                  <label className="block text-xs font-semibold text-gray-600 mb-1">Cotizaciones anteriores</label>
+                  <div className="space-y-1">
+                    {quotations.map(quotation => (
+                      <a
+                        key={quotation.id}
+                        href={quotation.mediaId ? getMediaUrl(quotation.mediaId) : undefined}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex items-center justify-between px-3 py-2 rounded-lg text-xs"
+                        style={{ background: '#FAFBFC', border: '1px solid #E8EBED' }}
+                      >
+                        <span className="font-medium text-gray-700">📄 {quotation.folio}</span>
+                        <span className="text-gray-500">
+                          {quotation.items.length} nave(s) · {quotation.createdBy} · {new Date(quotation.createdAt).toLocaleDateString('es-ES')}
+                        </span>
+                      </a>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="px-6 py-4 flex gap-3" style={{ borderTop: '1px solid #E8EBED' }}>
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-3 rounded-xl text-sm font-medium text-gray-700 transition-all"
+            style={{ background: '#F3F4F6' }}
+          >
+            Cancelar
+          </button>
+          <button
+            onClick={handleSend}
+            disabled={sending || Object.keys(selected).length === 0}
+            className="flex-1 px-4 py-3 rounded-xl text-sm font-medium text-white transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            style={{ background: '#5c19e3' }}
+          >
+            {sending ? 'Generando...' : `Generar y enviar (${Object.keys(selected).length})`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default QuotationModal;
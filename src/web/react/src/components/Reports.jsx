@@ -1,9 +1,30 @@
-import React, { useState, useEffect } from 'react';
-import { getReports, updateSaleStatus, analyzeConversation } from '../services/api';
+import React, { useState, useEffect, useRef } from 'react';
+import { getReports, getReportConversation, updateSaleStatus, analyzeConversation } from '../services/api';
+
+const PAGE_SIZE = 50;
+
+const CONVERSATION_STATUS_LABELS = {
+  open: 'Abierta',
+  pending: 'Pendiente',
+  resolved: 'Resuelta',
+  closed: 'Cerrada'
+};
+
+// Fecha local en formato AAAA-MM-DD
+const toDateString = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
 
 function Reports() {
   const [reports, setReports] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [totals, setTotals] = useState(null);
+  const [page, setPage] = useState(1);
+  const [sort, setSort] = useState({ sort: 'fecha', order: 'desc' });
   const [selectedDate, setSelectedDate] = useState('all'); // Cambiar default a 'all' para ver todos
+  const [customRange, setCustomRange] = useState({ from: '', to: '' });
   const [loading, setLoading] = useState(false);
   const [analyzing, setAnalyzing] = useState(false);
   const [analyzeProgress, setAnalyzeProgress] = useState({ current: 0, total: 0 });
@@ -13,14 +34,15 @@ function Reports() {
     status: 'all',
     hasSale: 'all',
     hasAppointment: 'all',
-    chatType: 'all' // all, individual, group
+    chatType: 'all', // all, individual, group
+    conversationStatus: 'all' // all, open, pending, resolved, closed
   });
-  const [filteredReports, setFilteredReports] = useState([]);
+  const [phoneSearch, setPhoneSearch] = useState(''); // Teléfono enviado al servidor (con retardo al escribir)
   const [pendingAnalysis, setPendingAnalysis] = useState(null);
   const [analyzedIds, setAnalyzedIds] = useState(new Set());
+  const requestRef = useRef(0);
 
   useEffect(() => {
-    loadReports();
     // Cargar análisis pendiente de localStorage
     const savedAnalysis = localStorage.getItem('pendingAnalysis');
     if (savedAnalysis) {
@@ -31,8 +53,17 @@ function Reports() {
   }, [selectedDate]);
 
   useEffect(() => {
-    applyFilters();
-  }, [reports, filters]);
+    const timeout = setTimeout(() => {
+      if (filters.phone.trim() === phoneSearch) return;
+      setPhoneSearch(filters.phone.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [filters.phone]);
+
+  useEffect(() => {
+    loadReports();
+  }, [selectedDate, customRange, phoneSearch, filters.status, filters.hasSale, filters.hasAppointment, filters.chatType, filters.conversationStatus, sort, page]);
 
   // Guardar estado del análisis cuando cambie
   useEffect(() => {
@@ -53,85 +84,143 @@ function Reports() {
     };
   }, [analyzing]);
 
-  const applyFilters = () => {
-    let filtered = [...reports];
+  // Rango de fechas (AAAA-MM-DD, incluidas) del periodo seleccionado
+  const getRange = () => {
+    const today = new Date();
 
-    // Filtrar por teléfono
-    if (filters.phone) {
-      filtered = filtered.filter(r => 
-        r.telefono.includes(filters.phone)
-      );
+    if (selectedDate === 'today') {
+      return { from: toDateString(today), to: toDateString(today) };
     }
-
-    // Filtrar por estado
-    if (filters.status !== 'all') {
-      filtered = filtered.filter(r => {
-        if (filters.status === 'human') return r.modoHumano;
-        if (filters.status === 'support') return r.soporteActivado;
-        if (filters.status === 'ai') return !r.modoHumano && !r.soporteActivado;
-        return true;
-      });
+    if (selectedDate === 'yesterday') {
+      const yesterday = new Date(today);
+      yesterday.setDate(yesterday.getDate() - 1);
+      return { from: toDateString(yesterday), to: toDateString(yesterday) };
     }
-
-    // Filtrar por ventas
-    if (filters.hasSale !== 'all') {
-      const hasSale = filters.hasSale === 'yes';
-      filtered = filtered.filter(r => 
-        (r.posibleVenta || r.ventaCerrada) === hasSale
-      );
+    if (selectedDate === 'week') {
+      const weekStart = new Date(today);
+      weekStart.setDate(weekStart.getDate() - 6);
+      return { from: toDateString(weekStart), to: toDateString(today) };
     }
-
-    // Filtrar por citas
-    if (filters.hasAppointment !== 'all') {
-      const hasAppointment = filters.hasAppointment === 'yes';
-      filtered = filtered.filter(r => r.citaAgendada === hasAppointment);
+    if (selectedDate === 'month') {
+      return { from: toDateString(new Date(today.getFullYear(), today.getMonth(), 1)), to: toDateString(today) };
     }
-
-    // Filtrar por tipo de chat (individual o grupo)
-    if (filters.chatType !== 'all') {
-      const isGroup = filters.chatType === 'group';
-      filtered = filtered.filter(r => Boolean(r.isGroup) === isGroup);
+    if (selectedDate === 'custom') {
+      return { from: customRange.from || null, to: customRange.to || null };
     }
-
-    setFilteredReports(filtered);
+    return { from: null, to: null };
   };
 
-  const loadReports = async () => {
-    setLoading(true);
+  // Parámetros de la consulta: rango, filtros y orden (los filtros se aplican en el servidor)
+  const getQuery = () => ({
+    ...getRange(),
+    phone: phoneSearch,
+    status: filters.status,
+    hasSale: filters.hasSale,
+    hasAppointment: filters.hasAppointment,
+    chatType: filters.chatType,
+    conversationStatus: filters.conversationStatus,
+    sort: sort.sort,
+    order: sort.order
+  });
+
+  const loadReports = async ({ silent = false } = {}) => {
+    const requestId = ++requestRef.current;
+    if (!silent) setLoading(true);
     try {
-      // Si es una fecha específica (formato YYYY-MM-DD), usar el valor directamente
-      // Si no, pasar el valor especial (month, week, today, yesterday)
-      const dateToSend = selectedDate.includes('-') ? selectedDate : selectedDate;
-      const data = await getReports(dateToSend);
-      setReports(data);
+      const data = await getReports({ ...getQuery(), page, limit: PAGE_SIZE });
+      if (requestId !== requestRef.current) return; // Llegó una consulta más reciente
+      setReports(data.reports);
+      setTotal(data.total);
+      setTotals(data.totals);
     } catch (error) {
       console.error('Error cargando reportes:', error);
     } finally {
-      setLoading(false);
+      if (requestId === requestRef.current) setLoading(false);
+    }
+  };
+
+  // Todas las conversaciones que cumplen los filtros (para analizar o exportar)
+  const fetchAllReports = async () => {
+    const all = [];
+    let currentPage = 1;
+    while (true) {
+      const data = await getReports({ ...getQuery(), page: currentPage, limit: 200 });
+      all.push(...data.reports);
+      if (data.reports.length === 0 || all.length >= data.total) break;
+      currentPage++;
     }
+    return all;
   };
 
+  // Cambió el rango, un filtro o el orden: volver a la primera página
+  const updateFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setPage(1);
+  };
+
+  const handleSort = (column) => {
+    setPage(1);
+    setSort(prev => ({
+      sort: column,
+      order: prev.sort === column && prev.order === 'desc' ? 'asc' : 'desc'
+    }));
+  };
+
+  const sortIndicator = (column) => sort.sort === column ? (sort.order === 'desc' ? ' ↓' : ' ↑') : '';
+
   const handleSaleStatusChange = async (report, field, value) => {
     try {
-      // Generar el ID de conversación basado en teléfono y fecha
-      const phone = report.telefono.replace('@s.whatsapp.net', '').replace('@lid', '');
-      const date = report.fecha;
-      
-      await updateSaleStatus(null, { 
-        phone,
-        date,
-        [field]: value 
-      });
+      await updateSaleStatus(report.conversationId, { [field]: value });
       
       setReports(reports.map(r => 
         r.id === report.id ? { ...r, [field]: value } : r
       ));
       setEditingId(null);
+      // Actualizar totales (y quitar la fila si ya no cumple los filtros)
+      loadReports({ silent: true });
     } catch (error) {
       console.error('Error actualizando estado de venta:', error);
     }
   };
 
+  // Abrir el chat con los mensajes de la conversación del reporte
+  const handleShowChat = async (report) => {
+    let conversation = [];
+    try {
+      conversation = await getReportConversation(report.conversationId);
+    } catch (error) {
+      console.error('Error obteniendo conversación:', error);
+    }
+
+    // Crear objeto de contacto completo (los mensajes van del más reciente al más antiguo)
+    const contact = {
+      phone: report.telefono,
+      messages: conversation.slice().reverse(),
+      totalMessages: report.mensajes || 0,
+      userMessages: conversation.filter(msg => msg.type === 'USER').length,
+      botMessages: conversation.filter(msg => msg.type === 'BOT' || msg.type === 'HUMAN').length,
+      firstContact: report.primerMensaje || new Date().toISOString(),
+      lastActivity: report.ultimoMensaje || new Date().toISOString(),
+      lastMessage: null,
+      isHumanMode: report.modoHumano || false,
+      mode: report.soporteActivado ? 'support' : (report.modoHumano ? 'human' : 'ai'),
+      isGroup: report.isGroup
+    };
+
+    // Obtener último mensaje
+    const lastMsg = conversation[conversation.length - 1];
+    if (lastMsg) {
+      contact.lastMessage = {
+        text: lastMsg.message,
+        time: lastMsg.timestamp,
+        type: lastMsg.type === 'USER' ? 'user' : lastMsg.type.toLowerCase()
+      };
+    }
+
+    // Emitir evento con contacto completo
+    window.dispatchEvent(new CustomEvent('showChat', { detail: contact }));
+  };
+
   const formatPhone = (phone) => {
     // Remover @s.whatsapp.net si existe
     return phone.replace('@s.whatsapp.net', '').replace('@lid', '');
@@ -180,9 +269,16 @@ function Reports() {
     let alreadyAnalyzed = resume && pendingAnalysis && !forceReanalyze ? new Set(analyzedIds) : new Set();
     
     // Filtrar conversaciones que no han sido analizadas (o todas si es re-análisis forzado)
-    const conversationsToAnalyze = filteredReports.filter(r => 
-      r.conversacion && 
-      r.conversacion.length > 0 && 
+    let allReports = [];
+    try {
+      allReports = await fetchAllReports();
+    } catch (error) {
+      alert('Error obteniendo conversaciones para analizar: ' + error.message);
+      setAnalyzing(false);
+      return;
+    }
+    const conversationsToAnalyze = allReports.filter(r => 
+      r.mensajes > 0 && 
       (forceReanalyze || !alreadyAnalyzed.has(r.id))
     );
     
@@ -209,19 +305,10 @@ function Reports() {
           r.id === report.id ? { ...r, isAnalyzing: true } : r;
         
         setReports(prev => prev.map(markAsAnalyzing));
-        setFilteredReports(prev => prev.map(markAsAnalyzing));
         
         try {
-          const analysis = await analyzeConversation(report.conversacion);
-          
-          // Actualizar el estado en el backend INMEDIATAMENTE
-          await updateSaleStatus(null, {
-            phone: report.telefono.replace('@s.whatsapp.net', '').replace('@lid', ''),
-            date: report.fecha,
-            posibleVenta: analysis.posibleVenta,
-            ventaCerrada: true, // Marcamos como analizado
-            citaAgendada: analysis.citaAgendada
-          });
+          // El servidor analiza los mensajes de la conversación y guarda las marcas en ella
+          const analysis = await analyzeConversation(report.conversationId);
 
           // Actualizar el estado local y quitar marca de analizando en ambos estados
           const updateWithAnalysis = (r) => 
@@ -230,7 +317,6 @@ function Reports() {
               : r;
           
           setReports(prev => prev.map(updateWithAnalysis));
-          setFilteredReports(prev => prev.map(updateWithAnalysis));
           
           // Agregar a la lista de analizados
           setAnalyzedIds(prev => {
@@ -274,12 +360,21 @@ function Reports() {
     }
   };
 
-  const exportToCSV = () => {
-    const headers = ['ID', 'Fecha', 'Hora', 'Teléfono', 'Mensajes', 'Posible Venta', 'Analizado con IA', 'Cita Agendada', 'Soporte'];
+  const exportToCSV = async () => {
+    let allReports = [];
+    try {
+      allReports = await fetchAllReports();
+    } catch (error) {
+      alert('Error exportando reporte: ' + error.message);
+      return;
+    }
+
+    const headers = ['ID', 'Estado', 'Fecha', 'Hora', 'Teléfono', 'Mensajes', 'Posible Venta', 'Analizado con IA', 'Cita Agendada', 'Soporte'];
     const csvContent = [
       headers.join(','),
-      ...reports.map(r => [
+      ...allReports.map(r => [
         r.id,
+        CONVERSATION_STATUS_LABELS[r.estado] || r.estado,
         r.fecha,
         r.hora,
         formatPhone(r.telefono),
@@ -313,7 +408,10 @@ function Reports() {
         <div className="flex gap-4 items-center">
           <select
             value={selectedDate}
-            onChange={(e) => setSelectedDate(e.target.value)}
+            onChange={(e) => {
+              setSelectedDate(e.target.value);
+              setPage(1);
+            }}
             className="px-4 py-2 border rounded-xl focus:outline-none transition-all text-sm"
             style={{ borderColor: '#E8EBED' }}
             onFocus={(e) => {
@@ -330,23 +428,50 @@ function Reports() {
             <option value="week">Esta semana</option>
             <option value="today">Hoy</option>
             <option value="yesterday">Ayer</option>
-            <option value="custom">Fecha específica</option>
+            <option value="custom">Rango de fechas</option>
           </select>
           {selectedDate === 'custom' && (
-            <input
-              type="date"
-              onChange={(e) => setSelectedDate(e.target.value)}
-              className="px-4 py-2 border rounded-xl focus:outline-none transition-all text-sm"
-              style={{ borderColor: '#E8EBED' }}
-              onFocus={(e) => {
-                e.target.style.borderColor = '#5c19e3';
-                e.target.style.boxShadow = '0 0 0 3px rgba(92, 25, 227, 0.08)';
-              }}
-              onBlur={(e) => {
-                e.target.style.borderColor = '#E8EBED';
-                e.target.style.boxShadow = 'none';
-              }}
-            />
+            <div className="flex items-center gap-2">
+              <input
+                type="date"
+                value={customRange.from}
+                onChange={(e) => {
+                  setCustomRange({ ...customRange, from: e.target.value });
+                  setPage(1);
+                }}
+                title="Desde"
+                className="px-4 py-2 border rounded-xl focus:outline-none transition-all text-sm"
+                style={{ borderColor: '#E8EBED' }}
+                onFocus={(e) => {
+                  e.target.style.borderColor = '#5c19e3';
+                  e.target.style.boxShadow = '0 0 0 3px rgba(92, 25, 227, 0.08)';
+                }}
+                onBlur={(e) => {
+                  e.target.style.borderColor = '#E8EBED';
+                  e.target.style.boxShadow = 'none';
+                }}
+              />
+              <span className="text-sm text-gray-500">a</span>
+              <input
+                type="date"
+                value={customRange.to}
+                onChange={(e) => {
+                  setCustomRange({ ...customRange, to: e.target.value });
+                  setPage(1);
+                }}
+                title="Hasta"
+                className="px-4 py-2 border rounded-xl focus:outline-none transition-all text-sm"
+                style={{ borderColor: '#E8EBED' }}
+                onFocus={(e) => {
+                  e.target.style.borderColor = '#5c19e3';
+                  e.target.style.boxShadow = '0 0 0 3px rgba(92, 25, 227, 0.08)';
+                }}
+                onBlur={(e) => {
+                  e.target.style.borderColor = '#E8EBED';
+                  e.target.style.boxShadow = 'none';
+                }}
+              />
+            </div>
           )}
           {pendingAnalysis && !analyzing && (
             <button
@@ -377,7 +502,7 @@ function Reports() {
                 e.target.style.background = '#5c19e3';
               }
             }}
-            disabled={reports.length === 0 || analyzing}
+            disabled={total === 0 || analyzing}
           >
             {analyzing
               ? `Analizando... ${analyzeProgress.current}/${analyzeProgress.total}`
@@ -397,7 +522,7 @@ function Reports() {
                 e.target.style.background = '#F97316';
               }
             }}
-            disabled={reports.length === 0 || analyzing}
+            disabled={total === 0 || analyzing}
           >
             Volver a analizar con IA
           </button>
@@ -415,7 +540,7 @@ function Reports() {
                 e.target.style.background = '#6B7280';
               }
             }}
-            disabled={reports.length === 0}
+            disabled={total === 0}
           >
             Exportar CSV
           </button>
@@ -428,7 +553,7 @@ function Reports() {
         border: '1px solid #E8EBED'
       }}>
         <h3 className="text-sm font-semibold text-gray-700 mb-3">Filtros</h3>
-        <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+        <div className="grid grid-cols-1 md:grid-cols-6 gap-3">
           <div>
             <label className="block text-xs text-gray-600 mb-1">Teléfono</label>
             <input
@@ -452,7 +577,7 @@ function Reports() {
             <label className="block text-xs text-gray-600 mb-1">Estado</label>
             <select
               value={filters.status}
-              onChange={(e) => setFilters({...filters, status: e.target.value})}
+              onChange={(e) => updateFilters({ status: e.target.value })}
               className="w-full px-3 py-2 border rounded-xl text-sm focus:outline-none transition-all"
               style={{ borderColor: '#E8EBED' }}
               onFocus={(e) => {
@@ -474,7 +599,7 @@ function Reports() {
             <label className="block text-xs text-gray-600 mb-1">Ventas</label>
             <select
               value={filters.hasSale}
-              onChange={(e) => setFilters({...filters, hasSale: e.target.value})}
+              onChange={(e) => updateFilters({ hasSale: e.target.value })}
               className="w-full px-3 py-2 border rounded-xl text-sm focus:outline-none transition-all"
               style={{ borderColor: '#E8EBED' }}
               onFocus={(e) => {
@@ -495,7 +620,7 @@ function Reports() {
             <label className="block text-xs text-gray-600 mb-1">Citas</label>
             <select
               value={filters.hasAppointment}
-              onChange={(e) => setFilters({...filters, hasAppointment: e.target.value})}
+              onChange={(e) => updateFilters({ hasAppointment: e.target.value })}
               className="w-full px-3 py-2 border rounded-xl text-sm focus:outline-none transition-all"
               style={{ borderColor: '#E8EBED' }}
               onFocus={(e) => {
@@ -516,7 +641,7 @@ function Reports() {
             <label className="block text-xs text-gray-600 mb-1">Tipo de Chat</label>
             <select
               value={filters.chatType}
-              onChange={(e) => setFilters({...filters, chatType: e.target.value})}
+              onChange={(e) => updateFilters({ chatType: e.target.value })}
               className="w-full px-3 py-2 border rounded-xl text-sm focus:outline-none transition-all"
               style={{ borderColor: '#E8EBED' }}
               onFocus={(e) => {
@@ -533,9 +658,32 @@ function Reports() {
               <option value="group">Grupo</option>
             </select>
           </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Conversación</label>
+            <select
+              value={filters.conversationStatus}
+              onChange={(e) => updateFilters({ conversationStatus: e.target.value })}
+              className="w-full px-3 py-2 border rounded-xl text-sm focus:outline-none transition-all"
+              style={{ borderColor: '#E8EBED' }}
+              onFocus={(e) => {
+                e.target.style.borderColor = '#5c19e3';
+                e.target.style.boxShadow = '0 0 0 3px rgba(92, 25, 227, 0.08)';
+              }}
+              onBlur={(e) => {
+                e.target.style.borderColor = '#E8EBED';
+                e.target.style.boxShadow = 'none';
+              }}
+            >
+              <option value="all">Todas</option>
+              <option value="open">Abiertas</option>
+              <option value="pending">Pendientes</option>
+              <option value="resolved">Resueltas</option>
+              <option value="closed">Cerradas</option>
+            </select>
+          </div>
         </div>
         <div className="mt-2 text-xs text-gray-500">
-          Mostrando {filteredReports.length} de {reports.length} conversaciones
+          Mostrando {reports.length} de {total} conversaciones
         </div>
       </div>
 
@@ -576,14 +724,23 @@ function Reports() {
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   ID
                 </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Fecha/Hora
+                <th
+                  onClick={() => handleSort('fecha')}
+                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none hover:text-gray-700"
+                >
+                  Fecha/Hora{sortIndicator('fecha')}
                 </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Teléfono
+                <th
+                  onClick={() => handleSort('telefono')}
+                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none hover:text-gray-700"
+                >
+                  Teléfono{sortIndicator('telefono')}
                 </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Mensajes
+                <th
+                  onClick={() => handleSort('mensajes')}
+                  className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer select-none hover:text-gray-700"
+                >
+                  Mensajes{sortIndicator('mensajes')}
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Estado
@@ -603,14 +760,14 @@ function Reports() {
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
-              {filteredReports.length === 0 ? (
+              {reports.length === 0 ? (
                 <tr>
                   <td colSpan="9" className="px-6 py-4 text-center text-gray-500">
-                    No hay conversaciones para esta fecha
+                    No hay conversaciones para este periodo
                   </td>
                 </tr>
               ) : (
-                filteredReports.map((report) => (
+                reports.map((report) => (
                   <tr key={report.id} className={`hover:bg-gray-50 transition-all ${report.isAnalyzing ? 'animate-pulse' : ''} ${analyzedIds.has(report.id) ? 'bg-green-50' : ''}`}
                     style={report.isAnalyzing ? { background: 'rgba(92, 25, 227, 0.05)' } : {}}
                   >
@@ -622,7 +779,12 @@ function Reports() {
                         {analyzedIds.has(report.id) && !report.isAnalyzing && (
                           <span className="text-green-500 mr-2" title="Analizado">✓</span>
                         )}
-                        {report.id}
+                        <div>
+                          <div>#{report.id}</div>
+                          <div className="text-xs font-normal text-gray-500" title={report.motivoCierre || ''}>
+                            {CONVERSATION_STATUS_LABELS[report.estado] || report.estado}
+                          </div>
+                        </div>
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
@@ -682,42 +844,7 @@ function Reports() {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm">
                       <button
-                        onClick={() => {
-                          // Crear objeto de contacto completo
-                          const contact = {
-                            phone: report.telefono,
-                            messages: report.conversacion || [],
-                            totalMessages: report.mensajes || 0,
-                            userMessages: 0,
-                            botMessages: 0,
-                            firstContact: report.primerMensaje || new Date().toISOString(),
-                            lastActivity: report.ultimoMensaje || new Date().toISOString(),
-                            lastMessage: null,
-                            isHumanMode: report.modoHumano || false,
-                            mode: report.soporteActivado ? 'support' : (report.modoHumano ? 'human' : 'ai')
-                          };
-                          
-                          // Contar mensajes por tipo
-                          if (report.conversacion) {
-                            report.conversacion.forEach(msg => {
-                              if (msg.type === 'USER') contact.userMessages++;
-                              if (msg.type === 'BOT' || msg.type === 'HUMAN') contact.botMessages++;
-                            });
-                            
-                            // Obtener último mensaje
-                            const lastMsg = report.conversacion[report.conversacion.length - 1];
-                            if (lastMsg) {
-                              contact.lastMessage = {
-                                text: lastMsg.message,
-                                time: lastMsg.timestamp,
-                                type: lastMsg.type.toLowerCase()
-                              };
-                            }
-                          }
-                          
-                          // Emitir evento con contacto completo
-                          window.dispatchEvent(new CustomEvent('showChat', { detail: contact }));
-                        }}
+                        onClick={() => handleShowChat(report)}
                         className="text-black hover:text-gray-600 font-medium"
                       >
                         Ver Chat
@@ -728,11 +855,36 @@ function Reports() {
               )}
             </tbody>
           </table>
+          {total > PAGE_SIZE && (
+            <div className="flex items-center justify-between px-6 py-3 text-sm text-gray-500">
+              <span>
+                Página {page} de {Math.ceil(total / PAGE_SIZE)}
+              </span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page === 1}
+                  className="px-3 py-1.5 rounded-lg text-sm font-medium disabled:opacity-50"
+                  style={{ background: '#F3F4F6', color: '#374151' }}
+                >
+                  Anterior
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page * PAGE_SIZE >= total}
+                  className="px-3 py-1.5 rounded-lg text-sm font-medium disabled:opacity-50"
+                  style={{ background: '#F3F4F6', color: '#374151' }}
+                >
+                  Siguiente
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       )}
 
       {/* Resumen estadístico */}
-      {reports.length > 0 && (
+      {totals && totals.conversaciones > 0 && (
         <div className="mt-6 pt-6 border-t" style={{ borderColor: '#E8EBED' }}>
           <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
             <div className="rounded-xl p-4" style={{
@@ -740,7 +892,7 @@ function Reports() {
               border: '1px solid #E8EBED'
             }}>
               <div className="text-sm text-gray-500">Total Conversaciones</div>
-              <div className="text-2xl font-semibold text-gray-800">{reports.length}</div>
+              <div className="text-2xl font-semibold text-gray-800">{totals.conversaciones}</div>
             </div>
             <div className="rounded-xl p-4" style={{
               background: 'rgba(59, 130, 246, 0.08)',
@@ -748,7 +900,7 @@ function Reports() {
             }}>
               <div className="text-sm" style={{ color: '#3B82F6' }}>Posibles Ventas</div>
               <div className="text-2xl font-semibold text-gray-800">
-                {reports.filter(r => r.posibleVenta).length}
+                {totals.posiblesVentas}
               </div>
             </div>
             <div className="rounded-xl p-4" style={{
@@ -757,7 +909,7 @@ function Reports() {
             }}>
               <div className="text-sm" style={{ color: '#5c19e3' }}>Analizados con IA</div>
               <div className="text-2xl font-semibold text-gray-800">
-                {reports.filter(r => r.ventaCerrada || r.analizadoIA || analyzedIds.has(r.id)).length}
+                {totals.analizados}
               </div>
             </div>
             <div className="rounded-xl p-4" style={{
@@ -766,7 +918,7 @@ function Reports() {
             }}>
               <div className="text-sm" style={{ color: '#16A34A' }}>Citas Agendadas</div>
               <div className="text-2xl font-semibold text-gray-800">
-                {reports.filter(r => r.citaAgendada).length}
+                {totals.citas}
               </div>
             </div>
             <div className="rounded-xl p-4" style={{
@@ -775,7 +927,7 @@ function Reports() {
             }}>
               <div className="text-sm" style={{ color: '#F97316' }}>Con Soporte</div>
               <div className="text-2xl font-semibold text-gray-800">
-                {reports.filter(r => r.soporteActivado).length}
+                {totals.soporte}
               </div>
             </div>
           </div>
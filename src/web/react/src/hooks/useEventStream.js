@@ -0,0 +1,88 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Eventos que envía /api/events ('ready' llega al conectar o reconectar)
+const EVENT_TYPES = ['ready', 'message', 'message_status', 'mode', 'whatsapp', 'follow_up', 'consent', 'conversation', 'assignment', 'agent'];
+const RETRY_DELAY = 10000;
+
+// Una sola conexión compartida por todos los componentes suscritos
+let source = null;
+let retryTimer = null;
+let connected = false;
+const listeners = new Set();
+const statusListeners = new Set();
+
+const setConnected = (value) => {
+  if (connected === value) return;
+  connected = value;
+  statusListeners.forEach((listener) => listener(value));
+};
+
+const open = () => {
+  if (source || listeners.size === 0) return;
+
+  source = new EventSource('/api/events', { withCredentials: true });
+
+  EVENT_TYPES.forEach((type) => {
+    source.addEventListener(type, (event) => {
+      let data = {};
+      try {
+        data = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+      if (type === 'ready') setConnected(true);
+      listeners.forEach((listener) => listener(type, data));
+    });
+  });
+
+  source.onerror = () => {
+    setConnected(false);
+    // El navegador reintenta solo, salvo que el servidor haya rechazado la conexión (p. ej. 401)
+    if (source && source.readyState === EventSource.CLOSED) {
+      source = null;
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        open();
+      }, RETRY_DELAY);
+    }
+  };
+};
+
+const close = () => {
+  if (source) {
+    source.close();
+    source = null;
+  }
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+  setConnected(false);
+};
+
+/**
+ * Se suscribe a los eventos en tiempo real del panel.
+ * onEvent(type, data) recibe cada evento; retorna si el stream está conectado
+ * para que el componente vuelva a consultar periódicamente mientras no lo esté.
+ */
+export const useEventStream = (onEvent) => {
+  const [isConnected, setIsConnected] = useState(connected);
+  const handlerRef = useRef(onEvent);
+  handlerRef.current = onEvent;
+
+  useEffect(() => {
+    const listener = (type, data) => handlerRef.current(type, data);
+    listeners.add(listener);
+    statusListeners.add(setIsConnected);
+    setIsConnected(connected);
+    open();
+
+    return () => {
+      listeners.delete(listener);
+      statusListeners.delete(setIsConnected);
+      if (listeners.size === 0) close();
+    };
+  }, []);
+
+  return isConnected;
+};
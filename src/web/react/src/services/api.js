@@ -69,28 +69,59 @@ export async function fetchDates() {
   return response.json();
 }
 
-export async function fetchContacts() {
-  try {
-    const logsResponse = await fetchWithCredentials(`${API_BASE}/logs/`);
-    if (!logsResponse.ok) {
-      if (logsResponse.status === 401) {
-        window.location.href = '/';
-        return [];
-      }
-      throw new Error('Error fetching logs');
+// Bandeja de entrada paginada: { conversations, total, hasMore }
+export async function fetchInbox({ tab = null, search = '', mine = false, limit = 50, offset = 0 } = {}) {
+  const params = new URLSearchParams();
+  if (tab) params.set('tab', tab);
+  if (search) params.set('search', search);
+  if (mine) params.set('mine', 'true');
+  params.set('limit', limit);
+  params.set('offset', offset);
+
+  const response = await fetchWithCredentials(`${API_BASE}/inbox?${params.toString()}`);
+  if (!response.ok) {
+    if (response.status === 401) {
+      window.location.href = '/';
+      return { conversations: [], total: 0, hasMore: false };
     }
-    const logs = await logsResponse.json();
-    
-    const humanStatesResponse = await fetchWithCredentials(`${API_BASE}/human-states`);
-    const humanStates = humanStatesResponse.ok ? await humanStatesResponse.json() : {};
-    
-    const processedContacts = processContactsFromLogs(logs, humanStates);
-    
-    return processedContacts;
-  } catch (error) {
-    // Error silencioso
-    throw error;
+    throw new Error('Error obteniendo conversaciones');
+  }
+
+  const data = await response.json();
+  // Los mensajes se cargan al abrir la conversación (fetchConversationMessages)
+  return {
+    ...data,
+    conversations: data.conversations.map(contact => ({ ...contact, messages: [] }))
+  };
+}
+
+// Mensajes de una conversación del más reciente al más antiguo: { messages, hasMore, nextCursor }
+// before: nextCursor de la página anterior para cargar mensajes más antiguos
+export async function fetchConversationMessages(phone, before = null, limit = 50) {
+  const params = new URLSearchParams();
+  if (before) params.set('before', before);
+  params.set('limit', limit);
+
+  const response = await fetchWithCredentials(`${API_BASE}/conversations/${encodeURIComponent(phone)}/messages?${params.toString()}`);
+  if (!response.ok) {
+    throw new Error('Error obteniendo mensajes');
   }
+
+  return response.json();
+}
+
+// Marcar como leídos (para el agente actual) los mensajes de la conversación
+export async function markConversationRead(phone) {
+  const response = await fetchWithCredentials(`${API_BASE}/conversations/${encodeURIComponent(phone)}/read`, {
+    method: 'POST'
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error marcando conversación como leída');
+  }
+
+  return response.json();
 }
 
 export async function toggleHumanMode(phone, isHumanMode, mode = null) {
@@ -128,10 +159,165 @@ export async function sendMessage(phone, message, isGroup = false) {
   return response.json();
 }
 
-export async function endConversation(phone) {
+// Enviar imagen, PDF o audio con texto opcional.
+// Usa XMLHttpRequest porque fetch no reporta el progreso de subida.
+export function sendMedia(phone, file, caption = '', isGroup = false, onProgress = null) {
+  let formattedPhone = phone;
+  if (!phone.includes('@')) {
+    formattedPhone = isGroup ? `${phone}@g.us` : `${phone}@s.whatsapp.net`;
+  }
+
+  const formData = new FormData();
+  formData.append('phone', formattedPhone);
+  formData.append('caption', caption);
+  formData.append('file', file);
+
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `${API_BASE}/send-media`);
+    xhr.withCredentials = true;
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable && onProgress) {
+        onProgress(Math.round((event.loaded / event.total) * 100));
+      }
+    };
+
+    xhr.onload = () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch (error) {
+        // Respuesta sin JSON
+      }
+
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data);
+      } else {
+        reject(new Error(data.details || data.error || 'Error enviando archivo'));
+      }
+    };
+    xhr.onerror = () => reject(new Error('Error de conexión enviando archivo'));
+
+    xhr.send(formData);
+  });
+}
+
+// Catálogo de naves con su id
+export async function getNaves() {
+  const response = await fetchWithCredentials(`${API_BASE}/naves`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo naves');
+  }
+
+  return response.json();
+}
+
+// Cotizaciones en PDF del contacto
+export async function getQuotations(phone) {
+  const response = await fetchWithCredentials(`${API_BASE}/quotations/${encodeURIComponent(phone)}`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo cotizaciones');
+  }
+
+  return response.json();
+}
+
+// Generar una cotización en PDF y enviarla por WhatsApp
+export async function createQuotation(phone, { naveIds, prices, validityDays, notes }, isGroup = false) {
+  let formattedPhone = phone;
+  if (!phone.includes('@')) {
+    formattedPhone = isGroup ? `${phone}@g.us` : `${phone}@s.whatsapp.net`;
+  }
+
+  const response = await fetchWithCredentials(`${API_BASE}/quotations`, {
+    method: 'POST',
+    body: JSON.stringify({ phone: formattedPhone, naveIds, prices, validityDays, notes })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error generando cotización');
+  }
+
+  return response.json();
+}
+
+// Citas con consultores (from/to en ISO)
+export async function getAppointments(from, to) {
+  const params = new URLSearchParams();
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+
+  const response = await fetchWithCredentials(`${API_BASE}/appointments?${params.toString()}`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo citas');
+  }
+
+  return response.json();
+}
+
+// Horarios libres a partir de una fecha local (AAAA-MM-DD)
+export async function getAppointmentSlots(from = null, days = null, consultantId = null) {
+  const params = new URLSearchParams();
+  if (from) params.set('from', from);
+  if (days) params.set('days', days);
+  if (consultantId) params.set('consultantId', consultantId);
+
+  const response = await fetchWithCredentials(`${API_BASE}/appointments/slots?${params.toString()}`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo horarios libres');
+  }
+
+  return response.json();
+}
+
+export async function rescheduleAppointment(id, start, consultantId = null) {
+  const response = await fetchWithCredentials(`${API_BASE}/appointments/${id}/reschedule`, {
+    method: 'PUT',
+    body: JSON.stringify({ start, consultantId })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error reprogramando cita');
+  }
+
+  return response.json();
+}
+
+export async function cancelAppointment(id, reason = '') {
+  const response = await fetchWithCredentials(`${API_BASE}/appointments/${id}/cancel`, {
+    method: 'POST',
+    body: JSON.stringify({ reason })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error cancelando cita');
+  }
+
+  return response.json();
+}
+
+export async function getConsultants() {
+  const response = await fetchWithCredentials(`${API_BASE}/consultants`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo consultores');
+  }
+
+  return response.json();
+}
+
+export async function endConversation(phone, reason = null) {
   const response = await fetchWithCredentials(`${API_BASE}/end-conversation`, {
     method: 'POST',
-    body: JSON.stringify({ phone })
+    body: JSON.stringify({ phone, reason })
   });
 
   if (!response.ok) {
@@ -170,119 +356,305 @@ export async function leaveGroup(phone) {
   return response.json();
 }
 
-function processContactsFromLogs(logs, humanStates) {
-  const contacts = {};
-  
-  const filteredLogs = logs.filter(log => {
-    // Filtrar mensajes del sistema innecesarios
-    if (log.type === 'SYSTEM' && log.message && 
-        (log.message.includes('Modo HUMANO activo') || 
-         log.message.includes('Modo SOPORTE activo') ||
-         log.message.includes('Mensaje ignorado') ||
-         log.message.includes('Conversación reiniciada por inactividad'))) {
-      return false;
-    }
-    // Incluir mensajes con tipo USER, BOT, HUMAN, SYSTEM o CLIENTE (conversión legacy)
-    return log.type === 'USER' || log.type === 'BOT' || log.type === 'HUMAN' || log.type === 'SYSTEM' || log.type === 'CLIENTE';
+// Resumen de la conversación que la IA usa como contexto
+export async function getConversationSummary(phone) {
+  const response = await fetchWithCredentials(`${API_BASE}/sessions/${encodeURIComponent(phone)}/summary`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo resumen');
+  }
+
+  return response.json();
+}
+
+export async function updateConversationSummary(phone, summary) {
+  const response = await fetchWithCredentials(`${API_BASE}/sessions/${encodeURIComponent(phone)}/summary`, {
+    method: 'PUT',
+    body: JSON.stringify({ summary })
   });
-  
-  filteredLogs.forEach(log => {
-    const phone = log.userId || 'Sin número';
-
-    if (!contacts[phone]) {
-      // Determinar el modo actual del contacto
-      let mode = 'ai';
-      let isHumanMode = false;
-
-      if (humanStates[phone] === 'support') {
-        mode = 'support';
-        isHumanMode = false;
-      } else if (humanStates[phone] === 'human' || humanStates[phone] === true) {
-        mode = 'human';
-        isHumanMode = true;
-      }
 
-      // Convertir isGroup a booleano (puede venir como 0/1 de la BD)
-      const isGroupChat = Boolean(log.isGroup);
-
-      contacts[phone] = {
-        phone: phone,
-        messages: [],
-        totalMessages: 0,
-        userMessages: 0,
-        botMessages: 0,
-        firstContact: log.timestamp,
-        lastActivity: log.timestamp,
-        lastMessage: null,
-        isHumanMode: isHumanMode,
-        mode: mode,
-        isGroup: isGroupChat,
-        groupName: isGroupChat ? log.userName : null,
-        leftGroup: false // Inicialmente no ha salido
-      };
-    }
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || error.error || 'Error guardando resumen');
+  }
 
-    // Actualizar isGroup y groupName si este log indica que es un grupo
-    if (log.isGroup && !contacts[phone].isGroup) {
-      contacts[phone].isGroup = true;
-      contacts[phone].groupName = log.userName;
-    }
+  return response.json();
+}
 
-    // Detectar si el bot salió del grupo
-    if (log.type === 'SYSTEM' && log.message && log.message.includes('Bot salió del grupo')) {
-      contacts[phone].leftGroup = true;
-    }
+// URL de un archivo multimedia de la conversación (la cookie de sesión autentica la descarga)
+export function getMediaUrl(mediaId) {
+  return `${API_BASE}/media/${mediaId}`;
+}
 
-    // Los mensajes BOT se mantienen como BOT
-    // Solo marcar como SYSTEM los que realmente son del sistema (no de conversación)
-    let processedLog = {...log};
+// Perfil del contacto (datos capturados por la IA o editados por agentes)
+export async function getContactProfile(phone) {
+  const response = await fetchWithCredentials(`${API_BASE}/contacts/${encodeURIComponent(phone)}`);
 
-    contacts[phone].messages.push(processedLog);
-    contacts[phone].totalMessages++;
-    contacts[phone].lastActivity = log.timestamp;
+  if (response.status === 404) {
+    return null;
+  }
 
-    if (log.type === 'USER' || log.type === 'CLIENTE') {
-      contacts[phone].userMessages++;
-    } else if (log.type === 'BOT' || log.type === 'HUMAN') {
-      contacts[phone].botMessages++;
-    }
+  if (!response.ok) {
+    throw new Error('Error obteniendo perfil del contacto');
+  }
 
-    // Actualizar lastMessage solo si este mensaje es más reciente
-    if (log.type === 'USER' || log.type === 'CLIENTE' || log.type === 'BOT' || log.type === 'HUMAN') {
-      const messageTimestamp = new Date(log.timestamp);
-      const lastMessageTimestamp = contacts[phone].lastMessage ? new Date(contacts[phone].lastMessage.time) : null;
-
-      if (!lastMessageTimestamp || messageTimestamp >= lastMessageTimestamp) {
-        contacts[phone].lastMessage = {
-          text: log.message,
-          time: log.timestamp,
-          type: log.type === 'USER' || log.type === 'CLIENTE' ? 'user' : log.type.toLowerCase()
-        };
-      }
+  return response.json();
+}
+
+export async function updateContactProfile(phone, data) {
+  const response = await fetchWithCredentials(`${API_BASE}/contacts/${encodeURIComponent(phone)}`, {
+    method: 'PUT',
+    body: JSON.stringify(data)
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.message || error.error || 'Error guardando perfil');
+  }
+
+  return response.json();
+}
+
+// Secuencias de seguimiento
+export async function getFollowUpSequences() {
+  const response = await fetchWithCredentials(`${API_BASE}/follow-up-sequences`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo secuencias de seguimiento');
+  }
+
+  return response.json();
+}
+
+export async function saveFollowUpSequence(id, data) {
+  const response = await fetchWithCredentials(`${API_BASE}/follow-up-sequences${id ? `/${id}` : ''}`, {
+    method: id ? 'PUT' : 'POST',
+    body: JSON.stringify(data)
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error guardando secuencia');
+  }
+
+  return response.json();
+}
+
+export async function deleteFollowUpSequence(id) {
+  const response = await fetchWithCredentials(`${API_BASE}/follow-up-sequences/${id}`, {
+    method: 'DELETE'
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error eliminando secuencia');
+  }
+
+  return response.json();
+}
+
+export async function getFollowUpDrafts() {
+  const response = await fetchWithCredentials(`${API_BASE}/follow-up-drafts`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo mensajes por aprobar');
+  }
+
+  return response.json();
+}
+
+export async function approveFollowUpDraft(id, message) {
+  const response = await fetchWithCredentials(`${API_BASE}/follow-up-drafts/${id}/approve`, {
+    method: 'POST',
+    body: JSON.stringify({ message })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error aprobando mensaje');
+  }
+
+  return response.json();
+}
+
+export async function rejectFollowUpDraft(id) {
+  const response = await fetchWithCredentials(`${API_BASE}/follow-up-drafts/${id}/reject`, {
+    method: 'POST'
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error descartando mensaje');
+  }
+
+  return response.json();
+}
+
+export async function getContactFollowUp(phone) {
+  const response = await fetchWithCredentials(`${API_BASE}/contacts/${encodeURIComponent(phone)}/follow-up`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo seguimiento del contacto');
+  }
+
+  return response.json();
+}
+
+// sequenceId null = asignación automática por reglas
+export async function assignFollowUpSequence(phone, sequenceId, startNow = false) {
+  const response = await fetchWithCredentials(`${API_BASE}/contacts/${encodeURIComponent(phone)}/follow-up`, {
+    method: 'PUT',
+    body: JSON.stringify({ sequenceId, startNow })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error asignando secuencia');
+  }
+
+  return response.json();
+}
+
+export async function getContactConsent(phone) {
+  const response = await fetchWithCredentials(`${API_BASE}/contacts/${encodeURIComponent(phone)}/consent`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo consentimiento del contacto');
+  }
+
+  return response.json();
+}
+
+// optedOut true = bloquear mensajes automáticos; reason queda en el historial
+export async function updateContactConsent(phone, optedOut, reason) {
+  const response = await fetchWithCredentials(`${API_BASE}/contacts/${encodeURIComponent(phone)}/consent`, {
+    method: 'PUT',
+    body: JSON.stringify({ optedOut, reason })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error actualizando consentimiento');
+  }
+
+  return response.json();
+}
+
+// Mensajes que se muestran en la conversación (sin avisos internos del sistema)
+function isConversationLog(log) {
+  // Filtrar mensajes del sistema innecesarios
+  if (log.type === 'SYSTEM' && log.message && 
+      (log.message.includes('Modo HUMANO activo') || 
+       log.message.includes('Modo SOPORTE activo') ||
+       log.message.includes('Mensaje ignorado') ||
+       log.message.includes('Conversación reiniciada por inactividad'))) {
+    return false;
+  }
+  // Incluir mensajes con tipo USER, BOT, HUMAN, SYSTEM o CLIENTE (conversión legacy)
+  return log.type === 'USER' || log.type === 'BOT' || log.type === 'HUMAN' || log.type === 'SYSTEM' || log.type === 'CLIENTE';
+}
+
+/**
+ * Agrega a la lista un mensaje recibido en tiempo real (/api/events) sin volver a pedir
+ * la bandeja. Como en fetchConversationMessages, los mensajes van del más reciente al más antiguo.
+ */
+export function applyLiveMessage(contacts, log) {
+  const phone = log.userId;
+  if (!phone || !isConversationLog(log)) return contacts;
+
+  const existing = contacts.find(c => c.phone === phone);
+  if (existing && existing.messages.some(m => m.role && (
+    (log.id && m.id === log.id) || (log.messageId && m.messageId === log.messageId)
+  ))) {
+    return contacts; // Ya estaba (llegó también al cargar el historial)
+  }
+
+  const isGroupChat = Boolean(log.isGroup);
+  const contact = existing ? { ...existing } : {
+    phone: phone,
+    messages: [],
+    totalMessages: 0,
+    userMessages: 0,
+    botMessages: 0,
+    firstContact: log.timestamp,
+    lastActivity: log.timestamp,
+    lastMessage: null,
+    isHumanMode: false,
+    mode: 'ai',
+    isGroup: isGroupChat,
+    groupName: isGroupChat ? log.userName : null,
+    leftGroup: false,
+    optedOut: false,
+    unreadCount: 0,
+    conversationId: log.conversationId || null,
+    conversationStatus: log.conversationId ? 'open' : null,
+    assignedAgentId: null,
+    assignedAgent: null
+  };
+
+  // El mensaje que el panel agregó al enviarlo (sin role) se reemplaza por el registrado
+  const localIndex = contact.messages.findIndex(m =>
+    !m.role && ((log.messageId && m.messageId === log.messageId) || m.message === log.message)
+  );
+  const messages = localIndex >= 0 ? contact.messages.filter((_, i) => i !== localIndex) : contact.messages;
+  contact.messages = [log, ...messages];
+  contact.totalMessages++;
+  contact.lastActivity = log.timestamp;
+
+  if (log.type === 'USER' || log.type === 'CLIENTE') {
+    contact.userMessages++;
+    contact.unreadCount = (contact.unreadCount || 0) + 1;
+  } else if (log.type === 'BOT' || log.type === 'HUMAN') {
+    contact.botMessages++;
+  }
+
+  if (log.type === 'USER' || log.type === 'CLIENTE' || log.type === 'BOT' || log.type === 'HUMAN') {
+    contact.lastMessage = {
+      text: log.message,
+      time: log.timestamp,
+      type: log.type === 'USER' || log.type === 'CLIENTE' ? 'user' : log.type.toLowerCase()
+    };
+  }
+
+  if (log.type === 'SYSTEM' && log.message && log.message.includes('Bot salió del grupo')) {
+    contact.leftGroup = true;
+  }
+
+  return [contact, ...contacts.filter(c => c.phone !== phone)];
+}
+
+// Reporte de conversaciones paginado: { reports, total, page, limit, totals }
+// params: { from, to (AAAA-MM-DD), phone, status, hasSale, hasAppointment, chatType, sort, order, page, limit }
+export async function getReports(params = {}) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '' && value !== 'all') {
+      query.set(key, value);
     }
   });
-  
-  return Object.values(contacts)
-    .filter(contact => contact.phone !== 'Sin número')
-    .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+
+  const response = await fetchWithCredentials(`${API_BASE}/reports?${query.toString()}`);
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error al obtener reportes');
+  }
+
+  return response.json();
 }
 
-// Obtener reportes de conversaciones
-export async function getReports(date) {
-  const url = date 
-    ? `${API_BASE}/reports/${date}`
-    : `${API_BASE}/reports`;
-    
-  const response = await fetchWithCredentials(url);
-  
+// Mensajes de una conversación del reporte (del más antiguo al más reciente)
+export async function getReportConversation(conversationId) {
+  const response = await fetchWithCredentials(`${API_BASE}/reports/${conversationId}/conversation`);
+
   if (!response.ok) {
-    throw new Error('Error al obtener reportes');
+    throw new Error('Error al obtener la conversación');
   }
-  
+
   return response.json();
 }
 
-// Actualizar estado de venta
+// Actualizar marcas de venta de la conversación (solo los campos enviados)
 export async function updateSaleStatus(conversationId, data) {
   const response = await fetchWithCredentials(`${API_BASE}/reports/sale-status`, {
     method: 'POST',
@@ -291,11 +663,11 @@ export async function updateSaleStatus(conversationId, data) {
       ...data
     })
   });
-  
+
   if (!response.ok) {
     throw new Error('Error al actualizar estado de venta');
   }
-  
+
   return response.json();
 }
 
@@ -315,10 +687,15 @@ export async function getSalesStats(date) {
 }
 
 // Analizar conversación con IA
-export async function analyzeConversation(messages) {
+// Analiza una conversación por id (el servidor guarda las marcas) o una lista de mensajes
+export async function analyzeConversation(conversationIdOrMessages) {
+  const body = Array.isArray(conversationIdOrMessages)
+    ? { messages: conversationIdOrMessages }
+    : { conversationId: conversationIdOrMessages };
+
   const response = await fetchWithCredentials(`${API_BASE}/analyze-conversation`, {
     method: 'POST',
-    body: JSON.stringify({ messages })
+    body: JSON.stringify(body)
   });
   
   if (!response.ok) {
@@ -392,6 +769,16 @@ export async function checkWhatsAppStatus() {
   }
 }
 
+export async function getAIStatus() {
+  const response = await fetchWithCredentials(`${API_BASE}/ai-status`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo estado de la IA');
+  }
+
+  return response.json();
+}
+
 // ===== FUNCIONES DE CONFIGURACIÓN DEL SISTEMA =====
 
 export async function getAIConfig() {
@@ -410,4 +797,277 @@ export async function getAIConfig() {
   } catch (error) {
     return { groupsAIEnabled: true, individualAIEnabled: true }; // Default values
   }
-}
\ No newline at end of file
+}
+export async function getBusinessHours() {
+  const response = await fetchWithCredentials(`${API_BASE}/business-hours`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo horario de atención');
+  }
+
+  return response.json();
+}
+
+export async function saveBusinessHours(settings) {
+  const response = await fetchWithCredentials(`${API_BASE}/business-hours`, {
+    method: 'PUT',
+    body: JSON.stringify(settings)
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error guardando horario de atención');
+  }
+
+  return response.json();
+}
+
+export async function getOptOutSettings() {
+  const response = await fetchWithCredentials(`${API_BASE}/opt-out-settings`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo configuración de bajas');
+  }
+
+  return response.json();
+}
+
+export async function saveOptOutSettings(settings) {
+  const response = await fetchWithCredentials(`${API_BASE}/opt-out-settings`, {
+    method: 'PUT',
+    body: JSON.stringify(settings)
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error guardando configuración de bajas');
+  }
+
+  return response.json();
+}
+
+// ===== CONVERSACIONES =====
+
+export async function getContactConversations(phone) {
+  const response = await fetchWithCredentials(`${API_BASE}/contacts/${encodeURIComponent(phone)}/conversations`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo conversaciones del contacto');
+  }
+
+  return response.json();
+}
+
+export async function updateConversationStatus(conversationId, status, reason = null) {
+  const response = await fetchWithCredentials(`${API_BASE}/conversations/${conversationId}/status`, {
+    method: 'PUT',
+    body: JSON.stringify({ status, reason })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error actualizando estado de la conversación');
+  }
+
+  return response.json();
+}
+
+export async function getConversationSettings() {
+  const response = await fetchWithCredentials(`${API_BASE}/conversation-settings`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo configuración de conversaciones');
+  }
+
+  return response.json();
+}
+
+export async function saveConversationSettings(settings) {
+  const response = await fetchWithCredentials(`${API_BASE}/conversation-settings`, {
+    method: 'PUT',
+    body: JSON.stringify(settings)
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error guardando configuración de conversaciones');
+  }
+
+  return response.json();
+}
+
+// ===== ASIGNACIÓN DE CONVERSACIONES =====
+
+export async function getAgents() {
+  const response = await fetchWithCredentials(`${API_BASE}/agents`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo agentes');
+  }
+
+  return response.json();
+}
+
+export async function setMyAvailability(availability) {
+  const response = await fetchWithCredentials(`${API_BASE}/agents/me/availability`, {
+    method: 'PUT',
+    body: JSON.stringify({ availability })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error actualizando disponibilidad');
+  }
+
+  return response.json();
+}
+
+export async function updateAgent(agentId, data) {
+  const response = await fetchWithCredentials(`${API_BASE}/agents/${agentId}`, {
+    method: 'PUT',
+    body: JSON.stringify(data)
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error actualizando agente');
+  }
+
+  return response.json();
+}
+
+// agentId null deja la conversación sin asignar (solo admin)
+export async function assignConversation(conversationId, agentId, reason = null) {
+  const response = await fetchWithCredentials(`${API_BASE}/conversations/${conversationId}/assignment`, {
+    method: 'PUT',
+    body: JSON.stringify({ agentId, reason })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || error.error || 'Error asignando conversación');
+  }
+
+  return response.json();
+}
+
+export async function getAssignmentHistory(conversationId) {
+  const response = await fetchWithCredentials(`${API_BASE}/conversations/${conversationId}/assignments`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo historial de asignaciones');
+  }
+
+  return response.json();
+}
+
+export async function getAssignmentSettings() {
+  const response = await fetchWithCredentials(`${API_BASE}/assignment-settings`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo configuración de asignación');
+  }
+
+  return response.json();
+}
+
+export async function saveAssignmentSettings(settings) {
+  const response = await fetchWithCredentials(`${API_BASE}/assignment-settings`, {
+    method: 'PUT',
+    body: JSON.stringify(settings)
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error guardando configuración de asignación');
+  }
+
+  return response.json();
+}
+
+// ===== CAMPAÑAS =====
+
+export async function getCampaigns() {
+  const response = await fetchWithCredentials(`${API_BASE}/campaigns`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo campañas');
+  }
+
+  return response.json();
+}
+
+export async function getCampaign(id) {
+  const response = await fetchWithCredentials(`${API_BASE}/campaigns/${id}`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo campaña');
+  }
+
+  return response.json();
+}
+
+export async function getCampaignAudienceOptions() {
+  const response = await fetchWithCredentials(`${API_BASE}/campaigns/audience-options`);
+
+  if (!response.ok) {
+    throw new Error('Error obteniendo opciones de público');
+  }
+
+  return response.json();
+}
+
+export async function previewCampaignAudience(audience, template) {
+  const response = await fetchWithCredentials(`${API_BASE}/campaigns/preview`, {
+    method: 'POST',
+    body: JSON.stringify({ audience, template })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error calculando público');
+  }
+
+  return response.json();
+}
+
+export async function saveCampaign(id, data) {
+  const response = await fetchWithCredentials(`${API_BASE}/campaigns${id ? `/${id}` : ''}`, {
+    method: id ? 'PUT' : 'POST',
+    body: JSON.stringify(data)
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error guardando campaña');
+  }
+
+  return response.json();
+}
+
+export async function deleteCampaign(id) {
+  const response = await fetchWithCredentials(`${API_BASE}/campaigns/${id}`, {
+    method: 'DELETE'
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error eliminando campaña');
+  }
+
+  return response.json();
+}
+
+// action: launch, pause, resume o cancel
+export async function runCampaignAction(id, action) {
+  const response = await fetchWithCredentials(`${API_BASE}/campaigns/${id}/${action}`, {
+    method: 'POST'
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.details || 'Error actualizando campaña');
+  }
+
+  return response.json();
+}
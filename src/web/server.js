@@ -11,6 +11,22 @@ const authService = require('../services/authService');
 const csvService = require('../services/csvService');
 const systemConfigService = require('../services/systemConfigService');
 const promptLoader = require('../services/promptLoader');
+const llmClient = require('../services/llmClient');
+const config = require('../config/config');
+const contactService = require('../services/contactService');
+const mediaService = require('../services/mediaService');
+const quotationService = require('../services/quotationService');
+const appointmentService = require('../services/appointmentService');
+const followUpSequenceService = require('../services/followUpSequenceService');
+const followUpService = require('../services/followUpService');
+const businessHoursService = require('../services/businessHoursService');
+const consentService = require('../services/consentService');
+const eventBus = require('../services/eventBus');
+const campaignService = require('../services/campaignService');
+const inboxService = require('../services/inboxService');
+const reportService = require('../services/reportService');
+const conversationService = require('../services/conversationService');
+const assignmentService = require('../services/assignmentService');
 const { requireAuth, requireAdmin, requireSupportOrAdmin } = require('../middleware/auth');
 const ViteExpress = require('vite-express');
 
@@ -397,6 +413,11 @@ class WebServer {
                 }
 
                 const loginResult = await authService.login(email, password);
+
+                // Al entrar el agente queda en línea para recibir conversaciones
+                assignmentService.setAvailability(loginResult.user.id, 'online').catch(error => {
+                    console.error('Error actualizando disponibilidad del agente:', error);
+                });
                 
                 // Establecer cookie httpOnly
                 res.cookie('auth_token', loginResult.token, {
@@ -424,6 +445,13 @@ class WebServer {
             try {
                 const token = req.cookies?.auth_token;
                 if (token) {
+                    // Al salir deja de recibir conversaciones nuevas
+                    const session = await authService.verifySession(token);
+                    if (session) {
+                        await assignmentService.setAvailability(session.user.id, 'offline').catch(error => {
+                            console.error('Error actualizando disponibilidad del agente:', error);
+                        });
+                    }
                     await authService.logout(token);
                 }
                 
@@ -446,6 +474,49 @@ class WebServer {
         // ===== TODAS LAS DEMÁS RUTAS REQUIEREN AUTENTICACIÓN =====
         this.app.use('/api', requireAuth);
 
+        // Eventos en tiempo real (Server-Sent Events): mensajes nuevos, estados de entrega,
+        // cambios de modo, conexión/QR de WhatsApp, seguimientos, bajas, conversaciones y asignaciones
+        this.app.get('/api/events', (req, res) => {
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no' // Sin buffer en nginx
+            });
+            res.flushHeaders();
+
+            const send = (event) => {
+                res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+            };
+            send({ type: 'ready', data: {} });
+            eventBus.on('event', send);
+
+            // Presencia del agente: sin ningún stream abierto deja de recibir asignaciones
+            const agentId = req.user.id;
+            assignmentService.connect(agentId).catch(error => {
+                console.error('Error registrando presencia del agente:', error);
+            });
+
+            // Comentario periódico para que proxies y navegador no cierren la conexión
+            const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+            // Al vencer la sesión se cierra el stream; el navegador reconecta y se vuelve a autenticar
+            const expiresIn = req.sessionExpiresAt ? new Date(req.sessionExpiresAt).getTime() - Date.now() : 0;
+            const expiry = expiresIn > 0 ? setTimeout(() => res.end(), Math.min(expiresIn, 2147483647)) : null;
+
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                if (expiry) clearTimeout(expiry);
+                eventBus.off('event', send);
+                assignmentService.disconnect(agentId);
+            });
+        });
+
+        // Estado de los proveedores de IA: un circuito abierto significa respuestas reprogramadas
+        this.app.get('/api/ai-status', (req, res) => {
+            res.json({ providers: llmClient.getStatus() });
+        });
+
         // API endpoint para obtener logs
         this.app.get('/api/logs/:date?', async (req, res) => {
             try {
@@ -483,6 +554,49 @@ class WebServer {
             }
         });
 
+        // Bandeja de entrada paginada (resumen por conversación, no leídos del agente actual; mine=true: Mis chats)
+        this.app.get('/api/inbox', async (req, res) => {
+            try {
+                const { tab, search, mine, limit, offset } = req.query;
+                const inbox = await inboxService.getInbox(req.user.id, {
+                    tab,
+                    search: search ? String(search).trim() : '',
+                    mine: mine === 'true',
+                    limit,
+                    offset
+                });
+                res.json(inbox);
+            } catch (error) {
+                console.error('Error obteniendo bandeja de entrada:', error);
+                res.status(500).json({ error: 'Error obteniendo bandeja de entrada' });
+            }
+        });
+
+        // Historial paginado por cursor: ?before=<id del mensaje más antiguo cargado>&limit=
+        // (registrado antes de /api/conversations/:userId/:date? para que "messages" no se tome como fecha)
+        this.app.get('/api/conversations/:userId/messages', async (req, res) => {
+            try {
+                const page = await inboxService.getMessages(req.params.userId, {
+                    before: req.query.before,
+                    limit: req.query.limit
+                });
+                res.json(page);
+            } catch (error) {
+                console.error('Error obteniendo mensajes:', error);
+                res.status(500).json({ error: 'Error obteniendo mensajes' });
+            }
+        });
+
+        this.app.post('/api/conversations/:userId/read', async (req, res) => {
+            try {
+                await inboxService.markRead(req.params.userId, req.user.id);
+                res.json({ success: true });
+            } catch (error) {
+                console.error('Error marcando conversación como leída:', error);
+                res.status(400).json({ error: 'Failed to mark conversation as read', details: error.message });
+            }
+        });
+
         // API endpoint para conversaciones por usuario
         this.app.get('/api/conversations/:userId/:date?', async (req, res) => {
             try {
@@ -511,6 +625,706 @@ class WebServer {
             }
         });
 
+        // Archivos multimedia de las conversaciones (notas de voz, imágenes, documentos).
+        // sendFile responde a encabezados Range con 206 para que el navegador pueda
+        // adelantar los audios sin descargarlos completos.
+        this.app.get('/api/media/:id', async (req, res) => {
+            try {
+                const media = await mediaService.getMedia(req.params.id);
+                if (!media) {
+                    return res.status(404).json({ error: 'Archivo no encontrado o eliminado por la política de retención' });
+                }
+
+                // Los archivos vienen de cualquier contacto y se sirven desde el origen del panel:
+                // solo se muestran en línea tipos sin scripts, y nunca se ejecuta nada
+                const inline = mediaService.canDisplayInline(media.mime_type);
+                const disposition = inline ? 'inline' : 'attachment';
+                res.type(inline ? media.mime_type : 'application/octet-stream');
+                res.set('Content-Disposition', media.original_name
+                    ? `${disposition}; filename*=UTF-8''${encodeURIComponent(media.original_name)}`
+                    : disposition);
+                res.set('X-Content-Type-Options', 'nosniff');
+                res.set('Content-Security-Policy', 'sandbox');
+                // El contenido de un id nunca cambia (el archivo se nombra por su hash)
+                res.set('Cache-Control', 'private, max-age=604800, immutable');
+
+                res.sendFile(mediaService.getFilePath(media), { acceptRanges: true, cacheControl: false }, (error) => {
+                    if (error && !res.headersSent) {
+                        res.status(404).json({ error: 'Archivo no encontrado' });
+                    }
+                });
+            } catch (error) {
+                console.error('Error obteniendo archivo multimedia:', error);
+                res.status(500).json({ error: 'Error obteniendo archivo' });
+            }
+        });
+
+        // Resumen de la conversación que usa la IA como contexto
+        this.app.get('/api/sessions/:userId/summary', async (req, res) => {
+            try {
+                const sessionManager = require('../services/sessionManager');
+                const summary = await sessionManager.getSummary(req.params.userId);
+                res.json(summary);
+            } catch (error) {
+                console.error('Error obteniendo resumen:', error);
+                res.status(500).json({ error: 'Error obteniendo resumen' });
+            }
+        });
+
+        this.app.put('/api/sessions/:userId/summary', requireSupportOrAdmin, async (req, res) => {
+            try {
+                const { summary } = req.body;
+
+                if (typeof summary !== 'string') {
+                    return res.status(400).json({ error: 'El resumen debe ser texto' });
+                }
+
+                const sessionManager = require('../services/sessionManager');
+                const result = await sessionManager.updateSummary(req.params.userId, summary.trim());
+                res.json({ success: true, ...result });
+            } catch (error) {
+                console.error('Error actualizando resumen:', error);
+                res.status(500).json({ error: 'Error actualizando resumen' });
+            }
+        });
+
+        // Perfil del contacto
+        this.app.get('/api/contacts/:userId', async (req, res) => {
+            try {
+                const contact = await contactService.getContact(req.params.userId);
+                if (!contact) {
+                    return res.status(404).json({ error: 'Contacto no encontrado' });
+                }
+                res.json(contact);
+            } catch (error) {
+                console.error('Error obteniendo contacto:', error);
+                res.status(500).json({ error: 'Error obteniendo contacto' });
+            }
+        });
+
+        this.app.put('/api/contacts/:userId', requireSupportOrAdmin, async (req, res) => {
+            try {
+                if (!await contactService.getContact(req.params.userId)) {
+                    return res.status(404).json({ error: 'Contacto no encontrado' });
+                }
+
+                const { name, company, email, city, required_m2, budget, tags, customFields } = req.body;
+                const contact = await contactService.updateContact(req.params.userId, {
+                    name, company, email, city, required_m2, budget, tags, customFields
+                }, 'agent');
+                res.json({ success: true, contact });
+            } catch (error) {
+                console.error('Error actualizando contacto:', error);
+                res.status(500).json({ error: error.message || 'Error actualizando contacto' });
+            }
+        });
+
+        // Catálogo de naves con su id (para armar cotizaciones desde el panel)
+        this.app.get('/api/naves', async (req, res) => {
+            try {
+                const records = await csvService.getAllRecords();
+                res.json(records.map((record, index) => ({
+                    id: index + 1,
+                    park: record['Parque Industrial'],
+                    location: record['Ubicación'],
+                    type: record['Tipo'],
+                    area: record['Area (m2)'],
+                    price: record['Precio'],
+                    status: record['Estado']
+                })));
+            } catch (error) {
+                console.error('Error obteniendo naves:', error);
+                res.status(500).json({ error: 'Error obteniendo naves' });
+            }
+        });
+
+        // Cotizaciones en PDF
+        this.app.get('/api/quotations/:userId', async (req, res) => {
+            try {
+                const quotations = await quotationService.getQuotations(req.params.userId);
+                res.json(quotations);
+            } catch (error) {
+                console.error('Error obteniendo cotizaciones:', error);
+                res.status(500).json({ error: 'Error obteniendo cotizaciones' });
+            }
+        });
+
+        this.app.post('/api/quotations', requireSupportOrAdmin, async (req, res) => {
+            try {
+                const { phone, naveIds, prices, validityDays, notes } = req.body;
+
+                if (!phone || !Array.isArray(naveIds) || naveIds.length === 0) {
+                    return res.status(400).json({
+                        error: 'Phone and naves are required',
+                        details: 'Debe proporcionar el teléfono y al menos una nave'
+                    });
+                }
+
+                if (!global.whatsappBot || !global.whatsappBot.sock) {
+                    return res.status(503).json({
+                        error: 'WhatsApp client not connected',
+                        details: 'El cliente de WhatsApp no está conectado. Por favor, escanee el código QR.'
+                    });
+                }
+
+                const formattedPhone = phone.includes('@') ? phone : `${phone}@s.whatsapp.net`;
+                const cleanPhone = phone.replace('@s.whatsapp.net', '').replace('@lid', '').replace('@g.us', '');
+                const senderName = req.user ? req.user.name : 'Soporte';
+
+                const quotation = await quotationService.createQuotation({
+                    userId: cleanPhone,
+                    naveIds,
+                    prices: prices || {},
+                    validityDays,
+                    notes: notes ? String(notes).trim() : null,
+                    createdBy: senderName
+                });
+
+                const messageId = await quotationService.sendQuotation(quotation, formattedPhone, {
+                    role: 'soporte',
+                    senderName,
+                    isGroup: formattedPhone.includes('@g.us')
+                });
+
+                res.json({
+                    success: true,
+                    folio: quotation.folio,
+                    total: quotation.total,
+                    messageId,
+                    mediaId: quotation.mediaId,
+                    fileName: quotation.fileName
+                });
+            } catch (error) {
+                console.error('Error generando cotización:', error);
+                res.status(500).json({
+                    error: 'Failed to create quotation',
+                    details: error.message || 'Error generando cotización'
+                });
+            }
+        });
+
+        // Citas con consultores
+        this.app.get('/api/appointments', async (req, res) => {
+            try {
+                const { from, to, userId } = req.query;
+                const appointments = await appointmentService.getAppointments({ from, to, userId });
+                res.json(appointments);
+            } catch (error) {
+                console.error('Error obteniendo citas:', error);
+                res.status(500).json({ error: 'Error obteniendo citas' });
+            }
+        });
+
+        this.app.get('/api/appointments/slots', async (req, res) => {
+            try {
+                const { from, days, consultantId } = req.query;
+                const slots = await appointmentService.getAvailableSlots({
+                    fromDate: from || null,
+                    days,
+                    consultantId: consultantId || null
+                });
+                res.json({ timezone: appointmentService.timezone, slots });
+            } catch (error) {
+                console.error('Error obteniendo horarios libres:', error);
+                res.status(500).json({ error: 'Error obteniendo horarios libres' });
+            }
+        });
+
+        this.app.post('/api/appointments', requireSupportOrAdmin, async (req, res) => {
+            try {
+                const { phone, start, consultantId, notes } = req.body;
+
+                if (!phone || !start) {
+                    return res.status(400).json({
+                        error: 'Phone and start are required',
+                        details: 'Debe proporcionar el teléfono y el horario'
+                    });
+                }
+
+                const formattedPhone = phone.includes('@') ? phone : `${phone}@s.whatsapp.net`;
+                const appointment = await appointmentService.book({
+                    userId: extractUserId(formattedPhone),
+                    jid: formattedPhone,
+                    start,
+                    consultantId: consultantId || null,
+                    notes: notes ? String(notes).trim() : null,
+                    createdBy: req.user ? req.user.name : 'Soporte'
+                });
+                res.json({ success: true, appointment });
+            } catch (error) {
+                console.error('Error agendando cita:', error);
+                res.status(400).json({ error: 'Failed to book appointment', details: error.message });
+            }
+        });
+
+        this.app.put('/api/appointments/:id/reschedule', requireSupportOrAdmin, async (req, res) => {
+            try {
+                const { start, consultantId } = req.body;
+                if (!start) {
+                    return res.status(400).json({ error: 'Start is required', details: 'Debe indicar el nuevo horario' });
+                }
+
+                const appointment = await appointmentService.reschedule(req.params.id, start, {
+                    consultantId: consultantId || null,
+                    changedBy: req.user ? req.user.name : null
+                });
+                res.json({ success: true, appointment });
+            } catch (error) {
+                console.error('Error reprogramando cita:', error);
+                res.status(400).json({ error: 'Failed to reschedule appointment', details: error.message });
+            }
+        });
+
+        this.app.post('/api/appointments/:id/cancel', requireSupportOrAdmin, async (req, res) => {
+            try {
+                const appointment = await appointmentService.cancel(req.params.id, {
+                    reason: req.body.reason ? String(req.body.reason).trim() : null,
+                    cancelledBy: req.user ? req.user.name : null
+                });
+                res.json({ success: true, appointment });
+            } catch (error) {
+                console.error('Error cancelando cita:', error);
+                res.status(400).json({ error: 'Failed to cancel appointment', details: error.message });
+            }
+        });
+
+        this.app.get('/api/consultants', async (req, res) => {
+            try {
+                res.json(await appointmentService.getConsultants());
+            } catch (error) {
+                console.error('Error obteniendo consultores:', error);
+                res.status(500).json({ error: 'Error obteniendo consultores' });
+            }
+        });
+
+        this.app.get('/api/availability', async (req, res) => {
+            try {
+                res.json({ timezone: appointmentService.timezone, rules: await appointmentService.getRules() });
+            } catch (error) {
+                console.error('Error obteniendo disponibilidad:', error);
+                res.status(500).json({ error: 'Error obteniendo disponibilidad' });
+            }
+        });
+
+        this.app.put('/api/availability', requireAdmin, async (req, res) => {
+            try {
+                const rules = await appointmentService.setRules(req.body.rules);
+                res.json({ success: true, rules });
+            } catch (error) {
+                console.error('Error guardando disponibilidad:', error);
+                res.status(400).json({ error: 'Failed to save availability', details: error.message });
+            }
+        });
+
+        // Secuencias de seguimiento
+        this.app.get('/api/follow-up-sequences', async (req, res) => {
+            try {
+                res.json({
+                    sequences: await followUpSequenceService.getSequences(),
+                    stopConditions: followUpSequenceService.getStopConditions()
+                });
+            } catch (error) {
+                console.error('Error obteniendo secuencias de seguimiento:', error);
+                res.status(500).json({ error: 'Error obteniendo secuencias de seguimiento' });
+            }
+        });
+
+        this.app.post('/api/follow-up-sequences', requireAdmin, async (req, res) => {
+            try {
+                const sequence = await followUpSequenceService.saveSequence(null, req.body);
+                res.json({ success: true, sequence });
+            } catch (error) {
+                console.error('Error creando secuencia de seguimiento:', error);
+                res.status(400).json({ error: 'Failed to save sequence', details: error.message });
+            }
+        });
+
+        this.app.put('/api/follow-up-sequences/:id', requireAdmin, async (req, res) => {
+            try {
+                if (!(await followUpSequenceService.getSequence(req.params.id))) {
+                    return res.status(404).json({ error: 'Sequence not found', details: 'Secuencia no encontrada' });
+                }
+                const sequence = await followUpSequenceService.saveSequence(req.params.id, req.body);
+                res.json({ success: true, sequence });
+            } catch (error) {
+                console.error('Error actualizando secuencia de seguimiento:', error);
+                res.status(400).json({ error: 'Failed to save sequence', details: error.message });
+            }
+        });
+
+        this.app.delete('/api/follow-up-sequences/:id', requireAdmin, async (req, res) => {
+            try {
+                await followUpSequenceService.deleteSequence(req.params.id);
+                res.json({ success: true });
+            } catch (error) {
+                console.error('Error eliminando secuencia de seguimiento:', error);
+                res.status(400).json({ error: 'Failed to delete sequence', details: error.message });
+            }
+        });
+
+        // Mensajes de seguimiento pendientes de aprobación
+        this.app.get('/api/follow-up-drafts', async (req, res) => {
+            try {
+                res.json(await followUpService.getDrafts(req.query.status || 'pending'));
+            } catch (error) {
+                console.error('Error obteniendo mensajes por aprobar:', error);
+                res.status(500).json({ error: 'Error obteniendo mensajes por aprobar' });
+            }
+        });
+
+        this.app.post('/api/follow-up-drafts/:id/approve', requireSupportOrAdmin, async (req, res) => {
+            try {
+                await followUpService.approveDraft(parseInt(req.params.id, 10), req.body.message, req.user ? req.user.name : 'Soporte');
+                res.json({ success: true });
+            } catch (error) {
+                console.error('Error aprobando seguimiento:', error);
+                res.status(400).json({ error: 'Failed to approve follow-up', details: error.message });
+            }
+        });
+
+        this.app.post('/api/follow-up-drafts/:id/reject', requireSupportOrAdmin, async (req, res) => {
+            try {
+                await followUpService.rejectDraft(parseInt(req.params.id, 10), req.user ? req.user.name : 'Soporte');
+                res.json({ success: true });
+            } catch (error) {
+                console.error('Error descartando seguimiento:', error);
+                res.status(400).json({ error: 'Failed to reject follow-up', details: error.message });
+            }
+        });
+
+        // Secuencia asignada a un contacto y estado de su seguimiento
+        this.app.get('/api/contacts/:userId/follow-up', async (req, res) => {
+            try {
+                const userId = req.params.userId;
+                const followUp = followUpService.followUps.get(userId);
+                res.json({
+                    sequenceId: await followUpSequenceService.getAssignment(userId),
+                    active: followUp ? {
+                        sequenceId: followUp.sequenceId,
+                        stepsSent: followUp.attempts,
+                        nextFollowUp: new Date(followUp.nextFollowUp).toISOString()
+                    } : null
+                });
+            } catch (error) {
+                console.error('Error obteniendo seguimiento del contacto:', error);
+                res.status(500).json({ error: 'Error obteniendo seguimiento del contacto' });
+            }
+        });
+
+        this.app.put('/api/contacts/:userId/follow-up', requireSupportOrAdmin, async (req, res) => {
+            try {
+                const userId = req.params.userId;
+                const { sequenceId, startNow } = req.body;
+                await followUpSequenceService.assignSequence(userId, sequenceId || null, req.user ? req.user.name : null);
+
+                // Reiniciar el seguimiento activo (o iniciarlo ya) con la nueva secuencia
+                const followUp = followUpService.followUps.get(userId);
+                if (followUp || startNow) {
+                    const contact = await contactService.getContact(userId);
+                    const chatId = followUp ? followUp.chatId : (contact?.jid || `${userId}@s.whatsapp.net`);
+                    await followUpService.startFollowUp(userId, chatId);
+                }
+
+                res.json({ success: true, sequenceId: sequenceId || null });
+            } catch (error) {
+                console.error('Error asignando secuencia de seguimiento:', error);
+                res.status(400).json({ error: 'Failed to assign sequence', details: error.message });
+            }
+        });
+
+        // ===== BAJAS (contactos que pidieron no recibir mensajes automáticos) =====
+
+        this.app.get('/api/opt-outs', async (req, res) => {
+            try {
+                res.json(await consentService.getOptedOutIds());
+            } catch (error) {
+                console.error('Error obteniendo bajas:', error);
+                res.status(500).json({ error: 'Error obteniendo bajas' });
+            }
+        });
+
+        this.app.get('/api/contacts/:userId/consent', async (req, res) => {
+            try {
+                res.json(await consentService.getConsent(req.params.userId));
+            } catch (error) {
+                console.error('Error obteniendo consentimiento del contacto:', error);
+                res.status(500).json({ error: 'Error obteniendo consentimiento del contacto' });
+            }
+        });
+
+        // Un agente bloquea o vuelve a permitir los mensajes automáticos (queda en el historial)
+        this.app.put('/api/contacts/:userId/consent', requireSupportOrAdmin, async (req, res) => {
+            try {
+                const { optedOut, reason } = req.body;
+                if (!reason || !String(reason).trim()) {
+                    throw new Error('Indica el motivo del cambio');
+                }
+                await consentService.setOptedOut(req.params.userId, Boolean(optedOut), {
+                    source: 'agent',
+                    reason: String(reason).trim(),
+                    performedBy: req.user ? req.user.name : null
+                });
+                res.json({ success: true, consent: await consentService.getConsent(req.params.userId) });
+            } catch (error) {
+                console.error('Error actualizando consentimiento:', error);
+                res.status(400).json({ error: 'Failed to update consent', details: error.message });
+            }
+        });
+
+        this.app.get('/api/opt-out-settings', async (req, res) => {
+            try {
+                res.json(await consentService.getSettings());
+            } catch (error) {
+                console.error('Error obteniendo configuración de bajas:', error);
+                res.status(500).json({ error: 'Failed to get opt-out settings', details: error.message });
+            }
+        });
+
+        this.app.put('/api/opt-out-settings', requireAdmin, async (req, res) => {
+            try {
+                const settings = await consentService.saveSettings(req.body || {});
+                logger.log('SYSTEM', `Palabras de baja actualizadas por ${req.user ? req.user.name : 'admin'}`);
+                res.json({ success: true, settings });
+            } catch (error) {
+                console.error('Error guardando configuración de bajas:', error);
+                res.status(400).json({ error: 'Failed to save opt-out settings', details: error.message });
+            }
+        });
+
+        // ===== CONVERSACIONES (tickets con estado open/pending/resolved/closed) =====
+
+        this.app.get('/api/contacts/:userId/conversations', async (req, res) => {
+            try {
+                res.json(await conversationService.listForContact(req.params.userId));
+            } catch (error) {
+                console.error('Error obteniendo conversaciones del contacto:', error);
+                res.status(500).json({ error: 'Error obteniendo conversaciones del contacto' });
+            }
+        });
+
+        // Un agente marca la conversación como pendiente, resuelta, cerrada o la vuelve a abrir
+        this.app.put('/api/conversations/:id/status', requireSupportOrAdmin, async (req, res) => {
+            try {
+                const { status, reason } = req.body;
+                const conversation = await conversationService.setStatus(parseInt(req.params.id, 10), status, {
+                    reason: reason ? String(reason).trim() : null,
+                    performedBy: req.user ? req.user.name : null
+                });
+                logger.log('SYSTEM', `Conversación marcada como ${conversationService.statusLabel(status)} por ${req.user ? req.user.name : 'soporte'}${reason ? `: ${reason}` : ''}`, conversation.userId);
+                res.json({ success: true, conversation });
+            } catch (error) {
+                console.error('Error actualizando estado de conversación:', error);
+                res.status(400).json({ error: 'Failed to update conversation status', details: error.message });
+            }
+        });
+
+        this.app.get('/api/conversation-settings', async (req, res) => {
+            try {
+                res.json(await conversationService.getSettings());
+            } catch (error) {
+                console.error('Error obteniendo configuración de conversaciones:', error);
+                res.status(500).json({ error: 'Failed to get conversation settings', details: error.message });
+            }
+        });
+
+        this.app.put('/api/conversation-settings', requireAdmin, async (req, res) => {
+            try {
+                const settings = await conversationService.saveSettings(req.body || {});
+                logger.log('SYSTEM', `Reglas de conversaciones actualizadas por ${req.user ? req.user.name : 'admin'}`);
+                res.json({ success: true, settings });
+            } catch (error) {
+                console.error('Error guardando configuración de conversaciones:', error);
+                res.status(400).json({ error: 'Failed to save conversation settings', details: error.message });
+            }
+        });
+
+        // ===== ASIGNACIÓN DE CONVERSACIONES A AGENTES =====
+
+        this.app.get('/api/agents', async (req, res) => {
+            try {
+                res.json(await assignmentService.getAgents());
+            } catch (error) {
+                console.error('Error obteniendo agentes:', error);
+                res.status(500).json({ error: 'Error obteniendo agentes' });
+            }
+        });
+
+        // Disponibilidad del agente que hace la petición (online, away, offline)
+        this.app.put('/api/agents/me/availability', requireSupportOrAdmin, async (req, res) => {
+            try {
+                await assignmentService.setAvailability(req.user.id, req.body.availability);
+                res.json({ success: true, availability: req.body.availability });
+            } catch (error) {
+                console.error('Error actualizando disponibilidad:', error);
+                res.status(400).json({ error: 'Failed to update availability', details: error.message });
+            }
+        });
+
+        // Equipo y habilidades de un agente
+        this.app.put('/api/agents/:id', requireAdmin, async (req, res) => {
+            try {
+                const agent = await assignmentService.updateAgent(parseInt(req.params.id, 10), req.body || {});
+                res.json({ success: true, agent });
+            } catch (error) {
+                console.error('Error actualizando agente:', error);
+                res.status(400).json({ error: 'Failed to update agent', details: error.message });
+            }
+        });
+
+        /**
+         * Asignar una conversación. Un admin puede asignarla o reasignarla a cualquier agente
+         * (o dejarla sin asignar con agentId null); un agente de soporte solo puede tomar
+         * para sí una conversación que no tiene agente
+         */
+        this.app.put('/api/conversations/:id/assignment', requireSupportOrAdmin, async (req, res) => {
+            try {
+                const conversationId = parseInt(req.params.id, 10);
+                const agentId = req.body.agentId ? parseInt(req.body.agentId, 10) : null;
+
+                if (req.user.role !== 'admin') {
+                    const conversation = await conversationService.getById(conversationId);
+                    if (!conversation || conversation.assigned_agent_id || agentId !== req.user.id) {
+                        return res.status(403).json({ error: 'Solo un administrador puede reasignar conversaciones' });
+                    }
+                }
+
+                const assignment = await assignmentService.assign(conversationId, agentId, {
+                    method: 'manual',
+                    reason: req.body.reason ? String(req.body.reason).trim() : null,
+                    assignedBy: req.user.name
+                });
+                res.json({ success: true, assignment });
+            } catch (error) {
+                console.error('Error asignando conversación:', error);
+                res.status(400).json({ error: 'Failed to assign conversation', details: error.message });
+            }
+        });
+
+        this.app.get('/api/conversations/:id/assignments', async (req, res) => {
+            try {
+                res.json(await assignmentService.getHistory(parseInt(req.params.id, 10)));
+            } catch (error) {
+                console.error('Error obteniendo historial de asignaciones:', error);
+                res.status(500).json({ error: 'Error obteniendo historial de asignaciones' });
+            }
+        });
+
+        this.app.get('/api/assignment-settings', async (req, res) => {
+            try {
+                res.json(await assignmentService.getSettings());
+            } catch (error) {
+                console.error('Error obteniendo configuración de asignación:', error);
+                res.status(500).json({ error: 'Failed to get assignment settings', details: error.message });
+            }
+        });
+
+        this.app.put('/api/assignment-settings', requireAdmin, async (req, res) => {
+            try {
+                const settings = await assignmentService.saveSettings(req.body || {});
+                logger.log('SYSTEM', `Reglas de asignación actualizadas por ${req.user ? req.user.name : 'admin'}`);
+                res.json({ success: true, settings });
+            } catch (error) {
+                console.error('Error guardando configuración de asignación:', error);
+                res.status(400).json({ error: 'Failed to save assignment settings', details: error.message });
+            }
+        });
+
+        // ===== CAMPAÑAS DE DIFUSIÓN (solo admin) =====
+
+        this.app.get('/api/campaigns', requireAdmin, async (req, res) => {
+            try {
+                const campaigns = await campaignService.getCampaigns();
+                res.json(campaigns);
+            } catch (error) {
+                console.error('Error obteniendo campañas:', error);
+                res.status(500).json({ error: 'Error obteniendo campañas' });
+            }
+        });
+
+        // Parques y etiquetas disponibles para los filtros del público
+        this.app.get('/api/campaigns/audience-options', requireAdmin, async (req, res) => {
+            try {
+                res.json(await campaignService.getAudienceOptions());
+            } catch (error) {
+                console.error('Error obteniendo opciones de público:', error);
+                res.status(500).json({ error: 'Error obteniendo opciones de público' });
+            }
+        });
+
+        this.app.post('/api/campaigns/preview', requireAdmin, async (req, res) => {
+            try {
+                const { audience, template } = req.body;
+                res.json(await campaignService.previewAudience(audience || {}, template || ''));
+            } catch (error) {
+                console.error('Error calculando público de campaña:', error);
+                res.status(400).json({ error: 'Failed to preview audience', details: error.message });
+            }
+        });
+
+        this.app.get('/api/campaigns/:id', requireAdmin, async (req, res) => {
+            try {
+                const campaign = await campaignService.getCampaign(parseInt(req.params.id, 10));
+                if (!campaign) {
+                    return res.status(404).json({ error: 'Campaign not found', details: 'Campaña no encontrada' });
+                }
+                campaign.stats = await campaignService.getStats(campaign.id);
+                campaign.recipients = await campaignService.getRecipients(campaign.id);
+                res.json(campaign);
+            } catch (error) {
+                console.error('Error obteniendo campaña:', error);
+                res.status(500).json({ error: 'Error obteniendo campaña' });
+            }
+        });
+
+        this.app.post('/api/campaigns', requireAdmin, async (req, res) => {
+            try {
+                const campaign = await campaignService.saveCampaign(null, req.body, req.user ? req.user.name : null);
+                res.json({ success: true, campaign });
+            } catch (error) {
+                console.error('Error creando campaña:', error);
+                res.status(400).json({ error: 'Failed to create campaign', details: error.message });
+            }
+        });
+
+        this.app.put('/api/campaigns/:id', requireAdmin, async (req, res) => {
+            try {
+                const campaign = await campaignService.saveCampaign(parseInt(req.params.id, 10), req.body);
+                res.json({ success: true, campaign });
+            } catch (error) {
+                console.error('Error actualizando campaña:', error);
+                res.status(400).json({ error: 'Failed to update campaign', details: error.message });
+            }
+        });
+
+        this.app.delete('/api/campaigns/:id', requireAdmin, async (req, res) => {
+            try {
+                await campaignService.deleteCampaign(parseInt(req.params.id, 10));
+                res.json({ success: true });
+            } catch (error) {
+                console.error('Error eliminando campaña:', error);
+                res.status(400).json({ error: 'Failed to delete campaign', details: error.message });
+            }
+        });
+
+        // Acciones: launch, pause, resume, cancel
+        this.app.post('/api/campaigns/:id/:action(launch|pause|resume|cancel)', requireAdmin, async (req, res) => {
+            try {
+                const id = parseInt(req.params.id, 10);
+                const actions = {
+                    launch: () => campaignService.launchCampaign(id),
+                    pause: () => campaignService.pauseCampaign(id),
+                    resume: () => campaignService.resumeCampaign(id),
+                    cancel: () => campaignService.cancelCampaign(id)
+                };
+                const campaign = await actions[req.params.action]();
+                logger.log('SYSTEM', `Campaña "${campaign.name}": ${req.params.action} por ${req.user ? req.user.name : 'admin'}`);
+                res.json({ success: true, campaign });
+            } catch (error) {
+                console.error(`Error en acción ${req.params.action} de campaña:`, error);
+                res.status(400).json({ error: `Failed to ${req.params.action} campaign`, details: error.message });
+            }
+        });
+
         // API endpoints para gestión de modo humano
         this.app.get('/api/human-states', async (req, res) => {
             try {
@@ -530,9 +1344,13 @@ class WebServer {
                     return res.status(400).json({ error: 'Phone number is required' });
                 }
                 
+                // Quien activa el modo humano o soporte desde el panel queda como agente de la conversación
+                const activatedBy = req.user ? req.user.name : 'system';
+                const handoff = { agentId: req.user ? req.user.id : null };
+
                 // Si se proporciona un modo específico (support, human, ai)
                 if (mode) {
-                    humanModeManager.setMode(phone, mode === 'ai' ? false : mode);
+                    humanModeManager.setMode(phone, mode === 'ai' ? false : mode, activatedBy, handoff);
                     const modeText = mode === 'support' ? 'SOPORTE' : mode === 'human' ? 'HUMANO' : 'IA';
                     logger.log('SYSTEM', `Modo ${modeText} establecido para ${phone}`);
                     
@@ -545,7 +1363,7 @@ class WebServer {
                     });
                 } else {
                     // Compatibilidad con el método anterior
-                    humanModeManager.setHumanMode(phone, isHumanMode);
+                    humanModeManager.setHumanMode(phone, isHumanMode, activatedBy, handoff);
                     logger.log('SYSTEM', `Modo ${isHumanMode ? 'HUMANO' : 'IA'} establecido para ${phone}`);
                     
                     res.json({ 
@@ -577,189 +1395,49 @@ class WebServer {
             }
         });
 
-        // API endpoint para obtener reportes con información de ventas
-        this.app.get('/api/reports/:date?', async (req, res) => {
+        // Reporte de conversaciones paginado (from/to: AAAA-MM-DD, incluidas)
+        // Filtros: phone, status, hasSale, hasAppointment, chatType, conversationStatus; orden: sort, order
+        this.app.get('/api/reports', async (req, res) => {
             try {
-                let dateParam = req.params.date || 'all';
-                let logs = [];
-                
-                // Manejar diferentes tipos de fecha
-                if (dateParam === 'all') {
-                    // Obtener TODOS los logs de la BD sin filtro de fecha
-                    logs = await logger.getLogs(null, 10000); // null = sin filtro de fecha, 10000 = límite alto
-                } else if (dateParam === 'month') {
-                    // Obtener todos los logs del mes actual
-                    const today = new Date();
-                    const year = today.getFullYear();
-                    const month = String(today.getMonth() + 1).padStart(2, '0');
-                    
-                    // Obtener todos los días del mes
-                    const daysInMonth = new Date(year, today.getMonth() + 1, 0).getDate();
-                    for (let day = 1; day <= daysInMonth; day++) {
-                        const dateStr = `${year}-${month}-${String(day).padStart(2, '0')}`;
-                        const dayLogs = await logger.getLogs(dateStr);
-                        logs = logs.concat(dayLogs);
-                    }
-                } else if (dateParam === 'week') {
-                    // Obtener logs de la última semana
-                    const today = new Date();
-                    for (let i = 0; i < 7; i++) {
-                        const date = new Date(today);
-                        date.setDate(date.getDate() - i);
-                        const dateStr = date.toISOString().split('T')[0];
-                        const dayLogs = await logger.getLogs(dateStr);
-                        logs = logs.concat(dayLogs);
-                    }
-                } else if (dateParam === 'today') {
-                    const date = new Date().toISOString().split('T')[0];
-                    logs = await logger.getLogs(date);
-                } else if (dateParam === 'yesterday') {
-                    const yesterday = new Date();
-                    yesterday.setDate(yesterday.getDate() - 1);
-                    const date = yesterday.toISOString().split('T')[0];
-                    logs = await logger.getLogs(date);
-                } else {
-                    // Fecha específica
-                    logs = await logger.getLogs(dateParam);
-                }
-                const salesData = await salesManager.getAllSalesData();
-                const humanStates = await humanModeManager.getAllHumanStates();
-                
-                // Agrupar conversaciones por usuario
-                const conversationsByUser = {};
-                
-                logs.forEach(log => {
-                    if (!log.userId) return;
-
-                    // Obtener fecha del log
-                    const logDate = new Date(log.timestamp).toISOString().split('T')[0];
-
-                    if (!conversationsByUser[log.userId]) {
-                        conversationsByUser[log.userId] = {
-                            id: '',
-                            telefono: log.userId,
-                            fecha: logDate,
-                            hora: '',
-                            mensajes: 0,
-                            posibleVenta: false,
-                            ventaCerrada: false,
-                            citaAgendada: false,
-                            soporteActivado: false,
-                            modoHumano: false,
-                            isGroup: Boolean(log.isGroup),
-                            conversacion: [],
-                            primerMensaje: null,
-                            ultimoMensaje: null
-                        };
-                    }
-                    
-                    const conv = conversationsByUser[log.userId];
-                    
-                    // Contar mensajes (incluir todos los tipos relevantes)
-                    if (log.type === 'USER' || log.type === 'BOT' || log.type === 'HUMAN' || 
-                        log.role === 'cliente' || log.role === 'bot' || log.role === 'soporte') {
-                        conv.mensajes++;
-                        conv.conversacion.push({
-                            type: log.type,
-                            role: log.role,
-                            message: log.message,
-                            timestamp: log.timestamp
-                        });
-                        
-                        // Registrar primer y último mensaje
-                        if (!conv.primerMensaje) {
-                            conv.primerMensaje = log.timestamp;
-                            conv.hora = new Date(log.timestamp).toLocaleTimeString('es-ES', {
-                                hour: '2-digit',
-                                minute: '2-digit'
-                            });
-                        }
-                        conv.ultimoMensaje = log.timestamp;
-                    }
-                    
-                    // Detectar si hubo soporte o modo humano
-                    if (log.type === 'HUMAN' || log.role === 'soporte') {
-                        conv.soporteActivado = true;
-                    }
-                    if (log.type === 'SYSTEM' && log.message && log.message.includes('Modo SOPORTE activado')) {
-                        conv.soporteActivado = true;
-                    }
-                    if (log.type === 'SYSTEM' && log.message && log.message.includes('Modo HUMANO establecido')) {
-                        conv.modoHumano = true;
-                    }
-                });
-                
-                // Generar reportes finales
-                const reports = [];
-                let idCounter = 1;
-                
-                for (const [userId, conv] of Object.entries(conversationsByUser)) {
-                    // Generar ID único para la conversación usando la fecha real del log
-                    const conversationId = salesManager.generateConversationId(userId, conv.fecha);
-                    conv.id = `${conv.fecha}-${String(idCounter).padStart(3, '0')}`;
-                    
-                    // Obtener estado de ventas (AWAIT es crítico aquí)
-                    const saleStatus = await salesManager.getSaleStatus(conversationId);
-                    conv.posibleVenta = saleStatus.posibleVenta || false;
-                    conv.ventaCerrada = saleStatus.ventaCerrada || saleStatus.analizadoIA || false;
-                    conv.analizadoIA = saleStatus.analizadoIA || false;
-                    conv.citaAgendada = saleStatus.citaAgendada || false;
-                    
-                    console.log(`Estado cargado para ${userId}:`, {
-                        posibleVenta: conv.posibleVenta,
-                        analizadoIA: conv.analizadoIA,
-                        citaAgendada: conv.citaAgendada
-                    });
-                    
-                    // Verificar estado actual de modo humano/soporte
-                    const currentMode = humanModeManager.getMode(userId);
-                    if (currentMode === 'support') {
-                        conv.soporteActivado = true;
-                    } else if (currentMode === 'human' || currentMode === true) {
-                        conv.modoHumano = true;
-                    }
-                    
-                    reports.push(conv);
-                    idCounter++;
-                }
-                
-                // Ordenar por hora de primer mensaje
-                reports.sort((a, b) => {
-                    if (a.primerMensaje && b.primerMensaje) {
-                        return new Date(a.primerMensaje) - new Date(b.primerMensaje);
-                    }
-                    return 0;
-                });
-                
-                res.json(reports);
+                const { from, to, phone, status, hasSale, hasAppointment, chatType, conversationStatus, sort, order, page, limit } = req.query;
+                const result = await reportService.getReports(
+                    { from, to, phone: phone ? String(phone).trim() : '', status, hasSale, hasAppointment, chatType, conversationStatus },
+                    { sort, order, page, limit }
+                );
+                res.json(result);
             } catch (error) {
                 console.error('Error generando reportes:', error);
-                res.status(500).json({ error: 'Error interno del servidor' });
+                res.status(400).json({ error: 'Failed to generate reports', details: error.message });
             }
         });
 
-        // API endpoint para actualizar estado de venta
+        // Mensajes de una conversación del reporte (para analizar o abrir el chat)
+        this.app.get('/api/reports/:conversationId/conversation', async (req, res) => {
+            try {
+                const messages = await reportService.getConversation(parseInt(req.params.conversationId, 10));
+                res.json(messages);
+            } catch (error) {
+                console.error('Error obteniendo conversación del reporte:', error);
+                res.status(400).json({ error: 'Failed to get conversation', details: error.message });
+            }
+        });
+
+        // API endpoint para actualizar estado de venta (marcas del reporte, por conversación)
         this.app.post('/api/reports/sale-status', async (req, res) => {
             try {
-                const { conversationId, phone, date, posibleVenta, ventaCerrada, citaAgendada, notas } = req.body;
-                
-                let id = conversationId;
-                if (!id && phone && date) {
-                    id = salesManager.generateConversationId(phone, date);
-                }
-                
-                if (!id) {
-                    return res.status(400).json({ error: 'Se requiere conversationId o phone y date' });
+                const { conversationId, posibleVenta, ventaCerrada, citaAgendada, notas } = req.body;
+
+                if (!conversationId) {
+                    return res.status(400).json({ error: 'Se requiere conversationId' });
                 }
-                
-                // Guardar en la base de datos usando setSaleStatus
-                const result = await salesManager.setSaleStatus(id, {
+
+                const result = await salesManager.setSaleStatus(parseInt(conversationId, 10), {
                     posibleVenta,
                     ventaCerrada,
                     citaAgendada,
                     notas
                 });
-                
+
                 res.json({ success: true, data: result });
             } catch (error) {
                 console.error('Error actualizando estado de venta:', error);
@@ -782,14 +1460,29 @@ class WebServer {
         // API endpoint para analizar conversación con IA
         this.app.post('/api/analyze-conversation', async (req, res) => {
             try {
-                const { messages } = req.body;
-                
+                const { conversationId } = req.body;
+                let { messages } = req.body;
+
+                // Con conversationId se analizan sus mensajes y el resultado queda guardado en la conversación
+                if (conversationId) {
+                    messages = await reportService.getConversation(parseInt(conversationId, 10));
+                }
+
                 if (!messages || !Array.isArray(messages)) {
-                    return res.status(400).json({ error: 'Se requiere un array de mensajes' });
+                    return res.status(400).json({ error: 'Se requiere conversationId o un array de mensajes' });
                 }
-                
+
                 const analysis = await conversationAnalyzer.analyzeConversation(messages);
-                res.json(analysis);
+
+                if (conversationId) {
+                    await salesManager.setSaleStatus(parseInt(conversationId, 10), {
+                        posibleVenta: analysis.posibleVenta,
+                        analizadoIA: true,
+                        citaAgendada: analysis.citaAgendada
+                    });
+                }
+
+                res.json({ ...analysis, conversationId: conversationId || null });
             } catch (error) {
                 console.error('Error analizando conversación:', error);
                 res.status(500).json({ error: 'Error interno del servidor' });
@@ -916,7 +1609,7 @@ LuisOnorio,Av. Constituyentes,Micronave,25,20,500,350000,Pre-Venta,Cuenta con mu
                 // Registrar el mensaje de finalización en los logs como mensaje del BOT
                 const cleanPhone = phone.replace('@s.whatsapp.net', '').replace('@lid', '').replace('@g.us', '');
                 const isGroup = phone.includes('@g.us') || formattedPhone.includes('@g.us');
-                logger.log('BOT', endMessage, cleanPhone, null, isGroup);
+                await logger.log('BOT', endMessage, cleanPhone, null, isGroup);
 
                 // Limpiar la sesión
                 const sessionManager = require('../services/sessionManager');
@@ -925,13 +1618,18 @@ LuisOnorio,Av. Constituyentes,Micronave,25,20,500,350000,Pre-Venta,Cuenta con mu
                 // Cambiar a modo IA si estaba en modo humano
                 humanModeManager.setMode(phone, false);
 
-                // Registrar el evento
-                logger.log('SYSTEM', `Conversación finalizada manualmente para ${phone}`, phone);
+                // Registrar el evento y cerrar la conversación (el próximo mensaje la reabre o inicia otra)
+                await logger.log('SYSTEM', `Conversación finalizada manualmente para ${phone}`, cleanPhone);
+                const conversation = await conversationService.closeForContact(cleanPhone, {
+                    reason: req.body.reason || 'Finalizada desde el panel',
+                    performedBy: req.user ? req.user.name : null
+                });
 
                 res.json({
                     success: true,
                     message: 'Conversación finalizada correctamente',
-                    phone: phone
+                    phone: phone,
+                    conversation
                 });
 
             } catch (error) {
@@ -1122,6 +1820,109 @@ LuisOnorio,Av. Constituyentes,Micronave,25,20,500,350000,Pre-Venta,Cuenta con mu
             }
         });
 
+        // Configurar multer para archivos enviados desde el panel
+        const mediaUpload = multer({
+            limits: { fileSize: config.media.maxUploadBytes },
+            fileFilter: (req, file, cb) => {
+                if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('audio/') || file.mimetype === 'application/pdf') {
+                    cb(null, true);
+                } else {
+                    cb(new Error('Solo se permiten imágenes, PDF y audio'));
+                }
+            }
+        });
+
+        // Enviar imagen, PDF o audio desde el panel
+        this.app.post('/api/send-media', requireAuth, (req, res, next) => {
+            mediaUpload.single('file')(req, res, (error) => {
+                if (error) {
+                    const details = error.code === 'LIMIT_FILE_SIZE'
+                        ? `El archivo supera el límite de ${Math.round(config.media.maxUploadBytes / (1024 * 1024))} MB`
+                        : error.message;
+                    return res.status(400).json({ error: 'Invalid file', details });
+                }
+                next();
+            });
+        }, async (req, res) => {
+            try {
+                const { phone } = req.body;
+                const caption = (req.body.caption || '').trim();
+
+                if (!phone || !req.file) {
+                    return res.status(400).json({
+                        error: 'Phone and file are required',
+                        details: 'Debe proporcionar el teléfono y el archivo'
+                    });
+                }
+
+                if (!global.whatsappBot || !global.whatsappBot.sock) {
+                    return res.status(503).json({
+                        error: 'WhatsApp client not connected',
+                        details: 'El cliente de WhatsApp no está conectado. Por favor, escanee el código QR.'
+                    });
+                }
+
+                const formattedPhone = phone.includes('@') ? phone : `${phone}@s.whatsapp.net`;
+                const cleanPhone = phone.replace('@s.whatsapp.net', '').replace('@lid', '').replace('@g.us', '');
+                const isGroup = formattedPhone.includes('@g.us');
+                const { buffer, mimetype, originalname } = req.file;
+
+                const sentMsg = await global.whatsappBot.sendMedia(formattedPhone, {
+                    buffer,
+                    mimeType: mimetype,
+                    fileName: originalname,
+                    caption
+                });
+                const messageId = sentMsg?.key?.id;
+
+                const media = await mediaService.save(buffer, {
+                    mimeType: mimetype,
+                    userId: cleanPhone,
+                    messageId,
+                    direction: 'outgoing',
+                    originalName: originalname
+                });
+
+                const mediaType = mimetype.startsWith('image/') ? 'image' : mimetype.startsWith('audio/') ? 'audio' : 'document';
+                const logText = caption || (mediaType === 'image' ? '📷 Imagen' : mediaType === 'audio' ? '🎤 Audio' : `📄 ${originalname}`);
+                const mediaInfo = {
+                    id: media.id,
+                    type: mediaType,
+                    data: mediaType === 'document' ? { fileName: originalname } : null
+                };
+
+                const senderName = req.user ? req.user.name : 'Soporte';
+                await logger.log('soporte', logText, cleanPhone, senderName, isGroup, null, null, messageId, mediaInfo);
+
+                res.json({
+                    success: true,
+                    message: 'Archivo enviado correctamente',
+                    phone,
+                    sentMessage: logText,
+                    messageId,
+                    mediaId: media.id,
+                    mediaType,
+                    mediaMimeType: mimetype,
+                    mediaData: mediaInfo.data
+                });
+            } catch (error) {
+                console.error('Error enviando archivo:', error);
+
+                let errorMessage = 'Error interno del servidor';
+                if (error.message.includes('not registered')) {
+                    errorMessage = 'El número no está registrado en WhatsApp';
+                } else if (error.message.includes('Session not authenticated')) {
+                    errorMessage = 'El bot no está autenticado en WhatsApp';
+                }
+
+                res.status(500).json({
+                    error: 'Failed to send media',
+                    details: errorMessage,
+                    originalError: error.message
+                });
+            }
+        });
+
         // ===== ENDPOINTS DE CONFIGURACIÓN DEL SISTEMA =====
 
         // Obtener todas las configuraciones
@@ -1224,6 +2025,30 @@ LuisOnorio,Av. Constituyentes,Micronave,25,20,500,350000,Pre-Venta,Cuenta con mu
             }
         });
 
+        // Horario de atención, días festivos y avisos fuera de horario
+        this.app.get('/api/business-hours', requireAuth, async (req, res) => {
+            try {
+                const settings = await businessHoursService.getSettings();
+                const status = await businessHoursService.getStatus();
+                res.json({ settings, status });
+            } catch (error) {
+                console.error('Error obteniendo horario de atención:', error);
+                res.status(500).json({ error: 'Failed to get business hours', details: error.message });
+            }
+        });
+
+        this.app.put('/api/business-hours', requireAdmin, async (req, res) => {
+            try {
+                const settings = await businessHoursService.saveSettings(req.body || {});
+                const status = await businessHoursService.getStatus();
+                logger.log('SYSTEM', `Horario de atención actualizado por ${req.user ? req.user.name : 'admin'}`);
+                res.json({ success: true, settings, status });
+            } catch (error) {
+                console.error('Error guardando horario de atención:', error);
+                res.status(400).json({ error: 'Failed to save business hours', details: error.message });
+            }
+        });
+
         // ===== ENDPOINTS DE GESTIÓN DE PROMPTS =====
 
         // Obtener ambos prompts
@@ -1371,6 +2196,10 @@ LuisOnorio,Av. Constituyentes,Micronave,25,20,500,350000,Pre-Venta,Cuenta con mu
     }
 
     async start() {
+        assignmentService.checkPresenceOnStartup().catch(error => {
+            console.error('Error revisando presencia de agentes:', error);
+        });
+
         if (process.env.NODE_ENV === 'production') {
             // En producción, usar servidor Express normal
             this.app.listen(this.port, '0.0.0.0', () => {